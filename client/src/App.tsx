@@ -9,6 +9,7 @@ import ClubsScreen from './components/ClubsScreen';
 import PartyScreen from './components/PartyScreen';
 import RaidScreen from './components/RaidScreen';
 import { apiGet, apiPost } from './utils/api';
+import { useRealtime, RealtimeEvent } from './utils/realtime';
 import './App.css';
 
 interface Avatar {
@@ -36,13 +37,20 @@ interface Achievement {
   icon: string;
 }
 
+interface DuelPlayer {
+  id: string;
+  username: string;
+  score: number;
+}
+
 interface Duel {
-  id: number;
-  challenger: string;
-  opponent: string;
+  id: string;
+  challengeName: string;
+  challenger: DuelPlayer;
+  opponent: DuelPlayer;
   status: string;
-  challenge: string;
-  deadline: Date;
+  role?: 'challenger' | 'opponent';
+  expiresAt: string | null;
 }
 
 interface Activity {
@@ -61,17 +69,49 @@ interface Quest {
   progress?: string;
 }
 
+interface Progression {
+  currentLevel: number;
+  xpIntoLevel: number;
+  xpNeeded: number;
+  percentage: number;
+  isMaxLevel: boolean;
+  prestige: number;
+  canPrestige: boolean;
+}
+
 interface RaidBoss {
+  bossId: string;
   name: string;
   description: string;
+  difficulty: string;
+  season: string | null;
+  featuredUntil: string;
   totalHP: number;
   currentHP: number;
+  raidId: string | null;
   participants: number;
+  activeRaids: number;
 }
 
+interface CatalogExercise {
+  id: string;
+  name: string;
+  metric: string;
+  unit: string;
+}
+
+// Shown until the exercise catalog (GET /api/exercises) loads
+const FALLBACK_EXERCISES: CatalogExercise[] = [
+  { id: 'squat', name: 'squat', metric: 'weighted_reps', unit: 'reps' },
+  { id: 'pushup', name: 'push-up', metric: 'reps', unit: 'reps' },
+  { id: 'run', name: 'running', metric: 'meters', unit: 'meters' },
+];
+
+const capitalize = (text: string) => text.charAt(0).toUpperCase() + text.slice(1);
+
 // Main App Component (without auth wrapper)
 function MainApp() {
-  const { userProfile, updateUserProfile } = useAuth();
+  const { userProfile, refreshUserProfile } = useAuth();
   const [user, setUser] = useState<User | null>(null);
   const [quests, setQuests] = useState<Quest[]>([]);
   const [raidBoss, setRaidBoss] = useState<RaidBoss | null>(null);
@@ -79,7 +119,9 @@ function MainApp() {
   const [achievements, setAchievements] = useState<Achievement[]>([]);
   const [duels, setDuels] = useState<Duel[]>([]);
   const [activityFeed, setActivityFeed] = useState<Activity[]>([]);
-  const [workoutForm, setWorkoutForm] = useState({ exercise: 'squat', reps: 10 });
+  const [progression, setProgression] = useState<Progression | null>(null);
+  const [exercises, setExercises] = useState<CatalogExercise[]>(FALLBACK_EXERCISES);
+  const [workoutForm, setWorkoutForm] = useState({ exercise: 'squat', amount: 10, weight: 0 });
   const [duelForm, setDuelForm] = useState({ opponent: '', challenge: 'Most squats in 24h' });
   const [message, setMessage] = useState('');
   const [activeTab, setActiveTab] = useState('dashboard');
@@ -107,13 +149,14 @@ function MainApp() {
 
   const fetchData = useCallback(async () => {
     try {
-      const [questsData, raidData, leaderData, achieveData, duelsData, activityData] = await Promise.all([
+      const [questsData, raidData, leaderData, achieveData, duelsData, activityData, progressionData] = await Promise.all([
         apiGet('/api/quests').catch(() => ({ all: [] })),
         apiGet('/api/raid').catch(() => null),
         apiGet('/api/leaderboard').catch(() => ({ leaderboard: [] })),
         apiGet('/api/achievements').catch(() => ({ achievements: [] })),
         apiGet('/api/duels').catch(() => ({ active: [], pending: [] })),
-        apiGet('/api/activity').catch(() => [])
+        apiGet('/api/activity').catch(() => []),
+        apiGet('/api/user/progression').catch(() => null)
       ]);
       
       // Handle the new response formats
@@ -123,34 +166,79 @@ function MainApp() {
       setAchievements(achieveData.achievements || achieveData || []);
       setDuels([...(duelsData.active || []), ...(duelsData.pending || [])]);
       setActivityFeed(activityData || []);
+      setProgression(progressionData);
     } catch (error) {
       console.error('Failed to fetch data:', error);
       setMessage('Failed to load data. Please try again.');
     }
   }, []);
 
+  const fetchDuels = useCallback(async () => {
+    const duelsData = await apiGet('/api/duels').catch(() => ({ active: [], pending: [] }));
+    setDuels([...(duelsData.active || []), ...(duelsData.pending || [])]);
+  }, []);
+
+  // Live duel scores; a finished duel or a reconnect refetches the list
+  const handleDuelEvent = useCallback((event: RealtimeEvent) => {
+    if (event.type === 'duel_score') {
+      const { duelId, challengerScore, opponentScore } = event.data;
+      setDuels(current => current.map(duel => duel.id === duelId
+        ? {
+            ...duel,
+            challenger: { ...duel.challenger, score: challengerScore },
+            opponent: { ...duel.opponent, score: opponentScore },
+          }
+        : duel));
+    } else {
+      fetchDuels();
+    }
+  }, [fetchDuels]);
+
+  useRealtime(
+    duels.filter(duel => duel.status === 'active').map(duel => `duel:${duel.id}`),
+    handleDuelEvent,
+    fetchDuels
+  );
+
   useEffect(() => {
     if (userProfile) {
       fetchData();
     }
   }, [userProfile, fetchData]);
 
+  useEffect(() => {
+    apiGet('/api/exercises')
+      .then((data) => {
+        if (data.exercises?.length) setExercises(data.exercises);
+      })
+      .catch(() => {});
+  }, []);
+
+  const selectedExercise = exercises.find(e => e.id === workoutForm.exercise) || FALLBACK_EXERCISES[0];
+  const isWeighted = selectedExercise.metric === 'weighted_reps';
+
   const logWorkout = async () => {
     try {
-      const data = await apiPost('/api/workout', workoutForm);
-      setMessage(`${data.message} +${data.xpGained} XP!`);
+      const { exercise, amount, weight } = workoutForm;
+      const data = await apiPost('/api/workout', isWeighted ? { exercise, amount, weight } : { exercise, amount });
+      if (data.held) {
+        setMessage(data.message);
+        return;
+      }
+      const reducedMessage = data.antiCheat?.verdict === 'reduced'
+        ? ` Only ${data.antiCheat.creditedAmount} of ${amount} ${selectedExercise.unit} counted while this workout is reviewed.`
+        : '';
+      const raidMessage = data.raidUpdate
+        ? ` ${data.raidUpdate.damageDealt} damage to ${data.raidUpdate.bossName}${data.raidUpdate.isDefeated ? ' - boss defeated!' : '!'}`
+        : '';
+      const gearXP = (data.equipmentBreakdown || []).reduce((sum: number, item: { xpGained: number }) => sum + item.xpGained, 0);
+      const gearMessage = gearXP > 0 ? ` (+${gearXP} from gear)` : '';
+      const prMessage = data.personalRecords?.length > 0 ? ` New ${exercise} PR!` : '';
+      setMessage(`${data.message} +${data.xpGained} XP!${gearMessage}${prMessage}${raidMessage}${reducedMessage}`);
       
-      // Update user profile in Firebase if available
-      if (userProfile && updateUserProfile) {
-        const newXP = userProfile.xp + data.xpGained;
-        const newLevel = Math.floor(newXP / 100) + 1;
-        
-        await updateUserProfile({
-          xp: newXP,
-          level: newLevel,
-          lastWorkout: new Date().toISOString(),
-          workoutStreak: userProfile.workoutStreak + 1
-        });
+      // The server already saved XP, level and streak; reload them
+      if (userProfile) {
+        await refreshUserProfile();
       }
       
       fetchData(); // Refresh other data
@@ -164,15 +252,9 @@ function MainApp() {
       const data = await apiPost(`/api/quests/${questId}/claim`, {});
       setMessage(`${data.message} +${data.xpGained} XP!`);
       
-      // Update user profile in Firebase if available
-      if (userProfile && updateUserProfile) {
-        const newXP = userProfile.xp + data.xpGained;
-        const newLevel = Math.floor(newXP / 100) + 1;
-        
-        await updateUserProfile({
-          xp: newXP,
-          level: newLevel
-        });
+      // The server already credited the reward; reload the profile
+      if (userProfile) {
+        await refreshUserProfile();
       }
       
       fetchData();
@@ -201,8 +283,9 @@ function MainApp() {
     );
   }
 
-  const xpToNextLevel = user.avatar.level * 100 - user.avatar.xp;
-  const xpProgress = (user.avatar.xp / (user.avatar.level * 100)) * 100;
+  // Level curve lives on the server; progression is null until it loads
+  const xpToNextLevel = progression ? progression.xpNeeded - progression.xpIntoLevel : 0;
+  const xpProgress = progression ? progression.percentage : 0;
 
   const headerTitles: Record<string, string> = {
     dashboard: `Welcome back, ${user.username}`,
@@ -274,25 +357,34 @@ function MainApp() {
                   value={workoutForm.exercise}
                   onChange={(e) => setWorkoutForm({ ...workoutForm, exercise: e.target.value })}
                 >
-                  <option value="squat">Squats</option>
-                  <option value="pushup">Push-ups</option>
-                  <option value="pullup">Pull-ups</option>
-                  <option value="run">Running</option>
+                  {exercises.map(e => (
+                    <option key={e.id} value={e.id}>{capitalize(e.name)}</option>
+                  ))}
                 </select>
               </div>
               <div className="ds-form-row">
+                {isWeighted && (
+                  <div className="ds-form-group">
+                    <label className="ds-form-label">Weight (kg)</label>
+                    <input
+                      className="ds-form-input"
+                      type="number"
+                      placeholder="0"
+                      value={workoutForm.weight}
+                      onChange={(e) => setWorkoutForm({ ...workoutForm, weight: parseFloat(e.target.value) || 0 })}
+                    />
+                  </div>
+                )}
                 <div className="ds-form-group">
-                  <label className="ds-form-label">Weight (kg)</label>
-                  <input className="ds-form-input" type="number" placeholder="0" />
-                </div>
-                <div className="ds-form-group">
-                  <label className="ds-form-label">Reps</label>
+                  <label className="ds-form-label" style={{ textTransform: 'capitalize' }}>
+                    {selectedExercise.unit}
+                  </label>
                   <input
                     className="ds-form-input"
                     type="number"
                     placeholder="0"
-                    value={workoutForm.reps}
-                    onChange={(e) => setWorkoutForm({ ...workoutForm, reps: parseInt(e.target.value) || 0 })}
+                    value={workoutForm.amount}
+                    onChange={(e) => setWorkoutForm({ ...workoutForm, amount: parseFloat(e.target.value) || 0 })}
                   />
                 </div>
               </div>
@@ -310,8 +402,10 @@ function MainApp() {
                     <span className="material-symbols-outlined">skull</span>
                   </div>
                   <div>
-                    <h3 className="ds-raid-title">Active Raid: {raidBoss.name}</h3>
-                    <p className="ds-raid-subtitle">Tier 3 Strength Boss</p>
+                    <h3 className="ds-raid-title">{raidBoss.season ? `${raidBoss.season} Boss` : 'Featured Boss'}: {raidBoss.name}</h3>
+                    <p className="ds-raid-subtitle">
+                      {capitalize(raidBoss.difficulty)} - {raidBoss.participants} fighting in {raidBoss.activeRaids} {raidBoss.activeRaids === 1 ? 'raid' : 'raids'} - until {new Date(raidBoss.featuredUntil).toLocaleDateString()}
+                    </p>
                   </div>
                 </div>
                 <div className="ds-raid-hero">
@@ -334,7 +428,7 @@ function MainApp() {
                     <span className="material-symbols-outlined">skull</span>
                   </div>
                   <div>
-                    <h3 className="ds-raid-title">No active raid</h3>
+                    <h3 className="ds-raid-title">No featured boss</h3>
                     <p className="ds-raid-subtitle">Check back for the next boss</p>
                   </div>
                 </div>
@@ -485,14 +579,19 @@ function MainApp() {
                       <p className="ds-empty-state">No active duels. Create one above.</p>
                     ) : (
                       duels.map(duel => {
-                        const target = 10000;
-                        const myVal = 6000 + duel.id * 1200 + (duel.id % 5) * 100;
-                        const oppVal = 5500 + duel.id * 1100 + (duel.id % 7) * 80;
-                        const myPct = Math.min(100, Math.round((myVal / target) * 100));
-                        const oppPct = Math.min(100, Math.round((oppVal / target) * 100));
-                        const remaining = duel.id % 2 === 0 ? '2h Remaining' : '8h Remaining';
-                        const badgeClass = duel.id % 2 === 0 ? 'ds-badge-amber' : 'ds-badge-green';
-                        const oppLeading = oppPct > myPct;
+                        const me = duel.role === 'opponent' ? duel.opponent : duel.challenger;
+                        const them = duel.role === 'opponent' ? duel.challenger : duel.opponent;
+                        const myVal = me.score || 0;
+                        const oppVal = them.score || 0;
+                        const target = Math.max(myVal, oppVal, 1);
+                        const myPct = Math.round((myVal / target) * 100);
+                        const oppPct = Math.round((oppVal / target) * 100);
+                        const hoursLeft = duel.expiresAt
+                          ? Math.max(0, Math.ceil((new Date(duel.expiresAt).getTime() - Date.now()) / 3600000))
+                          : null;
+                        const remaining = hoursLeft === null ? 'Pending' : `${hoursLeft}h Remaining`;
+                        const badgeClass = hoursLeft === null || hoursLeft <= 2 ? 'ds-badge-amber' : 'ds-badge-green';
+                        const oppLeading = oppVal > myVal;
                         return (
                           <div key={duel.id} className="ds-duel-card">
                             <div className="ds-duel-card-header">
@@ -501,23 +600,23 @@ function MainApp() {
                                 <div className="ds-duel-avatar ds-duel-avatar-opp" />
                               </div>
                               <div className="ds-duel-card-info">
-                                <h4>{duel.challenge}</h4>
-                                <p>vs. {duel.opponent}</p>
+                                <h4>{duel.challengeName}</h4>
+                                <p>vs. {them.username}</p>
                               </div>
                               <span className={`ds-duel-badge ${badgeClass}`}>{remaining}</span>
                             </div>
                             <div className="ds-duel-card-body">
                               <div className="ds-duel-stats">
                                 <span className="ds-duel-stat-you">You: {myVal.toLocaleString()}</span>
-                                <span className="ds-duel-stat-target">Target: {target.toLocaleString()}</span>
-                                <span className="ds-duel-stat-opp">{duel.opponent}: {oppVal.toLocaleString()}</span>
+                                <span className="ds-duel-stat-target">Lead: {Math.abs(myVal - oppVal).toLocaleString()}</span>
+                                <span className="ds-duel-stat-opp">{them.username}: {oppVal.toLocaleString()}</span>
                               </div>
                               <div className="ds-duel-progress-bar">
                                 <div className="ds-duel-progress-opp" style={{ width: `${oppPct}%` }} />
                                 <div className="ds-duel-progress-you" style={{ width: `${myPct}%` }} />
                               </div>
                               {oppLeading && (
-                                <p className="ds-duel-hint">{duel.opponent} is leading! Pick up the pace.</p>
+                                <p className="ds-duel-hint">{them.username} is leading! Pick up the pace.</p>
                               )}
                             </div>
                           </div>
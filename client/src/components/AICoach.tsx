@@ -1,5 +1,6 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import { apiGet, apiPost } from '../utils/api';
+import { useAuth } from '../contexts/AuthContext';
 import './AICoach.css';
 
 interface WorkoutRecommendation {
@@ -198,6 +199,9 @@ interface MLAssessment {
 }
 
 const AICoach: React.FC = () => {
+  const { userProfile } = useAuth();
+  // The ML assessment runs over every player's data, so only admins may see it
+  const isAdmin = userProfile?.role === 'admin';
   const [recommendations, setRecommendations] = useState<Recommendations | null>(null);
   const [predictions, setPredictions] = useState<Predictions | null>(null);
   const [motivation, setMotivation] = useState<Motivation | null>(null);
@@ -209,6 +213,7 @@ const AICoach: React.FC = () => {
   const [agentLoading, setAgentLoading] = useState(false);
   const [error, setError] = useState<string | null>(null);
   const [activeSection, setActiveSection] = useState<'coach' | 'predictions' | 'patterns' | 'agents' | 'assessment'>('coach');
+  const [exerciseNames, setExerciseNames] = useState<{ [key: string]: string }>({});
   const [actionsEnabled, setActionsEnabled] = useState(false);
   const [actionMessage, setActionMessage] = useState<string | null>(null);
 
@@ -267,6 +272,16 @@ const AICoach: React.FC = () => {
     fetchMLData();
   }, [fetchMLData]);
 
+  useEffect(() => {
+    apiGet('/api/exercises')
+      .then((data) => {
+        const names: { [key: string]: string } = {};
+        (data.exercises || []).forEach((e: { id: string; name: string }) => { names[e.id] = e.name; });
+        setExerciseNames(names);
+      })
+      .catch(() => {});
+  }, []);
+
   useEffect(() => {
     if (activeSection === 'agents' && !agentAnalysis) {
       fetchAgentAnalysis();
@@ -277,15 +292,7 @@ const AICoach: React.FC = () => {
   }, [activeSection, agentAnalysis, mlAssessment, fetchAgentAnalysis, fetchMLAssessment]);
 
   const getExerciseLabel = (exercise: string) => {
-    const labels: { [key: string]: string } = {
-      squat: 'SQUAT',
-      pushup: 'PUSH',
-      pullup: 'PULL',
-      run: 'RUN',
-      plank: 'PLANK',
-      burpee: 'BURPEE'
-    };
-    return labels[exercise] || 'WORKOUT';
+    return (exerciseNames[exercise] || exercise || 'workout').toUpperCase();
   };
 
   const getStatLabel = (stat: string) => {
@@ -412,12 +419,14 @@ const AICoach: React.FC = () => {
         >
           Agents
         </button>
-        <button 
-          className={`ai-nav-tab ${activeSection === 'assessment' ? 'active' : ''}`}
-          onClick={() => setActiveSection('assessment')}
-        >
-          Assessment
-        </button>
+        {isAdmin && (
+          <button 
+            className={`ai-nav-tab ${activeSection === 'assessment' ? 'active' : ''}`}
+            onClick={() => setActiveSection('assessment')}
+          >
+            Assessment
+          </button>
+        )}
       </div>
 
       {/* Motivation Banner */}
@@ -1,5 +1,6 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import './AvatarEditor.css';
+import { authenticatedFetch } from '../utils/api';
 
 // ============================================
 // TYPES
@@ -101,16 +102,6 @@ const SLOT_ICONS: { [key: string]: string } = {
   pet: 'PET'
 };
 
-// ============================================
-// API HELPERS
-// ============================================
-
-const API_BASE = process.env.REACT_APP_API_URL 
-  ? `${process.env.REACT_APP_API_URL}/api`
-  : (process.env.NODE_ENV === 'production' 
-      ? '/api'
-      : 'http://localhost:5000/api');
-
 // ============================================
 // COMPONENT
 // ============================================
@@ -132,7 +123,6 @@ const AvatarEditor: React.FC = () => {
   
   const [loading, setLoading] = useState<boolean>(true);
   const [message, setMessage] = useState<{ text: string; type: 'success' | 'error' | 'info' } | null>(null);
-  const [rewardLoading, setRewardLoading] = useState<boolean>(false);
 
   // ============================================
   // DATA FETCHING
@@ -140,7 +130,7 @@ const AvatarEditor: React.FC = () => {
 
   const fetchAvatarState = useCallback(async () => {
     try {
-      const response = await fetch(`${API_BASE}/avatar/state`);
+      const response = await authenticatedFetch('/api/avatar/state');
       const data = await response.json();
       
       if (data.success) {
@@ -160,8 +150,8 @@ const AvatarEditor: React.FC = () => {
   const fetchMetadata = useCallback(async () => {
     try {
       const [slotsRes, raritiesRes] = await Promise.all([
-        fetch(`${API_BASE}/avatar/slots`),
-        fetch(`${API_BASE}/avatar/rarities`)
+        authenticatedFetch('/api/avatar/slots'),
+        authenticatedFetch('/api/avatar/rarities')
       ]);
       
       const slotsData = await slotsRes.json();
@@ -190,9 +180,8 @@ const AvatarEditor: React.FC = () => {
 
   const equipItem = async (itemId: string) => {
     try {
-      const response = await fetch(`${API_BASE}/avatar/equip`, {
+      const response = await authenticatedFetch('/api/avatar/equip', {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ itemId })
       });
       
@@ -212,9 +201,8 @@ const AvatarEditor: React.FC = () => {
 
   const unequipItem = async (slot: string) => {
     try {
-      const response = await fetch(`${API_BASE}/avatar/unequip`, {
+      const response = await authenticatedFetch('/api/avatar/unequip', {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ slot })
       });
       
@@ -237,9 +225,8 @@ const AvatarEditor: React.FC = () => {
     }
     
     try {
-      const response = await fetch(`${API_BASE}/avatar/salvage`, {
+      const response = await authenticatedFetch('/api/avatar/salvage', {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ itemId })
       });
       
@@ -257,30 +244,6 @@ const AvatarEditor: React.FC = () => {
     }
   };
 
-  const claimReward = async (type: string, options: object = {}) => {
-    setRewardLoading(true);
-    try {
-      const response = await fetch(`${API_BASE}/avatar/rewards/${type}`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(options)
-      });
-      
-      const data = await response.json();
-      
-      if (data.success) {
-        showMessage(data.message, 'success');
-        fetchAvatarState();
-      } else {
-        showMessage(data.error, 'error');
-      }
-    } catch (error) {
-      showMessage('Failed to claim reward', 'error');
-    } finally {
-      setRewardLoading(false);
-    }
-  };
-
   // ============================================
   // FILTERING & SORTING
   // ============================================
@@ -437,12 +400,6 @@ const AvatarEditor: React.FC = () => {
         >
           Inventory ({inventory.length})
         </button>
-        <button 
-          className={`tab ${activeTab === 'rewards' ? 'active' : ''}`}
-          onClick={() => setActiveTab('rewards')}
-        >
-          Rewards
-        </button>
       </div>
 
       {/* Stats Overview */}
@@ -620,78 +577,6 @@ const AvatarEditor: React.FC = () => {
           </div>
         )}
 
-        {activeTab === 'rewards' && (
-          <div className="rewards-view">
-            <h2>Claim Rewards</h2>
-            <p className="rewards-description">
-              Test the item generation system by claiming different types of rewards!
-            </p>
-            
-            <div className="reward-categories">
-              <div className="reward-category">
-                <h3>Quest Rewards</h3>
-                <div className="reward-buttons">
-                  <button onClick={() => claimReward('quest', { difficulty: 'easy' })} disabled={rewardLoading}>
-                    Easy Quest
-                  </button>
-                  <button onClick={() => claimReward('quest', { difficulty: 'normal' })} disabled={rewardLoading}>
-                    Normal Quest
-                  </button>
-                  <button onClick={() => claimReward('quest', { difficulty: 'hard' })} disabled={rewardLoading}>
-                    Hard Quest
-                  </button>
-                  <button onClick={() => claimReward('quest', { difficulty: 'legendary' })} disabled={rewardLoading} className="legendary">
-                    Legendary Quest
-                  </button>
-                </div>
-              </div>
-
-              <div className="reward-category">
-                <h3>Raid Rewards</h3>
-                <div className="reward-buttons">
-                  <button onClick={() => claimReward('raid', { participationLevel: 'low', bossDefeated: true })} disabled={rewardLoading}>
-                    Low Participation
-                  </button>
-                  <button onClick={() => claimReward('raid', { participationLevel: 'normal', bossDefeated: true })} disabled={rewardLoading}>
-                    Normal Participation
-                  </button>
-                  <button onClick={() => claimReward('raid', { participationLevel: 'high', bossDefeated: true })} disabled={rewardLoading}>
-                    High Participation
-                  </button>
-                  <button onClick={() => claimReward('raid', { participationLevel: 'mvp', bossDefeated: true })} disabled={rewardLoading} className="mythic">
-                    MVP Reward
-                  </button>
-                </div>
-              </div>
-
-              <div className="reward-category">
-                <h3>Event Rewards</h3>
-                <div className="reward-buttons">
-                  <button onClick={() => claimReward('event', { eventType: 'daily' })} disabled={rewardLoading}>
-                    Daily Event
-                  </button>
-                  <button onClick={() => claimReward('event', { eventType: 'weekly' })} disabled={rewardLoading}>
-                    Weekly Event
-                  </button>
-                  <button onClick={() => claimReward('event', { eventType: 'special' })} disabled={rewardLoading}>
-                    Special Event
-                  </button>
-                  <button onClick={() => claimReward('event', { eventType: 'seasonal' })} disabled={rewardLoading} className="mythic">
-                    Seasonal Event
-                  </button>
-                </div>
-              </div>
-            </div>
-
-            {rewardLoading && (
-              <div className="reward-loading">
-                <div className="loading-spinner" />
-                <p>Generating loot...</p>
-              </div>
-            )}
-          </div>
-        )}
-
         {/* Item Detail Panel */}
         {selectedItem && (
           <div className="item-detail-panel">
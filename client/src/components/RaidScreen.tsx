@@ -1,9 +1,41 @@
 import React, { useState, useEffect, useCallback, useRef } from 'react';
 import { useAuth } from '../contexts/AuthContext';
 import { apiGet, apiPost } from '../utils/api';
+import { useRealtime, RealtimeEvent } from '../utils/realtime';
 import './RaidScreen.css';
 
+const RARITY_COLORS: Record<string, string> = {
+  common: '#9CA3AF',
+  uncommon: '#22C55E',
+  rare: '#3B82F6',
+  epic: '#A855F7',
+  legendary: '#F59E0B',
+  mythic: '#EF4444'
+};
+
 // Types
+interface PhaseModifier {
+  muscleGroups?: string[];
+  exercises?: string[];
+  multiplier: number;
+}
+
+interface PhaseObjective {
+  type: 'every_member';
+  description: string;
+  muscleGroups?: string[];
+  exercises?: string[];
+}
+
+interface BossPhase {
+  id: string;
+  name: string;
+  startsAtHpPercent: number;
+  weaknesses: PhaseModifier[];
+  resistances: PhaseModifier[];
+  objective?: PhaseObjective;
+}
+
 interface Boss {
   id: string;
   name: string;
@@ -13,6 +45,10 @@ interface Boss {
   minMembers: number;
   maxMembers: number;
   difficulty: 'normal' | 'hard' | 'legendary';
+  timeLimitHours?: number;
+  phases?: BossPhase[];
+  season?: { name: string; start: string; end: string } | null;
+  featured?: boolean;
   imageUrl: string;
   color: string;
   scaledHp: number;
@@ -34,14 +70,42 @@ interface Contribution {
   damagePercentage?: string;
 }
 
+// Older raids only logged hits, without a type
 interface DamageLogEntry {
-  userId: string;
-  username: string;
-  damage: number;
-  source: string;
+  type?: 'hit' | 'phase' | 'objective';
+  userId?: string;
+  username?: string;
+  damage?: number;
+  multiplier?: number;
+  absorbed?: number;
+  source?: string;
+  name?: string;
+  description?: string;
   timestamp: string;
 }
 
+interface LootItem {
+  id: string;
+  name: string;
+  rarity: string;
+  slot: string;
+}
+
+interface RaidLoot {
+  topContributorId: string | null;
+  members: {
+    userId: string;
+    username: string;
+    rank: number;
+    damagePercentage: string;
+    tier: 'low' | 'normal' | 'high' | 'mvp';
+    isTopContributor: boolean;
+    xp: number;
+    items: LootItem[];
+  }[];
+  distributedAt: string;
+}
+
 interface Raid {
   id: string;
   partyId: string;
@@ -57,9 +121,14 @@ interface Raid {
   contributions: Record<string, Contribution>;
   leaderboard?: Contribution[];
   damageLog: DamageLogEntry[];
-  status: 'active' | 'completed' | 'abandoned';
+  phases?: BossPhase[];
+  phase?: { index: number; id: string; name: string; startedAt: string } | null;
+  objective?: (PhaseObjective & { completedBy: string[]; requiredCount?: number; completed: boolean }) | null;
+  status: 'active' | 'completed' | 'abandoned' | 'expired';
   victory?: boolean;
+  loot?: RaidLoot | null;
   startedAt: string;
+  expiresAt?: string;
   updatedAt: string;
 }
 
@@ -83,16 +152,12 @@ const RaidScreen: React.FC = () => {
   const [selectedBoss, setSelectedBoss] = useState<Boss | null>(null);
   
   // Workout form for dealing damage
-  const [workoutForm, setWorkoutForm] = useState({ exercise: 'squat', reps: 10 });
+  const [workoutForm, setWorkoutForm] = useState({ exercise: 'squat', amount: 10 });
   
   // Animation states
   const [damageFlash, setDamageFlash] = useState(false);
   const [recentDamage, setRecentDamage] = useState<number | null>(null);
   const prevHpRef = useRef<number | null>(null);
-  
-  // Polling for real-time updates
-  const pollingIntervalRef = useRef<NodeJS.Timeout | null>(null);
-  const POLL_INTERVAL = 2000; // 2 seconds for <2s requirement
 
   // Show message helper
   const showMessage = (text: string, type: 'success' | 'error') => {
@@ -158,20 +223,26 @@ const RaidScreen: React.FC = () => {
     }
   }, [party, raid, fetchBosses]);
 
-  // Setup polling for real-time updates during active raid
-  useEffect(() => {
-    if (raid && raid.status === 'active') {
-      pollingIntervalRef.current = setInterval(() => {
-        fetchRaidStatus(true);
-      }, POLL_INTERVAL);
+  // Live updates: teammates' hits, the kill, new raids and members joining or
+  // leaving all refetch the raid (which animates the HP drop); reconnecting
+  // after a dropped connection refetches too
+  const liveTopics = [
+    ...(party ? [`party:${party.id}`] : []),
+    ...(raid && raid.status === 'active' ? [`raid:${raid.id}`] : []),
+  ];
+  
+  const handleLiveEvent = useCallback((event: RealtimeEvent) => {
+    if (event.type === 'raid_completed' && event.data.victory) {
+      showMessage('BOSS DEFEATED! Victory!', 'success');
+    } else if (event.type === 'raid_completed' && event.data.status === 'expired') {
+      showMessage('Time ran out - the boss escaped', 'error');
+    } else if (event.type === 'raid_phase' && event.data.phase) {
+      showMessage(`New phase: ${event.data.phase.name}`, 'success');
     }
-    
-    return () => {
-      if (pollingIntervalRef.current) {
-        clearInterval(pollingIntervalRef.current);
-      }
-    };
-  }, [raid, fetchRaidStatus]);
+    fetchRaidStatus(true);
+  }, [fetchRaidStatus]);
+  
+  useRealtime(liveTopics, handleLiveEvent, () => fetchRaidStatus(true));
 
   // Start raid handler
   const handleStartRaid = async () => {
@@ -194,7 +265,7 @@ const RaidScreen: React.FC = () => {
     }
   };
 
-  // Log workout damage handler
+  // Log a workout; the server applies its damage to the party raid
   const handleLogDamage = async (e: React.FormEvent) => {
     e.preventDefault();
     
@@ -202,19 +273,25 @@ const RaidScreen: React.FC = () => {
     
     try {
       setActionLoading(true);
-      const response = await apiPost(`/api/raids/${raid.id}/workout-damage`, workoutForm);
-      
-      showMessage(`${response.damageDealt} damage! (${workoutForm.exercise} x${workoutForm.reps})`, 'success');
+      const response = await apiPost('/api/workout', workoutForm);
+      const hit = response.raidUpdate;
       
-      // Update local state immediately for responsiveness
-      setRaid(response.raid);
-      prevHpRef.current = response.raid.hpRemaining;
-      
-      if (response.isDefeated) {
-        showMessage('BOSS DEFEATED! Victory!', 'success');
+      if (!hit) {
+        showMessage(`Workout logged (+${response.xpGained} XP), but it did not hit the boss`, 'error');
+      } else {
+        const bonus = hit.multiplier !== 1 ? ` ×${hit.multiplier}` : '';
+        const absorbed = hit.absorbed ? `, ${hit.absorbed} absorbed` : '';
+        showMessage(`${hit.damageDealt} damage${bonus}! (${workoutForm.exercise} x${response.antiCheat.creditedAmount}${absorbed})`, 'success');
+        
+        if (hit.isDefeated) {
+          showMessage('BOSS DEFEATED! Victory!', 'success');
+        }
       }
+      
+      // Pick up the new HP, phase and objective
+      await fetchRaidStatus(true);
     } catch (error: any) {
-      showMessage(error.message || 'Failed to log damage', 'error');
+      showMessage(error.message || 'Failed to log workout', 'error');
     } finally {
       setActionLoading(false);
     }
@@ -257,6 +334,41 @@ const RaidScreen: React.FC = () => {
     return hp.toString();
   };
 
+  // Describe a weakness or resistance, e.g. "back, biceps ×1.5"
+  const formatModifier = (modifier: PhaseModifier) =>
+    `${[...(modifier.muscleGroups || []), ...(modifier.exercises || [])].join(', ')} ×${modifier.multiplier}`;
+
+  // Render one damage log line: a hit, an objective met or a new phase
+  const renderLogEntry = (entry: DamageLogEntry, index: number) => {
+    if (entry.type === 'phase') {
+      return (
+        <div key={index} className="log-entry log-event">
+          <span className="log-action">Phase: {entry.name}</span>
+        </div>
+      );
+    }
+
+    if (entry.type === 'objective') {
+      return (
+        <div key={index} className="log-entry log-event">
+          <span className="log-action">Objective complete: {entry.description}</span>
+        </div>
+      );
+    }
+
+    return (
+      <div key={index} className="log-entry">
+        <span className="log-user">{entry.username}</span>
+        <span className="log-action">{entry.source}</span>
+        {entry.multiplier !== undefined && entry.multiplier !== 1 && (
+          <span className={entry.multiplier > 1 ? 'log-weak' : 'log-resist'}>×{entry.multiplier}</span>
+        )}
+        <span className="log-damage">-{entry.damage}</span>
+        {entry.absorbed ? <span className="log-absorbed">({entry.absorbed} absorbed)</span> : null}
+      </div>
+    );
+  };
+
   // Render no party state
   const renderNoParty = () => (
     <div className="raid-screen no-party">
@@ -293,6 +405,11 @@ const RaidScreen: React.FC = () => {
               >
                 {boss.difficulty}
               </span>
+              {(boss.featured || boss.season) && (
+                <span className="featured-badge">
+                  {boss.season ? boss.season.name : 'Featured'}
+                </span>
+              )}
               <div className="boss-icon">
                 {boss.difficulty === 'legendary' ? 'L' : boss.difficulty === 'hard' ? 'H' : 'N'}
               </div>
@@ -358,6 +475,10 @@ const RaidScreen: React.FC = () => {
     const hpPercentage = (raid.hpRemaining / raid.hpTotal) * 100;
     const isOwner = party?.ownerId === userProfile?.uid;
     const leaderboard = raid.leaderboard || [];
+    const currentPhase = raid.phase ? raid.phases?.[raid.phase.index] : undefined;
+    const hoursLeft = raid.expiresAt
+      ? Math.max(0, Math.ceil((new Date(raid.expiresAt).getTime() - Date.now()) / (60 * 60 * 1000)))
+      : null;
     
     return (
       <div className="raid-screen active-battle">
@@ -406,6 +527,27 @@ const RaidScreen: React.FC = () => {
           </div>
         </div>
 
+        {/* Current Phase */}
+        {currentPhase && (
+          <div className="phase-section">
+            <h3>{currentPhase.name}</h3>
+            {currentPhase.weaknesses.length > 0 && (
+              <p className="phase-weak">Weak to {currentPhase.weaknesses.map(formatModifier).join('; ')}</p>
+            )}
+            {currentPhase.resistances.length > 0 && (
+              <p className="phase-resist">Resists {currentPhase.resistances.map(formatModifier).join('; ')}</p>
+            )}
+            {raid.objective && (
+              <p className={`phase-objective ${raid.objective.completed ? 'completed' : ''}`}>
+                {raid.objective.description} ({raid.objective.completedBy.length}/{raid.objective.requiredCount ?? raid.memberCount})
+              </p>
+            )}
+            {hoursLeft !== null && (
+              <p className="phase-time">{hoursLeft}h left before the boss escapes</p>
+            )}
+          </div>
+        )}
+
         {/* Battle Actions */}
         <div className="battle-actions">
           <h3>Deal Damage</h3>
@@ -421,17 +563,16 @@ const RaidScreen: React.FC = () => {
                 <option value="burpee">Burpees</option>
                 <option value="lunge">Lunges</option>
                 <option value="plank">Plank (seconds)</option>
-                <option value="run">Run (minutes)</option>
+                <option value="run">Run (meters)</option>
               </select>
               <input
                 type="number"
-                value={workoutForm.reps}
-                onChange={e => setWorkoutForm({ ...workoutForm, reps: parseInt(e.target.value) || 0 })}
+                value={workoutForm.amount}
+                onChange={e => setWorkoutForm({ ...workoutForm, amount: parseInt(e.target.value) || 0 })}
                 min={1}
-                max={1000}
-                placeholder="Reps"
+                placeholder="Amount"
               />
-              <button type="submit" disabled={actionLoading || workoutForm.reps <= 0}>
+              <button type="submit" disabled={actionLoading || workoutForm.amount <= 0}>
                 {actionLoading ? '...' : 'Attack!'}
               </button>
             </div>
@@ -478,13 +619,7 @@ const RaidScreen: React.FC = () => {
           <div className="damage-log-section">
             <h4>Recent Attacks</h4>
             <div className="damage-log">
-              {raid.damageLog.slice(-5).reverse().map((entry, index) => (
-                <div key={index} className="log-entry">
-                  <span className="log-user">{entry.username}</span>
-                  <span className="log-action">{entry.source}</span>
-                  <span className="log-damage">-{entry.damage}</span>
-                </div>
-              ))}
+              {raid.damageLog.slice(-5).reverse().map(renderLogEntry)}
             </div>
           </div>
         )}
@@ -548,6 +683,35 @@ const RaidScreen: React.FC = () => {
           </div>
         )}
 
+        {raid.loot && raid.loot.members.length > 0 && (
+          <div className="loot-section">
+            <h3>Loot</h3>
+            {raid.loot.members.map(member => (
+              <div
+                key={member.userId}
+                className={`loot-member ${member.userId === userProfile?.uid ? 'is-you' : ''}`}
+              >
+                <div className="loot-member-header">
+                  <span className="contributor-name">{member.username}</span>
+                  <span className="loot-tier">{member.tier.toUpperCase()}</span>
+                  <span className="loot-xp">+{member.xp} XP</span>
+                </div>
+                <div className="loot-items">
+                  {member.items.map(item => (
+                    <span
+                      key={item.id}
+                      className="loot-item"
+                      style={{ color: RARITY_COLORS[item.rarity], borderColor: RARITY_COLORS[item.rarity] }}
+                    >
+                      {item.name}
+                    </span>
+                  ))}
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+
         <button 
           className="new-raid-btn"
           onClick={() => {
@@ -40,6 +40,8 @@ interface AuthUser {
   partyRole?: 'owner' | 'member';
   // OAuth fields
   authProvider?: 'email' | 'google' | 'github' | 'apple';
+  // Access control
+  role?: 'player' | 'moderator' | 'admin';
 }
 
 interface AuthContextType {
@@ -51,6 +53,7 @@ interface AuthContextType {
   loginWithOAuth: (provider: OAuthProvider) => Promise<void>;
   logout: () => Promise<void>;
   updateUserProfile: (updates: Partial<AuthUser>) => Promise<void>;
+  refreshUserProfile: () => Promise<void>;
   updateHandle: (newHandle: string) => Promise<void>;
   uploadAvatar: (file: File) => Promise<string>;
   checkHandleAvailability: (handle: string) => Promise<boolean>;
@@ -118,8 +121,8 @@ export const AuthProvider: React.FC<{ children: React.ReactNode }> = ({ children
 
       const data = await response.json();
       
-      setAccessToken(data.accessToken);
-      localStorage.setItem('accessToken', data.accessToken);
+      // Refresh tokens are single-use, so keep the rotated one
+      saveTokens(data.accessToken, data.refreshToken);
       
       return true;
     } catch (error) {
@@ -127,7 +130,7 @@ export const AuthProvider: React.FC<{ children: React.ReactNode }> = ({ children
       clearTokens();
       return false;
     }
-  }, [clearTokens]);
+  }, [saveTokens, clearTokens]);
 
   // Fetch user profile with authentication
   const fetchUserProfile = useCallback(async (token: string) => {
@@ -328,13 +331,16 @@ export const AuthProvider: React.FC<{ children: React.ReactNode }> = ({ children
   // Logout function
   const logout = async () => {
     try {
-      // Call logout endpoint (optional, as JWT is stateless)
-      if (accessToken) {
+      // Revoke this device's session on the server
+      const storedRefreshToken = localStorage.getItem('refreshToken');
+      if (accessToken || storedRefreshToken) {
         await fetch(`${API_URL}/api/auth/logout`, {
           method: 'POST',
           headers: {
-            'Authorization': `Bearer ${accessToken}`,
+            'Content-Type': 'application/json',
+            ...(accessToken ? { 'Authorization': `Bearer ${accessToken}` } : {}),
           },
+          body: JSON.stringify({ refreshToken: storedRefreshToken }),
         });
       }
       
@@ -360,6 +366,12 @@ export const AuthProvider: React.FC<{ children: React.ReactNode }> = ({ children
   };
 
   // Update user profile
+  // Reload the profile after the server changes game state (XP, level, streak)
+  const refreshUserProfile = async () => {
+    if (!accessToken) return;
+    await fetchUserProfile(accessToken);
+  };
+
   const updateUserProfile = async (updates: Partial<AuthUser>) => {
     if (!currentUser || !accessToken) return;
     
@@ -482,6 +494,7 @@ export const AuthProvider: React.FC<{ children: React.ReactNode }> = ({ children
     loginWithOAuth,
     logout,
     updateUserProfile,
+    refreshUserProfile,
     updateHandle,
     uploadAvatar,
     checkHandleAvailability,
@@ -0,0 +1,142 @@
+import { useEffect, useRef } from 'react';
+import { authenticatedFetch } from './api';
+
+// Live raid, duel and party updates from GET /api/realtime/stream (Server-Sent Events).
+// The stream is read with fetch rather than EventSource so it can send the
+// Authorization header like every other API call.
+
+export interface RealtimeEvent {
+  type: string;
+  data: any;
+}
+
+const RECONNECT_BASE_MS = 1000;
+const RECONNECT_MAX_MS = 30000;
+
+/**
+ * Parse one SSE message ("event: x\ndata: {...}"); comments and the retry hint return null
+ */
+function parseMessage(message: string): RealtimeEvent | null {
+  let type = 'message';
+  const dataLines: string[] = [];
+
+  message.split('\n').forEach(line => {
+    if (line.startsWith('event:')) type = line.slice(6).trim();
+    else if (line.startsWith('data:')) dataLines.push(line.slice(5).trimStart());
+  });
+
+  if (dataLines.length === 0) return null;
+
+  try {
+    return { type, data: JSON.parse(dataLines.join('\n')) };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Follow topics such as "raid:<raidId>", "duel:<duelId>" or "party:<partyId>"
+ * Reconnects with backoff after a dropped connection. onSync runs each time
+ * the stream (re)connects: events sent while disconnected are not replayed,
+ * so callers should refetch their state then.
+ * Returns a function that closes the stream.
+ */
+export function subscribeToTopics(
+  topics: string[],
+  onEvent: (event: RealtimeEvent) => void,
+  onSync?: () => void
+): () => void {
+  let closed = false;
+  let attempt = 0;
+  let controller: AbortController | null = null;
+  let retryTimer: ReturnType<typeof setTimeout> | null = null;
+
+  const scheduleReconnect = () => {
+    if (closed) return;
+    const delay = Math.min(RECONNECT_MAX_MS, RECONNECT_BASE_MS * 2 ** attempt);
+    attempt++;
+    retryTimer = setTimeout(connect, delay);
+  };
+
+  const connect = async () => {
+    controller = new AbortController();
+
+    try {
+      const response = await authenticatedFetch(
+        `/api/realtime/stream?topics=${encodeURIComponent(topics.join(','))}`,
+        { headers: { Accept: 'text/event-stream' }, signal: controller.signal }
+      );
+
+      // A bad or forbidden topic won't fix itself by retrying
+      if (response.status >= 400 && response.status < 500 && response.status !== 429) {
+        console.error('Live updates refused:', response.status);
+        return;
+      }
+      if (!response.ok || !response.body) {
+        throw new Error(`Live updates failed: ${response.status}`);
+      }
+
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = '';
+
+      while (!closed) {
+        const { value, done } = await reader.read();
+        if (done) break;
+
+        buffer += decoder.decode(value, { stream: true });
+        let end = buffer.indexOf('\n\n');
+        while (end >= 0) {
+          const event = parseMessage(buffer.slice(0, end));
+          buffer = buffer.slice(end + 2);
+          end = buffer.indexOf('\n\n');
+
+          if (!event) continue;
+          if (event.type === 'ready') {
+            attempt = 0;
+            onSync?.();
+          } else {
+            onEvent(event);
+          }
+        }
+      }
+    } catch (error) {
+      if (closed) return;
+      console.error('Live updates disconnected:', error);
+    }
+
+    scheduleReconnect();
+  };
+
+  connect();
+
+  return () => {
+    closed = true;
+    if (retryTimer) clearTimeout(retryTimer);
+    controller?.abort();
+  };
+}
+
+/**
+ * React hook around subscribeToTopics; reconnects when the topic list changes
+ * and does nothing while it is empty
+ */
+export function useRealtime(
+  topics: string[],
+  onEvent: (event: RealtimeEvent) => void,
+  onSync?: () => void
+): void {
+  const handlers = useRef({ onEvent, onSync });
+  handlers.current = { onEvent, onSync };
+  const key = topics.join(',');
+
+  useEffect(() => {
+    if (!key) return undefined;
+
+    return subscribeToTopics(
+      key.split(','),
+      (event) => handlers.current.onEvent(event),
+      () => handlers.current.onSync?.()
+    );
+  }, [key]);
+}
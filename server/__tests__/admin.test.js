@@ -0,0 +1,123 @@
+/**
+ * Admin Moderation Tests
+ * Tests staff search, XP adjustments and bans on the local storage backend
+ */
+
+jest.mock('../utils/logger', () => ({
+  info: jest.fn(),
+  debug: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+const request = require('supertest');
+const { TEST_PASSWORD, createApp } = require('./helpers/localStorage');
+
+// ============================================================================
+// ADMIN MODERATION
+// ============================================================================
+
+describe('Admin moderation', () => {
+  let app;
+  let userService;
+  const tokens = {};
+  const uids = {};
+
+  beforeAll(async () => {
+    userService = require('../services/user/user.service');
+    await userService.initUsersDb();
+
+    app = createApp({
+      '/api/auth': require('../routes/auth.routes'),
+      '/api/admin': require('../routes/admin.routes'),
+      '/api/rewards': require('../routes/reward.routes'),
+    });
+
+    for (const [name, role] of [['staffadmin', 'admin'], ['staffmod', 'moderator'], ['rulebreaker', 'player']]) {
+      const { body } = await request(app)
+        .post('/api/auth/register')
+        .send({ email: `${name}@example.com`, password: TEST_PASSWORD, username: name })
+        .expect(201);
+
+      expect(body.user.role).toBe('player');
+      if (role !== 'player') {
+        await userService.setUserRole(body.user.uid, role);
+      }
+      uids[name] = body.user.uid;
+      tokens[name] = body.accessToken;
+    }
+  });
+
+  const asUser = (name, req) => req.set('Authorization', `Bearer ${tokens[name]}`);
+
+  it('should search users by handle prefix for moderators', async () => {
+    const { body } = await asUser('staffmod', request(app).get('/api/admin/users?q=staff')).expect(200);
+
+    expect(body.users.map(user => user.handle)).toEqual(['staffadmin', 'staffmod']);
+    expect(body.users[0].role).toBe('admin');
+    expect(body.users[0]).not.toHaveProperty('password');
+
+    const { body: byEmail } = await asUser('staffmod', request(app).get('/api/admin/users?q=rulebreaker@example.com')).expect(200);
+    expect(byEmail.users.map(user => user.uid)).toEqual([uids.rulebreaker]);
+
+    await asUser('rulebreaker', request(app).get('/api/admin/users')).expect(403);
+  });
+
+  it('should let admins adjust XP with a ledger entry', async () => {
+    const { body } = await asUser('staffadmin', request(app).post(`/api/admin/users/${uids.rulebreaker}/xp`))
+      .send({ amount: 500, reason: 'Lost workout refund' })
+      .expect(200);
+
+    expect(body.entry).toMatchObject({ sourceType: 'admin', xp: 500, adminId: uids.staffadmin });
+    expect(body.leveledUp).toBe(true);
+
+    const { body: removed } = await asUser('staffadmin', request(app).post(`/api/admin/users/${uids.rulebreaker}/xp`))
+      .send({ amount: -1000, reason: 'Exploit rollback' })
+      .expect(200);
+
+    expect(removed.entry.xp).toBe(-500);
+    expect(removed.entry.xpAfter).toBe(0);
+
+    const { body: history } = await asUser('rulebreaker', request(app).get('/api/rewards/history?sourceType=admin')).expect(200);
+    expect(history.entries).toHaveLength(2);
+  });
+
+  it('should only let staff act on users below their own role', async () => {
+    await asUser('staffmod', request(app).post(`/api/admin/users/${uids.staffadmin}/ban`))
+      .send({ reason: 'Nope' })
+      .expect(403);
+
+    await asUser('staffadmin', request(app).put(`/api/admin/users/${uids.staffadmin}/role`))
+      .send({ role: 'player' })
+      .expect(403);
+  });
+
+  it('should ban a player everywhere until unbanned', async () => {
+    const { body: session } = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'rulebreaker@example.com', password: TEST_PASSWORD })
+      .expect(200);
+
+    const { body: banned } = await asUser('staffmod', request(app).post(`/api/admin/users/${uids.rulebreaker}/ban`))
+      .send({ reason: 'Faked workouts' })
+      .expect(200);
+
+    expect(banned.user).toMatchObject({ banned: true, banReason: 'Faked workouts' });
+    expect(banned.sessionsRevoked).toBeGreaterThanOrEqual(1);
+
+    const rejected = await asUser('rulebreaker', request(app).get('/api/auth/sessions')).expect(403);
+    expect(rejected.body.error).toBe('Account suspended');
+    await request(app).post('/api/auth/refresh').send({ refreshToken: session.refreshToken }).expect(403);
+    await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'rulebreaker@example.com', password: TEST_PASSWORD })
+      .expect(403);
+
+    await asUser('staffmod', request(app).post(`/api/admin/users/${uids.rulebreaker}/unban`)).expect(200);
+
+    await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'rulebreaker@example.com', password: TEST_PASSWORD })
+      .expect(200);
+  });
+});
@@ -60,10 +60,65 @@ jest.mock('../services/gameplay/duel.service', () => ({
   processWorkoutForDuels: jest.fn().mockResolvedValue([]),
 }));
 
+jest.mock('../services/gameplay/raid.service', () => ({
+  ...jest.requireActual('../services/gameplay/raid.service'),
+  processWorkoutForRaid: jest.fn().mockResolvedValue(null),
+  getFeaturedRaid: jest.fn().mockResolvedValue({
+    bossId: 'iron_golem',
+    name: 'Iron Golem',
+    description: 'A hulking construct',
+    difficulty: 'normal',
+    totalHP: 1500,
+    currentHP: 900,
+    participants: 3,
+    activeRaids: 1,
+  }),
+}));
+
+jest.mock('../services/gameplay/workout.service', () => ({
+  recordWorkout: jest.fn().mockImplementation(async (userId, data) => ({
+    id: 'workout_test',
+    userId,
+    ...data,
+    timestamp: new Date().toISOString(),
+  })),
+  getWorkoutHistory: jest.fn().mockResolvedValue({
+    workouts: [{ id: 'workout_test', exercise: 'pushup', reps: 20 }],
+    hasMore: false,
+    nextCursor: null,
+  }),
+  getRecentWorkouts: jest.fn().mockResolvedValue([]),
+  getWorkoutsSince: jest.fn().mockResolvedValue([]),
+}));
+
+jest.mock('../services/shared/reward.service', () => ({
+  ...jest.requireActual('../services/shared/reward.service'),
+  grantReward: jest.fn().mockImplementation(async (userId, { xp, statGains }) => ({
+    granted: true,
+    entry: { xp, xpBefore: 250, xpAfter: 250 + xp, levelBefore: 5, levelAfter: 5 },
+    items: [],
+    leveledUp: false,
+    stats: statGains ? jest.requireActual('../../shared/game/gameLogic').applyStatGains({}, statGains) : null,
+  })),
+}));
+
+jest.mock('../services/shared/item.service', () => ({
+  ...jest.requireActual('../services/shared/item.service'),
+  getUserInventory: jest.fn().mockResolvedValue([]),
+}));
+
+jest.mock('../services/gameplay/personalRecord.service', () => ({
+  updatePersonalRecords: jest.fn().mockResolvedValue([]),
+  getPersonalRecords: jest.fn().mockResolvedValue([]),
+}));
+
 jest.mock('../services/shared/activity.service', () => ({
   logWorkoutActivity: jest.fn().mockResolvedValue({}),
+  logPersonalRecordActivity: jest.fn().mockResolvedValue({}),
   logLevelUpActivity: jest.fn().mockResolvedValue({}),
   logStreakMilestoneActivity: jest.fn().mockResolvedValue({}),
+  logRaidDamageActivity: jest.fn().mockResolvedValue({}),
+  logRaidCompleteActivity: jest.fn().mockResolvedValue({}),
   getGlobalFeed: jest.fn().mockResolvedValue([]),
 }));
 
@@ -94,6 +149,12 @@ jest.mock('../middleware/auth.middleware', () => ({
     req.user = null;
     next();
   },
+  requireAdmin: (req, res) => {
+    res.status(403).json({ error: 'Admin access required' });
+  },
+  requireRole: () => (req, res) => {
+    res.status(403).json({ error: 'Access denied' });
+  },
 }));
 
 describe('ForgeArena API Tests', () => {
@@ -148,9 +209,130 @@ describe('ForgeArena API Tests', () => {
       expect(response.body).toHaveProperty('newLevel');
       expect(response.body).toHaveProperty('leveledUp');
       expect(response.body).toHaveProperty('message');
+      expect(response.body).toHaveProperty('equipmentBreakdown');
+      expect(response.body).toHaveProperty('workoutId', 'workout_test');
       expect(response.body.xpGained).toBeGreaterThan(0);
     });
     
+    it('should persist the workout record', async () => {
+      const workoutService = require('../services/gameplay/workout.service');
+      
+      await request(app)
+        .post('/api/workout')
+        .send({
+          exercise: 'squat',
+          amount: 10,
+        })
+        .expect(200);
+      
+      expect(workoutService.recordWorkout).toHaveBeenCalledWith(
+        'test-user-id',
+        expect.objectContaining({ exercise: 'squat', amount: 10, creditedAmount: 10 })
+      );
+    });
+    
+    it('should refuse the workout when the anti-cheat check cannot run', async () => {
+      const antiCheatService = require('../services/gameplay/antiCheat.service');
+      const workoutService = require('../services/gameplay/workout.service');
+      const check = jest.spyOn(antiCheatService, 'checkWorkout').mockRejectedValueOnce(new Error('Storage unavailable'));
+      workoutService.recordWorkout.mockClear();
+      
+      await request(app)
+        .post('/api/workout')
+        .send({
+          exercise: 'pushup',
+          reps: 500,
+        })
+        .expect(503);
+      
+      expect(workoutService.recordWorkout).not.toHaveBeenCalled();
+      check.mockRestore();
+    });
+
+    it('should persist stat gains on the user', async () => {
+      const userService = require('../services/user/user.service');
+      
+      const response = await request(app)
+        .post('/api/workout')
+        .send({
+          exercise: 'squat',
+          reps: 10,
+        })
+        .expect(200);
+      
+      const rewardService = require('../services/shared/reward.service');
+      
+      expect(response.body.stats).toEqual({ strength: 10.3, endurance: 10.1, agility: 10 });
+      expect(rewardService.grantReward).toHaveBeenCalledWith('test-user-id', expect.objectContaining({
+        statGains: expect.objectContaining({ strength: 0.3, endurance: 0.1 }),
+      }));
+      
+      // Totals are computed in the ledger transaction, never from req.user
+      const [, updates] = userService.updateUser.mock.calls[userService.updateUser.mock.calls.length - 1];
+      expect(updates).not.toHaveProperty('strength');
+    });
+    
+    it('should credit XP through the reward ledger and increment counters', async () => {
+      const rewardService = require('../services/shared/reward.service');
+      const userService = require('../services/user/user.service');
+      const { FieldValue } = require('../services/storage/storage.service');
+      const increment = jest.spyOn(FieldValue, 'increment');
+      
+      const response = await request(app)
+        .post('/api/workout')
+        .send({
+          exercise: 'pushup',
+          reps: 20,
+        })
+        .expect(200);
+      
+      expect(rewardService.grantReward).toHaveBeenCalledWith('test-user-id', expect.objectContaining({
+        sourceType: 'workout',
+        sourceId: 'workout_test',
+        xp: response.body.xpGained,
+      }));
+      
+      const [, updates] = userService.updateUser.mock.calls[userService.updateUser.mock.calls.length - 1];
+      expect(updates).not.toHaveProperty('xp');
+      expect(updates).not.toHaveProperty('weeklyXP');
+      expect(increment).toHaveBeenCalledWith(1);
+      expect(increment).toHaveBeenCalledWith(20);
+      increment.mockRestore();
+    });
+    
+    it('should apply damage to the active party raid', async () => {
+      const raidService = require('../services/gameplay/raid.service');
+      const activityService = require('../services/shared/activity.service');
+      raidService.processWorkoutForRaid.mockResolvedValueOnce({
+        raidId: 'raid_1',
+        bossName: 'Iron Golem',
+        damageDealt: 150,
+        hpRemaining: 0,
+        hpTotal: 1500,
+        isDefeated: true,
+        participants: [
+          { userId: 'test-user-id', username: 'testuser' },
+          { userId: 'friend-id', username: 'friend' },
+        ],
+      });
+      
+      const response = await request(app)
+        .post('/api/workout')
+        .send({
+          exercise: 'burpee',
+          amount: 30,
+        })
+        .expect(200);
+      
+      expect(raidService.processWorkoutForRaid).toHaveBeenCalledWith(
+        expect.objectContaining({ uid: 'test-user-id' }),
+        { exercise: 'burpee', amount: 30 }
+      );
+      expect(response.body.raidUpdate).toMatchObject({ raidId: 'raid_1', damageDealt: 150, isDefeated: true });
+      expect(activityService.logRaidDamageActivity).toHaveBeenCalledWith('test-user-id', 'testuser', 150, 'Iron Golem');
+      expect(activityService.logRaidCompleteActivity).toHaveBeenCalledTimes(2);
+    });
+    
     it('should reject workout with missing exercise', async () => {
       const response = await request(app)
         .post('/api/workout')
@@ -173,6 +355,82 @@ describe('ForgeArena API Tests', () => {
       expect(response.body).toHaveProperty('error');
     });
     
+    it('should resolve loosely written exercise names', async () => {
+      const response = await request(app)
+        .post('/api/workout')
+        .send({
+          exercise: 'Push ups',
+          amount: 20,
+        })
+        .expect(200);
+      
+      expect(response.body).toHaveProperty('exercise', 'pushup');
+    });
+    
+    it('should reject unknown exercises', async () => {
+      const response = await request(app)
+        .post('/api/workout')
+        .send({
+          exercise: 'interpretive dance',
+          amount: 20,
+        })
+        .expect(400);
+      
+      expect(response.body.error).toBe('Unknown exercise: interpretive dance');
+    });
+    
+    it('should credit weighted sets by volume and log new PRs', async () => {
+      const workoutService = require('../services/gameplay/workout.service');
+      const personalRecordService = require('../services/gameplay/personalRecord.service');
+      const activityService = require('../services/shared/activity.service');
+      
+      const bodyweight = await request(app)
+        .post('/api/workout')
+        .send({ exercise: 'deadlift', sets: [{ reps: 5 }, { reps: 5 }] })
+        .expect(200);
+      personalRecordService.updatePersonalRecords.mockResolvedValueOnce([
+        { exercise: 'deadlift', type: 'estimated_1rm', value: 168, previous: 150, workoutId: 'workout_test' },
+      ]);
+      
+      const loaded = await request(app)
+        .post('/api/workout')
+        .send({ exercise: 'deadlift', sets: [{ reps: 5, weight: 140 }, { reps: 5, weight: 140, rpe: 9 }] })
+        .expect(200);
+      
+      expect(loaded.body.xpGained).toBeGreaterThan(bodyweight.body.xpGained);
+      expect(loaded.body.strength).toMatchObject({ volume: 1400, topWeight: 140, estimatedOneRepMax: 168 });
+      expect(workoutService.recordWorkout).toHaveBeenLastCalledWith(
+        'test-user-id',
+        expect.objectContaining({ amount: 10, weight: 140, volume: 1400, estimatedOneRepMax: 168 })
+      );
+      expect(loaded.body.personalRecords).toHaveLength(1);
+      expect(activityService.logPersonalRecordActivity).toHaveBeenCalledWith(
+        'test-user-id', 'testuser', 'deadlift', 'estimated_1rm', 168, 150
+      );
+    });
+    
+    it('should reject invalid sets', async () => {
+      const response = await request(app)
+        .post('/api/workout')
+        .send({ exercise: 'bench', sets: [{ reps: 5, weight: 80, rpe: 12 }] })
+        .expect(400);
+      
+      expect(response.body.error).toBe('Set 1: RPE must be between 1 and 10');
+    });
+    
+    it('should reject a weight on an exercise that is not weighted', async () => {
+      const response = await request(app)
+        .post('/api/workout')
+        .send({
+          exercise: 'pushup',
+          amount: 20,
+          weight: 20,
+        })
+        .expect(400);
+      
+      expect(response.body.error).toMatch(/Weight does not apply/);
+    });
+    
     it('should process different exercise types', async () => {
       const exercises = ['pushup', 'squat', 'pullup', 'plank'];
       
@@ -191,6 +449,26 @@ describe('ForgeArena API Tests', () => {
     });
   });
   
+  describe('GET /api/workouts', () => {
+    it('should return paginated workout history', async () => {
+      const response = await request(app)
+        .get('/api/workouts?exercise=pushup&limit=10')
+        .expect(200);
+      
+      expect(Array.isArray(response.body.workouts)).toBe(true);
+      expect(response.body).toHaveProperty('hasMore', false);
+      expect(response.body).toHaveProperty('nextCursor', null);
+    });
+    
+    it('should reject an invalid date filter', async () => {
+      const response = await request(app)
+        .get('/api/workouts?from=not-a-date')
+        .expect(400);
+      
+      expect(response.body).toHaveProperty('error');
+    });
+  });
+  
   // ============================================================================
   // ACHIEVEMENT TESTS
   // ============================================================================
@@ -278,6 +556,16 @@ describe('ForgeArena API Tests', () => {
       expect(response.body).toHaveProperty('name');
       expect(response.body).toHaveProperty('totalHP');
       expect(response.body).toHaveProperty('difficulty');
+      expect(response.body).toMatchObject({ bossId: 'iron_golem', currentHP: 900, participants: 3 });
+    });
+    
+    it('should return 404 when no boss can be fought', async () => {
+      const raidService = require('../services/gameplay/raid.service');
+      raidService.getFeaturedRaid.mockResolvedValueOnce(null);
+      
+      await request(app)
+        .get('/api/raid')
+        .expect(404);
     });
   });
   
@@ -0,0 +1,375 @@
+/**
+ * Auth Flow Tests
+ * Tests login sessions, account recovery and lockout on the local storage backend
+ */
+
+jest.mock('../utils/logger', () => ({
+  info: jest.fn(),
+  debug: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const { TEST_PASSWORD, createApp } = require('./helpers/localStorage');
+
+// ============================================================================
+// LOGIN SESSIONS
+// ============================================================================
+
+describe('Login sessions', () => {
+  let app;
+
+  beforeAll(async () => {
+    await require('../services/user/user.service').initUsersDb();
+
+    app = createApp({
+      '/api/auth': require('../routes/auth.routes'),
+    });
+
+    await request(app)
+      .post('/api/auth/register')
+      .send({ email: 'sessions@example.com', password: TEST_PASSWORD, username: 'sessions' })
+      .expect(201);
+  });
+
+  function login(userAgent) {
+    return request(app)
+      .post('/api/auth/login')
+      .set('User-Agent', userAgent)
+      .send({ email: 'sessions@example.com', password: TEST_PASSWORD })
+      .expect(200);
+  }
+
+  it('should rotate refresh tokens and revoke the session when an old one is reused', async () => {
+    const { body: session } = await login('laptop');
+
+    const { body: rotated } = await request(app)
+      .post('/api/auth/refresh')
+      .send({ refreshToken: session.refreshToken })
+      .expect(200);
+
+    expect(rotated.refreshToken).not.toBe(session.refreshToken);
+
+    const reuse = await request(app)
+      .post('/api/auth/refresh')
+      .send({ refreshToken: session.refreshToken })
+      .expect(403);
+
+    expect(reuse.body.error).toBe('Refresh token reuse detected');
+
+    // The stolen token's session is gone, so the rotated token no longer works either
+    await request(app)
+      .post('/api/auth/refresh')
+      .send({ refreshToken: rotated.refreshToken })
+      .expect(403);
+  });
+
+  it('should list devices and let the user revoke another one', async () => {
+    const { body: phone } = await login('phone');
+    const { body: tablet } = await login('tablet');
+
+    const { body: list } = await request(app)
+      .get('/api/auth/sessions')
+      .set('Authorization', `Bearer ${phone.accessToken}`)
+      .expect(200);
+
+    const devices = list.sessions.map(s => s.userAgent);
+    expect(devices).toEqual(expect.arrayContaining(['phone', 'tablet']));
+    expect(devices).not.toContain('laptop');
+    const tabletSession = list.sessions.find(s => s.userAgent === 'tablet');
+    expect(list.sessions.find(s => s.current).userAgent).toBe('phone');
+
+    await request(app)
+      .delete(`/api/auth/sessions/${tabletSession.id}`)
+      .set('Authorization', `Bearer ${phone.accessToken}`)
+      .expect(200);
+
+    await request(app)
+      .post('/api/auth/refresh')
+      .send({ refreshToken: tablet.refreshToken })
+      .expect(403);
+
+    // The revoked device's access token stops working straight away
+    const revoked = await request(app)
+      .get('/api/auth/sessions')
+      .set('Authorization', `Bearer ${tablet.accessToken}`)
+      .expect(401);
+    expect(revoked.body.error).toBe('Session has been revoked');
+
+    await request(app)
+      .delete(`/api/auth/sessions/${tabletSession.id}`)
+      .set('Authorization', `Bearer ${phone.accessToken}`)
+      .expect(404);
+  });
+
+  it('should revoke the session on logout', async () => {
+    const { body: session } = await login('desktop');
+
+    await request(app)
+      .post('/api/auth/logout')
+      .send({ refreshToken: session.refreshToken })
+      .expect(200);
+
+    await request(app)
+      .post('/api/auth/refresh')
+      .send({ refreshToken: session.refreshToken })
+      .expect(403);
+  });
+
+  it('should refuse to refresh for a banned user whose session was not revoked', async () => {
+    const userService = require('../services/user/user.service');
+    const { body: session } = await login('kiosk');
+    const user = await userService.findUserByEmail('sessions@example.com');
+
+    // Ban without the admin route, so the session is still active
+    await userService.setUserBan(user.uid, { banned: true, reason: 'test' });
+
+    const refused = await request(app)
+      .post('/api/auth/refresh')
+      .send({ refreshToken: session.refreshToken })
+      .expect(403);
+    expect(refused.body.error).toBe('Account suspended');
+
+    await userService.setUserBan(user.uid, { banned: false });
+    const sessions = await require('../services/user/session.service').getUserSessions(user.uid);
+    expect(sessions.map(s => s.userAgent)).not.toContain('kiosk');
+  });
+});
+
+// ============================================================================
+// ACCOUNT RECOVERY
+// ============================================================================
+
+describe('Account recovery', () => {
+  let app;
+  let outboxDir;
+
+  /**
+   * Read the newest message sent to an address and pull the token from its link
+   */
+  function readLatestToken(to) {
+    const messages = fs.readdirSync(outboxDir)
+      .map(file => JSON.parse(fs.readFileSync(path.join(outboxDir, file), 'utf8')))
+      .filter(message => message.to === to)
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt) || a.id.localeCompare(b.id));
+    const latest = messages[messages.length - 1];
+    return { message: latest, token: latest.text.match(/token=([0-9a-f]+)/)[1] };
+  }
+
+  beforeAll(async () => {
+    outboxDir = fs.mkdtempSync(path.join(os.tmpdir(), 'forgearena-outbox-'));
+    require('../services/shared/mail.service').setTransport(
+      require('../services/shared/mail.service').createOutboxTransport(outboxDir)
+    );
+    await require('../services/user/user.service').initUsersDb();
+
+    app = createApp({
+      '/api/auth': require('../routes/auth.routes'),
+    });
+
+    await request(app)
+      .post('/api/auth/register')
+      .send({ email: 'forgetful@example.com', password: TEST_PASSWORD, username: 'forgetful' })
+      .expect(201);
+  });
+
+  afterAll(() => {
+    fs.rmSync(outboxDir, { recursive: true, force: true });
+  });
+
+  it('should verify the email address from the registration email once', async () => {
+    const { message, token } = readLatestToken('forgetful@example.com');
+    expect(message.subject).toBe('Confirm your ForgeArena email');
+
+    await request(app).post('/api/auth/verify-email').send({ token }).expect(200);
+    await request(app).post('/api/auth/verify-email').send({ token }).expect(400);
+
+    const user = await require('../services/user/user.service').findUserByEmail('forgetful@example.com');
+    expect(user.emailVerified).toBe(true);
+  });
+
+  it('should reset the password with a single-use token and sign out other sessions', async () => {
+    const { body: session } = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'forgetful@example.com', password: TEST_PASSWORD })
+      .expect(200);
+
+    await request(app)
+      .post('/api/auth/forgot-password')
+      .send({ email: 'forgetful@example.com' })
+      .expect(200);
+    const { token } = readLatestToken('forgetful@example.com');
+
+    const weak = await request(app)
+      .post('/api/auth/reset-password')
+      .send({ token, password: 'abc' })
+      .expect(422);
+    expect(weak.body.details).toEqual([
+      { field: 'password', message: require('../utils/auth.utils').validatePassword('abc').message },
+    ]);
+
+    await request(app)
+      .post('/api/auth/reset-password')
+      .send({ token, password: 'NewPassword456!' })
+      .expect(200);
+
+    await request(app)
+      .post('/api/auth/reset-password')
+      .send({ token, password: 'Another789!' })
+      .expect(400);
+
+    await request(app)
+      .post('/api/auth/refresh')
+      .send({ refreshToken: session.refreshToken })
+      .expect(403);
+
+    await request(app)
+      .get('/api/auth/sessions')
+      .set('Authorization', `Bearer ${session.accessToken}`)
+      .expect(401);
+
+    await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'forgetful@example.com', password: 'NewPassword456!' })
+      .expect(200);
+  });
+
+  it('should only honour the newest reset link', async () => {
+    await request(app).post('/api/auth/forgot-password').send({ email: 'forgetful@example.com' });
+    const { token: first } = readLatestToken('forgetful@example.com');
+    await request(app).post('/api/auth/forgot-password').send({ email: 'forgetful@example.com' });
+    const { token: second } = readLatestToken('forgetful@example.com');
+
+    await request(app).post('/api/auth/reset-password').send({ token: first, password: TEST_PASSWORD }).expect(400);
+    await request(app).post('/api/auth/reset-password').send({ token: second, password: TEST_PASSWORD }).expect(200);
+  });
+
+  it('should answer unknown emails the same way without sending mail', async () => {
+    const before = fs.readdirSync(outboxDir).length;
+
+    const response = await request(app)
+      .post('/api/auth/forgot-password')
+      .send({ email: 'nobody@example.com' })
+      .expect(200);
+
+    expect(response.body.message).toMatch(/If that email has an account/);
+    expect(fs.readdirSync(outboxDir)).toHaveLength(before);
+  });
+
+  it('should reject expired tokens', async () => {
+    const accountTokenService = require('../services/user/accountToken.service');
+    const user = await require('../services/user/user.service').findUserByEmail('forgetful@example.com');
+    const token = await accountTokenService.createAccountToken(user.uid, accountTokenService.TOKEN_PURPOSES.PASSWORD_RESET);
+
+    jest.useFakeTimers({ now: Date.now() + 2 * 60 * 60 * 1000, doNotFake: ['nextTick', 'setImmediate'] });
+    try {
+      await expect(accountTokenService.consumeAccountToken(token, accountTokenService.TOKEN_PURPOSES.PASSWORD_RESET))
+        .rejects.toThrow('Invalid or expired token');
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  it('should only make an ADMIN_EMAILS address admin once it is verified', async () => {
+    const userService = require('../services/user/user.service');
+    require('../config/auth.config').adminEmails.push('owner@example.com');
+
+    await request(app)
+      .post('/api/auth/register')
+      .send({ email: 'owner@example.com', password: TEST_PASSWORD, username: 'owner' })
+      .expect(201);
+    expect((await userService.findUserByEmail('owner@example.com')).role).toBe('player');
+
+    const { token } = readLatestToken('owner@example.com');
+    await request(app).post('/api/auth/verify-email').send({ token }).expect(200);
+    expect((await userService.findUserByEmail('owner@example.com')).role).toBe('admin');
+  });
+
+  it('should keep the default outbox out of the repo and require one in production', () => {
+    const { createOutboxTransport } = require('../services/shared/mail.service');
+    const { MAIL_OUTBOX_DIR, NODE_ENV } = process.env;
+
+    try {
+      delete process.env.MAIL_OUTBOX_DIR;
+      expect(createOutboxTransport().dir.startsWith(os.tmpdir())).toBe(true);
+
+      process.env.NODE_ENV = 'production';
+      expect(() => createOutboxTransport()).toThrow('MAIL_OUTBOX_DIR must be set');
+    } finally {
+      process.env.MAIL_OUTBOX_DIR = MAIL_OUTBOX_DIR;
+      process.env.NODE_ENV = NODE_ENV;
+    }
+  });
+});
+
+// ============================================================================
+// LOGIN LOCKOUT
+// ============================================================================
+
+describe('Login lockout', () => {
+  const rateLimitConfig = require('../config/rateLimit.config');
+  let app;
+
+  beforeAll(async () => {
+    await require('../services/user/user.service').initUsersDb();
+
+    app = createApp({
+      '/api/auth': require('../routes/auth.routes'),
+    });
+
+    await request(app)
+      .post('/api/auth/register')
+      .send({ email: 'guesser@example.com', password: TEST_PASSWORD, username: 'guesser' })
+      .expect(201);
+
+    rateLimitConfig.enabled = true;
+  });
+
+  afterAll(() => {
+    rateLimitConfig.enabled = false;
+  });
+
+  it('should lock login after repeated bad passwords, even for the right one', async () => {
+    const { freeAttempts, baseLockoutMs } = rateLimitConfig.loginLockout;
+    const attempt = password => request(app)
+      .post('/api/auth/login')
+      .send({ email: 'guesser@example.com', password });
+
+    for (let i = 0; i < freeAttempts; i++) {
+      await attempt('wrong-password').expect(401);
+    }
+
+    const locked = await attempt('wrong-password').expect(429);
+    expect(locked.headers['retry-after']).toBe(String(baseLockoutMs / 1000));
+
+    await attempt(TEST_PASSWORD).expect(429);
+  });
+
+  it('should key lockouts on the client IP behind a trusted proxy', async () => {
+    const { perIp } = rateLimitConfig.loginLockout;
+    // One proxy in front, as with TRUST_PROXY_HOPS=1
+    const proxied = createApp({
+      '/api/auth': require('../routes/auth.routes'),
+    });
+    proxied.set('trust proxy', 1);
+
+    // The client controls everything left of what the proxy appends
+    const attempt = (email, forwardedFor) => request(proxied)
+      .post('/api/auth/login')
+      .set('X-Forwarded-For', forwardedFor)
+      .send({ email, password: 'wrong-password' });
+
+    for (let i = 0; i < perIp.freeAttempts; i++) {
+      await attempt(`nobody${i}@example.com`, `10.0.0.${i}, 203.0.113.7`).expect(401);
+    }
+
+    await attempt('nobody-else@example.com', '10.9.9.9, 203.0.113.7').expect(429);
+
+    // Another client behind the same proxy is not affected
+    await attempt('nobody-else@example.com', '198.51.100.2').expect(401);
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * Concurrency Tests
+ * Tests simultaneous raid hits and duel scores on the local storage backend
+ */
+
+jest.mock('../utils/logger', () => ({
+  info: jest.fn(),
+  debug: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+const { createUser, createParty } = require('./helpers/localStorage');
+
+// ============================================================================
+// CONCURRENT RAID AND DUEL UPDATES
+// ============================================================================
+
+describe('Concurrent raid and duel updates', () => {
+  let userService;
+  let raidService;
+  let duelService;
+  const members = [];
+  let party;
+
+  beforeAll(async () => {
+    userService = require('../services/user/user.service');
+    raidService = require('../services/gameplay/raid.service');
+    duelService = require('../services/gameplay/duel.service');
+
+    for (const name of ['swarmlead', 'swarmtwo', 'swarmthree']) {
+      members.push(await createUser(name));
+    }
+    party = await createParty(members, 'Swarm');
+  });
+
+  const hitsFromEveryone = (raidId, hitsEach, damage) => members.flatMap(member =>
+    Array.from({ length: hitsEach }, () => raidService.logDamage(member.uid, raidId, damage))
+  );
+
+  it('should count every simultaneous hit on the boss', async () => {
+    const raid = await raidService.startRaid(members[0].uid, party.id, 'iron_golem');
+
+    await Promise.all(hitsFromEveryone(raid.id, 5, 10));
+
+    const after = await raidService.getRaidById(raid.id);
+    expect(after.hpRemaining).toBe(raid.hpTotal - 150);
+    expect(Object.values(after.contributions).map(entry => [entry.totalDamage, entry.totalHits]))
+      .toEqual([[50, 5], [50, 5], [50, 5]]);
+    expect(after.status).toBe('active');
+
+    await raidService.abandonRaid(members[0].uid, raid.id);
+  });
+
+  it('should defeat the boss exactly once when hits land together', async () => {
+    const raid = await raidService.startRaid(members[0].uid, party.id, 'iron_golem');
+    const damage = Math.ceil(raid.hpTotal / 4);
+
+    const results = await Promise.allSettled(hitsFromEveryone(raid.id, 3, damage));
+    const landed = results.filter(result => result.status === 'fulfilled').map(result => result.value);
+    const rejected = results.filter(result => result.status === 'rejected');
+
+    expect(landed).toHaveLength(4);
+    expect(landed.filter(result => result.isDefeated)).toHaveLength(1);
+    expect(rejected.map(result => result.reason.message)).toEqual(Array(5).fill('Raid is not active'));
+
+    const after = await raidService.getRaidById(raid.id);
+    expect(after).toMatchObject({ status: 'completed', victory: true, hpRemaining: 0 });
+
+    const xp = await Promise.all(members.map(async member => (await userService.findUserByUid(member.uid)).xp));
+    const paid = xp.filter(value => value > 0);
+    expect(paid.length).toBeGreaterThan(0);
+    expect(paid.reduce((sum, value) => sum + value, 0)).toBe(paid.length * 100 + 50);
+  });
+
+  it('should keep every simultaneous duel score and complete the duel once', async () => {
+    const [challenger, opponent] = members;
+    const duel = await duelService.createDuel(challenger.uid, 'swarmlead', 'swarmtwo', 'squats_24h');
+    await duelService.acceptDuel(opponent.uid, duel.id);
+
+    await Promise.all([
+      ...Array.from({ length: 8 }, () => duelService.updateDuelScore(challenger.uid, duel.id, 5)),
+      ...Array.from({ length: 6 }, () => duelService.updateDuelScore(opponent.uid, duel.id, 5)),
+    ]);
+
+    const xpBefore = (await userService.findUserByUid(challenger.uid)).xp;
+    const finish = await Promise.allSettled([
+      duelService.completeDuel(duel.id),
+      duelService.completeDuel(duel.id),
+      duelService.updateDuelScore(opponent.uid, duel.id, 100),
+    ]);
+    expect(finish[0].status).toBe('fulfilled');
+    expect(finish[1].status).toBe('fulfilled');
+
+    // The late score either made it in before completion or was rejected
+    const { getDb } = require('../services/storage/storage.service');
+    const stored = (await getDb().collection('duels').doc(duel.id).get()).data();
+    const lateScoreCounted = finish[2].status === 'fulfilled';
+    expect(stored.challenger.score).toBe(40);
+    expect(stored.opponent.score).toBe(lateScoreCounted ? 130 : 30);
+    expect(stored).toMatchObject({ status: 'completed', rewardsPaid: true, winner: lateScoreCounted ? 'opponent' : 'challenger' });
+    if (!lateScoreCounted) {
+      expect(finish[2].reason.message).toBe('Duel is not active');
+    }
+
+    const xpAfter = (await userService.findUserByUid(challenger.uid)).xp;
+    expect(xpAfter - xpBefore).toBe(lateScoreCounted ? 50 : 150);
+  });
+});
@@ -0,0 +1,128 @@
+/**
+ * Exercise Catalog Tests
+ * Tests exercise resolution and admin catalog edits on the local storage backend
+ */
+
+jest.mock('../utils/logger', () => ({
+  info: jest.fn(),
+  debug: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+const request = require('supertest');
+const { createUser, tokenFor, createApp } = require('./helpers/localStorage');
+
+// ============================================================================
+// EXERCISE CATALOG
+// ============================================================================
+
+describe('Exercise catalog', () => {
+  let app;
+  let exerciseService;
+  let adminToken;
+  let playerToken;
+
+  beforeAll(async () => {
+    const userService = require('../services/user/user.service');
+    exerciseService = require('../services/gameplay/exercise.service');
+
+    const admin = await createUser('catalogadmin');
+    const player = await createUser('catalogplayer');
+    await userService.setUserRole(admin.uid, 'admin');
+    adminToken = tokenFor(admin);
+    playerToken = tokenFor(player);
+
+    app = createApp({
+      '/api/exercises': require('../routes/exercise.routes'),
+    });
+  });
+
+  const kettlebellSwing = {
+    id: 'kettlebell_swing',
+    name: 'kettlebell swing',
+    metric: 'reps',
+    muscleGroups: ['glutes', 'hamstrings'],
+    stats: { strength: 0.4, endurance: 0.6 },
+    aliases: ['kb swing'],
+  };
+
+  it('should resolve loose names to built-in exercises', async () => {
+    const resolve = async name => (await exerciseService.resolveExercise(name))?.id ?? null;
+
+    expect(await resolve('push ups')).toBe('pushup');
+    expect(await resolve('Push-Ups')).toBe('pushup');
+    expect(await resolve('bench press')).toBe('bench');
+    expect(await resolve('squatt')).toBe('squat');
+    expect(await resolve('jogging')).toBe('run');
+    expect(await resolve('interpretive dance')).toBeNull();
+    expect(await resolve('')).toBeNull();
+  });
+
+  it('should let only admins add exercises', async () => {
+    await request(app)
+      .post('/api/exercises')
+      .set('Authorization', `Bearer ${playerToken}`)
+      .send(kettlebellSwing)
+      .expect(403);
+
+    const { body } = await request(app)
+      .post('/api/exercises')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send(kettlebellSwing)
+      .expect(201);
+
+    expect(body.exercise).toMatchObject({ id: 'kettlebell_swing', unit: 'reps', builtIn: false });
+
+    await request(app)
+      .post('/api/exercises')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send(kettlebellSwing)
+      .expect(409);
+
+    await request(app)
+      .post('/api/exercises')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ ...kettlebellSwing, id: 'press_up_two', name: 'press ups' })
+      .expect(409);
+  });
+
+  it('should list, filter and score custom exercises like built-ins', async () => {
+    const { processWorkout } = require('../../shared/game/gameLogic');
+
+    const { body } = await request(app).get('/api/exercises?muscleGroup=hamstrings').expect(200);
+    expect(body.exercises.map(e => e.id)).toContain('kettlebell_swing');
+    expect(body.exercises.every(e => e.muscleGroups.includes('hamstrings'))).toBe(true);
+
+    const { body: resolved } = await request(app).get('/api/exercises/resolve?name=KB%20swings').expect(200);
+    expect(resolved.exercise.id).toBe('kettlebell_swing');
+
+    const result = processWorkout({ level: 1 }, 'kettlebell_swing', 20);
+    expect(result.message).toBe('Great kettlebell swing session!');
+    expect(Object.keys(result.statGains)).toEqual(['strength', 'endurance']);
+  });
+
+  it('should change and remove custom exercises but not built-ins', async () => {
+    const { body } = await request(app)
+      .put('/api/exercises/kettlebell_swing')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ aliases: ['kb swing', 'russian swing'] })
+      .expect(200);
+
+    expect(body.exercise.aliases).toEqual(['kb swing', 'russian swing']);
+
+    await request(app)
+      .put('/api/exercises/squat')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ name: 'deep squat' })
+      .expect(403);
+
+    await request(app)
+      .delete('/api/exercises/kettlebell_swing')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+
+    await request(app).get('/api/exercises/kettlebell_swing').expect(404);
+    expect(await exerciseService.resolveExercise('russian swing')).toBeNull();
+  });
+});
@@ -0,0 +1,72 @@
+/**
+ * Local Storage Test Fixtures
+ * Points the storage layer at the in-memory backend and builds the players,
+ * parties and apps the service suites share. Require it before any service;
+ * each test file gets its own module registry and so its own database
+ */
+
+process.env.USE_FIRESTORE = 'false';
+
+const express = require('express');
+const authUtils = require('../../utils/auth.utils');
+
+const TEST_PASSWORD = 'Password123!';
+
+// Login session opened for each fixture user, keyed by uid
+const sessionIds = new Map();
+
+/**
+ * Create a player whose email is derived from the username and log them in
+ * Usernames must be unique within a test file
+ */
+async function createUser(username) {
+  const user = await require('../../services/user/user.service').createUser({
+    email: `${username}@example.com`,
+    password: TEST_PASSWORD,
+    username,
+  });
+
+  const { sessionId } = await require('../../services/user/session.service').createSession(user);
+  sessionIds.set(user.uid, sessionId);
+
+  return user;
+}
+
+/**
+ * Create a party owned by the first user with everyone else joined
+ */
+async function createParty(users, name) {
+  const partyService = require('../../services/social/party.service');
+  const [owner, ...members] = users;
+
+  const party = await partyService.createParty(owner.uid, { name });
+  for (const member of members) {
+    await partyService.joinParty(member.uid, party.inviteCode);
+  }
+  return party;
+}
+
+/**
+ * Access token for the login session of a user created by the fixtures
+ */
+function tokenFor(user) {
+  return authUtils.generateAccessToken({ uid: user.uid, email: user.email, sid: sessionIds.get(user.uid) });
+}
+
+/**
+ * Express app with JSON bodies and the given routers mounted by path
+ */
+function createApp(routers) {
+  const app = express();
+  app.use(express.json());
+  Object.entries(routers).forEach(([mountPath, router]) => app.use(mountPath, router));
+  return app;
+}
+
+module.exports = {
+  TEST_PASSWORD,
+  createUser,
+  createParty,
+  tokenFor,
+  createApp,
+};
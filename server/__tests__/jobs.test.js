@@ -0,0 +1,190 @@
+/**
+ * Scheduled Job Tests
+ * Tests the job scheduler and the default jobs on the local storage backend
+ */
+
+jest.mock('../utils/logger', () => ({
+  info: jest.fn(),
+  debug: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+const request = require('supertest');
+const { TEST_PASSWORD, createUser, createApp } = require('./helpers/localStorage');
+
+// ============================================================================
+// SCHEDULED JOBS
+// ============================================================================
+
+describe('Scheduled jobs', () => {
+  const scheduler = require('../services/shared/scheduler.service');
+  const { getDb } = require('../services/storage/storage.service');
+
+  it('should only run a job when due and remember its last run', async () => {
+    const handler = jest.fn().mockResolvedValue({ touched: 3 });
+    scheduler.registerJob({ name: 'test-due', schedule: '0 0 * * *', handler });
+
+    // First sight only schedules the job
+    await scheduler.tick();
+    expect(handler).not.toHaveBeenCalled();
+
+    const jobRef = getDb().collection('jobs').doc('test-due');
+    await jobRef.update({ nextRunAt: new Date(Date.now() - 60000).toISOString() });
+
+    await scheduler.tick();
+    await scheduler.tick();
+    expect(handler).toHaveBeenCalledTimes(1);
+
+    const state = (await jobRef.get()).data();
+    expect(state.lastRun).toMatchObject({ status: 'success', trigger: 'schedule', result: { touched: 3 } });
+    expect(new Date(state.nextRunAt) > new Date()).toBe(true);
+    expect(state.lockedBy).toBeNull();
+  });
+
+  it('should refuse to run a job that another runner holds', async () => {
+    let release;
+    scheduler.registerJob({
+      name: 'test-slow',
+      schedule: '*/5 * * * *',
+      handler: () => new Promise(resolve => { release = resolve; }),
+    });
+
+    const first = scheduler.runJob('test-slow', { trigger: 'manual' });
+    await new Promise(resolve => setImmediate(resolve));
+
+    await expect(scheduler.runJob('test-slow', { trigger: 'manual' })).rejects.toThrow('Job is already running');
+
+    release({ done: true });
+    expect((await first).status).toBe('success');
+  });
+
+  it('should leave the lock alone when another runner took it over mid-run', async () => {
+    const jobRef = getDb().collection('jobs').doc('test-overrun');
+    const takeover = {
+      lockedBy: 'other-host_1',
+      lockedUntil: new Date(Date.now() + 60000).toISOString(),
+    };
+    scheduler.registerJob({
+      name: 'test-overrun',
+      schedule: '*/5 * * * *',
+      lockTtlMs: 1,
+      // The lease expired while this run was busy and another instance took it
+      handler: async () => { await jobRef.update(takeover); },
+    });
+
+    expect((await scheduler.runJob('test-overrun', { trigger: 'manual' })).status).toBe('success');
+
+    const state = (await jobRef.get()).data();
+    expect(state).toMatchObject(takeover);
+    expect(state.lastRun).toBeUndefined();
+  });
+
+  it('should record failures and retry them soon', async () => {
+    scheduler.registerJob({
+      name: 'test-failing',
+      schedule: '0 0 1 1 *',
+      handler: async () => { throw new Error('boom'); },
+    });
+    await getDb().collection('jobs').doc('test-failing').set({
+      name: 'test-failing',
+      nextRunAt: new Date(Date.now() - 60000).toISOString(),
+    });
+
+    await scheduler.tick();
+
+    const state = (await getDb().collection('jobs').doc('test-failing').get()).data();
+    expect(state.lastRun).toMatchObject({ status: 'failed', error: 'boom' });
+    expect(new Date(state.nextRunAt) - Date.now()).toBeLessThanOrEqual(5 * 60 * 1000);
+  });
+
+  it('should complete finished duels and expire unanswered challenges', async () => {
+    const userService = require('../services/user/user.service');
+    const duelService = require('../services/gameplay/duel.service');
+
+    const challenger = await createUser('clock');
+    const opponent = await createUser('slowpoke');
+
+    const active = await duelService.createDuel(challenger.uid, 'clock', 'slowpoke', 'pushups_1h');
+    await duelService.acceptDuel(opponent.uid, active.id);
+    await duelService.updateDuelScore(challenger.uid, active.id, 20);
+    const pending = await duelService.createDuel(challenger.uid, 'clock', 'slowpoke', 'squats_24h');
+
+    const later = new Date(Date.now() + duelService.PENDING_DUEL_TTL_MS);
+    const result = await duelService.expireDuels(later);
+
+    expect(result).toMatchObject({ completed: 1, expired: 1, failed: 0 });
+
+    const duelsRef = getDb().collection('duels');
+    expect((await duelsRef.doc(active.id).get()).data()).toMatchObject({ status: 'completed', winner: 'challenger' });
+    expect((await duelsRef.doc(pending.id).get()).data().status).toBe('expired');
+    expect((await userService.findUserByUid(challenger.uid)).xp).toBe(100);
+  });
+
+  it('should time out raids past their limit', async () => {
+    const raidService = require('../services/gameplay/raid.service');
+    const raidsRef = getDb().collection('raids');
+    await raidsRef.doc('raid_old').set({ id: 'raid_old', partyId: 'party_1', status: 'active', startedAt: '2020-01-01T00:00:00.000Z' });
+    await raidsRef.doc('raid_new').set({
+      id: 'raid_new',
+      partyId: 'party_2',
+      status: 'active',
+      startedAt: new Date().toISOString(),
+      expiresAt: new Date(Date.now() + raidService.RAID_TIME_LIMIT_MS).toISOString(),
+    });
+
+    expect(await raidService.expireRaids()).toEqual({ expired: 1 });
+    expect((await raidsRef.doc('raid_old').get()).data()).toMatchObject({ status: 'expired', victory: false });
+    expect((await raidsRef.doc('raid_new').get()).data().status).toBe('active');
+  });
+
+  it('should leave a raid alone when it is won between the query and the expiry', async () => {
+    const raidService = require('../services/gameplay/raid.service');
+    const db = getDb();
+    const raidsRef = db.collection('raids');
+    await raidsRef.doc('raid_won').set({ id: 'raid_won', partyId: 'party_3', status: 'active', startedAt: '2020-01-01T00:00:00.000Z' });
+
+    // The final hit lands after the job has listed active raids
+    const runTransaction = db.runTransaction.bind(db);
+    const spy = jest.spyOn(db, 'runTransaction').mockImplementationOnce(async (...args) => {
+      await raidsRef.doc('raid_won').update({ status: 'completed', victory: true });
+      return runTransaction(...args);
+    });
+
+    try {
+      expect(await raidService.expireRaids()).toEqual({ expired: 0 });
+    } finally {
+      spy.mockRestore();
+    }
+    expect((await raidsRef.doc('raid_won').get()).data()).toMatchObject({ status: 'completed', victory: true });
+  });
+
+  it('should list the default jobs and run one from the admin API', async () => {
+    require('../services/shared/jobs.service').registerDefaultJobs();
+
+    const app = createApp({
+      '/api/auth': require('../routes/auth.routes'),
+      '/api/admin': require('../routes/admin.routes'),
+    });
+
+    const { body: registered } = await request(app)
+      .post('/api/auth/register')
+      .send({ email: 'operator@example.com', password: TEST_PASSWORD, username: 'operator' })
+      .expect(201);
+    await require('../services/user/user.service').setUserRole(registered.user.uid, 'admin');
+    const auth = `Bearer ${registered.accessToken}`;
+
+    const { body: list } = await request(app).get('/api/admin/jobs').set('Authorization', auth).expect(200);
+    expect(list.jobs.map(job => job.name)).toEqual(expect.arrayContaining([
+      'weekly-xp-reset', 'activity-cleanup', 'duel-expiry', 'quest-rotation', 'raid-timeout', 'raid-loot',
+    ]));
+
+    await getDb().collection('users').doc(registered.user.uid).update({ weeklyXP: 500 });
+    const { body } = await request(app).post('/api/admin/jobs/weekly-xp-reset/run').set('Authorization', auth).expect(200);
+
+    expect(body.run).toMatchObject({ status: 'success', trigger: 'manual', triggeredBy: registered.user.uid });
+    expect((await getDb().collection('users').doc(registered.user.uid).get()).data().weeklyXP).toBe(0);
+
+    await request(app).post('/api/admin/jobs/nope/run').set('Authorization', auth).expect(404);
+  });
+});
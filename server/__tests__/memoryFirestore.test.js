@@ -0,0 +1,258 @@
+/**
+ * Local Storage Backend Tests
+ * Tests the in-memory Firestore-compatible backend on its own
+ */
+
+jest.mock('../utils/logger', () => ({
+  info: jest.fn(),
+  debug: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MemoryFirestore, FieldValue } = require('../services/storage/storage.service.memory');
+
+// ============================================================================
+// DOCUMENT TESTS
+// ============================================================================
+
+describe('MemoryFirestore documents', () => {
+  let db;
+
+  beforeEach(() => {
+    db = new MemoryFirestore();
+  });
+
+  it('should set and get a document', async () => {
+    await db.collection('users').doc('u1').set({ username: 'alice', level: 1 });
+
+    const doc = await db.collection('users').doc('u1').get();
+
+    expect(doc.exists).toBe(true);
+    expect(doc.id).toBe('u1');
+    expect(doc.data()).toEqual({ username: 'alice', level: 1 });
+  });
+
+  it('should report missing documents', async () => {
+    const doc = await db.collection('users').doc('missing').get();
+
+    expect(doc.exists).toBe(false);
+    expect(doc.data()).toBeUndefined();
+  });
+
+  it('should return copies so callers cannot mutate stored data', async () => {
+    await db.collection('users').doc('u1').set({ tags: ['a'] });
+
+    const doc = await db.collection('users').doc('u1').get();
+    doc.data().tags.push('b');
+
+    const again = await db.collection('users').doc('u1').get();
+    expect(again.data().tags).toEqual(['a']);
+  });
+
+  it('should deep-merge when set with merge', async () => {
+    const ref = db.collection('users').doc('u1');
+    await ref.set({ profile: { name: 'alice', bio: 'hi' }, level: 1 });
+    await ref.set({ profile: { bio: 'updated' } }, { merge: true });
+
+    const doc = await ref.get();
+    expect(doc.data()).toEqual({ profile: { name: 'alice', bio: 'updated' }, level: 1 });
+  });
+
+  it('should update nested fields with dotted paths', async () => {
+    const ref = db.collection('duels').doc('d1');
+    await ref.set({ challenger: { userId: 'u1', score: 5 } });
+    await ref.update({ 'challenger.score': 12 });
+
+    const doc = await ref.get();
+    expect(doc.data().challenger).toEqual({ userId: 'u1', score: 12 });
+  });
+
+  it('should reject updates to missing documents', async () => {
+    await expect(db.collection('users').doc('missing').update({ level: 2 }))
+      .rejects.toThrow('No document to update');
+  });
+
+  it('should apply field value sentinels', async () => {
+    const ref = db.collection('parties').doc('p1');
+    await ref.set({ memberIds: ['u1'], memberCount: 1, note: 'x' });
+    await ref.update({
+      memberIds: FieldValue.arrayUnion('u2', 'u1'),
+      memberCount: FieldValue.increment(1),
+      note: FieldValue.delete(),
+      updatedAt: FieldValue.serverTimestamp(),
+    });
+
+    const data = (await ref.get()).data();
+    expect(data.memberIds).toEqual(['u1', 'u2']);
+    expect(data.memberCount).toBe(2);
+    expect(data).not.toHaveProperty('note');
+    expect(typeof data.updatedAt).toBe('string');
+
+    await ref.update({ memberIds: FieldValue.arrayRemove('u1') });
+    expect((await ref.get()).data().memberIds).toEqual(['u2']);
+  });
+
+  it('should store subcollections separately from the parent', async () => {
+    const userRef = db.collection('users').doc('u1');
+    await userRef.set({ username: 'alice' });
+    await userRef.collection('quests').doc('q1').set({ title: 'Daily' });
+
+    const quests = await userRef.collection('quests').get();
+    const users = await db.collection('users').get();
+
+    expect(quests.size).toBe(1);
+    expect(users.size).toBe(1);
+    expect(users.docs[0].data()).toEqual({ username: 'alice' });
+  });
+
+  it('should generate ids for add()', async () => {
+    const ref = await db.collection('territoryBattles').add({ winner: 'club1' });
+
+    expect(ref.id).toBeTruthy();
+    expect((await ref.get()).data()).toEqual({ winner: 'club1' });
+  });
+});
+
+// ============================================================================
+// QUERY TESTS
+// ============================================================================
+
+describe('MemoryFirestore queries', () => {
+  let db;
+
+  beforeEach(async () => {
+    db = new MemoryFirestore();
+    const users = db.collection('users');
+    await users.doc('a').set({ username: 'alice', xp: 300, gym: 'north', tags: ['early'] });
+    await users.doc('b').set({ username: 'bob', xp: 150, gym: 'south', tags: [] });
+    await users.doc('c').set({ username: 'cara', xp: 450, gym: 'north', tags: ['early', 'pro'] });
+    await users.doc('d').set({ username: 'dan', gym: 'north' });
+  });
+
+  it('should filter with where', async () => {
+    const snapshot = await db.collection('users').where('gym', '==', 'north').get();
+
+    expect(snapshot.docs.map(doc => doc.id)).toEqual(['a', 'c', 'd']);
+  });
+
+  it('should support range and membership operators', async () => {
+    const users = db.collection('users');
+
+    const rich = await users.where('xp', '>', 200).get();
+    const early = await users.where('tags', 'array-contains', 'early').get();
+    const named = await users.where('username', 'in', ['bob', 'dan']).get();
+
+    expect(rich.docs.map(doc => doc.id)).toEqual(['a', 'c']);
+    expect(early.docs.map(doc => doc.id)).toEqual(['a', 'c']);
+    expect(named.docs.map(doc => doc.id)).toEqual(['b', 'd']);
+  });
+
+  it('should order, limit and skip documents missing the order field', async () => {
+    const snapshot = await db.collection('users')
+      .orderBy('xp', 'desc')
+      .limit(2)
+      .get();
+
+    expect(snapshot.docs.map(doc => doc.data().username)).toEqual(['cara', 'alice']);
+  });
+
+  it('should page with startAfter', async () => {
+    const firstPage = await db.collection('users').orderBy('xp', 'desc').limit(1).get();
+    const secondPage = await db.collection('users')
+      .orderBy('xp', 'desc')
+      .startAfter(firstPage.docs[0])
+      .limit(1)
+      .get();
+
+    expect(secondPage.docs[0].id).toBe('a');
+  });
+
+  it('should count matching documents', async () => {
+    const snapshot = await db.collection('users').where('gym', '==', 'north').count().get();
+
+    expect(snapshot.data().count).toBe(3);
+  });
+
+  it('should reject unsupported operators', () => {
+    expect(() => db.collection('users').where('xp', '~=', 1)).toThrow('Unsupported query operator');
+  });
+});
+
+// ============================================================================
+// BATCH & TRANSACTION TESTS
+// ============================================================================
+
+describe('MemoryFirestore batches and transactions', () => {
+  let db;
+
+  beforeEach(async () => {
+    db = new MemoryFirestore();
+    await db.collection('users').doc('a').set({ weeklyXP: 100 });
+    await db.collection('users').doc('b').set({ weeklyXP: 200 });
+  });
+
+  it('should commit batched writes together', async () => {
+    const batch = db.batch();
+    const snapshot = await db.collection('users').get();
+    snapshot.docs.forEach(doc => batch.update(doc.ref, { weeklyXP: 0 }));
+    await batch.commit();
+
+    const after = await db.collection('users').where('weeklyXP', '==', 0).get();
+    expect(after.size).toBe(2);
+  });
+
+  it('should leave the store untouched when a batch fails', async () => {
+    const batch = db.batch();
+    batch.update(db.collection('users').doc('a'), { weeklyXP: 0 });
+    batch.update(db.collection('users').doc('missing'), { weeklyXP: 0 });
+
+    await expect(batch.commit()).rejects.toThrow();
+    expect((await db.collection('users').doc('a').get()).data().weeklyXP).toBe(100);
+  });
+
+  it('should retry transactions when a read document changes', async () => {
+    const ref = db.collection('users').doc('a');
+    let attempts = 0;
+
+    const result = await db.runTransaction(async (transaction) => {
+      attempts++;
+      const doc = await transaction.get(ref);
+      if (attempts === 1) {
+        // Simulate a concurrent writer between read and commit
+        await ref.update({ weeklyXP: 150 });
+      }
+      transaction.update(ref, { weeklyXP: doc.data().weeklyXP + 10 });
+      return doc.data().weeklyXP + 10;
+    });
+
+    expect(attempts).toBe(2);
+    expect(result).toBe(160);
+    expect((await ref.get()).data().weeklyXP).toBe(160);
+  });
+});
+
+// ============================================================================
+// PERSISTENCE TESTS
+// ============================================================================
+
+describe('MemoryFirestore JSON persistence', () => {
+  it('should reload data written to the JSON file', async () => {
+    const filePath = path.join(os.tmpdir(), `forge-arena-db-${Date.now()}.json`);
+
+    try {
+      const db = new MemoryFirestore({ filePath });
+      await db.collection('users').doc('u1').set({ username: 'alice' });
+      db.flush();
+
+      const reloaded = new MemoryFirestore({ filePath });
+      const doc = await reloaded.collection('users').doc('u1').get();
+      expect(doc.data()).toEqual({ username: 'alice' });
+    } finally {
+      fs.rmSync(filePath, { force: true });
+    }
+  });
+});
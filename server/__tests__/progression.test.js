@@ -0,0 +1,98 @@
+/**
+ * Progression Tests
+ * Tests the level curve, prestige and combat stats on the local storage backend
+ */
+
+jest.mock('../utils/logger', () => ({
+  info: jest.fn(),
+  debug: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+const { createUser } = require('./helpers/localStorage');
+
+// ============================================================================
+// LEVEL PROGRESSION
+// ============================================================================
+
+describe('Level progression', () => {
+  let userService;
+  let progressionService;
+  let gameLogic;
+  let db;
+
+  beforeAll(() => {
+    userService = require('../services/user/user.service');
+    progressionService = require('../services/gameplay/progression.service');
+    gameLogic = require('../../shared/game/gameLogic');
+    db = require('../services/storage/storage.service').getDb();
+  });
+
+  it('should migrate legacy users onto the level curve without dropping levels', async () => {
+    await db.collection('users').doc('legacy-user').set({ uid: 'legacy-user', username: 'veteran', xp: 5050, level: 51 });
+
+    const user = await userService.findUserByUid('legacy-user');
+    const stored = (await db.collection('users').doc('legacy-user').get()).data();
+
+    expect(user.level).toBe(51);
+    expect(user.xp).toBeGreaterThan(5050);
+    expect(stored).toMatchObject({ xp: user.xp, level: 51, levelCurveVersion: gameLogic.LEVEL_CURVE_VERSION });
+  });
+
+  it('should prestige max-level users once', async () => {
+    await db.collection('users').doc('capped-user').set({
+      uid: 'capped-user',
+      username: 'capped',
+      xp: gameLogic.getTotalXPForLevel(gameLogic.MAX_LEVEL),
+      level: gameLogic.MAX_LEVEL,
+      levelCurveVersion: gameLogic.LEVEL_CURVE_VERSION,
+    });
+
+    const result = await progressionService.prestigeUser('capped-user');
+    const progression = await progressionService.getProgression('capped-user');
+
+    expect(result.prestige).toBe(1);
+    expect(progression).toMatchObject({ xp: 0, currentLevel: 1, prestige: 1, canPrestige: false });
+    expect(progression.prestigeBadges).toHaveLength(1);
+    await expect(progressionService.prestigeUser('capped-user')).rejects.toThrow('to prestige');
+  });
+});
+
+// ============================================================================
+// COMBAT STATS
+// ============================================================================
+
+describe('Combat stats', () => {
+  it('should break tied duels in favour of the stronger player', async () => {
+    const duelService = require('../services/gameplay/duel.service');
+    const db = require('../services/storage/storage.service').getDb();
+
+    const challenger = await createUser('lifter');
+    const opponent = await createUser('novice');
+    await db.collection('users').doc(challenger.uid).update({ strength: 30 });
+
+    const duel = await duelService.createDuel(challenger.uid, 'lifter', 'novice', 'squats_24h');
+    await duelService.acceptDuel(opponent.uid, duel.id);
+    const result = await duelService.completeDuel(duel.id);
+
+    expect(result.winner).toBe('challenger');
+    expect(result.tieBreak.challengerPower).toBeGreaterThan(result.tieBreak.opponentPower);
+  });
+
+  it('should keep the stat gains of workouts logged at the same time', async () => {
+    const rewardService = require('../services/shared/reward.service');
+    const userService = require('../services/user/user.service');
+    const athlete = await createUser('doubler');
+
+    await Promise.all(['workout_a', 'workout_b'].map(sourceId => rewardService.grantReward(athlete.uid, {
+      sourceType: rewardService.REWARD_SOURCES.WORKOUT,
+      sourceId,
+      xp: 10,
+      statGains: { strength: 0.5, endurance: 0.2 },
+    })));
+
+    const saved = await userService.findUserByUid(athlete.uid);
+    expect(saved).toMatchObject({ xp: 20, strength: 11, endurance: 10.4, agility: 10 });
+  });
+});
@@ -0,0 +1,470 @@
+/**
+ * Raid Tests
+ * Tests raids, boss mechanics, loot and the boss catalog on the local storage backend
+ */
+
+jest.mock('../utils/logger', () => ({
+  info: jest.fn(),
+  debug: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+const request = require('supertest');
+const { createUser, createParty, tokenFor, createApp } = require('./helpers/localStorage');
+
+// ============================================================================
+// RAID WORKOUTS
+// ============================================================================
+
+describe('Raid workouts', () => {
+  it('should damage the party raid and pay out on defeat', async () => {
+    const userService = require('../services/user/user.service');
+    const raidService = require('../services/gameplay/raid.service');
+    await userService.initUsersDb();
+
+    const owner = await createUser('raider');
+    const party = await createParty([owner], 'Golem Hunters');
+    await raidService.startRaid(owner.uid, party.id, 'iron_golem');
+
+    const user = await userService.findUserByUid(owner.uid);
+    const hit = await raidService.processWorkoutForRaid(user, { exercise: 'squat', amount: 10 });
+    const kill = await raidService.processWorkoutForRaid(user, { exercise: 'burpee', amount: 500 });
+
+    const rewarded = await userService.findUserByUid(owner.uid);
+
+    expect(hit).toMatchObject({ bossName: 'Iron Golem', damageDealt: 22, isDefeated: false });
+    expect(kill.isDefeated).toBe(true);
+    expect(kill.participants).toEqual([{ userId: owner.uid, username: 'raider' }]);
+    expect(rewarded.xp).toBe(150);
+    expect(await raidService.processWorkoutForRaid(rewarded, { exercise: 'squat', amount: 10 })).toBeNull();
+  });
+
+  it('should keep the kill when the payout fails and pay the loot once on retry', async () => {
+    const raidService = require('../services/gameplay/raid.service');
+    const rewardService = require('../services/shared/reward.service');
+    const userService = require('../services/user/user.service');
+    const slayer = await createUser('unpaidslayer');
+    const sidekick = await createUser('unpaidsidekick');
+    const party = await createParty([slayer, sidekick], 'Unpaid Heroes');
+    const raid = await raidService.startRaid(slayer.uid, party.id, 'iron_golem');
+
+    await raidService.logDamage(sidekick.uid, raid.id, 500);
+    const grantReward = jest.spyOn(rewardService, 'grantReward').mockRejectedValueOnce(new Error('Ledger unavailable'));
+    try {
+      const kill = await raidService.logDamage(slayer.uid, raid.id, 100000);
+      expect(kill.isDefeated).toBe(true);
+      expect(kill.raid).toMatchObject({ status: 'completed', victory: true, lootStatus: 'pending' });
+
+      grantReward.mockRejectedValueOnce(new Error('Ledger unavailable'));
+      expect(await raidService.payPendingRaidRewards()).toEqual({ paid: 0, failed: 1 });
+    } finally {
+      grantReward.mockRestore();
+    }
+
+    // Reading the loot pays it without waiting for the job
+    const { loot } = await raidService.getRaidLoot(sidekick.uid, raid.id);
+    expect(loot.members.map(member => member.userId)).toEqual([slayer.uid, sidekick.uid]);
+    expect((await raidService.getRaidById(raid.id)).lootStatus).toBe('paid');
+    expect(await raidService.payPendingRaidRewards()).toEqual({ paid: 0, failed: 0 });
+
+    expect(await rewardService.getRewardEntry(slayer.uid, 'raid', `${raid.id}_${slayer.uid}`)).not.toBeNull();
+    expect((await userService.findUserByUid(slayer.uid)).xp).toBe(150);
+    expect((await userService.findUserByUid(sidekick.uid)).xp).toBe(100);
+  });
+
+  it('should only take damage from logged workouts', async () => {
+    const raidService = require('../services/gameplay/raid.service');
+    const owner = await createUser('shortcut');
+    const party = await createParty([owner], 'Shortcut Takers');
+    const raid = await raidService.startRaid(owner.uid, party.id, 'iron_golem');
+    const app = createApp({
+      '/api/raids': require('../routes/raid.routes'),
+    });
+
+    await request(app)
+      .post(`/api/raids/${raid.id}/damage`)
+      .set('Authorization', `Bearer ${tokenFor(owner)}`)
+      .send({ damage: 100000 })
+      .expect(404);
+    await request(app)
+      .post(`/api/raids/${raid.id}/workout-damage`)
+      .set('Authorization', `Bearer ${tokenFor(owner)}`)
+      .send({ exercise: 'squat', amount: 10 })
+      .expect(404);
+
+    expect((await raidService.getRaidById(raid.id)).hpRemaining).toBe(raid.hpTotal);
+  });
+});
+
+// ============================================================================
+// RAID LOOT
+// ============================================================================
+
+describe('Raid loot', () => {
+  let userService;
+  let raidService;
+  let app;
+  let champion;
+  let helper;
+  let straggler;
+  let raid;
+
+  beforeAll(async () => {
+    userService = require('../services/user/user.service');
+    raidService = require('../services/gameplay/raid.service');
+
+    champion = await createUser('lootchampion');
+    helper = await createUser('loothelper');
+    straggler = await createUser('lootstraggler');
+    const party = await createParty([champion, helper, straggler], 'Loot Goblins');
+
+    raid = await raidService.startRaid(champion.uid, party.id, 'iron_golem');
+    expect(raid.hpTotal).toBe(2500);
+
+    await raidService.logDamage(straggler.uid, raid.id, 200);
+    await raidService.logDamage(helper.uid, raid.id, 300);
+    await raidService.logDamage(champion.uid, raid.id, 2000);
+
+    app = createApp({
+      '/api/raids': require('../routes/raid.routes'),
+    });
+  });
+
+  it('should roll each member a drop at their participation tier', async () => {
+    const { loot } = await raidService.getRaidLoot(champion.uid, raid.id);
+
+    expect(loot.topContributorId).toBe(champion.uid);
+    expect(loot.members.map(member => [member.username, member.tier, member.xp])).toEqual([
+      ['lootchampion', 'mvp', 150],
+      ['loothelper', 'normal', 100],
+      ['lootstraggler', 'low', 100],
+    ]);
+
+    const [mvp, normal, low] = loot.members.map(member => member.items.length);
+    expect(mvp).toBeGreaterThanOrEqual(5);
+    expect(normal).toBeGreaterThanOrEqual(2);
+    expect(low).toBeGreaterThanOrEqual(1);
+  });
+
+  it('should only drop items from the boss loot table into inventories', async () => {
+    const { loot } = await raidService.getRaidLoot(champion.uid, raid.id);
+    const raidBossService = require('../services/gameplay/raidBoss.service');
+    const { templateIds, topContributorTemplateId } = (await raidBossService.getBossById('iron_golem')).rewards.loot;
+
+    for (const member of loot.members) {
+      const user = await userService.findUserByUid(member.userId);
+      const won = user.inventory.filter(item => member.items.some(entry => entry.id === item.id));
+
+      expect(won).toHaveLength(member.items.length);
+      won.forEach(item => expect([...templateIds, topContributorTemplateId]).toContain(item.templateId));
+    }
+
+    const championInventory = (await userService.findUserByUid(champion.uid)).inventory;
+    expect(championInventory.some(item => item.templateId === topContributorTemplateId)).toBe(true);
+  });
+
+  it('should serve the loot summary to participants only', async () => {
+    const res = await request(app)
+      .get(`/api/raids/${raid.id}/loot`)
+      .set('Authorization', `Bearer ${tokenFor(helper)}`)
+      .expect(200);
+
+    expect(res.body).toMatchObject({ raidId: raid.id, bossName: 'Iron Golem', status: 'completed', victory: true });
+    expect(res.body.loot.members).toHaveLength(3);
+
+    const outsider = await createUser('lootoutsider');
+    await request(app)
+      .get(`/api/raids/${raid.id}/loot`)
+      .set('Authorization', `Bearer ${tokenFor(outsider)}`)
+      .expect(403);
+    await request(app)
+      .get('/api/raids/raid_missing/loot')
+      .set('Authorization', `Bearer ${tokenFor(helper)}`)
+      .expect(404);
+  });
+});
+
+// ============================================================================
+// BOSS MECHANICS
+// ============================================================================
+
+describe('Boss mechanics', () => {
+  let raidService;
+  let hunter;
+  let partner;
+  let party;
+
+  beforeAll(async () => {
+    raidService = require('../services/gameplay/raid.service');
+
+    hunter = await createUser('hydrahunter');
+    partner = await createUser('hydrapartner');
+    party = await createParty([hunter, partner], 'Head Hunters');
+  });
+
+  it('should start raids in the first phase with the boss time limit', async () => {
+    const raid = await raidService.startRaid(hunter.uid, party.id, 'crystal_hydra');
+
+    expect(raid.phase).toMatchObject({ index: 0, id: 'chest_head' });
+    expect(raid.objective).toBeNull();
+    const hours = (new Date(raid.expiresAt) - new Date(raid.startedAt)) / (60 * 60 * 1000);
+    expect(Math.round(hours)).toBe(120);
+
+    await raidService.abandonRaid(hunter.uid, raid.id);
+  });
+
+  it('should apply weaknesses and resistances by muscle group', async () => {
+    const raidBossService = require('../services/gameplay/raidBoss.service');
+    const [chestHead] = (await raidBossService.getBossById('crystal_hydra')).phases;
+
+    expect(raidService.getPhaseMultiplier(chestHead, 'bench')).toBe(2);
+    expect(raidService.getPhaseMultiplier(chestHead, 'squat')).toBe(0.5);
+    expect(raidService.getPhaseMultiplier(chestHead, 'plank')).toBe(1);
+    expect(raidService.getPhaseMultiplier(chestHead, null)).toBe(1);
+  });
+
+  it('should hold each head until every member meets its objective', async () => {
+    const raid = await raidService.startRaid(hunter.uid, party.id, 'crystal_hydra');
+    expect(raid.hpTotal).toBe(5000);
+
+    // Chest head takes double damage from pushups and falls at 66%
+    const opener = await raidService.logDamage(hunter.uid, raid.id, 1000, '50 pushups', 'pushup');
+    expect(opener).toMatchObject({ damageDealt: 2000, multiplier: 2, phaseChanged: true, newHpRemaining: 3000 });
+    expect(opener.phase).toMatchObject({ index: 1, id: 'back_head' });
+    expect(opener.objective).toMatchObject({ completedBy: [], completed: false });
+
+    // The back head absorbs everything below 33% until everyone trains back
+    const shielded = await raidService.logDamage(hunter.uid, raid.id, 5000);
+    expect(shielded).toMatchObject({ damageDealt: 1349, absorbed: 3651, newHpRemaining: 1651, phaseChanged: false });
+
+    const first = await raidService.logDamage(hunter.uid, raid.id, 10, '10 pullups', 'pullup');
+    expect(first).toMatchObject({ damageDealt: 0, absorbed: 20 });
+    expect(first.objective.completedBy).toEqual([hunter.uid]);
+
+    const second = await raidService.logDamage(partner.uid, raid.id, 10, '10 pullups', 'pullup');
+    expect(second).toMatchObject({ damageDealt: 20, newHpRemaining: 1631, phaseChanged: true });
+    expect(second.phase.id).toBe('leg_head');
+
+    const log = second.raid.damageLog.filter(entry => entry.type !== 'hit');
+    expect(log.map(entry => entry.type)).toEqual(['phase', 'objective', 'phase']);
+    expect(log[2]).toMatchObject({ phase: 2, name: 'Leg Head' });
+
+    // The last head cannot die before its own objective is met
+    const finisher = await raidService.logDamage(partner.uid, raid.id, 5000);
+    expect(finisher).toMatchObject({ newHpRemaining: 1, isDefeated: false });
+
+    await raidService.abandonRaid(hunter.uid, raid.id);
+  });
+
+  it('should not hold an objective for a member who left mid-phase', async () => {
+    const partyService = require('../services/social/party.service');
+    const quitter = await createUser('hydraquitter');
+    await partyService.joinParty(quitter.uid, party.inviteCode);
+    const raid = await raidService.startRaid(hunter.uid, party.id, 'crystal_hydra');
+
+    const opener = await raidService.logDamage(hunter.uid, raid.id, 1500, '75 pushups', 'pushup');
+    expect(opener.phase.id).toBe('back_head');
+
+    const first = await raidService.logDamage(hunter.uid, raid.id, 10, '10 pullups', 'pullup');
+    expect(first.objective).toMatchObject({ completedBy: [hunter.uid], requiredCount: 3, completed: false });
+
+    await partyService.leaveParty(quitter.uid);
+
+    const second = await raidService.logDamage(partner.uid, raid.id, 10, '10 pullups', 'pullup');
+    expect(second.objective).toMatchObject({ completedBy: [hunter.uid, partner.uid], requiredCount: 2, completed: true });
+
+    // With the back head's objective met, a big hit breaks through to the next head
+    const breakthrough = await raidService.logDamage(partner.uid, raid.id, 100000);
+    expect(breakthrough).toMatchObject({ phaseChanged: true });
+    expect(breakthrough.phase.id).toBe('leg_head');
+
+    await raidService.abandonRaid(hunter.uid, raid.id);
+  });
+
+  it('should fail the raid when the time limit passes', async () => {
+    const { getDb } = require('../services/storage/storage.service');
+    const raid = await raidService.startRaid(hunter.uid, party.id, 'crystal_hydra');
+    await getDb().collection('raids').doc(raid.id).update({ expiresAt: new Date(Date.now() - 1000).toISOString() });
+
+    await expect(raidService.logDamage(hunter.uid, raid.id, 100, '50 pushups', 'pushup')).rejects.toThrow('Raid has expired');
+
+    const after = await raidService.getRaidById(raid.id);
+    expect(after).toMatchObject({ status: 'expired', victory: false, hpRemaining: raid.hpTotal });
+  });
+});
+
+// ============================================================================
+// RAID BOSS CATALOG
+// ============================================================================
+
+describe('Raid boss catalog', () => {
+  let app;
+  let userService;
+  let raidBossService;
+  let adminToken;
+  let playerToken;
+
+  beforeAll(async () => {
+    userService = require('../services/user/user.service');
+    raidBossService = require('../services/gameplay/raidBoss.service');
+
+    const admin = await createUser('bossadmin');
+    const player = await createUser('bossplayer');
+    await userService.setUserRole(admin.uid, 'admin');
+    adminToken = tokenFor(admin);
+    playerToken = tokenFor(player);
+
+    app = createApp({
+      '/api/raids': require('../routes/raid.routes'),
+    });
+  });
+
+  const gymGoblin = {
+    id: 'gym_goblin',
+    name: 'Gym Goblin',
+    flavorText: 'It hides the dumbbells and hogs the squat rack.',
+    baseHp: 500,
+    hpPerMember: 250,
+    minMembers: 1,
+    maxMembers: 4,
+    difficulty: 'normal',
+    rewards: { xpPerMember: 50 },
+  };
+
+  it('should seed the catalog with the default bosses', async () => {
+    const ids = (await raidBossService.loadBosses(true)).map(boss => boss.id);
+
+    expect(ids).toEqual(expect.arrayContaining(raidBossService.DEFAULT_RAID_BOSSES.map(boss => boss.id)));
+  });
+
+  it('should not overwrite bosses another server seeded first', async () => {
+    const db = require('../services/storage/storage.service').getDb();
+    await db.collection('raidBosses').doc('iron_golem').update({ enabled: false });
+
+    // This server read the catalog before the other one finished seeding it
+    const collection = db.collection.bind(db);
+    jest.spyOn(db, 'collection').mockImplementationOnce(() => ({ get: async () => ({ empty: true, docs: [] }) }));
+    try {
+      const golem = (await raidBossService.loadBosses(true)).find(boss => boss.id === 'iron_golem');
+      expect(golem.enabled).toBe(false);
+    } finally {
+      db.collection.mockRestore();
+      await collection('raidBosses').doc('iron_golem').update({ enabled: true });
+      await raidBossService.loadBosses(true);
+    }
+  });
+
+  it('should fail rather than fall back to the default bosses when the catalog cannot be read', async () => {
+    const db = require('../services/storage/storage.service').getDb();
+    jest.spyOn(db, 'collection').mockImplementationOnce(() => ({
+      get: async () => { throw new Error('Storage unavailable'); },
+    }));
+    try {
+      await expect(raidBossService.loadBosses(true)).rejects.toThrow('Storage unavailable');
+    } finally {
+      db.collection.mockRestore();
+    }
+  });
+
+  it('should feature a new rotation boss each Monday', async () => {
+    const monday = await raidBossService.getFeaturedBoss(new Date('2026-10-19T00:00:00Z'));
+    const sunday = await raidBossService.getFeaturedBoss(new Date('2026-10-25T23:59:00Z'));
+    const nextMonday = await raidBossService.getFeaturedBoss(new Date('2026-10-26T00:00:00Z'));
+
+    expect(sunday.id).toBe(monday.id);
+    expect(nextMonday.id).not.toBe(monday.id);
+    expect(monday.season).toBeNull();
+    expect(monday.featuredUntil).toBe('2026-10-26T00:00:00.000Z');
+  });
+
+  it('should feature seasonal bosses only in season', async () => {
+    const frostGiant = await raidBossService.getBossById('frost_giant');
+
+    expect(await raidBossService.getFeaturedBoss(new Date('2026-12-15T12:00:00Z')))
+      .toMatchObject({ id: 'frost_giant', featuredUntil: '2027-03-01T00:00:00.000Z' });
+    expect(await raidBossService.getFeaturedBoss(new Date('2027-01-10T12:00:00Z')))
+      .toMatchObject({ id: 'frost_giant', featuredUntil: '2027-03-01T00:00:00.000Z' });
+    expect(await raidBossService.getFeaturedBoss(new Date('2026-07-04T12:00:00Z')))
+      .toMatchObject({ id: 'sun_serpent', featuredUntil: '2026-09-01T00:00:00.000Z' });
+    expect(raidBossService.isBossAvailable(frostGiant, new Date('2026-10-19T12:00:00Z'))).toBe(false);
+  });
+
+  it('should report the featured boss with the party raid HP and everyone fighting it', async () => {
+    const raidService = require('../services/gameplay/raid.service');
+    const featured = await raidBossService.getFeaturedBoss();
+
+    const members = [];
+    for (const name of ['featuredone', 'featuredtwo', 'featuredthree']) {
+      members.push(await createUser(name));
+    }
+    const party = await createParty(members, 'Featured Fighters');
+
+    const raid = await raidService.startRaid(members[0].uid, party.id, featured.id);
+    await raidService.logDamage(members[1].uid, raid.id, 100);
+
+    const forMember = await raidService.getFeaturedRaid(await userService.findUserByUid(members[1].uid));
+    expect(forMember).toMatchObject({
+      bossId: featured.id,
+      name: featured.name,
+      raidId: raid.id,
+      totalHP: raid.hpTotal,
+      currentHP: raid.hpTotal - 100,
+      featuredUntil: featured.featuredUntil,
+    });
+    expect(forMember.participants).toBeGreaterThanOrEqual(3);
+
+    const forGuest = await raidService.getFeaturedRaid(null);
+    expect(forGuest.raidId).toBeNull();
+    expect(forGuest.currentHP).toBe(featured.baseHp + featured.hpPerMember);
+
+    await raidService.abandonRaid(members[0].uid, raid.id);
+  });
+
+  it('should let only admins add bosses', async () => {
+    await request(app).post('/api/raids/bosses').set('Authorization', `Bearer ${playerToken}`).send(gymGoblin).expect(403);
+
+    const res = await request(app).post('/api/raids/bosses').set('Authorization', `Bearer ${adminToken}`).send(gymGoblin).expect(201);
+    expect(res.body.boss).toMatchObject({ id: 'gym_goblin', enabled: true, inRotation: true, schedule: null, season: null });
+
+    await request(app).post('/api/raids/bosses').set('Authorization', `Bearer ${adminToken}`).send(gymGoblin).expect(409);
+    await request(app).post('/api/raids/bosses').set('Authorization', `Bearer ${adminToken}`)
+      .send({ ...gymGoblin, id: 'gym_gremlin', phases: [{ id: 'sneaky', name: 'Sneaky', startsAtHpPercent: 90 }] })
+      .expect(400);
+    await request(app).post('/api/raids/bosses').set('Authorization', `Bearer ${adminToken}`)
+      .send({ ...gymGoblin, id: 'gym_gremlin', difficulty: 'impossible' })
+      .expect(422);
+  });
+
+  it('should hide disabled and scheduled bosses until they can be fought', async () => {
+    const listed = async () => (await request(app).get('/api/raids/bosses').set('Authorization', `Bearer ${playerToken}`).expect(200))
+      .body.map(boss => boss.id);
+    const update = body => request(app).put('/api/raids/bosses/gym_goblin').set('Authorization', `Bearer ${adminToken}`).send(body);
+
+    expect(await listed()).toContain('gym_goblin');
+
+    await update({ enabled: false }).expect(200);
+    expect(await listed()).not.toContain('gym_goblin');
+    await request(app).get('/api/raids/bosses/gym_goblin').set('Authorization', `Bearer ${playerToken}`).expect(404);
+    const { body: adminView } = await request(app).get('/api/raids/bosses/gym_goblin').set('Authorization', `Bearer ${adminToken}`).expect(200);
+    expect(adminView).toMatchObject({ enabled: false, available: false, updatedBy: expect.any(String) });
+
+    const nextYear = new Date(Date.now() + 365 * 24 * 60 * 60 * 1000).toISOString();
+    await update({ enabled: true, schedule: { startsAt: nextYear } }).expect(200);
+    expect(await listed()).not.toContain('gym_goblin');
+
+    const catalog = await request(app).get('/api/raids/bosses/catalog').set('Authorization', `Bearer ${adminToken}`).expect(200);
+    expect(catalog.body.bosses.find(boss => boss.id === 'gym_goblin')).toMatchObject({ enabled: true, available: false });
+    await request(app).get('/api/raids/bosses/catalog').set('Authorization', `Bearer ${playerToken}`).expect(403);
+
+    await update({ schedule: { startsAt: nextYear, endsAt: '2020-01-01T00:00:00Z' } }).expect(400);
+    await update({ schedule: null }).expect(200);
+    expect(await listed()).toContain('gym_goblin');
+    const { body: playerView } = await request(app).get('/api/raids/bosses/gym_goblin').set('Authorization', `Bearer ${playerToken}`).expect(200);
+    expect(playerView).toMatchObject({ id: 'gym_goblin', available: true });
+    expect(playerView).not.toHaveProperty('createdBy');
+    expect(playerView).not.toHaveProperty('updatedBy');
+
+    await request(app).put('/api/raids/bosses/no_such_boss').set('Authorization', `Bearer ${adminToken}`).send({ enabled: false }).expect(404);
+  });
+});
@@ -0,0 +1,230 @@
+/**
+ * Realtime Tests
+ * Tests Server-Sent Event streams on the local storage backend
+ */
+
+jest.mock('../utils/logger', () => ({
+  info: jest.fn(),
+  debug: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+const http = require('http');
+const request = require('supertest');
+const { createUser, createParty, tokenFor, createApp } = require('./helpers/localStorage');
+
+// ============================================================================
+// REALTIME UPDATES
+// ============================================================================
+
+describe('Realtime updates', () => {
+  let app;
+  let server;
+  let partyService;
+  let raidService;
+  let realtimeService;
+  let leader;
+  let teammate;
+  let outsider;
+  let party;
+  const openStreams = [];
+
+  beforeAll(async () => {
+    partyService = require('../services/social/party.service');
+    raidService = require('../services/gameplay/raid.service');
+    realtimeService = require('../services/shared/realtime.service');
+
+    leader = await createUser('liveleader');
+    teammate = await createUser('liveteammate');
+    outsider = await createUser('liveoutsider');
+    party = await createParty([leader, teammate], 'Live Wire');
+
+    app = createApp({
+      '/api/realtime': require('../routes/realtime.routes'),
+    });
+    await new Promise(resolve => { server = app.listen(0, resolve); });
+  });
+
+  afterEach(() => {
+    openStreams.splice(0).forEach(stream => stream.close());
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  // Open a stream and collect its events; waitFor resolves once `count`
+  // events of a type have arrived
+  const openStream = (user, topics) => new Promise((resolve, reject) => {
+    const req = http.get({
+      port: server.address().port,
+      path: `/api/realtime/stream?topics=${encodeURIComponent(topics.join(','))}`,
+      headers: { Authorization: `Bearer ${tokenFor(user)}` },
+    }, (res) => {
+      const events = [];
+      const waiters = [];
+      let buffer = '';
+
+      const settle = () => waiters.slice().forEach(waiter => {
+        const matching = events.filter(event => event.type === waiter.type);
+        if (matching.length >= waiter.count) {
+          waiters.splice(waiters.indexOf(waiter), 1);
+          waiter.resolve(matching);
+        }
+      });
+
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => {
+        buffer += chunk;
+        let end;
+        while ((end = buffer.indexOf('\n\n')) >= 0) {
+          const message = buffer.slice(0, end);
+          buffer = buffer.slice(end + 2);
+          const type = /^event: (.*)$/m.exec(message)?.[1];
+          const data = /^data: (.*)$/m.exec(message)?.[1];
+          if (type) events.push({ type, data: JSON.parse(data) });
+        }
+        settle();
+      });
+
+      const stream = {
+        status: res.statusCode,
+        ended: new Promise(done => res.on('end', done)),
+        events,
+        waitFor: (type, count = 1) => new Promise(done => {
+          waiters.push({ type, count, resolve: done });
+          settle();
+        }),
+        close: () => req.destroy(),
+      };
+      openStreams.push(stream);
+      resolve(stream);
+    });
+    req.on('error', reject);
+  });
+
+  it('should only let players follow their own party, raids and duels', async () => {
+    const duelService = require('../services/gameplay/duel.service');
+    const duel = await duelService.createDuel(leader.uid, 'liveleader', 'liveteammate', 'squats_24h');
+    const asUser = (user, req) => req.set('Authorization', `Bearer ${tokenFor(user)}`);
+
+    await asUser(leader, request(app).get('/api/realtime/stream')).expect(400);
+    await asUser(leader, request(app).get('/api/realtime/stream?topics=weather:today')).expect(400);
+    await asUser(outsider, request(app).get(`/api/realtime/stream?topics=party:${party.id}`)).expect(403);
+    await asUser(outsider, request(app).get(`/api/realtime/stream?topics=duel:${duel.id}`)).expect(403);
+    await request(app).get(`/api/realtime/stream?topics=party:${party.id}`).expect(401);
+
+    await duelService.declineDuel(teammate.uid, duel.id);
+  });
+
+  it('should stream raid damage and the kill to the party', async () => {
+    const partyStream = await openStream(teammate, [`party:${party.id}`]);
+    await partyStream.waitFor('ready');
+
+    const raid = await raidService.startRaid(leader.uid, party.id, 'iron_golem');
+    const [started] = await partyStream.waitFor('raid_started');
+    expect(started.data).toMatchObject({ raidId: raid.id, bossName: 'Iron Golem', hpTotal: raid.hpTotal });
+
+    const raidStream = await openStream(teammate, [`raid:${raid.id}`]);
+    const [ready] = await raidStream.waitFor('ready');
+    expect(ready.data.topics).toEqual([`raid:${raid.id}`]);
+
+    await raidService.logDamage(leader.uid, raid.id, 100, '10 squats');
+    await raidService.logDamage(leader.uid, raid.id, raid.hpTotal);
+
+    const hits = await raidStream.waitFor('raid_damage', 2);
+    expect(hits[0].data).toMatchObject({
+      topic: `raid:${raid.id}`,
+      userId: leader.uid,
+      username: 'liveleader',
+      damage: 100,
+      source: '10 squats',
+      hpRemaining: raid.hpTotal - 100,
+    });
+    expect(hits[1].data.hpRemaining).toBe(0);
+
+    const [completed] = await raidStream.waitFor('raid_completed');
+    expect(completed.data).toMatchObject({ status: 'completed', victory: true, finalBlowBy: leader.uid });
+  });
+
+  it('should stream duel scores to both duelists', async () => {
+    const duelService = require('../services/gameplay/duel.service');
+    const duel = await duelService.createDuel(outsider.uid, 'liveoutsider', 'liveleader', 'squats_24h');
+    await duelService.acceptDuel(leader.uid, duel.id);
+
+    const stream = await openStream(outsider, [`duel:${duel.id}`]);
+    await stream.waitFor('ready');
+
+    await duelService.updateDuelScore(leader.uid, duel.id, 25);
+    await duelService.completeDuel(duel.id);
+
+    const [score] = await stream.waitFor('duel_score');
+    expect(score.data).toMatchObject({ duelId: duel.id, userId: leader.uid, challengerScore: 0, opponentScore: 25 });
+    const [completed] = await stream.waitFor('duel_completed');
+    expect(completed.data.winner).toBe('opponent');
+  });
+
+  it('should announce members joining and leaving, and drop closed streams', async () => {
+    const topic = `party:${party.id}`;
+    const stream = await openStream(leader, [topic]);
+    await stream.waitFor('ready');
+
+    await partyService.joinParty(outsider.uid, party.inviteCode);
+    await partyService.leaveParty(outsider.uid);
+
+    const [joined] = await stream.waitFor('party_member_joined');
+    const [left] = await stream.waitFor('party_member_left');
+    expect(joined.data).toMatchObject({ userId: outsider.uid, username: 'liveoutsider', memberCount: 3 });
+    expect(left.data).toMatchObject({ userId: outsider.uid, memberCount: 2, disbanded: false });
+
+    expect(realtimeService.getSubscriberCount(topic)).toBe(1);
+    stream.close();
+    while (realtimeService.getSubscriberCount(topic) > 0) {
+      await new Promise(resolve => setTimeout(resolve, 5));
+    }
+    expect(realtimeService.getSubscriberCount()).toBe(0);
+  });
+
+  it('should cap how many streams one player holds open', async () => {
+    const { MAX_CONNECTIONS_PER_USER } = realtimeService;
+    while (realtimeService.getConnectionCount(leader.uid) > 0) {
+      await new Promise(resolve => setTimeout(resolve, 5));
+    }
+
+    for (let i = 0; i < MAX_CONNECTIONS_PER_USER; i++) {
+      const stream = await openStream(leader, [`party:${party.id}`]);
+      await stream.waitFor('ready');
+    }
+
+    const refused = await openStream(leader, [`party:${party.id}`]);
+    expect(refused.status).toBe(429);
+  });
+
+  it('should end a kicked member\'s party streams so they are checked again', async () => {
+    const stream = await openStream(teammate, [`party:${party.id}`]);
+    await stream.waitFor('ready');
+
+    await partyService.kickMember(leader.uid, party.id, teammate.uid);
+
+    const [left] = await stream.waitFor('party_member_left');
+    expect(left.data).toMatchObject({ userId: teammate.uid, kicked: true });
+    await stream.ended;
+
+    const reconnect = await openStream(teammate, [`party:${party.id}`]);
+    expect(reconnect.status).toBe(403);
+  });
+
+  it('should end a player\'s streams when their sessions are revoked', async () => {
+    const sessionService = require('../services/user/session.service');
+    const solo = await createParty([outsider], 'Lone Wolf');
+    const stream = await openStream(outsider, [`party:${solo.id}`]);
+    await stream.waitFor('ready');
+
+    await sessionService.revokeAllUserSessions(outsider.uid, sessionService.REVOKE_REASONS.BANNED);
+    await stream.ended;
+
+    const reconnect = await openStream(outsider, [`party:${solo.id}`]);
+    expect(reconnect.status).toBe(401);
+  });
+});
@@ -0,0 +1,124 @@
+/**
+ * Reward Ledger Tests
+ * Tests XP and item grants on the local storage backend
+ */
+
+jest.mock('../utils/logger', () => ({
+  info: jest.fn(),
+  debug: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+const { createUser } = require('./helpers/localStorage');
+
+// ============================================================================
+// REWARD LEDGER
+// ============================================================================
+
+describe('Reward ledger', () => {
+  let userService;
+  let rewardService;
+  let player;
+
+  beforeAll(async () => {
+    userService = require('../services/user/user.service');
+    rewardService = require('../services/shared/reward.service');
+    await userService.initUsersDb();
+
+    player = await createUser('rewarded');
+  });
+
+  it('should credit XP, recalculate level and grant items', async () => {
+    const itemService = require('../services/shared/item.service');
+    const [item] = itemService.generateQuestReward('easy');
+
+    const result = await rewardService.grantReward(player.uid, {
+      sourceType: rewardService.REWARD_SOURCES.QUEST,
+      sourceId: 'quest_1',
+      xp: 250,
+      items: [item],
+      description: 'Quest completed: Daily',
+    });
+
+    const stored = await userService.findUserByUid(player.uid);
+
+    expect(result.granted).toBe(true);
+    expect(result.leveledUp).toBe(true);
+    expect(stored.xp).toBe(250);
+    expect(stored.level).toBe(3);
+    expect(stored.inventory.map(i => i.id)).toContain(item.id);
+    expect(result.entry).toMatchObject({ xpBefore: 0, xpAfter: 250, levelBefore: 1, levelAfter: 3 });
+  });
+
+  it('should pay each source event only once', async () => {
+    const result = await rewardService.grantReward(player.uid, {
+      sourceType: rewardService.REWARD_SOURCES.QUEST,
+      sourceId: 'quest_1',
+      xp: 250,
+    });
+
+    const stored = await userService.findUserByUid(player.uid);
+
+    expect(result.granted).toBe(false);
+    expect(result.entry.sourceId).toBe('quest_1');
+    expect(stored.xp).toBe(250);
+  });
+
+  it('should pay duel winner and loser once however often the duel completes', async () => {
+    const duelService = require('../services/gameplay/duel.service');
+    const opponent = await createUser('duelist');
+
+    const duel = await duelService.createDuel(player.uid, 'rewarded', 'duelist', 'squats_24h');
+    await duelService.acceptDuel(opponent.uid, duel.id);
+    await duelService.updateDuelScore(opponent.uid, duel.id, 30);
+
+    await duelService.completeDuel(duel.id);
+    await duelService.completeDuel(duel.id);
+
+    const winner = await userService.findUserByUid(opponent.uid);
+    const loser = await userService.findUserByUid(player.uid);
+
+    expect(winner.xp).toBe(150);
+    expect(loser.xp).toBe(250 + 50);
+  });
+
+  it('should list ledger entries newest first and filter by source', async () => {
+    const history = await rewardService.getRewardHistory(player.uid);
+    const quests = await rewardService.getRewardHistory(player.uid, { sourceType: 'quest' });
+
+    expect(history.entries.map(entry => entry.sourceType)).toEqual(['duel', 'quest']);
+    expect(history.hasMore).toBe(false);
+    expect(quests.entries).toHaveLength(1);
+  });
+
+  it('should reject unknown reward sources', async () => {
+    await expect(rewardService.grantReward(player.uid, { sourceType: 'gift', sourceId: 'x', xp: 10 }))
+      .rejects.toThrow('Unknown reward source');
+  });
+});
+
+// ============================================================================
+// EVENT REWARDS
+// ============================================================================
+
+describe('Event rewards', () => {
+  it('should pay a daily event once however many claims arrive together', async () => {
+    const userService = require('../services/user/user.service');
+    const eventService = require('../services/shared/event.service');
+    const player = await createUser('eventclaimer');
+
+    const results = await Promise.all(Array.from({ length: 4 }, () => eventService.claimEventReward(player.uid, 'daily_login')));
+
+    const claimed = results.filter(result => result.success);
+    expect(claimed).toHaveLength(1);
+    expect(results.filter(result => !result.success).map(result => result.error))
+      .toEqual(Array(3).fill('Already claimed today'));
+
+    const stored = await userService.findUserByUid(player.uid);
+    expect(stored.xp).toBe(25);
+    expect(stored.inventory.map(item => item.id)).toEqual(expect.arrayContaining(claimed[0].items.map(item => item.id)));
+    expect(await eventService.canClaimEventReward(player.uid, 'daily_login'))
+      .toEqual({ canClaim: false, reason: 'Already claimed today' });
+  });
+});
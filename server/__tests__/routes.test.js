@@ -17,6 +17,8 @@ const mockAuthMiddleware = {
       totalWorkouts: 10,
       lifetimeReps: 500,
       workoutStreak: 3,
+      admin: req.headers['x-test-admin'] === 'true',
+      role: req.headers['x-test-role'],
     };
     next();
   },
@@ -24,6 +26,10 @@ const mockAuthMiddleware = {
     req.user = null;
     next();
   },
+  requireAdmin: (req, res, next) => {
+    return jest.requireActual('../middleware/auth.middleware').requireAdmin(req, res, next);
+  },
+  requireRole: (role) => jest.requireActual('../middleware/auth.middleware').requireRole(role),
 };
 
 jest.mock('../middleware/auth.middleware', () => mockAuthMiddleware);
@@ -141,6 +147,9 @@ describe('Quest Routes', () => {
       getAllUserQuests: jest.fn().mockResolvedValue([]),
       claimQuestReward: jest.fn().mockResolvedValue({
         xpReward: 50,
+        items: [],
+        newLevel: 2,
+        leveledUp: true,
         quest: { title: 'Test Quest' },
       }),
     }));
@@ -151,6 +160,7 @@ describe('Quest Routes', () => {
     
     jest.mock('../services/shared/activity.service', () => ({
       logQuestCompleteActivity: jest.fn().mockResolvedValue({}),
+      logLevelUpActivity: jest.fn().mockResolvedValue({}),
     }));
     
     app = express();
@@ -181,6 +191,19 @@ describe('Quest Routes', () => {
       expect(Array.isArray(response.body)).toBe(true);
     });
   });
+  
+  describe('POST /api/quests/:questId/claim', () => {
+    it('should return the level reported by the reward ledger', async () => {
+      const activityService = require('../services/shared/activity.service');
+      
+      const response = await request(app)
+        .post('/api/quests/daily_workout/claim')
+        .expect(200);
+      
+      expect(response.body).toMatchObject({ xpGained: 50, newLevel: 2, leveledUp: true });
+      expect(activityService.logLevelUpActivity).toHaveBeenCalledWith('test-user-id', 'testuser', 2);
+    });
+  });
 });
 
 // ============================================================================
@@ -260,9 +283,9 @@ describe('Duel Routes', () => {
         .send({
           challengeType: 'squats_24h',
         })
-        .expect(400);
+        .expect(422);
       
-      expect(response.body).toHaveProperty('error');
+      expect(response.body.details).toEqual([{ field: 'opponent', message: 'Is required' }]);
     });
   });
 });
@@ -372,7 +395,342 @@ describe('Leaderboard Routes', () => {
   });
 });
 
+// ============================================================================
+// AVATAR ROUTES TESTS
+// ============================================================================
+
+describe('Avatar Routes', () => {
+  let app;
+  let itemService;
+  
+  beforeEach(() => {
+    jest.clearAllMocks();
+    
+    jest.mock('../services/shared/item.service', () => ({
+      getFilteredInventory: jest.fn().mockResolvedValue([]),
+      getAvatarState: jest.fn().mockResolvedValue({ inventory: [], equipment: {} }),
+      awardGeneratedItem: jest.fn(),
+    }));
+    
+    app = express();
+    app.use(express.json());
+    
+    itemService = require('../services/shared/item.service');
+    const avatarRoutes = require('../routes/avatar.routes');
+    app.use('/api/avatar', avatarRoutes);
+  });
+  
+  describe('GET /api/avatar/inventory', () => {
+    it('should load the authenticated user\'s inventory', async () => {
+      await request(app)
+        .get('/api/avatar/inventory')
+        .expect(200);
+      
+      expect(itemService.getFilteredInventory).toHaveBeenCalledWith('test-user-id', expect.any(Object));
+    });
+  });
+  
+  describe('POST /api/avatar/rewards/generate', () => {
+    it('should not expose reward granting over HTTP', async () => {
+      await request(app)
+        .post('/api/avatar/rewards/generate')
+        .send({ rarity: 'mythic' })
+        .expect(404);
+      
+      expect(itemService.awardGeneratedItem).not.toHaveBeenCalled();
+    });
+  });
+});
+
+// ============================================================================
+// REWARD ROUTES TESTS
+// ============================================================================
+
+describe('Reward Routes', () => {
+  let app;
+  let rewardService;
+  
+  beforeEach(() => {
+    jest.clearAllMocks();
+    
+    jest.mock('../services/shared/reward.service', () => ({
+      REWARD_SOURCES: { QUEST: 'quest', DUEL: 'duel', ACHIEVEMENT: 'achievement', RAID: 'raid' },
+      getRewardHistory: jest.fn().mockResolvedValue({
+        entries: [{ id: 'quest_q1', sourceType: 'quest', sourceId: 'q1', xp: 50 }],
+        hasMore: false,
+        nextCursor: null,
+      }),
+    }));
+    
+    app = express();
+    app.use(express.json());
+    
+    rewardService = require('../services/shared/reward.service');
+    const rewardRoutes = require('../routes/reward.routes');
+    app.use('/api/rewards', rewardRoutes);
+  });
+  
+  describe('GET /api/rewards/history', () => {
+    it('should return the authenticated user\'s ledger', async () => {
+      const response = await request(app)
+        .get('/api/rewards/history?sourceType=quest&limit=5')
+        .expect(200);
+      
+      expect(response.body.entries).toHaveLength(1);
+      expect(rewardService.getRewardHistory).toHaveBeenCalledWith('test-user-id', expect.objectContaining({
+        sourceType: 'quest',
+        limit: '5',
+      }));
+    });
+    
+    it('should reject unknown source types', async () => {
+      await request(app)
+        .get('/api/rewards/history?sourceType=gift')
+        .expect(400);
+      
+      expect(rewardService.getRewardHistory).not.toHaveBeenCalled();
+    });
+  });
+});
+
+// ============================================================================
+// ADMIN ROUTES TESTS
+// ============================================================================
+
+describe('Admin Routes', () => {
+  let app;
+  
+  beforeEach(() => {
+    jest.clearAllMocks();
+    
+    app = express();
+    app.use(express.json());
+    
+    const adminRoutes = require('../routes/admin.routes');
+    app.use('/api/admin', adminRoutes);
+  });
+  
+  describe('GET /api/admin/balance', () => {
+    it('should report the active balance version to admins', async () => {
+      const { getBalanceVersion } = require('../../shared/game/balance');
+      
+      const response = await request(app)
+        .get('/api/admin/balance')
+        .set('x-test-admin', 'true')
+        .expect(200);
+      
+      expect(response.body.version).toBe(getBalanceVersion());
+      expect(response.body.exercises).toContain('deadlift');
+    });
+    
+    it('should reject non-admin users', async () => {
+      await request(app)
+        .get('/api/admin/balance')
+        .expect(403);
+    });
+  });
+  
+  describe('role checks', () => {
+    it('should keep players out of the user list', async () => {
+      const response = await request(app)
+        .get('/api/admin/users')
+        .set('x-test-role', 'player')
+        .expect(403);
+      
+      expect(response.body.error).toBe('Moderator access required');
+    });
+    
+    it('should not let moderators adjust XP or change roles', async () => {
+      await request(app)
+        .post('/api/admin/users/other-user/xp')
+        .set('x-test-role', 'moderator')
+        .send({ amount: 100, reason: 'compensation' })
+        .expect(403);
+      
+      await request(app)
+        .put('/api/admin/users/other-user/role')
+        .set('x-test-role', 'moderator')
+        .send({ role: 'admin' })
+        .expect(403);
+    });
+    
+    it('should show the ML data collector to admins only', async () => {
+      await request(app)
+        .get('/api/admin/ml/data-collector')
+        .set('x-test-role', 'moderator')
+        .expect(403);
+      
+      const response = await request(app)
+        .get('/api/admin/ml/data-collector')
+        .set('x-test-role', 'admin')
+        .expect(200);
+      
+      expect(response.body.status.status).toBe('operational');
+    });
+  });
+});
+
+// ============================================================================
+// USER ROUTES TESTS
+// ============================================================================
+
+describe('User Routes', () => {
+  let app;
+  let userService;
+  
+  beforeEach(() => {
+    jest.clearAllMocks();
+    
+    jest.mock('../services/user/user.service', () => ({
+      updateUser: jest.fn(),
+    }));
+    
+    userService = require('../services/user/user.service');
+    userService.updateUser.mockImplementation((uid, updates) => Promise.resolve({ uid, ...updates }));
+    
+    app = express();
+    app.use(express.json());
+    
+    const userRoutes = require('../routes/user.routes');
+    app.use('/api/user', userRoutes);
+  });
+  
+  describe('PUT /api/user/profile', () => {
+    it('should update editable profile fields', async () => {
+      const response = await request(app)
+        .put('/api/user/profile')
+        .send({ username: '  newname  ', gym: 'Iron Temple' })
+        .expect(200);
+      
+      expect(userService.updateUser).toHaveBeenCalledWith('test-user-id', { username: 'newname', gym: 'Iron Temple' });
+      expect(response.body.user.username).toBe('newname');
+    });
+    
+    it('should reject game-state fields with 422', async () => {
+      const response = await request(app)
+        .put('/api/user/profile')
+        .send({ username: 'newname', xp: 999999, level: 100, clubId: 'club_1', role: 'admin' })
+        .expect(422);
+      
+      expect(response.body.error).toBe('Validation failed');
+      expect(response.body.details.map(detail => detail.field)).toEqual(['xp', 'level', 'clubId', 'role']);
+      expect(userService.updateUser).not.toHaveBeenCalled();
+    });
+    
+    it('should report type and length errors per field', async () => {
+      const response = await request(app)
+        .put('/api/user/profile')
+        .send({ username: 'ab', gym: 42 })
+        .expect(422);
+      
+      expect(response.body.details).toEqual([
+        { field: 'username', message: 'Must be at least 3 characters' },
+        { field: 'gym', message: 'Must be a string' },
+      ]);
+    });
+  });
+});
+
 module.exports = {
   mockAuthMiddleware,
 };
 
+
+// ============================================================================
+// RATE LIMIT TESTS
+// ============================================================================
+
+describe('Rate Limiting', () => {
+  const { rateLimit, createMemoryStore, createLoginLockout } = require('../middleware/rateLimit.middleware');
+  
+  function createApp(limiter) {
+    const app = express();
+    app.post('/write', mockAuthMiddleware.authenticateToken, limiter, (req, res) => res.json({ ok: true }));
+    return app;
+  }
+  
+  describe('rateLimit', () => {
+    it('should answer 429 with Retry-After once the window is used up', async () => {
+      const app = createApp(rateLimit({
+        name: 'test', windowMs: 60000, max: 2, keyBy: 'user', enabled: true, store: createMemoryStore(),
+      }));
+      
+      const first = await request(app).post('/write').expect(200);
+      expect(first.headers['ratelimit-limit']).toBe('2');
+      expect(first.headers['ratelimit-remaining']).toBe('1');
+      await request(app).post('/write').expect(200);
+      
+      const limited = await request(app).post('/write').expect(429);
+      
+      expect(limited.headers['retry-after']).toBe('60');
+      expect(limited.body.retryAfter).toBe(60);
+      expect(limited.body.error).toMatch(/too many requests/i);
+    });
+    
+    it('should keep separate buckets per limiter name', async () => {
+      const store = createMemoryStore();
+      const app = express();
+      app.post('/a', rateLimit({ name: 'a', windowMs: 60000, max: 1, enabled: true, store }), (req, res) => res.end());
+      app.post('/b', rateLimit({ name: 'b', windowMs: 60000, max: 1, enabled: true, store }), (req, res) => res.end());
+      
+      await request(app).post('/a').expect(200);
+      await request(app).post('/b').expect(200);
+      await request(app).post('/a').expect(429);
+    });
+    
+    it('should let requests through when disabled', async () => {
+      const app = createApp(rateLimit({ name: 'off', windowMs: 60000, max: 1, enabled: false }));
+      
+      await request(app).post('/write').expect(200);
+      await request(app).post('/write').expect(200);
+    });
+  });
+  
+  describe('createLoginLockout', () => {
+    it('should lock after the free attempts and double the lockout on each failure', async () => {
+      const lockout = createLoginLockout({
+        freeAttempts: 2, baseLockoutMs: 1000, maxLockoutMs: 3000, failureWindowMs: 60000,
+        enabled: true, store: createMemoryStore(),
+      });
+      const lockoutMs = async () => {
+        const lock = await lockout.recordFailure('Player@Example.com', '1.2.3.4');
+        return lock && Math.round((lock.resetAt - Date.now()) / 1000) * 1000;
+      };
+      
+      expect(await lockoutMs()).toBeNull();
+      expect(await lockoutMs()).toBeNull();
+      expect(await lockoutMs()).toBe(1000);
+      expect(await lockoutMs()).toBe(2000);
+      expect(await lockoutMs()).toBe(3000);
+      expect(await lockout.getLock('player@example.com', '1.2.3.4')).not.toBeNull();
+      expect(await lockout.getLock('player@example.com', '5.6.7.8')).not.toBeNull();
+      expect(await lockout.getLock('other@example.com', '1.2.3.4')).toBeNull();
+      
+      await lockout.recordSuccess('player@example.com');
+      
+      expect(await lockout.getLock('player@example.com', '5.6.7.8')).toBeNull();
+      expect(await lockoutMs()).toBeNull();
+    });
+    
+    it('should lock an IP guessing across many emails with the softer per-IP counter', async () => {
+      const lockout = createLoginLockout({
+        freeAttempts: 2, baseLockoutMs: 1000, maxLockoutMs: 3000, failureWindowMs: 60000,
+        perIp: { freeAttempts: 3, baseLockoutMs: 5000, maxLockoutMs: 5000, failureWindowMs: 60000 },
+        enabled: true, store: createMemoryStore(),
+      });
+      
+      for (const email of ['a@example.com', 'b@example.com', 'c@example.com']) {
+        expect(await lockout.recordFailure(email, '1.2.3.4')).toBeNull();
+      }
+      
+      const lock = await lockout.recordFailure('d@example.com', '1.2.3.4');
+      expect(Math.round((lock.resetAt - Date.now()) / 1000)).toBe(5);
+      expect(await lockout.getLock('e@example.com', '1.2.3.4')).not.toBeNull();
+      expect(await lockout.getLock('e@example.com', '5.6.7.8')).toBeNull();
+      
+      // A successful login only clears the email, not the IP
+      await lockout.recordSuccess('d@example.com');
+      expect(await lockout.getLock('d@example.com', '1.2.3.4')).not.toBeNull();
+    });
+  });
+});
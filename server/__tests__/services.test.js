@@ -63,6 +63,13 @@ jest.mock('../utils/logger', () => ({
   error: jest.fn(),
 }));
 
+// Reward grants run in transactions, which the Firestore mock does not support
+jest.mock('../services/shared/reward.service', () => ({
+  REWARD_SOURCES: { QUEST: 'quest', DUEL: 'duel', ACHIEVEMENT: 'achievement', RAID: 'raid' },
+  grantReward: jest.fn().mockResolvedValue({ granted: true, entry: {}, items: [], leveledUp: false }),
+  getRewardHistory: jest.fn().mockResolvedValue({ entries: [], hasMore: false, nextCursor: null }),
+}));
+
 // ============================================================================
 // ACHIEVEMENT SERVICE TESTS
 // ============================================================================
@@ -92,6 +99,18 @@ describe('Achievement Service', () => {
       expect(Array.isArray(newAchievements)).toBe(true);
     });
     
+    it('should credit achievement XP through the reward service', async () => {
+      const rewardService = require('../services/shared/reward.service');
+      
+      await achievementService.unlockAchievement('test-user-id', 'first_workout');
+      
+      expect(rewardService.grantReward).toHaveBeenCalledWith('test-user-id', expect.objectContaining({
+        sourceType: 'achievement',
+        sourceId: 'first_workout',
+        xp: 50,
+      }));
+    });
+    
     it('should not unlock achievements below threshold', async () => {
       const userStats = {
         totalWorkouts: 0,
@@ -143,7 +162,7 @@ describe('Quest Service', () => {
     it('should process workout and update quest progress', async () => {
       const workoutData = {
         exercise: 'pushup',
-        reps: 20,
+        amount: 20,
       };
       
       const updates = await questService.processWorkoutForQuests(
@@ -197,7 +216,7 @@ describe('Duel Service', () => {
     it('should process workout for active duels', async () => {
       const workoutData = {
         exercise: 'squat',
-        reps: 30,
+        amount: 30,
       };
       
       const updates = await duelService.processWorkoutForDuels(
@@ -216,15 +235,25 @@ describe('Duel Service', () => {
 
 describe('Raid Service', () => {
   let raidService;
+  let raidBossService;
   
   beforeEach(() => {
     jest.clearAllMocks();
     raidService = require('../services/gameplay/raid.service');
+    raidBossService = require('../services/gameplay/raidBoss.service');
   });
   
   describe('getAvailableBosses', () => {
-    it('should return list of raid bosses', () => {
-      const bosses = raidService.getAvailableBosses(4);
+    it('should return list of raid bosses', async () => {
+      // The Firestore mock has no transactions to seed with, so serve a stored catalog
+      const db = require('../services/storage/storage.service').getDb();
+      const collection = db.collection;
+      db.collection = name => (name === 'raidBosses'
+        ? { get: jest.fn().mockResolvedValue({ docs: raidBossService.DEFAULT_RAID_BOSSES.map(boss => ({ id: boss.id, data: () => boss })) }) }
+        : collection(name));
+      
+      const bosses = await raidBossService.getAvailableBosses(4);
+      db.collection = collection;
       
       expect(Array.isArray(bosses)).toBe(true);
       expect(bosses.length).toBeGreaterThan(0);
@@ -257,8 +286,8 @@ describe('Raid Service', () => {
         hpPerMember: 500,
       };
       
-      const hp1 = raidService.calculateScaledHp(boss, 1);
-      const hp4 = raidService.calculateScaledHp(boss, 4);
+      const hp1 = raidBossService.calculateScaledHp(boss, 1);
+      const hp4 = raidBossService.calculateScaledHp(boss, 4);
       
       expect(hp4).toBeGreaterThan(hp1);
       expect(hp1).toBe(1500); // 1000 + 500*1
@@ -327,6 +356,49 @@ describe('Activity Service', () => {
   });
 });
 
+// ============================================================================
+// WORKOUT SERVICE TESTS
+// ============================================================================
+
+describe('Workout Service', () => {
+  let workoutService;
+  
+  beforeEach(() => {
+    jest.clearAllMocks();
+    workoutService = require('../services/gameplay/workout.service');
+  });
+  
+  describe('recordWorkout', () => {
+    it('should return the stored workout record', async () => {
+      const result = await workoutService.recordWorkout('test-user-id', {
+        exercise: 'pushup',
+        reps: 20,
+        xpGained: 30,
+        statGains: { strength: 1 },
+      });
+      
+      expect(result.id).toMatch(/^workout_/);
+      expect(result).toHaveProperty('userId', 'test-user-id');
+      expect(result).toHaveProperty('exercise', 'pushup');
+      expect(result).toHaveProperty('reps', 20);
+      expect(result).toHaveProperty('xpGained', 30);
+      expect(result).toHaveProperty('statGains');
+      expect(result).toHaveProperty('timestamp');
+    });
+  });
+  
+  describe('getWorkoutHistory', () => {
+    it('should reject an invalid date range', async () => {
+      await expect(
+        workoutService.getWorkoutHistory('test-user-id', {
+          from: '2025-02-01',
+          to: '2025-01-01',
+        })
+      ).rejects.toThrow();
+    });
+  });
+});
+
 // ============================================================================
 // ITEM SERVICE TESTS
 // ============================================================================
@@ -334,27 +406,38 @@ describe('Activity Service', () => {
 describe('Item Service', () => {
   let itemService;
   
-  beforeEach(() => {
+  beforeEach(async () => {
     jest.clearAllMocks();
-    itemService = require('../services/shared/item.service');
+    
+    // Item state lives on the user record and is changed in transactions;
+    // back it with a fresh local storage backend
+    let db;
+    process.env.USE_FIRESTORE = 'false';
+    jest.isolateModules(() => {
+      itemService = require('../services/shared/item.service');
+      db = require('../services/storage/storage.service').getDb();
+    });
+    delete process.env.USE_FIRESTORE;
+    
+    await db.collection('users').doc('test-user-id').set({ uid: 'test-user-id', username: 'testuser' });
   });
   
   describe('getUserInventory', () => {
-    it('should return user inventory', () => {
-      const inventory = itemService.getUserInventory('test-user-id');
+    it('should return user inventory', async () => {
+      const inventory = await itemService.getUserInventory('test-user-id');
       
       expect(Array.isArray(inventory)).toBe(true);
     });
   });
   
   describe('equipItem', () => {
-    it('should equip an item from inventory', () => {
+    it('should equip an item from inventory', async () => {
       const userId = 'test-user-id';
-      const inventory = itemService.getUserInventory(userId);
+      const inventory = await itemService.getUserInventory(userId);
       
       if (inventory.length > 0) {
         const itemId = inventory[0].id;
-        const result = itemService.equipItem(userId, itemId);
+        const result = await itemService.equipItem(userId, itemId);
         
         expect(result).toHaveProperty('equipped');
         expect(result).toHaveProperty('equipment');
@@ -362,5 +445,148 @@ describe('Item Service', () => {
       }
     });
   });
+  
+  describe('normalizeItemState', () => {
+    it('should migrate legacy equipment into the inventory', () => {
+      const legacyItem = { id: 'item_legacy', name: 'Old Helm', slot: 'head', rarity: 'rare' };
+      
+      const state = itemService.normalizeItemState({
+        inventory: [],
+        equipment: { head: legacyItem },
+      });
+      
+      expect(state.inventory.find(item => item.id === 'item_legacy')).toMatchObject({ equipped: true });
+      expect(state.equipment.head.id).toBe('item_legacy');
+      expect(state.salvageResources).toBe(0);
+    });
+    
+    it('should grant starter items only to records without an item state', () => {
+      expect(itemService.normalizeItemState({}).inventory.length).toBeGreaterThan(0);
+      expect(itemService.normalizeItemState({ inventory: [], itemStateVersion: 1 }).inventory).toEqual([]);
+    });
+    
+    it('should clear stale equipped flags', () => {
+      const state = itemService.normalizeItemState({
+        inventory: [{ id: 'item_1', slot: 'head', equipped: true }],
+        equipment: {},
+        salvageResources: 40,
+      });
+      
+      expect(state.inventory[0].equipped).toBe(false);
+      expect(state.salvageResources).toBe(40);
+    });
+  });
+});
+
+
+// ============================================================================
+// CRON UTILS TESTS
+// ============================================================================
+
+describe('Cron Utils', () => {
+  const { getNextRun, parseCron } = require('../utils/cron.utils');
+  
+  it('should find the next weekly slot in UTC', () => {
+    // Wednesday 2026-03-04 10:00 UTC -> Monday 2026-03-09 00:00 UTC
+    const next = getNextRun('0 0 * * 1', new Date('2026-03-04T10:00:00Z'));
+    expect(next.toISOString()).toBe('2026-03-09T00:00:00.000Z');
+  });
+  
+  it('should support steps, ranges and lists', () => {
+    expect(getNextRun('*/15 * * * *', new Date('2026-03-04T10:07:30Z')).toISOString())
+      .toBe('2026-03-04T10:15:00.000Z');
+    expect(getNextRun('30 9-17/4 * * *', new Date('2026-03-04T13:30:00Z')).toISOString())
+      .toBe('2026-03-04T17:30:00.000Z');
+    expect(getNextRun('0 12 1,15 * *', new Date('2026-03-02T00:00:00Z')).toISOString())
+      .toBe('2026-03-15T12:00:00.000Z');
+  });
+  
+  it('should always move past the start time', () => {
+    expect(getNextRun('0 0 * * *', new Date('2026-03-04T00:00:00Z')).toISOString())
+      .toBe('2026-03-05T00:00:00.000Z');
+  });
+  
+  it('should reject malformed expressions', () => {
+    expect(() => parseCron('0 0 * *')).toThrow('5 fields');
+    expect(() => parseCron('61 * * * *')).toThrow('Invalid cron minute field');
+    expect(() => getNextRun('0 0 30 2 *')).toThrow('never fires');
+  });
 });
 
+// ============================================================================
+// ANTI-CHEAT TESTS
+// ============================================================================
+
+describe('Anti-Cheat Service', () => {
+  const { evaluateWorkout } = require('../services/gameplay/antiCheat.service');
+  const now = new Date('2026-03-04T12:00:00Z');
+  const minutesAgo = (minutes) => new Date(now.getTime() - minutes * 60000).toISOString();
+  const daysAgo = (days) => new Date(now.getTime() - days * 24 * 60 * 60000).toISOString();
+  
+  it('should accept an ordinary workout', () => {
+    const result = evaluateWorkout({ exercise: 'pushup', amount: 30 }, [], now);
+    expect(result).toEqual({ verdict: 'accepted', flags: [], creditedAmount: 30 });
+  });
+  
+  it('should hold workouts logged faster than humanly possible', () => {
+    const history = [{ exercise: 'burpee', amount: 20, timestamp: minutesAgo(1) }];
+    const result = evaluateWorkout({ exercise: 'burpee', amount: 10000 }, history, now);
+    
+    expect(result.verdict).toBe('held');
+    expect(result.creditedAmount).toBe(0);
+    expect(result.flags.map(f => f.rule)).toEqual(expect.arrayContaining(['rate', 'daily_limit']));
+  });
+  
+  it('should judge the rate over the time since the previous workout', () => {
+    const longBreak = [{ exercise: 'squat', amount: 50, timestamp: daysAgo(1) }];
+    const justNow = [{ exercise: 'squat', amount: 50, timestamp: minutesAgo(5) }];
+    
+    expect(evaluateWorkout({ exercise: 'squat', amount: 1200 }, longBreak, now).verdict).toBe('accepted');
+    expect(evaluateWorkout({ exercise: 'squat', amount: 1200 }, justNow, now).flags[0]).toMatchObject({
+      rule: 'rate',
+      observed: 240,
+      limit: 60,
+    });
+  });
+  
+  it('should judge timed and distance exercises in their own units', () => {
+    const longBreak = [{ exercise: 'run', amount: 3000, timestamp: daysAgo(1) }];
+    const justNow = [{ exercise: 'plank', amount: 60, timestamp: minutesAgo(5) }];
+    
+    expect(evaluateWorkout({ exercise: 'run', amount: 10000 }, longBreak, now).verdict).toBe('accepted');
+    expect(evaluateWorkout({ exercise: 'plank', amount: 900 }, justNow, now).flags[0]).toMatchObject({
+      rule: 'rate',
+      observed: 180,
+      limit: 60,
+    });
+  });
+  
+  it('should read runs logged before metrics in meters', () => {
+    // 100 legacy reps of running are worth 5,000 meters of effort
+    const history = [1, 2, 3, 4, 5].map(day => ({ exercise: 'run', reps: 100, timestamp: daysAgo(day) }));
+    
+    expect(evaluateWorkout({ exercise: 'run', amount: 6000 }, history, now).verdict).toBe('accepted');
+  });
+  
+  it('should count held reps toward the daily limit', () => {
+    const history = [{ exercise: 'pullup', reps: 990, creditedReps: 0, timestamp: minutesAgo(120) }];
+    const result = evaluateWorkout({ exercise: 'pullup', amount: 20 }, history, now);
+    
+    expect(result.verdict).toBe('held');
+    expect(result.flags[0]).toMatchObject({ rule: 'daily_limit', observed: 1010, limit: 1000 });
+  });
+  
+  it('should reduce rewards for sudden jumps over the user\'s history', () => {
+    const history = [1, 2, 3, 4, 5].map(day => ({ exercise: 'pushup', amount: 20, timestamp: daysAgo(day) }));
+    const result = evaluateWorkout({ exercise: 'pushup', amount: 400 }, history, now);
+    
+    expect(result.verdict).toBe('reduced');
+    expect(result.flags.map(f => f.rule)).toEqual(['daily_jump', 'submission_jump']);
+    expect(result.creditedAmount).toBe(200);
+  });
+  
+  it('should ignore flagged workouts when building the baseline', () => {
+    const history = [1, 2, 3, 4, 5].map(day => ({ exercise: 'pushup', amount: 500, creditedAmount: 0, timestamp: daysAgo(day) }));
+    expect(evaluateWorkout({ exercise: 'pushup', amount: 250 }, history, now).verdict).toBe('accepted');
+  });
+});
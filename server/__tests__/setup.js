@@ -28,3 +28,15 @@ process.env.FIREBASE_PROJECT_ID = 'test-project';
 process.env.FIREBASE_PRIVATE_KEY = 'test-key';
 process.env.FIREBASE_CLIENT_EMAIL = 'test@test.com';
 
+// Account emails go to a per-run outbox instead of the shared default
+process.env.MAIL_OUTBOX_DIR = require('path').join(
+  require('os').tmpdir(),
+  `forgearena-outbox-${process.pid}`
+);
+
+
+// Suites hammer the API from one IP; rate limit tests opt back in per limiter
+process.env.RATE_LIMIT_ENABLED = 'false';
+
+// Scheduled jobs are run by hand in tests
+process.env.JOBS_ENABLED = 'false';
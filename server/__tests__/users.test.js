@@ -0,0 +1,98 @@
+/**
+ * User Service Tests
+ * Tests users, parties and inventories on the local storage backend
+ */
+
+jest.mock('../utils/logger', () => ({
+  info: jest.fn(),
+  debug: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+const { createUser, createParty } = require('./helpers/localStorage');
+
+// ============================================================================
+// USERS AND PARTIES
+// ============================================================================
+
+describe('Users and parties', () => {
+  let userService;
+  let partyService;
+
+  beforeAll(() => {
+    userService = require('../services/user/user.service');
+    partyService = require('../services/social/party.service');
+  });
+
+  it('should use the local backend', () => {
+    const storage = require('../services/storage/storage.service');
+
+    expect(storage.name).toBe('local');
+  });
+
+  it('should create users and parties without Firestore', async () => {
+    await userService.initUsersDb();
+
+    const owner = await createUser('owner');
+    const member = await createUser('member');
+
+    const party = await createParty([owner, member], 'Iron Crew');
+
+    const updatedParty = await partyService.getPartyById(party.id);
+    const found = await userService.findUserByEmail('member@example.com');
+
+    expect(updatedParty.memberCount).toBe(2);
+    expect(updatedParty.members.map(m => m.userId)).toEqual([owner.uid, member.uid]);
+    expect(found.partyId).toBe(party.id);
+  });
+
+  it('should persist inventory, equipment and salvage resources', async () => {
+    const itemService = require('../services/shared/item.service');
+    const user = await createUser('collector');
+
+    const inventory = await itemService.getUserInventory(user.uid);
+    const [toEquip, toSalvage] = inventory;
+    await itemService.equipItem(user.uid, toEquip.id);
+    const salvage = await itemService.salvageItem(user.uid, toSalvage.id);
+
+    const stored = await userService.findUserByUid(user.uid);
+    const equipped = await itemService.getUserEquipment(user.uid);
+
+    expect(stored.inventory).toHaveLength(inventory.length - 1);
+    expect(equipped[toEquip.slot].id).toBe(toEquip.id);
+    expect(stored.salvageResources).toBe(salvage.resources);
+    expect(stored.itemStateVersion).toBe(itemService.ITEM_STATE_VERSION);
+  });
+
+  it('should not hand out starter items again after salvaging everything', async () => {
+    const itemService = require('../services/shared/item.service');
+    const user = await createUser('scrapper');
+
+    for (const item of await itemService.getUserInventory(user.uid)) {
+      await itemService.salvageItem(user.uid, item.id);
+    }
+
+    expect(await itemService.getUserInventory(user.uid)).toEqual([]);
+  });
+
+  it('should keep items granted while the inventory is being edited', async () => {
+    const itemService = require('../services/shared/item.service');
+    const rewardService = require('../services/shared/reward.service');
+    const user = await createUser('multitasker');
+    const [first, second] = await itemService.getUserInventory(user.uid);
+    const granted = itemService.generateQuestReward('easy');
+
+    await Promise.all([
+      itemService.equipItem(user.uid, first.id),
+      rewardService.grantReward(user.uid, { sourceType: 'quest', sourceId: 'quest_concurrent', items: granted }),
+      itemService.salvageItem(user.uid, second.id),
+    ]);
+
+    const inventory = await itemService.getUserInventory(user.uid);
+    const ids = inventory.map(item => item.id);
+    expect(ids).toEqual(expect.arrayContaining(granted.map(item => item.id)));
+    expect(ids).not.toContain(second.id);
+    expect(inventory.find(item => item.id === first.id).equipped).toBe(true);
+  });
+});
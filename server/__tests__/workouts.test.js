@@ -0,0 +1,322 @@
+/**
+ * Workout Tests
+ * Tests workout metrics, personal records and anti-cheat on the local storage backend
+ */
+
+jest.mock('../utils/logger', () => ({
+  info: jest.fn(),
+  debug: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+const request = require('supertest');
+const { createUser, tokenFor, createApp } = require('./helpers/localStorage');
+
+// ============================================================================
+// WORKOUT HISTORY
+// ============================================================================
+
+describe('Workout history', () => {
+  let app;
+  let workoutService;
+  let pager;
+
+  beforeAll(async () => {
+    workoutService = require('../services/gameplay/workout.service');
+    pager = await createUser('pager');
+
+    app = createApp({
+      '/api/workouts': require('../routes/workout.routes'),
+    });
+  });
+
+  it('should page through workouts that share a timestamp without skipping any', async () => {
+    const timestamp = '2026-03-01T07:00:00.000Z';
+    const logged = [];
+    for (let i = 0; i < 5; i++) {
+      logged.push(await workoutService.recordWorkout(pager.uid, { exercise: 'pushup', amount: 10 + i, timestamp }));
+    }
+    await workoutService.recordWorkout(pager.uid, { exercise: 'pushup', amount: 1, timestamp: '2026-02-28T07:00:00.000Z' });
+
+    const seen = [];
+    let cursor = '';
+    do {
+      const { body } = await request(app)
+        .get(`/api/workouts?limit=2${cursor ? `&cursor=${cursor}` : ''}`)
+        .set('Authorization', `Bearer ${tokenFor(pager)}`)
+        .expect(200);
+      seen.push(...body.workouts.map(workout => workout.id));
+      cursor = body.nextCursor;
+    } while (cursor);
+
+    expect(seen).toHaveLength(6);
+    expect(new Set(seen).size).toBe(6);
+    expect(seen.slice(0, 5).sort()).toEqual(logged.map(workout => workout.id).sort());
+  });
+
+  it('should reject cursors it did not issue', async () => {
+    await request(app)
+      .get('/api/workouts?cursor=2026-03-01T07:00:00.000Z')
+      .set('Authorization', `Bearer ${tokenFor(pager)}`)
+      .expect(400);
+  });
+});
+
+// ============================================================================
+// WORKOUT METRICS
+// ============================================================================
+
+describe('Workout metrics', () => {
+  let userService;
+  let runner;
+  let rival;
+
+  beforeAll(async () => {
+    userService = require('../services/user/user.service');
+    runner = await createUser('runner');
+    rival = await createUser('jogger');
+  });
+
+  it('should count seconds and meters toward matching quests only', async () => {
+    const { getDb } = require('../services/storage/storage.service');
+    const questService = require('../services/gameplay/quest.service');
+    const quests = getDb().collection('users').doc(runner.uid).collection('quests');
+    const base = { progress: 0, completed: false, claimed: false, createdAt: new Date().toISOString(), expiresAt: null };
+
+    await quests.doc('plank').set({ ...base, requirement: { type: 'exercise_seconds', exercise: 'plank', target: 120 } });
+    await quests.doc('distance').set({ ...base, requirement: { type: 'total_meters', target: 5000 } });
+    await quests.doc('reps').set({ ...base, requirement: { type: 'total_reps', target: 100 } });
+
+    await questService.processWorkoutForQuests(runner.uid, { exercise: 'plank', amount: 90 });
+    await questService.processWorkoutForQuests(runner.uid, { exercise: 'run', amount: 2500 });
+
+    const progress = Object.fromEntries((await quests.get()).docs.map(doc => [doc.id, doc.data().progress]));
+    expect(progress).toEqual({ plank: 90, distance: 2500, reps: 0 });
+  });
+
+  it('should score distance duels in meters', async () => {
+    const duelService = require('../services/gameplay/duel.service');
+    const duel = await duelService.createDuel(runner.uid, 'runner', 'jogger', 'distance_week');
+    await duelService.acceptDuel(rival.uid, duel.id);
+
+    await duelService.processWorkoutForDuels(runner.uid, { exercise: 'run', amount: 3000 });
+    await duelService.processWorkoutForDuels(runner.uid, { exercise: 'squat', amount: 50 });
+    await duelService.processWorkoutForDuels(rival.uid, { exercise: 'run', amount: 1200 });
+
+    const [active] = await duelService.getUserActiveDuels(runner.uid);
+    expect(active.challenger.score).toBe(3000);
+    expect(active.opponent.score).toBe(1200);
+  });
+
+  it('should rank players by lifetime meters', async () => {
+    const leaderboardService = require('../services/social/leaderboard.service');
+    await userService.updateUser(runner.uid, { lifetimeMeters: 42195 });
+    await userService.updateUser(rival.uid, { lifetimeMeters: 10000 });
+
+    const board = await leaderboardService.getLeaderboard(leaderboardService.LEADERBOARD_TYPES.LIFETIME_METERS);
+    expect(board.slice(0, 2).map(entry => [entry.username, entry.lifetimeMeters])).toEqual([
+      ['runner', 42195],
+      ['jogger', 10000],
+    ]);
+
+    const rank = await leaderboardService.getUserRank(rival.uid, leaderboardService.LEADERBOARD_TYPES.LIFETIME_METERS);
+    expect(rank).toMatchObject({ rank: 2, value: 10000, field: 'lifetimeMeters' });
+  });
+});
+
+// ============================================================================
+// PERSONAL RECORDS
+// ============================================================================
+
+describe('Personal records', () => {
+  const { summarizeSets } = require('../../shared/game/gameLogic');
+  let personalRecordService;
+  let lifter;
+
+  beforeAll(async () => {
+    personalRecordService = require('../services/gameplay/personalRecord.service');
+    lifter = await createUser('benchpress');
+  });
+
+  const logLift = (id, sets) => personalRecordService.updatePersonalRecords(lifter.uid, {
+    id,
+    exercise: 'squat',
+    timestamp: new Date().toISOString(),
+    ...summarizeSets(sets),
+  });
+
+  it('should keep the best estimated 1RM, heaviest set and volume per lift', async () => {
+    const first = await logLift('workout_1', [{ reps: 5, weight: 100 }, { reps: 5, weight: 100 }]);
+    expect(first.map(pr => [pr.type, pr.value, pr.previous])).toEqual([
+      ['estimated_1rm', 116.7, null],
+      ['heaviest_set', 100, null],
+      ['session_volume', 1000, null],
+    ]);
+
+    // Heavier single but less volume: only the strength records move
+    const second = await logLift('workout_2', [{ reps: 1, weight: 130 }]);
+    expect(second.map(pr => [pr.type, pr.value, pr.previous])).toEqual([
+      ['estimated_1rm', 130, 116.7],
+      ['heaviest_set', 130, 100],
+    ]);
+
+    expect(await logLift('workout_3', [{ reps: 3, weight: 60 }])).toEqual([]);
+  });
+
+  it('should list records through GET /api/workouts/prs', async () => {
+    const app = createApp({
+      '/api/workouts': require('../routes/workout.routes'),
+    });
+    const token = tokenFor(lifter);
+
+    const { body } = await request(app)
+      .get('/api/workouts/prs?exercise=squat')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    expect(body.records).toHaveLength(1);
+    expect(body.records[0].records).toMatchObject({
+      estimated_1rm: { value: 130, workoutId: 'workout_2' },
+      session_volume: { value: 1000, workoutId: 'workout_1' },
+    });
+  });
+});
+
+// ============================================================================
+// WORKOUT ANTI-CHEAT
+// ============================================================================
+
+describe('Workout anti-cheat', () => {
+  let app;
+  let userService;
+  let workoutService;
+  let antiCheatService;
+  let player;
+  let modToken;
+
+  beforeAll(async () => {
+    userService = require('../services/user/user.service');
+    workoutService = require('../services/gameplay/workout.service');
+    antiCheatService = require('../services/gameplay/antiCheat.service');
+
+    app = createApp({
+      '/api/admin': require('../routes/admin.routes'),
+    });
+
+    player = await createUser('speedy');
+    const mod = await createUser('referee');
+    await userService.setUserRole(mod.uid, 'moderator');
+    modToken = tokenFor(mod);
+  });
+
+  const asMod = (req) => req.set('Authorization', `Bearer ${modToken}`);
+
+  async function submitFlagged(amount) {
+    const check = await antiCheatService.checkWorkout(player.uid, { exercise: 'burpee', amount });
+    const workout = await workoutService.recordWorkout(player.uid, {
+      exercise: 'burpee',
+      amount,
+      creditedAmount: check.creditedAmount,
+      antiCheatStatus: check.verdict,
+    });
+    return antiCheatService.recordFlag(player, {
+      workoutId: workout.id,
+      exercise: 'burpee',
+      amount,
+      creditedAmount: check.creditedAmount,
+      verdict: check.verdict,
+      flags: check.flags,
+      withheldXp: 300,
+    });
+  }
+
+  it('should hold implausible workouts for moderators', async () => {
+    await workoutService.recordWorkout(player.uid, { exercise: 'burpee', amount: 10 });
+    const flag = await submitFlagged(5000);
+
+    expect(flag).toMatchObject({ verdict: 'held', creditedAmount: 0, status: 'pending' });
+
+    const { body } = await asMod(request(app).get('/api/admin/workout-flags?status=pending')).expect(200);
+    expect(body.flags.map(f => f.id)).toContain(flag.id);
+  });
+
+  it('should pay out withheld XP once when a flag is approved', async () => {
+    const flag = await submitFlagged(6000);
+
+    const { body } = await asMod(request(app).post(`/api/admin/workout-flags/${flag.id}/review`))
+      .send({ decision: 'approve', note: 'Verified on video' })
+      .expect(200);
+
+    expect(body.flag).toMatchObject({ status: 'approved', reviewNote: 'Verified on video' });
+    expect(body.reward.entry).toMatchObject({ sourceType: 'workout_review', xp: 300 });
+    expect((await userService.findUserByUid(player.uid)).xp).toBe(300);
+
+    const { workouts } = await workoutService.getWorkoutHistory(player.uid);
+    expect(workouts.find(w => w.id === flag.workoutId)).toMatchObject({ antiCheatStatus: 'approved', creditedAmount: 6000 });
+
+    await asMod(request(app).post(`/api/admin/workout-flags/${flag.id}/review`))
+      .send({ decision: 'reject' })
+      .expect(409);
+  });
+
+  it('should keep rejected workouts uncredited', async () => {
+    const flag = await submitFlagged(7000);
+
+    await asMod(request(app).post(`/api/admin/workout-flags/${flag.id}/review`))
+      .send({ decision: 'reject' })
+      .expect(200);
+
+    expect((await userService.findUserByUid(player.uid)).xp).toBe(300);
+    await asMod(request(app).post('/api/admin/workout-flags/flag_missing/review'))
+      .send({ decision: 'approve' })
+      .expect(404);
+  });
+
+  it('should only pay out when the approval is the review that claims the flag', async () => {
+    const flag = await submitFlagged(8000);
+    const xpBefore = (await userService.findUserByUid(player.uid)).xp;
+
+    const results = await Promise.allSettled([
+      antiCheatService.reviewFlag(flag.id, { approve: true, reviewerId: 'mod_a' }),
+      antiCheatService.reviewFlag(flag.id, { approve: false, reviewerId: 'mod_b' }),
+    ]);
+    expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(1);
+
+    const { status } = await antiCheatService.getFlag(flag.id);
+    const xpAfter = (await userService.findUserByUid(player.uid)).xp;
+    expect(xpAfter - xpBefore).toBe(status === 'approved' ? 300 : 0);
+  });
+
+  it('should retry a failed payout when the flag is approved again', async () => {
+    const rewardService = require('../services/shared/reward.service');
+    const flag = await submitFlagged(9000);
+    const xpBefore = (await userService.findUserByUid(player.uid)).xp;
+
+    jest.spyOn(rewardService, 'grantReward').mockRejectedValueOnce(new Error('ledger unavailable'));
+    await expect(antiCheatService.reviewFlag(flag.id, { approve: true, reviewerId: 'mod_a' }))
+      .rejects.toThrow('ledger unavailable');
+    expect((await antiCheatService.getFlag(flag.id)).status).toBe('approved');
+    expect((await userService.findUserByUid(player.uid)).xp).toBe(xpBefore);
+
+    await antiCheatService.reviewFlag(flag.id, { approve: true, reviewerId: 'mod_a' });
+    expect((await userService.findUserByUid(player.uid)).xp).toBe(xpBefore + 300);
+
+    await expect(antiCheatService.reviewFlag(flag.id, { approve: true, reviewerId: 'mod_a' }))
+      .rejects.toThrow('Flag already reviewed');
+  });
+
+  it('should page through flags raised in the same instant', async () => {
+    const { getDb } = require('../services/storage/storage.service');
+    const createdAt = '2026-03-01T07:00:00.000Z';
+    for (const id of ['flag_tied_a', 'flag_tied_b', 'flag_tied_c']) {
+      await getDb().collection('workoutFlags').doc(id).set({ id, userId: 'tied-user', status: 'pending', createdAt });
+    }
+
+    const first = await antiCheatService.listFlags({ userId: 'tied-user', limit: 2 });
+    const second = await antiCheatService.listFlags({ userId: 'tied-user', limit: 2, cursor: first.nextCursor });
+
+    expect([...first.flags, ...second.flags].map(flag => flag.id).sort()).toEqual(['flag_tied_a', 'flag_tied_b', 'flag_tied_c']);
+    expect(second.hasMore).toBe(false);
+  });
+});
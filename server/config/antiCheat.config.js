@@ -0,0 +1,49 @@
+// Workout plausibility (anti-cheat) configuration
+// Limits are per exercise, with `default` used for anything not listed.
+// Amounts are in the exercise's own unit: reps, seconds (plank) or meters
+// (run). A workout that breaks a hard limit is held for moderator review
+// and credits nothing; one that only looks out of line with the user's own
+// history is credited at reducedRewardMultiplier.
+module.exports = {
+  // Set ANTI_CHEAT_ENABLED=false to credit every valid workout in full
+  enabled: process.env.ANTI_CHEAT_ENABLED !== 'false',
+
+  // Hard limit: amount per minute since the user's previous workout. The
+  // gap is clamped to [minRateWindowMs, maxRateWindowMs], so a single big
+  // workout logged after a long break is judged over maxRateWindowMs
+  maxPerMinute: {
+    default: 60,
+    pullup: 30,
+    burpee: 30,
+    deadlift: 30,
+    bench: 40,
+    plank: 60,
+    run: 400,
+  },
+  minRateWindowMs: 60 * 1000,
+  maxRateWindowMs: 60 * 60 * 1000,
+
+  // Hard limit: amount of one exercise in a UTC day
+  maxPerDay: {
+    default: 3000,
+    pullup: 1000,
+    burpee: 1500,
+    deadlift: 1000,
+    bench: 1000,
+    plank: 7200,
+    run: 100000,
+  },
+
+  // History checks, against the user's last historyDays days
+  historyDays: 30,
+  // Today's total may reach dailyJumpFactor x the best earlier day, or dailyJumpFloor
+  dailyJumpFactor: 3,
+  dailyJumpFloor: { default: 300, plank: 900, run: 15000 },
+  minHistoryDays: 3,
+  // One workout may reach submissionJumpFactor x the user's median workout, or submissionJumpFloor
+  submissionJumpFactor: 5,
+  submissionJumpFloor: { default: 100, plank: 300, run: 5000 },
+  minHistorySubmissions: 5,
+
+  reducedRewardMultiplier: 0.5,
+};
@@ -8,6 +8,19 @@ module.exports = {
   jwtExpiration: '1h', // Access token expires in 1 hour
   jwtRefreshExpiration: '7d', // Refresh token expires in 7 days
   
+  // Single-use account token lifetimes (milliseconds)
+  passwordResetExpiration: 60 * 60 * 1000, // 1 hour
+  emailVerificationExpiration: 24 * 60 * 60 * 1000, // 24 hours
+  
+  // Roles, lowest to highest; each role can do everything the ones before it can
+  roles: ['player', 'moderator', 'admin'],
+  
+  // Comma-separated emails that are made admins once the address is verified
+  adminEmails: (process.env.ADMIN_EMAILS || '')
+    .split(',')
+    .map(email => email.trim().toLowerCase())
+    .filter(Boolean),
+  
   // Password requirements
   passwordMinLength: 6,
   
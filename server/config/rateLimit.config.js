@@ -0,0 +1,37 @@
+// Rate limiting configuration
+// Windows are in milliseconds; max is the number of requests allowed per window
+module.exports = {
+  // Set RATE_LIMIT_ENABLED=false to turn every limiter off (e.g. for load tests)
+  enabled: process.env.RATE_LIMIT_ENABLED !== 'false',
+  
+  // Number of reverse proxies (load balancer, CDN) in front of the server.
+  // Client IPs are read from X-Forwarded-For that many hops back; with 0 the
+  // socket address is used and the header is ignored, so it cannot be spoofed
+  trustProxyHops: parseInt(process.env.TRUST_PROXY_HOPS, 10) || 0,
+  
+  // All /api/auth routes, per IP
+  auth: { windowMs: 15 * 60 * 1000, max: 50 },
+  
+  // Game writes, per user
+  workout: { windowMs: 60 * 1000, max: 10 },
+  duelCreate: { windowMs: 60 * 60 * 1000, max: 20 },
+  
+  // Progressive login lockout, per email
+  // After freeAttempts failures, each further failure locks login for
+  // baseLockoutMs, doubling up to maxLockoutMs. Failures are forgotten
+  // failureWindowMs after the first one, or on a successful login.
+  // perIp is a softer counter across all emails tried from one IP; it is
+  // only forgotten when its window runs out.
+  loginLockout: {
+    freeAttempts: 5,
+    baseLockoutMs: 30 * 1000,
+    maxLockoutMs: 60 * 60 * 1000,
+    failureWindowMs: 24 * 60 * 60 * 1000,
+    perIp: {
+      freeAttempts: 20,
+      baseLockoutMs: 30 * 1000,
+      maxLockoutMs: 15 * 60 * 1000,
+      failureWindowMs: 60 * 60 * 1000,
+    },
+  },
+};
@@ -2,13 +2,21 @@ const express = require('express');
 const cors = require('cors');
 const path = require('path');
 const logger = require('./utils/logger');
+const rateLimitConfig = require('./config/rateLimit.config');
 const userService = require('./services/user/user.service');
 
 // Import new services
 const questService = require('./services/gameplay/quest.service');
 const achievementService = require('./services/gameplay/achievement.service');
 const duelService = require('./services/gameplay/duel.service');
+const raidService = require('./services/gameplay/raid.service');
 const activityService = require('./services/shared/activity.service');
+const rewardService = require('./services/shared/reward.service');
+const { FieldValue } = require('./services/storage/storage.service');
+const workoutService = require('./services/gameplay/workout.service');
+const antiCheatService = require('./services/gameplay/antiCheat.service');
+const personalRecordService = require('./services/gameplay/personalRecord.service');
+const exerciseService = require('./services/gameplay/exercise.service');
 const leaderboardService = require('./services/social/leaderboard.service');
 
 // Import ML data collector for production data collection
@@ -36,6 +44,9 @@ userService.initUsersDb()
     process.exit(1); // Exit if DB init fails
   });
 
+// Read client IPs (rate limits, login lockout, sessions) through our own proxies only
+app.set('trust proxy', rateLimitConfig.trustProxyHops);
+
 // Middleware
 app.use(cors());
 app.use(express.json());
@@ -73,11 +84,20 @@ app.use((req, res, next) => {
 });
 
 // Import game logic (updated to work with user data)
-const { processWorkout } = require('../shared/game/gameLogic');
+const {
+  processWorkout,
+  validateWorkout,
+  validateSets,
+  summarizeSets,
+  getExerciseMetric,
+  getWorkoutTotals,
+  formatWorkoutAmount,
+  METRICS,
+} = require('../shared/game/gameLogic');
 
 // DEBUG: Services loaded successfully
 logger.debug('Services loaded', {
-  services: ['quest', 'achievement', 'duel', 'activity', 'leaderboard'],
+  services: ['quest', 'achievement', 'duel', 'activity', 'leaderboard', 'workout'],
 });
 
 // ============================================================================
@@ -98,9 +118,15 @@ const achievementRoutes = require('./routes/achievement.routes');
 const duelRoutes = require('./routes/duel.routes');
 const activityRoutes = require('./routes/activity.routes');
 const leaderboardRoutes = require('./routes/leaderboard.routes');
+const workoutRoutes = require('./routes/workout.routes');
+const exerciseRoutes = require('./routes/exercise.routes');
+const realtimeRoutes = require('./routes/realtime.routes');
+const rewardRoutes = require('./routes/reward.routes');
+const adminRoutes = require('./routes/admin.routes');
 const authMiddleware = require('./middleware/auth.middleware');
+const { limiters } = require('./middleware/rateLimit.middleware');
 
-app.use('/api/auth', authRoutes);
+app.use('/api/auth', limiters.auth, authRoutes);
 app.use('/api/user', userRoutes);
 app.use('/api/ml', mlRoutes);
 app.use('/api/avatar', avatarRoutes);
@@ -113,6 +139,11 @@ app.use('/api/achievements', achievementRoutes);
 app.use('/api/duels', duelRoutes);
 app.use('/api/activity', activityRoutes);
 app.use('/api/leaderboard', leaderboardRoutes);
+app.use('/api/workouts', workoutRoutes);
+app.use('/api/exercises', exerciseRoutes);
+app.use('/api/realtime', realtimeRoutes);
+app.use('/api/rewards', rewardRoutes);
+app.use('/api/admin', adminRoutes);
 
 // INFO: ML Service initialized
 logger.info('ForgeMaster AI (ML Service) initialized', {
@@ -167,14 +198,40 @@ app.get('/api/user', authMiddleware.authenticateToken, (req, res) => {
 });
 
 // Process workout (requires authentication)
-app.post('/api/workout', authMiddleware.authenticateToken, async (req, res) => {
+app.post('/api/workout', authMiddleware.authenticateToken, limiters.workout, async (req, res) => {
   try {
-    const { exercise, reps } = req.body;
+    // amount is in the exercise's unit (reps, seconds or meters); older
+    // clients send it as reps
+    const { sets } = req.body;
+    let { weight } = req.body;
+    let amount = req.body.amount ?? req.body.reps;
     const user = req.user;
     
-    // Basic validation (tests expect error status when missing fields)
-    if (!exercise || reps === undefined || reps === null) {
-      return res.status(400).json({ error: 'Exercise and reps are required' });
+    // Names like "Push ups" resolve to the catalog entry's ID
+    if (!req.body.exercise || typeof req.body.exercise !== 'string') {
+      return res.status(400).json({ error: 'Exercise type is required' });
+    }
+    const catalogEntry = await exerciseService.resolveExercise(req.body.exercise);
+    if (!catalogEntry) {
+      return res.status(400).json({ error: `Unknown exercise: ${req.body.exercise}` });
+    }
+    const exercise = catalogEntry.id;
+    
+    // Weighted lifts may list their sets instead; they are credited as the
+    // total reps at the average load, which scales XP and stats by volume
+    if (sets !== undefined) {
+      const setValidation = validateSets(exercise, sets);
+      if (!setValidation.valid) {
+        return res.status(400).json({ error: setValidation.errors.join('. ') });
+      }
+      const summary = summarizeSets(sets);
+      amount = summary.reps;
+      weight = summary.averageWeight;
+    }
+    
+    const validation = validateWorkout(exercise, amount, weight);
+    if (!validation.valid) {
+      return res.status(400).json({ error: validation.errors.join('. ') });
     }
     
     // Helper to keep non-critical services from breaking workout logging
@@ -194,27 +251,110 @@ app.post('/api/workout', authMiddleware.authenticateToken, async (req, res) => {
     logger.debug('Processing workout submission', {
       userId: user.uid,
       exercise,
-      reps,
+      amount,
+      weight,
       action: 'WORKOUT',
     });
     
+    // Plausibility checks: flagged workouts are credited with a smaller
+    // amount (reduced) or nothing until a moderator approves them (held).
+    // Unlike the steps below this one is not optional: a workout that cannot
+    // be checked is refused rather than credited in full
+    let check;
+    try {
+      check = await antiCheatService.checkWorkout(user.uid, { exercise, amount });
+    } catch (err) {
+      logger.error('Anti-cheat check failed, workout refused', {
+        error: err.message,
+        userId: user.uid,
+        action: 'WORKOUT',
+      });
+      return res.status(503).json({ error: 'Workout could not be checked right now. Please try again.' });
+    }
+    const creditedAmount = check.creditedAmount;
+    const flagged = check.verdict !== antiCheatService.VERDICTS.ACCEPTED;
+    
+    // A weighted workout logged without sets is one set
+    const strength = getExerciseMetric(exercise) === METRICS.WEIGHTED_REPS
+      ? summarizeSets(sets || [{ reps: amount, weight }])
+      : null;
+    
     // Calculate XP and level changes
-    const result = await processWorkout(user, exercise, reps);
+    const fullResult = await processWorkout(user, exercise, amount, weight);
+    const result = flagged ? await processWorkout(user, exercise, creditedAmount, weight) : fullResult;
+    const totals = getWorkoutTotals(exercise, creditedAmount);
+    
+    // Persist the individual workout record
+    const workout = await workoutService.recordWorkout(user.uid, {
+      exercise,
+      amount,
+      weight,
+      xpGained: result.xpGained,
+      statGains: result.statGains,
+      creditedAmount,
+      antiCheatStatus: check.verdict,
+      sets: strength?.sets,
+      volume: strength?.volume,
+      estimatedOneRepMax: strength?.estimatedOneRepMax,
+    });
     
-    // Update user stats in database
-    const oldLevel = user.level;
-    const newXP = (user.xp || 0) + result.xpGained;
-    const xpPerLevel = 100;
-    const newLevel = Math.floor(newXP / xpPerLevel) + 1;
-    const leveledUp = newLevel > oldLevel;
+    let flag = null;
+    if (flagged) {
+      flag = await antiCheatService.recordFlag(user, {
+        workoutId: workout.id,
+        exercise,
+        amount,
+        creditedAmount,
+        verdict: check.verdict,
+        flags: check.flags,
+        withheldXp: fullResult.xpGained - result.xpGained,
+      });
+      
+      mlDataCollector.collectAntiCheatFlag(user.uid, {
+        flagId: flag.id,
+        exercise,
+        amount,
+        creditedAmount,
+        verdict: check.verdict,
+        rules: check.flags.map(f => f.rule),
+      });
+    }
+    
+    if (check.verdict === antiCheatService.VERDICTS.HELD) {
+      return res.status(202).json({
+        held: true,
+        message: 'This workout is being reviewed before it counts. Thanks for your patience!',
+        workoutId: workout.id,
+        exercise,
+        metric: workout.metric,
+        amount,
+        xpGained: 0,
+        antiCheat: { verdict: check.verdict, creditedAmount, flagId: flag.id },
+      });
+    }
     
-    // Update user profile
+    // XP, level, weekly XP and stat gains go through the reward ledger, which
+    // reads the current record in a transaction; req.user is a snapshot taken
+    // before this request and may miss rewards granted since
+    const reward = await rewardService.grantReward(user.uid, {
+      sourceType: rewardService.REWARD_SOURCES.WORKOUT,
+      sourceId: workout.id,
+      xp: result.xpGained,
+      statGains: result.statGains,
+      description: `Logged ${exercise} workout (${formatWorkoutAmount(exercise, creditedAmount, weight)})`,
+    });
+    const oldLevel = reward.entry.levelBefore;
+    const newXP = reward.entry.xpAfter;
+    const newLevel = reward.entry.levelAfter;
+    const leveledUp = reward.leveledUp;
+    const stats = reward.stats;
+    
+    // Update user profile; counters are incremented for the same reason
     await userService.updateUser(user.uid, {
-      xp: newXP,
-      level: newLevel,
-      totalWorkouts: (user.totalWorkouts || 0) + 1,
-      lifetimeReps: (user.lifetimeReps || 0) + reps,
-      weeklyXP: (user.weeklyXP || 0) + result.xpGained,
+      totalWorkouts: FieldValue.increment(1),
+      lifetimeReps: FieldValue.increment(totals.reps),
+      lifetimeSeconds: FieldValue.increment(totals.seconds),
+      lifetimeMeters: FieldValue.increment(totals.meters),
       workoutStreak: calculateStreak(user),
       lastWorkout: new Date().toISOString(),
     });
@@ -222,20 +362,39 @@ app.post('/api/workout', authMiddleware.authenticateToken, async (req, res) => {
     // Get updated user stats for achievements
     const userStats = {
       totalWorkouts: (user.totalWorkouts || 0) + 1,
-      lifetimeReps: (user.lifetimeReps || 0) + reps,
+      lifetimeReps: (user.lifetimeReps || 0) + totals.reps,
       workoutStreak: calculateStreak(user),
       level: newLevel,
     };
     
-    // Process for quests, achievements, and duels
-    const [questUpdates, newAchievements, duelUpdates] = await Promise.all([
-      safeCall('Quest processing', () => questService.processWorkoutForQuests(user.uid, { exercise, reps })),
+    // Process for quests, achievements, duels, and the party raid
+    const [questUpdates, newAchievements, duelUpdates, raidUpdate] = await Promise.all([
+      safeCall('Quest processing', () => questService.processWorkoutForQuests(user.uid, { exercise, amount: creditedAmount })),
       safeCall('Achievement processing', () => achievementService.processWorkoutForAchievements(user.uid, userStats)),
-      safeCall('Duel processing', () => duelService.processWorkoutForDuels(user.uid, { exercise, reps })),
+      safeCall('Duel processing', () => duelService.processWorkoutForDuels(user.uid, { exercise, amount: creditedAmount })),
+      safeCall('Raid processing', () => raidService.processWorkoutForRaid(user, { exercise, amount: creditedAmount, weight }), null),
     ]);
     
     // Log activity
-    await safeCall('Activity log (workout)', () => activityService.logWorkoutActivity(user.uid, user.username, exercise, reps), null);
+    await safeCall('Activity log (workout)', () => activityService.logWorkoutActivity(user.uid, user.username, exercise, creditedAmount, weight), null);
+    
+    // Only workouts that passed the anti-cheat checks in full can set PRs
+    const personalRecords = strength && !flagged
+      ? await safeCall('Personal records', () => personalRecordService.updatePersonalRecords(user.uid, { ...strength, ...workout }))
+      : [];
+    for (const pr of personalRecords) {
+      await safeCall('Activity log (personal record)', () => activityService.logPersonalRecordActivity(user.uid, user.username, pr.exercise, pr.type, pr.value, pr.previous), null);
+    }
+    
+    if (raidUpdate) {
+      await safeCall('Activity log (raid damage)', () => activityService.logRaidDamageActivity(user.uid, user.username, raidUpdate.damageDealt, raidUpdate.bossName), null);
+      
+      if (raidUpdate.isDefeated) {
+        for (const participant of raidUpdate.participants) {
+          await safeCall('Activity log (raid complete)', () => activityService.logRaidCompleteActivity(participant.userId, participant.username, raidUpdate.bossName), null);
+        }
+      }
+    }
     
     // Log level up if occurred
     if (leveledUp) {
@@ -258,19 +417,24 @@ app.post('/api/workout', authMiddleware.authenticateToken, async (req, res) => {
     logger.info('Workout completed', {
       userId: user.uid,
       exercise,
-      reps,
+      amount,
+      weight,
+      creditedAmount,
+      antiCheat: check.verdict,
       xpEarned: result.xpGained,
       newLevel,
       leveledUp,
       questsUpdated: questUpdates.length,
       achievementsUnlocked: newAchievements.length,
+      raidDamage: raidUpdate?.damageDealt || 0,
       action: 'WORKOUT',
     });
     
     // Collect workout data for ML assessment (production data collection)
     mlDataCollector.collectWorkoutData(user.uid, {
       exercise,
-      reps,
+      amount: creditedAmount,
+      weight,
       xpGained: result.xpGained,
       leveledUp,
       streak: streak
@@ -279,25 +443,36 @@ app.post('/api/workout', authMiddleware.authenticateToken, async (req, res) => {
     // Collect engagement signal for ML improvement
     mlDataCollector.collectEngagementSignal(user.uid, 'workout_completed', {
       exercise,
-      reps,
+      amount,
       leveledUp,
       streak
     });
     
     res.json({
       ...result,
+      workoutId: workout.id,
       newLevel,
       leveledUp,
+      stats,
       xpGained: result.xpGained,
       questUpdates,
       newAchievements,
       duelUpdates,
+      raidUpdate,
+      strength: strength && {
+        sets: strength.sets,
+        volume: strength.volume,
+        topWeight: strength.topWeight,
+        estimatedOneRepMax: strength.estimatedOneRepMax,
+      },
+      personalRecords,
+      antiCheat: { verdict: check.verdict, creditedAmount, flagId: flag?.id || null },
     });
   } catch (error) {
     logger.error('Workout processing failed', {
       userId: req.user?.uid,
       exercise: req.body.exercise,
-      reps: req.body.reps,
+      amount: req.body.amount ?? req.body.reps,
       error: error.message,
       stack: error.stack,
       action: 'WORKOUT',
@@ -337,23 +512,16 @@ function calculateStreak(user) {
 // Legacy Raid Boss Route (for backward compatibility)
 // ============================================================================
 
-// Get current raid boss (uses the new raid system)
+// Get the week's featured raid boss (uses the new raid system)
 app.get('/api/raid', authMiddleware.optionalAuth, async (req, res) => {
   try {
-    const raidService = require('./services/gameplay/raid.service');
-    const bosses = raidService.getAvailableBosses(1);
+    const featured = await raidService.getFeaturedRaid(req.user || null);
     
-    // Return the first boss as "current" for backward compatibility
-    const currentBoss = bosses[0];
+    if (!featured) {
+      return res.status(404).json({ error: 'No raid boss is available right now' });
+    }
     
-    res.json({
-      name: currentBoss.name,
-      description: currentBoss.flavorText,
-      totalHP: currentBoss.scaledHp,
-      currentHP: currentBoss.scaledHp, // Start at full
-      participants: 0,
-      difficulty: currentBoss.difficulty,
-    });
+    res.json(featured);
   } catch (error) {
     logger.error('Failed to fetch raid boss', { error: error.message });
     res.status(500).json({ error: error.message });
@@ -369,7 +537,7 @@ app.get('/api/inventory', authMiddleware.authenticateToken, async (req, res) =>
   try {
     const user = req.user;
     const itemService = require('./services/shared/item.service');
-    const inventory = itemService.getUserInventory(user.uid);
+    const inventory = await itemService.getUserInventory(user.uid);
     
     logger.debug('Fetching user inventory', {
       userId: user.uid,
@@ -397,12 +565,8 @@ app.post('/api/equip/:itemId', authMiddleware.authenticateToken, async (req, res
       action: 'EQUIPMENT',
     });
     
-    const result = itemService.equipItem(user.uid, itemId);
-    
-    // Update user's equipment in database
-    await userService.updateUser(user.uid, {
-      equipment: result.equipment,
-    });
+    // Equipment is persisted on the user record by the item service
+    const result = await itemService.equipItem(user.uid, itemId);
     
     logger.info('Item equipped', {
       userId: user.uid,
@@ -411,7 +575,7 @@ app.post('/api/equip/:itemId', authMiddleware.authenticateToken, async (req, res
     });
     
     res.json({
-      message: `Equipped ${result.item.name}!`,
+      message: `Equipped ${result.equipped.name}!`,
       equipment: result.equipment,
     });
   } catch (error) {
@@ -486,6 +650,16 @@ app.use((err, req, res, next) => {
 // Server Startup
 // ============================================================================
 
+// Background jobs (weekly XP reset, duel expiry, cleanup); see jobs.service.js
+const scheduler = require('./services/shared/scheduler.service');
+require('./services/shared/jobs.service').registerDefaultJobs();
+if (process.env.JOBS_ENABLED !== 'false') {
+  scheduler.start();
+}
+
+// Open live update streams (see routes/realtime.routes.js)
+const realtimeService = require('./services/shared/realtime.service');
+
 const server = app.listen(PORT, () => {
   // INFO: Server started successfully
   logger.info(`ForgeArena server running on port ${PORT}`, {
@@ -505,6 +679,11 @@ const gracefulShutdown = (signal) => {
     uptime: process.uptime(),
   });
   
+  scheduler.stop();
+  
+  // Live update streams never finish on their own
+  realtimeService.closeAllConnections();
+  
   server.close(() => {
     logger.info('Server closed. All requests completed.', {
       signal,
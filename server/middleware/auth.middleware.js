@@ -1,5 +1,6 @@
 const authUtils = require('../utils/auth.utils');
 const userService = require('../services/user/user.service');
+const sessionService = require('../services/user/session.service');
 const logger = require('../utils/logger');
 
 /**
@@ -44,8 +45,28 @@ async function authenticateToken(req, res, next) {
       return res.status(403).json({ error: 'User not found' });
     }
     
-    // Attach user to request
+    if (user.banned) {
+      logger.warn('Banned user rejected', {
+        uid: user.uid,
+        path: req.path,
+      });
+      return res.status(403).json({ error: 'Account suspended' });
+    }
+    
+    // Every access token is issued for a login session; once that session is
+    // revoked (signed out elsewhere, password reset) the token is dead too
+    if (!decoded.sid || !(await sessionService.isSessionValid(decoded.sid, decoded.uid))) {
+      logger.warn('Token session revoked', {
+        uid: decoded.uid,
+        sessionId: decoded.sid,
+        path: req.path,
+      });
+      return res.status(401).json({ error: 'Session has been revoked' });
+    }
+    
+    // Attach user (and the login session the token was issued for) to request
     req.user = user;
+    req.sessionId = decoded.sid;
     
     logger.debug('User authenticated', {
       uid: user.uid,
@@ -76,10 +97,11 @@ async function optionalAuth(req, res, next) {
     if (token) {
       const decoded = authUtils.verifyAccessToken(token);
       
-      if (decoded) {
+      if (decoded && decoded.sid) {
         const user = await userService.findUserByUid(decoded.uid);
-        if (user) {
+        if (user && !user.banned && await sessionService.isSessionValid(decoded.sid, user.uid)) {
           req.user = user;
+          req.sessionId = decoded.sid;
         }
       }
     }
@@ -91,8 +113,43 @@ async function optionalAuth(req, res, next) {
   }
 }
 
+/**
+ * Role middleware factory
+ * Must run after authenticateToken. Lets through users with the given role
+ * or a higher one (player < moderator < admin)
+ * @param {string} role - Minimum role (authUtils.ROLES)
+ */
+function requireRole(role) {
+  if (!Object.values(authUtils.ROLES).includes(role)) {
+    throw new Error(`Unknown role: ${role}`);
+  }
+  
+  return (req, res, next) => {
+    if (!req.user || !authUtils.hasRole(req.user, role)) {
+      logger.warn('Role access denied', {
+        uid: req.user?.uid,
+        role: authUtils.getUserRole(req.user),
+        required: role,
+        path: req.path,
+        method: req.method,
+      });
+      return res.status(403).json({ error: `${role[0].toUpperCase()}${role.slice(1)} access required` });
+    }
+    
+    next();
+  };
+}
+
+/**
+ * Admin-only middleware
+ * Must run after authenticateToken
+ */
+const requireAdmin = requireRole(authUtils.ROLES.ADMIN);
+
 module.exports = {
   authenticateToken,
   optionalAuth,
+  requireRole,
+  requireAdmin,
 };
 
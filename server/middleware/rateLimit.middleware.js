@@ -0,0 +1,256 @@
+const config = require('../config/rateLimit.config');
+const logger = require('../utils/logger');
+
+/**
+ * Rate limiting and login lockout
+ *
+ * Counters live in a store with this async interface, so the in-memory
+ * default can be swapped for a shared backend (e.g. Redis) with setStore():
+ *   increment(key, windowMs) -> { count, resetAt }  (fixed window)
+ *   get(key)                 -> { count, resetAt } | null
+ *   set(key, entry)          -> stores { count, resetAt }
+ *   reset(key)               -> removes the key
+ * resetAt is a millisecond timestamp after which the entry is gone.
+ */
+
+// Sweep expired entries every this many increments
+const SWEEP_INTERVAL = 1000;
+
+/**
+ * Create an in-memory store (single process only)
+ */
+function createMemoryStore() {
+  const entries = new Map();
+  let operations = 0;
+
+  function sweep(now) {
+    for (const [key, entry] of entries) {
+      if (entry.resetAt <= now) entries.delete(key);
+    }
+  }
+
+  function read(key, now) {
+    const entry = entries.get(key);
+    if (!entry) return null;
+    if (entry.resetAt <= now) {
+      entries.delete(key);
+      return null;
+    }
+    return entry;
+  }
+
+  return {
+    name: 'memory',
+
+    async increment(key, windowMs) {
+      const now = Date.now();
+      if (++operations % SWEEP_INTERVAL === 0) sweep(now);
+
+      const entry = read(key, now) || { count: 0, resetAt: now + windowMs };
+      entry.count++;
+      entries.set(key, entry);
+      return { ...entry };
+    },
+
+    async get(key) {
+      const entry = read(key, Date.now());
+      return entry ? { ...entry } : null;
+    },
+
+    async set(key, entry) {
+      entries.set(key, { count: entry.count, resetAt: entry.resetAt });
+    },
+
+    async reset(key) {
+      entries.delete(key);
+    },
+  };
+}
+
+let store = createMemoryStore();
+
+/**
+ * Use a different store for every limiter and the login lockout
+ */
+function setStore(newStore) {
+  for (const method of ['increment', 'get', 'set', 'reset']) {
+    if (!newStore || typeof newStore[method] !== 'function') {
+      throw new Error(`Rate limit store must implement ${method}()`);
+    }
+  }
+  store = newStore;
+  logger.info('Rate limit store set', { store: newStore.name || 'custom' });
+}
+
+/**
+ * Get the active store
+ */
+function getStore() {
+  return store;
+}
+
+/**
+ * Send a standard 429 with Retry-After (seconds)
+ */
+function sendTooManyRequests(res, resetAt, message) {
+  const retryAfter = Math.max(1, Math.ceil((resetAt - Date.now()) / 1000));
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({ error: message, retryAfter });
+}
+
+// ============================================================================
+// REQUEST LIMITER
+// ============================================================================
+
+/**
+ * Middleware factory that limits requests per window
+ * Options:
+ * - name: bucket name, so limiters do not share counters
+ * - windowMs, max: allowed requests per window
+ * - keyBy: 'ip' (default) or 'user'; 'user' must run after authenticateToken
+ *   and falls back to the IP for anonymous requests
+ * - enabled: defaults to the global rate limit setting, read per request
+ * - store: defaults to the shared store
+ */
+function rateLimit(options) {
+  const { name, windowMs, max, keyBy = 'ip' } = options;
+
+  if (!name || !windowMs || !max) {
+    throw new Error('Rate limiter requires name, windowMs and max');
+  }
+
+  return async (req, res, next) => {
+    if (!(options.enabled ?? config.enabled)) return next();
+
+    try {
+      const subject = keyBy === 'user' && req.user?.uid ? `user:${req.user.uid}` : `ip:${req.ip}`;
+      const { count, resetAt } = await (options.store || store).increment(`${name}:${subject}`, windowMs);
+
+      res.set('RateLimit-Limit', String(max));
+      res.set('RateLimit-Remaining', String(Math.max(0, max - count)));
+      res.set('RateLimit-Reset', String(Math.max(0, Math.ceil((resetAt - Date.now()) / 1000))));
+
+      if (count > max) {
+        logger.warn('Rate limit exceeded', { limiter: name, subject, path: req.path, count });
+        return sendTooManyRequests(res, resetAt, 'Too many requests, please slow down');
+      }
+
+      next();
+    } catch (error) {
+      // A broken store should not take the API down with it
+      logger.error('Rate limiter error', { error: error.message, limiter: name });
+      next();
+    }
+  };
+}
+
+// ============================================================================
+// LOGIN LOCKOUT
+// ============================================================================
+
+/**
+ * Create a progressive login lockout tracker
+ * Failures are counted per email, wherever they come from, so spreading
+ * guesses over many IPs does not help. A second, softer counter per IP
+ * (options.perIp) catches one address guessing across many emails. Once a
+ * counter's freeAttempts are used up, every further failure locks its key for
+ * baseLockoutMs, doubling each time up to maxLockoutMs.
+ */
+function createLoginLockout(options = config.loginLockout) {
+  const isEnabled = () => options.enabled ?? config.enabled;
+  const getActiveStore = () => options.store || store;
+
+  const countersFor = (email, ip) => [
+    { subject: `email:${String(email).toLowerCase()}`, limits: options },
+    ...(options.perIp ? [{ subject: `ip:${ip}`, limits: options.perIp }] : []),
+  ];
+
+  /**
+   * Count a failure on one counter and lock it once its free attempts are gone
+   */
+  async function countFailure({ subject, limits }) {
+    const { freeAttempts, baseLockoutMs, maxLockoutMs, failureWindowMs } = limits;
+
+    const { count } = await getActiveStore().increment(`login-failures:${subject}`, failureWindowMs);
+    if (count <= freeAttempts) return null;
+
+    const lockoutMs = Math.min(baseLockoutMs * 2 ** (count - freeAttempts - 1), maxLockoutMs);
+    const lock = { count, resetAt: Date.now() + lockoutMs };
+    await getActiveStore().set(`login-lock:${subject}`, lock);
+
+    logger.warn('Login locked after repeated failures', { subject, failures: count, lockoutMs });
+
+    return lock;
+  }
+
+  /**
+   * The lock that lasts longest, if any
+   */
+  const longest = locks => locks
+    .filter(Boolean)
+    .reduce((a, b) => (!a || b.resetAt > a.resetAt ? b : a), null);
+
+  return {
+    /**
+     * Get the active lock for an email or IP
+     * @returns {Promise<object|null>} { count, resetAt } while locked
+     */
+    async getLock(email, ip) {
+      if (!isEnabled()) return null;
+
+      const locks = await Promise.all(
+        countersFor(email, ip).map(({ subject }) => getActiveStore().get(`login-lock:${subject}`))
+      );
+      return longest(locks);
+    },
+
+    /**
+     * Count a failed login, locking once the free attempts are used up
+     * @returns {Promise<object|null>} The new lock, if any
+     */
+    async recordFailure(email, ip) {
+      if (!isEnabled()) return null;
+
+      const locks = await Promise.all(countersFor(email, ip).map(countFailure));
+      return longest(locks);
+    },
+
+    /**
+     * Forget the email's failures after a successful login
+     * The IP counter is left to expire, so logging in to your own account
+     * between guesses does not reset it
+     */
+    async recordSuccess(email) {
+      if (!isEnabled()) return;
+
+      const subject = `email:${String(email).toLowerCase()}`;
+      await Promise.all([
+        getActiveStore().reset(`login-failures:${subject}`),
+        getActiveStore().reset(`login-lock:${subject}`),
+      ]);
+    },
+  };
+}
+
+const loginLockout = createLoginLockout();
+
+// ============================================================================
+// CONFIGURED LIMITERS
+// ============================================================================
+
+const limiters = {
+  auth: rateLimit({ name: 'auth', ...config.auth }),
+  workout: rateLimit({ name: 'workout', keyBy: 'user', ...config.workout }),
+  duelCreate: rateLimit({ name: 'duel-create', keyBy: 'user', ...config.duelCreate }),
+};
+
+module.exports = {
+  createMemoryStore,
+  setStore,
+  getStore,
+  sendTooManyRequests,
+  rateLimit,
+  createLoginLockout,
+  loginLockout,
+  limiters,
+};
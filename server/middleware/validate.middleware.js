@@ -0,0 +1,32 @@
+const { validateSchema } = require('../utils/schema.utils');
+const logger = require('../utils/logger');
+
+/**
+ * Middleware factory that validates req.body against a schema
+ * Invalid bodies get 422 with a list of { field, message } errors. Valid
+ * bodies are replaced with the cleaned value, so handlers only ever see
+ * fields the schema allows.
+ * @param {object} schema - Field rules (see utils/schema.utils.js)
+ */
+function validateBody(schema) {
+  return (req, res, next) => {
+    const { value, errors } = validateSchema(schema, req.body);
+
+    if (errors.length > 0) {
+      logger.debug('Request validation failed', {
+        path: req.path,
+        method: req.method,
+        uid: req.user?.uid,
+        fields: errors.map(error => error.field),
+      });
+      return res.status(422).json({ error: 'Validation failed', details: errors });
+    }
+
+    req.body = value;
+    next();
+  };
+}
+
+module.exports = {
+  validateBody,
+};
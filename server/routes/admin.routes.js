@@ -0,0 +1,343 @@
+/**
+ * Admin Routes - API endpoints for operators
+ * Moderators can look up, ban and unban players and review workouts flagged
+ * by the anti-cheat checks. Everything else requires an admin. Staff can
+ * only act on users with a lower role than their own.
+ */
+
+const express = require('express');
+const router = express.Router();
+const authMiddleware = require('../middleware/auth.middleware');
+const { validateBody } = require('../middleware/validate.middleware');
+const { xpAdjustSchema, banSchema, roleSchema, flagReviewSchema } = require('../schemas/admin.schema');
+const userService = require('../services/user/user.service');
+const sessionService = require('../services/user/session.service');
+const rewardService = require('../services/shared/reward.service');
+const antiCheatService = require('../services/gameplay/antiCheat.service');
+const scheduler = require('../services/shared/scheduler.service');
+const { mlDataCollector } = require('../services/shared/ml-data-collector.service');
+const authUtils = require('../utils/auth.utils');
+const { decodeCursor } = require('../utils/cursor.utils');
+const logger = require('../utils/logger');
+const { getBalance } = require('../../shared/game/balance');
+
+const { ROLES } = authUtils;
+
+/**
+ * Load the target user of a /users/:uid route
+ * Sends 404 (unknown user) or 403 (target's role is not below the caller's)
+ * and returns null when the caller may not act on them
+ */
+async function loadTargetUser(req, res) {
+  const target = await userService.findUserByUid(req.params.uid);
+
+  if (!target) {
+    res.status(404).json({ error: 'User not found' });
+    return null;
+  }
+
+  if (authUtils.hasRole(target, authUtils.getUserRole(req.user))) {
+    res.status(403).json({ error: 'Cannot act on a user with the same or a higher role' });
+    return null;
+  }
+
+  return target;
+}
+
+// ============================================================================
+// USERS
+// ============================================================================
+
+/**
+ * GET /api/admin/users - List and search users
+ * Query: q (email, or handle prefix), role, banned (true/false), limit, cursor
+ */
+router.get('/users', authMiddleware.authenticateToken, authMiddleware.requireRole(ROLES.MODERATOR), async (req, res) => {
+  try {
+    const { q, role, banned, limit, cursor } = req.query;
+
+    if (role && !Object.values(ROLES).includes(role)) {
+      return res.status(400).json({ error: `Invalid role: ${role}` });
+    }
+
+    const result = await userService.searchUsers({
+      query: q,
+      role,
+      banned: banned === undefined ? undefined : banned === 'true',
+      limit,
+      cursor,
+    });
+
+    res.json(result);
+  } catch (error) {
+    logger.error('Error searching users', { error: error.message, uid: req.user.uid });
+    res.status(500).json({ error: 'Failed to search users' });
+  }
+});
+
+/**
+ * GET /api/admin/users/:uid - Get one user
+ */
+router.get('/users/:uid', authMiddleware.authenticateToken, authMiddleware.requireRole(ROLES.MODERATOR), async (req, res) => {
+  try {
+    const user = await userService.getUserForAdmin(req.params.uid);
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json({ user });
+  } catch (error) {
+    logger.error('Error getting user', { error: error.message, uid: req.user.uid, target: req.params.uid });
+    res.status(500).json({ error: 'Failed to get user' });
+  }
+});
+
+/**
+ * POST /api/admin/users/:uid/xp - Add or remove XP
+ * Body: { amount, reason }
+ */
+router.post('/users/:uid/xp', authMiddleware.authenticateToken, authMiddleware.requireAdmin, validateBody(xpAdjustSchema), async (req, res) => {
+  try {
+    const target = await loadTargetUser(req, res);
+    if (!target) return;
+
+    const result = await rewardService.adjustXp(target.uid, {
+      amount: req.body.amount,
+      reason: req.body.reason,
+      adminId: req.user.uid,
+    });
+
+    logger.info('Admin adjusted XP', {
+      uid: req.user.uid,
+      target: target.uid,
+      xp: result.entry.xp,
+      action: 'ADMIN_XP_ADJUST',
+    });
+
+    res.json(result);
+  } catch (error) {
+    logger.error('Error adjusting XP', { error: error.message, uid: req.user.uid, target: req.params.uid });
+    res.status(400).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/admin/users/:uid/ban - Ban a user and sign them out everywhere
+ * Body: { reason }
+ */
+router.post('/users/:uid/ban', authMiddleware.authenticateToken, authMiddleware.requireRole(ROLES.MODERATOR), validateBody(banSchema), async (req, res) => {
+  try {
+    const target = await loadTargetUser(req, res);
+    if (!target) return;
+
+    await userService.setUserBan(target.uid, { banned: true, reason: req.body.reason, by: req.user.uid });
+    const sessionsRevoked = await sessionService.revokeAllUserSessions(
+      target.uid,
+      sessionService.REVOKE_REASONS.BANNED
+    );
+
+    logger.info('Moderator banned user', {
+      uid: req.user.uid,
+      target: target.uid,
+      reason: req.body.reason,
+      action: 'ADMIN_BAN',
+    });
+
+    res.json({ user: await userService.getUserForAdmin(target.uid), sessionsRevoked });
+  } catch (error) {
+    logger.error('Error banning user', { error: error.message, uid: req.user.uid, target: req.params.uid });
+    res.status(400).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/admin/users/:uid/unban - Lift a ban
+ */
+router.post('/users/:uid/unban', authMiddleware.authenticateToken, authMiddleware.requireRole(ROLES.MODERATOR), async (req, res) => {
+  try {
+    const target = await loadTargetUser(req, res);
+    if (!target) return;
+
+    await userService.setUserBan(target.uid, { banned: false, by: req.user.uid });
+
+    logger.info('Moderator unbanned user', {
+      uid: req.user.uid,
+      target: target.uid,
+      action: 'ADMIN_UNBAN',
+    });
+
+    res.json({ user: await userService.getUserForAdmin(target.uid) });
+  } catch (error) {
+    logger.error('Error unbanning user', { error: error.message, uid: req.user.uid, target: req.params.uid });
+    res.status(400).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /api/admin/users/:uid/role - Change a user's role
+ * Body: { role }
+ */
+router.put('/users/:uid/role', authMiddleware.authenticateToken, authMiddleware.requireAdmin, validateBody(roleSchema), async (req, res) => {
+  try {
+    const target = await loadTargetUser(req, res);
+    if (!target) return;
+
+    await userService.setUserRole(target.uid, req.body.role);
+
+    logger.info('Admin changed user role', {
+      uid: req.user.uid,
+      target: target.uid,
+      role: req.body.role,
+      action: 'ADMIN_SET_ROLE',
+    });
+
+    res.json({ user: await userService.getUserForAdmin(target.uid) });
+  } catch (error) {
+    logger.error('Error changing user role', { error: error.message, uid: req.user.uid, target: req.params.uid });
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// ============================================================================
+// WORKOUT FLAGS
+// ============================================================================
+
+/**
+ * GET /api/admin/workout-flags - List workouts flagged by the anti-cheat checks
+ * Query: status (pending/approved/rejected), userId, limit, cursor
+ */
+router.get('/workout-flags', authMiddleware.authenticateToken, authMiddleware.requireRole(ROLES.MODERATOR), async (req, res) => {
+  try {
+    const { status, userId, limit, cursor } = req.query;
+
+    if (status && !Object.values(antiCheatService.FLAG_STATUS).includes(status)) {
+      return res.status(400).json({ error: `Invalid status: ${status}` });
+    }
+    if (cursor && !decodeCursor(cursor)) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
+
+    const result = await antiCheatService.listFlags({ status, userId, limit, cursor });
+    res.json(result);
+  } catch (error) {
+    logger.error('Error listing workout flags', { error: error.message, uid: req.user.uid });
+    res.status(500).json({ error: 'Failed to list workout flags' });
+  }
+});
+
+/**
+ * POST /api/admin/workout-flags/:flagId/review - Approve or reject a flagged workout
+ * Body: { decision: 'approve' | 'reject', note }
+ * Approving pays out the XP the flag withheld
+ */
+router.post('/workout-flags/:flagId/review', authMiddleware.authenticateToken, authMiddleware.requireRole(ROLES.MODERATOR), validateBody(flagReviewSchema), async (req, res) => {
+  try {
+    const result = await antiCheatService.reviewFlag(req.params.flagId, {
+      approve: req.body.decision === 'approve',
+      reviewerId: req.user.uid,
+      note: req.body.note,
+    });
+
+    logger.info('Moderator reviewed workout flag', {
+      uid: req.user.uid,
+      flagId: req.params.flagId,
+      decision: req.body.decision,
+      action: 'ADMIN_REVIEW_WORKOUT_FLAG',
+    });
+
+    res.json(result);
+  } catch (error) {
+    if (error.message === 'Flag not found') {
+      return res.status(404).json({ error: error.message });
+    }
+    if (error.message === 'Flag already reviewed') {
+      return res.status(409).json({ error: error.message });
+    }
+    if (error.message === 'Cannot review your own workout') {
+      return res.status(403).json({ error: error.message });
+    }
+    logger.error('Error reviewing workout flag', { error: error.message, uid: req.user.uid, flagId: req.params.flagId });
+    res.status(500).json({ error: 'Failed to review workout flag' });
+  }
+});
+
+// ============================================================================
+// GAME & ML
+// ============================================================================
+
+/**
+ * GET /api/admin/balance - Get the active game balance version
+ */
+router.get('/balance', authMiddleware.authenticateToken, authMiddleware.requireAdmin, (req, res) => {
+  const balance = getBalance();
+
+  res.json({
+    version: balance.version,
+    exercises: Object.keys(balance.exercises),
+  });
+});
+
+/**
+ * GET /api/admin/ml/data-collector - ML data collector status and analytics
+ */
+router.get('/ml/data-collector', authMiddleware.authenticateToken, authMiddleware.requireAdmin, (req, res) => {
+  res.json({
+    status: mlDataCollector.getStatus(),
+    workoutAnalytics: mlDataCollector.getWorkoutAnalytics(),
+    interactionAnalytics: mlDataCollector.getMLInteractionAnalytics(),
+    predictionAnalytics: mlDataCollector.getPredictionAnalytics(),
+    antiCheatAnalytics: mlDataCollector.getAntiCheatAnalytics(),
+  });
+});
+
+// ============================================================================
+// JOBS
+// ============================================================================
+
+/**
+ * GET /api/admin/jobs - List background jobs with their last run and next run
+ */
+router.get('/jobs', authMiddleware.authenticateToken, authMiddleware.requireAdmin, async (req, res) => {
+  try {
+    const jobs = await scheduler.listJobs();
+    res.json({ jobs });
+  } catch (error) {
+    logger.error('Error listing jobs', { error: error.message, uid: req.user.uid });
+    res.status(500).json({ error: 'Failed to list jobs' });
+  }
+});
+
+/**
+ * POST /api/admin/jobs/:name/run - Run a job now
+ * Does not move the job's next scheduled run
+ */
+router.post('/jobs/:name/run', authMiddleware.authenticateToken, authMiddleware.requireAdmin, async (req, res) => {
+  try {
+    if (!scheduler.hasJob(req.params.name)) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    const run = await scheduler.runJob(req.params.name, {
+      trigger: scheduler.TRIGGERS.MANUAL,
+      triggeredBy: req.user.uid,
+    });
+
+    logger.info('Admin ran job', {
+      uid: req.user.uid,
+      job: req.params.name,
+      status: run.status,
+      action: 'ADMIN_RUN_JOB',
+    });
+
+    res.json({ run });
+  } catch (error) {
+    if (error.message === 'Job is already running') {
+      return res.status(409).json({ error: error.message });
+    }
+    logger.error('Error running job', { error: error.message, uid: req.user.uid, job: req.params.name });
+    res.status(500).json({ error: 'Failed to run job' });
+  }
+});
+
+module.exports = router;
@@ -3,8 +3,54 @@ const router = express.Router();
 const admin = require('firebase-admin');
 const authUtils = require('../utils/auth.utils');
 const userService = require('../services/user/user.service');
+const sessionService = require('../services/user/session.service');
+const accountTokenService = require('../services/user/accountToken.service');
+const mailService = require('../services/shared/mail.service');
+const storage = require('../services/storage/storage.service');
+const authMiddleware = require('../middleware/auth.middleware');
+const { validateBody } = require('../middleware/validate.middleware');
+const { loginLockout, sendTooManyRequests } = require('../middleware/rateLimit.middleware');
+const { forgotPasswordSchema, resetPasswordSchema, verifyEmailSchema } = require('../schemas/auth.schema');
 const logger = require('../utils/logger');
 
+/**
+ * Start a login session and issue its access and refresh tokens
+ */
+async function issueTokens(user, req) {
+  const { sessionId, refreshToken } = await sessionService.createSession(user, {
+    userAgent: req.get('user-agent'),
+    ip: req.ip,
+  });
+  
+  const accessToken = authUtils.generateAccessToken({
+    uid: user.uid,
+    email: user.email,
+    sid: sessionId,
+  });
+  
+  return { accessToken, refreshToken };
+}
+
+/**
+ * Email a new user a link to confirm their address
+ * Failures are logged rather than failing the registration
+ */
+async function sendVerification(user) {
+  try {
+    const token = await accountTokenService.createAccountToken(
+      user.uid,
+      accountTokenService.TOKEN_PURPOSES.EMAIL_VERIFICATION
+    );
+    await mailService.sendVerificationEmail(user, token);
+  } catch (error) {
+    logger.error('Failed to send verification email', {
+      error: error.message,
+      uid: user.uid,
+      action: 'VERIFY_EMAIL',
+    });
+  }
+}
+
 /**
  * POST /api/auth/register
  * Register a new user
@@ -39,17 +85,10 @@ router.post('/register', async (req, res) => {
     
     // Create user
     const user = await userService.createUser({ email, password, username });
+    await sendVerification(user);
     
     // Generate tokens
-    const accessToken = authUtils.generateAccessToken({
-      uid: user.uid,
-      email: user.email,
-    });
-    
-    const refreshToken = authUtils.generateRefreshToken({
-      uid: user.uid,
-      email: user.email,
-    });
+    const { accessToken, refreshToken } = await issueTokens(user, req);
     
     logger.info('User registered successfully', {
       uid: user.uid,
@@ -90,19 +129,36 @@ router.post('/login', async (req, res) => {
       });
     }
     
+    // Refuse while this email, or this IP, is locked out
+    const lock = await loginLockout.getLock(email, req.ip);
+    if (lock) {
+      return sendTooManyRequests(res, lock.resetAt, 'Too many failed login attempts, try again later');
+    }
+    
     // Verify credentials
-    const user = await userService.verifyCredentials(email, password);
+    let user;
+    try {
+      user = await userService.verifyCredentials(email, password);
+    } catch (error) {
+      if (error.message === 'Invalid email or password') {
+        const newLock = await loginLockout.recordFailure(email, req.ip);
+        if (newLock) {
+          logger.warn('Login failed', { error: error.message, email, action: 'LOGIN' });
+          return sendTooManyRequests(res, newLock.resetAt, 'Too many failed login attempts, try again later');
+        }
+      }
+      throw error;
+    }
     
-    // Generate tokens
-    const accessToken = authUtils.generateAccessToken({
-      uid: user.uid,
-      email: user.email,
-    });
+    await loginLockout.recordSuccess(email);
     
-    const refreshToken = authUtils.generateRefreshToken({
-      uid: user.uid,
-      email: user.email,
-    });
+    if (user.banned) {
+      logger.warn('Banned user login refused', { uid: user.uid, action: 'LOGIN' });
+      return res.status(403).json({ error: 'Account suspended' });
+    }
+    
+    // Generate tokens
+    const { accessToken, refreshToken } = await issueTokens(user, req);
     
     logger.info('User logged in successfully', {
       uid: user.uid,
@@ -150,6 +206,13 @@ router.post('/oauth', async (req, res) => {
       });
     }
     
+    // Firebase ID tokens can only be verified with Firebase credentials
+    if (storage.name !== 'firestore') {
+      return res.status(503).json({
+        error: 'OAuth sign-in is not available with local storage',
+      });
+    }
+    
     // Verify Firebase ID token
     let decodedToken;
     try {
@@ -196,16 +259,13 @@ router.post('/oauth', async (req, res) => {
       });
     }
     
-    // Generate tokens
-    const accessToken = authUtils.generateAccessToken({
-      uid: user.uid,
-      email: user.email,
-    });
+    if (user.banned) {
+      logger.warn('Banned user login refused', { uid: user.uid, action: 'OAUTH_LOGIN' });
+      return res.status(403).json({ error: 'Account suspended' });
+    }
     
-    const refreshToken = authUtils.generateRefreshToken({
-      uid: user.uid,
-      email: user.email,
-    });
+    // Generate tokens
+    const { accessToken, refreshToken } = await issueTokens(user, req);
     
     logger.info('OAuth login successful', {
       uid: user.uid,
@@ -233,7 +293,8 @@ router.post('/oauth', async (req, res) => {
 
 /**
  * POST /api/auth/refresh
- * Refresh access token using refresh token
+ * Exchange a refresh token for new access and refresh tokens
+ * Refresh tokens are single-use; reusing one revokes its session
  */
 router.post('/refresh', async (req, res) => {
   try {
@@ -243,34 +304,49 @@ router.post('/refresh', async (req, res) => {
       return res.status(400).json({ error: 'Refresh token required' });
     }
     
-    // Verify refresh token
-    const decoded = authUtils.verifyRefreshToken(refreshToken);
-    
-    if (!decoded) {
-      return res.status(403).json({ error: 'Invalid or expired refresh token' });
+    // Rotate the session's refresh token
+    let session;
+    try {
+      session = await sessionService.rotateSession(refreshToken, {
+        userAgent: req.get('user-agent'),
+        ip: req.ip,
+      });
+    } catch (error) {
+      return res.status(403).json({ error: error.message });
     }
     
     // Get user
-    const user = await userService.findUserByUid(decoded.uid);
+    const user = await userService.findUserByUid(session.userId);
     
     if (!user) {
       return res.status(403).json({ error: 'User not found' });
     }
-    
+
+    // A ban normally revokes every session, but never mint tokens for a
+    // banned user whose session slipped through
+    if (user.banned) {
+      await sessionService.revokeSession(session.sessionId, sessionService.REVOKE_REASONS.BANNED);
+      logger.warn('Banned user refresh refused', { uid: user.uid, action: 'TOKEN_REFRESH' });
+      return res.status(403).json({ error: 'Account suspended' });
+    }
+
     // Generate new access token
     const accessToken = authUtils.generateAccessToken({
       uid: user.uid,
       email: user.email,
+      sid: session.sessionId,
     });
     
     logger.info('Token refreshed', {
       uid: user.uid,
+      sessionId: session.sessionId,
       action: 'TOKEN_REFRESH',
     });
     
     res.json({
       message: 'Token refreshed',
       accessToken,
+      refreshToken: session.refreshToken,
     });
   } catch (error) {
     logger.error('Token refresh failed', {
@@ -284,15 +360,156 @@ router.post('/refresh', async (req, res) => {
 
 /**
  * POST /api/auth/logout
- * Logout (client should delete tokens)
+ * Logout, revoking the session of the given refresh token (or of the access token)
  */
-router.post('/logout', (req, res) => {
-  // In a JWT-based system, logout is primarily handled client-side
-  // by removing tokens from storage
-  logger.info('User logged out', { action: 'LOGOUT' });
-  
-  res.json({ message: 'Logged out successfully' });
+router.post('/logout', authMiddleware.optionalAuth, async (req, res) => {
+  try {
+    const { refreshToken } = req.body || {};
+    
+    if (refreshToken) {
+      await sessionService.revokeSessionByToken(refreshToken);
+    } else if (req.sessionId) {
+      await sessionService.revokeSession(req.sessionId, sessionService.REVOKE_REASONS.LOGOUT);
+    }
+    
+    logger.info('User logged out', { uid: req.user?.uid, action: 'LOGOUT' });
+    
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    logger.error('Logout failed', {
+      error: error.message,
+      action: 'LOGOUT',
+    });
+    
+    res.status(500).json({ error: 'Logout failed' });
+  }
 });
 
-module.exports = router;
+/**
+ * POST /api/auth/forgot-password
+ * Email a password reset link
+ * Always answers the same way so the response does not reveal which emails have accounts
+ */
+router.post('/forgot-password', validateBody(forgotPasswordSchema), async (req, res) => {
+  try {
+    const user = await userService.findUserByEmail(req.body.email);
+    
+    // OAuth-only accounts have no password to reset
+    if (user && user.password) {
+      const token = await accountTokenService.createAccountToken(
+        user.uid,
+        accountTokenService.TOKEN_PURPOSES.PASSWORD_RESET
+      );
+      await mailService.sendPasswordResetEmail(user, token);
+      
+      logger.info('Password reset requested', { uid: user.uid, action: 'FORGOT_PASSWORD' });
+    }
+    
+    res.json({ message: 'If that email has an account, a reset link is on its way' });
+  } catch (error) {
+    logger.error('Password reset request failed', {
+      error: error.message,
+      action: 'FORGOT_PASSWORD',
+    });
+    
+    res.status(500).json({ error: 'Failed to send reset email' });
+  }
+});
+
+/**
+ * POST /api/auth/reset-password
+ * Set a new password with a reset token; signs the user out everywhere
+ */
+router.post('/reset-password', validateBody(resetPasswordSchema), async (req, res) => {
+  try {
+    const { token, password } = req.body;
+    
+    let userId;
+    try {
+      userId = await accountTokenService.consumeAccountToken(
+        token,
+        accountTokenService.TOKEN_PURPOSES.PASSWORD_RESET
+      );
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    
+    await userService.updatePassword(userId, password);
+    await sessionService.revokeAllUserSessions(userId, sessionService.REVOKE_REASONS.PASSWORD_RESET);
+    
+    logger.info('Password reset', { uid: userId, action: 'RESET_PASSWORD' });
+    
+    res.json({ message: 'Password updated. Please log in again.' });
+  } catch (error) {
+    logger.error('Password reset failed', {
+      error: error.message,
+      action: 'RESET_PASSWORD',
+    });
+    
+    res.status(500).json({ error: 'Failed to reset password' });
+  }
+});
+
+/**
+ * POST /api/auth/verify-email
+ * Confirm an email address with a verification token
+ */
+router.post('/verify-email', validateBody(verifyEmailSchema), async (req, res) => {
+  try {
+    let userId;
+    try {
+      userId = await accountTokenService.consumeAccountToken(
+        req.body.token,
+        accountTokenService.TOKEN_PURPOSES.EMAIL_VERIFICATION
+      );
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    
+    await userService.markEmailVerified(userId);
+    
+    logger.info('Email verified', { uid: userId, action: 'VERIFY_EMAIL' });
+    
+    res.json({ message: 'Email verified' });
+  } catch (error) {
+    logger.error('Email verification failed', {
+      error: error.message,
+      action: 'VERIFY_EMAIL',
+    });
+    
+    res.status(500).json({ error: 'Failed to verify email' });
+  }
+});
 
+/**
+ * GET /api/auth/sessions
+ * List the user's active logins, flagging the one making the request
+ */
+router.get('/sessions', authMiddleware.authenticateToken, async (req, res) => {
+  try {
+    const sessions = await sessionService.getUserSessions(req.user.uid, req.sessionId);
+    res.json({ sessions });
+  } catch (error) {
+    logger.error('Error fetching sessions', { error: error.message, uid: req.user.uid });
+    res.status(500).json({ error: 'Failed to fetch sessions' });
+  }
+});
+
+/**
+ * DELETE /api/auth/sessions/:id
+ * Log out one of the user's devices
+ */
+router.delete('/sessions/:id', authMiddleware.authenticateToken, async (req, res) => {
+  try {
+    await sessionService.revokeUserSession(req.user.uid, req.params.id);
+    res.json({ message: 'Session revoked' });
+  } catch (error) {
+    if (error.message === 'Session not found') {
+      return res.status(404).json({ error: error.message });
+    }
+    logger.error('Error revoking session', { error: error.message, uid: req.user.uid });
+    res.status(500).json({ error: 'Failed to revoke session' });
+  }
+});
+
+module.exports = router;
@@ -6,6 +6,7 @@ const express = require('express');
 const router = express.Router();
 
 const itemService = require('../services/shared/item.service');
+const authMiddleware = require('../middleware/auth.middleware');
 const { RARITY, SLOT, SLOT_DISPLAY_NAMES } = require('../../shared/game/itemSystem');
 
 // ============================================
@@ -16,9 +17,9 @@ const { RARITY, SLOT, SLOT_DISPLAY_NAMES } = require('../../shared/game/itemSyst
  * GET /api/avatar/inventory
  * Get user's full inventory
  */
-router.get('/inventory', (req, res) => {
+router.get('/inventory', authMiddleware.authenticateToken, async (req, res) => {
   try {
-    const userId = req.user?.id || 'default_user';
+    const userId = req.user.uid;
     const filters = {
       slot: req.query.slot,
       rarity: req.query.rarity,
@@ -27,7 +28,7 @@ router.get('/inventory', (req, res) => {
       sortBy: req.query.sortBy
     };
     
-    const inventory = itemService.getFilteredInventory(userId, filters);
+    const inventory = await itemService.getFilteredInventory(userId, filters);
     res.json({
       success: true,
       inventory,
@@ -42,10 +43,10 @@ router.get('/inventory', (req, res) => {
  * GET /api/avatar/inventory/stats
  * Get inventory statistics
  */
-router.get('/inventory/stats', (req, res) => {
+router.get('/inventory/stats', authMiddleware.authenticateToken, async (req, res) => {
   try {
-    const userId = req.user?.id || 'default_user';
-    const stats = itemService.getInventoryStats(userId);
+    const userId = req.user.uid;
+    const stats = await itemService.getInventoryStats(userId);
     res.json({ success: true, stats });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
@@ -56,16 +57,16 @@ router.get('/inventory/stats', (req, res) => {
  * GET /api/avatar/inventory/slot/:slot
  * Get available items for a specific slot
  */
-router.get('/inventory/slot/:slot', (req, res) => {
+router.get('/inventory/slot/:slot', authMiddleware.authenticateToken, async (req, res) => {
   try {
-    const userId = req.user?.id || 'default_user';
+    const userId = req.user.uid;
     const { slot } = req.params;
     
     if (!Object.values(SLOT).includes(slot)) {
       return res.status(400).json({ success: false, error: 'Invalid slot' });
     }
     
-    const items = itemService.getItemsForSlot(userId, slot);
+    const items = await itemService.getItemsForSlot(userId, slot);
     res.json({
       success: true,
       slot,
@@ -86,10 +87,10 @@ router.get('/inventory/slot/:slot', (req, res) => {
  * GET /api/avatar/equipment
  * Get user's current equipment loadout
  */
-router.get('/equipment', (req, res) => {
+router.get('/equipment', authMiddleware.authenticateToken, async (req, res) => {
   try {
-    const userId = req.user?.id || 'default_user';
-    const equipment = itemService.getUserEquipment(userId);
+    const userId = req.user.uid;
+    const equipment = await itemService.getUserEquipment(userId);
     const { stats, xpBonus } = require('../../shared/game/itemSystem').calculateEquipmentStats(equipment);
     
     res.json({
@@ -107,16 +108,16 @@ router.get('/equipment', (req, res) => {
  * POST /api/avatar/equip
  * Equip an item
  */
-router.post('/equip', (req, res) => {
+router.post('/equip', authMiddleware.authenticateToken, async (req, res) => {
   try {
-    const userId = req.user?.id || 'default_user';
+    const userId = req.user.uid;
     const { itemId } = req.body;
     
     if (!itemId) {
       return res.status(400).json({ success: false, error: 'Item ID required' });
     }
     
-    const result = itemService.equipItem(userId, itemId);
+    const result = await itemService.equipItem(userId, itemId);
     res.json({
       success: true,
       message: `Equipped ${result.equipped.name}`,
@@ -131,16 +132,16 @@ router.post('/equip', (req, res) => {
  * POST /api/avatar/unequip
  * Unequip an item from a slot
  */
-router.post('/unequip', (req, res) => {
+router.post('/unequip', authMiddleware.authenticateToken, async (req, res) => {
   try {
-    const userId = req.user?.id || 'default_user';
+    const userId = req.user.uid;
     const { slot } = req.body;
     
     if (!slot || !Object.values(SLOT).includes(slot)) {
       return res.status(400).json({ success: false, error: 'Valid slot required' });
     }
     
-    const result = itemService.unequipItem(userId, slot);
+    const result = await itemService.unequipItem(userId, slot);
     res.json({
       success: true,
       message: `Unequipped ${result.unequipped.name}`,
@@ -155,10 +156,10 @@ router.post('/unequip', (req, res) => {
  * GET /api/avatar/state
  * Get full avatar customization state
  */
-router.get('/state', (req, res) => {
+router.get('/state', authMiddleware.authenticateToken, async (req, res) => {
   try {
-    const userId = req.user?.id || 'default_user';
-    const state = itemService.getAvatarState(userId);
+    const userId = req.user.uid;
+    const state = await itemService.getAvatarState(userId);
     res.json({ success: true, ...state });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
@@ -173,16 +174,16 @@ router.get('/state', (req, res) => {
  * POST /api/avatar/salvage
  * Salvage an item for resources
  */
-router.post('/salvage', (req, res) => {
+router.post('/salvage', authMiddleware.authenticateToken, async (req, res) => {
   try {
-    const userId = req.user?.id || 'default_user';
+    const userId = req.user.uid;
     const { itemId } = req.body;
     
     if (!itemId) {
       return res.status(400).json({ success: false, error: 'Item ID required' });
     }
     
-    const result = itemService.salvageItem(userId, itemId);
+    const result = await itemService.salvageItem(userId, itemId);
     res.json({ success: true, ...result });
   } catch (error) {
     res.status(400).json({ success: false, error: error.message });
@@ -193,12 +194,12 @@ router.post('/salvage', (req, res) => {
  * GET /api/avatar/item/:itemId
  * Get details of a specific item
  */
-router.get('/item/:itemId', (req, res) => {
+router.get('/item/:itemId', authMiddleware.authenticateToken, async (req, res) => {
   try {
-    const userId = req.user?.id || 'default_user';
+    const userId = req.user.uid;
     const { itemId } = req.params;
     
-    const item = itemService.getItemFromInventory(userId, itemId);
+    const item = await itemService.getItemFromInventory(userId, itemId);
     if (!item) {
       return res.status(404).json({ success: false, error: 'Item not found' });
     }
@@ -209,74 +210,6 @@ router.get('/item/:itemId', (req, res) => {
   }
 });
 
-// ============================================
-// REWARD ENDPOINTS (for testing/admin)
-// ============================================
-
-/**
- * POST /api/avatar/rewards/quest
- * Award quest completion items
- */
-router.post('/rewards/quest', (req, res) => {
-  try {
-    const userId = req.user?.id || 'default_user';
-    const { difficulty = 'normal' } = req.body;
-    
-    const result = itemService.awardQuestItems(userId, difficulty);
-    res.json({ success: true, ...result });
-  } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
-  }
-});
-
-/**
- * POST /api/avatar/rewards/raid
- * Award raid participation items
- */
-router.post('/rewards/raid', (req, res) => {
-  try {
-    const userId = req.user?.id || 'default_user';
-    const { participationLevel = 'normal', bossDefeated = true } = req.body;
-    
-    const result = itemService.awardRaidItems(userId, participationLevel, bossDefeated);
-    res.json({ success: true, ...result });
-  } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
-  }
-});
-
-/**
- * POST /api/avatar/rewards/event
- * Award event items
- */
-router.post('/rewards/event', (req, res) => {
-  try {
-    const userId = req.user?.id || 'default_user';
-    const { eventType = 'normal' } = req.body;
-    
-    const result = itemService.awardEventItems(userId, eventType);
-    res.json({ success: true, ...result });
-  } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
-  }
-});
-
-/**
- * POST /api/avatar/rewards/generate
- * Generate a custom item (admin/testing)
- */
-router.post('/rewards/generate', (req, res) => {
-  try {
-    const userId = req.user?.id || 'default_user';
-    const options = req.body;
-    
-    const result = itemService.awardGeneratedItem(userId, options);
-    res.json({ success: true, ...result });
-  } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
-  }
-});
-
 // ============================================
 // METADATA ENDPOINTS
 // ============================================
@@ -285,7 +218,7 @@ router.post('/rewards/generate', (req, res) => {
  * GET /api/avatar/slots
  * Get all available equipment slots
  */
-router.get('/slots', (req, res) => {
+router.get('/slots', authMiddleware.authenticateToken, (req, res) => {
   const slots = Object.entries(SLOT).map(([key, value]) => ({
     id: value,
     name: SLOT_DISPLAY_NAMES[value],
@@ -299,7 +232,7 @@ router.get('/slots', (req, res) => {
  * GET /api/avatar/rarities
  * Get all rarity tiers
  */
-router.get('/rarities', (req, res) => {
+router.get('/rarities', authMiddleware.authenticateToken, (req, res) => {
   const { RARITY_COLORS, RARITY_STAT_MULTIPLIERS } = require('../../shared/game/itemSystem');
   
   const rarities = Object.entries(RARITY).map(([key, value]) => ({
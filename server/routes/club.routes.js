@@ -8,6 +8,8 @@ const clubService = require('../services/social/club.service');
 const gymLocationService = require('../services/location/gymLocation.service');
 const googlePlacesService = require('../services/location/googlePlaces.service');
 const authMiddleware = require('../middleware/auth.middleware');
+const { validateBody } = require('../middleware/validate.middleware');
+const { clubCreateSchema, clubUpdateSchema } = require('../schemas/club.schema');
 const logger = require('../utils/logger');
 
 // ============================================================================
@@ -277,22 +279,9 @@ router.get('/:clubId/territories', async (req, res) => {
 /**
  * POST /api/clubs - Create a new club (requires auth)
  */
-router.post('/', authMiddleware.authenticateToken, async (req, res) => {
+router.post('/', authMiddleware.authenticateToken, validateBody(clubCreateSchema), async (req, res) => {
   try {
-    const { name, tag, description, color, emblem, minLevelToJoin } = req.body;
-    
-    if (!name || name.length < 3) {
-      return res.status(400).json({ error: 'Club name must be at least 3 characters' });
-    }
-    
-    const club = await clubService.createClub(req.user.uid, {
-      name,
-      tag,
-      description,
-      color,
-      emblem,
-      minLevelToJoin,
-    });
+    const club = await clubService.createClub(req.user.uid, req.body);
     
     logger.info('Club created via API', { clubId: club.id, userId: req.user.uid });
     res.status(201).json(club);
@@ -318,7 +307,7 @@ router.post('/:clubId/join', authMiddleware.authenticateToken, async (req, res)
 /**
  * PUT /api/clubs/:clubId - Update club settings (requires auth + permission)
  */
-router.put('/:clubId', authMiddleware.authenticateToken, async (req, res) => {
+router.put('/:clubId', authMiddleware.authenticateToken, validateBody(clubUpdateSchema), async (req, res) => {
   try {
     const club = await clubService.updateClub(req.user.uid, req.params.clubId, req.body);
     res.json(club);
@@ -7,6 +7,9 @@ const router = express.Router();
 const duelService = require('../services/gameplay/duel.service');
 const activityService = require('../services/shared/activity.service');
 const authMiddleware = require('../middleware/auth.middleware');
+const { validateBody } = require('../middleware/validate.middleware');
+const { limiters } = require('../middleware/rateLimit.middleware');
+const { duelCreateSchema } = require('../schemas/duel.schema');
 const logger = require('../utils/logger');
 
 /**
@@ -87,16 +90,11 @@ router.get('/stats', authMiddleware.authenticateToken, async (req, res) => {
 /**
  * POST /api/duels - Create a new duel
  */
-router.post('/', authMiddleware.authenticateToken, async (req, res) => {
+router.post('/', authMiddleware.authenticateToken, limiters.duelCreate, validateBody(duelCreateSchema), async (req, res) => {
   try {
-    const opponent = req.body.opponent || req.body.opponentUsername;
-    const challenge = req.body.challenge || req.body.challengeType;
+    const { opponent, challenge } = req.body;
     const user = req.user;
     
-    if (!opponent || !challenge) {
-      return res.status(400).json({ error: 'Opponent and challenge are required' });
-    }
-    
     const duel = await duelService.createDuel(user.uid, user.username, opponent, challenge);
     
     // Log activity
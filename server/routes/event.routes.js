@@ -6,12 +6,13 @@ const express = require('express');
 const router = express.Router();
 
 const eventService = require('../services/shared/event.service');
+const authMiddleware = require('../middleware/auth.middleware');
 
 /**
  * GET /api/events
  * Get all active events
  */
-router.get('/', (req, res) => {
+router.get('/', authMiddleware.authenticateToken, (req, res) => {
   try {
     const events = eventService.getActiveEvents();
     res.json({ success: true, events });
@@ -24,9 +25,9 @@ router.get('/', (req, res) => {
  * GET /api/events/:eventId
  * Get specific event details with user progress
  */
-router.get('/:eventId', (req, res) => {
+router.get('/:eventId', authMiddleware.authenticateToken, async (req, res) => {
   try {
-    const userId = req.user?.id || 'default_user';
+    const userId = req.user.uid;
     const { eventId } = req.params;
     
     const event = eventService.EVENTS[eventId];
@@ -35,7 +36,7 @@ router.get('/:eventId', (req, res) => {
     }
     
     const progress = eventService.getUserEventProgress(userId, eventId);
-    const { canClaim, reason } = eventService.canClaimEventReward(userId, eventId);
+    const { canClaim, reason } = await eventService.canClaimEventReward(userId, eventId);
     
     res.json({
       success: true,
@@ -53,12 +54,12 @@ router.get('/:eventId', (req, res) => {
  * POST /api/events/:eventId/claim
  * Claim event reward
  */
-router.post('/:eventId/claim', (req, res) => {
+router.post('/:eventId/claim', authMiddleware.authenticateToken, async (req, res) => {
   try {
-    const userId = req.user?.id || 'default_user';
+    const userId = req.user.uid;
     const { eventId } = req.params;
     
-    const result = eventService.claimEventReward(userId, eventId);
+    const result = await eventService.claimEventReward(userId, eventId);
     
     if (result.success) {
       res.json({
@@ -78,7 +79,7 @@ router.post('/:eventId/claim', (req, res) => {
  * GET /api/events/:eventId/leaderboard
  * Get event leaderboard (for raid events)
  */
-router.get('/:eventId/leaderboard', (req, res) => {
+router.get('/:eventId/leaderboard', authMiddleware.authenticateToken, (req, res) => {
   try {
     const { eventId } = req.params;
     const leaderboard = eventService.getEventLeaderboard(eventId);
@@ -92,17 +93,17 @@ router.get('/:eventId/leaderboard', (req, res) => {
  * GET /api/events/user/progress
  * Get user's progress for all active events
  */
-router.get('/user/progress', (req, res) => {
+router.get('/user/progress', authMiddleware.authenticateToken, async (req, res) => {
   try {
-    const userId = req.user?.id || 'default_user';
+    const userId = req.user.uid;
     const activeEvents = eventService.getActiveEvents();
     
-    const progressList = activeEvents.map(event => ({
+    const progressList = await Promise.all(activeEvents.map(async event => ({
       eventId: event.id,
       eventName: event.name,
       ...eventService.getUserEventProgress(userId, event.id),
-      ...eventService.canClaimEventReward(userId, event.id)
-    }));
+      ...await eventService.canClaimEventReward(userId, event.id)
+    })));
     
     res.json({ success: true, progress: progressList });
   } catch (error) {
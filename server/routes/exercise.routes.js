@@ -0,0 +1,155 @@
+/**
+ * Exercise Routes - API endpoints for the exercise catalog
+ * Anyone can browse the catalog; only admins can add, change or remove
+ * custom exercises.
+ */
+
+const express = require('express');
+const router = express.Router();
+const exerciseService = require('../services/gameplay/exercise.service');
+const authMiddleware = require('../middleware/auth.middleware');
+const { validateBody } = require('../middleware/validate.middleware');
+const { exerciseCreateSchema, exerciseUpdateSchema } = require('../schemas/exercise.schema');
+const logger = require('../utils/logger');
+
+/**
+ * Map catalog errors to HTTP responses
+ */
+function sendExerciseError(res, error, fallback) {
+  if (error.message === 'Exercise not found') {
+    return res.status(404).json({ error: error.message });
+  }
+  if (error.message === 'Built-in exercises cannot be changed') {
+    return res.status(403).json({ error: error.message });
+  }
+  if (error.message === 'Exercise already exists' || error.message.includes('is already used by')) {
+    return res.status(409).json({ error: error.message });
+  }
+  if (error.message === 'Exercise needs at least one stat weight') {
+    return res.status(400).json({ error: error.message });
+  }
+  return res.status(500).json({ error: fallback });
+}
+
+// ============================================================================
+// CATALOG
+// ============================================================================
+
+/**
+ * GET /api/exercises - List built-in and custom exercises
+ * Query: muscleGroup, metric
+ */
+router.get('/', authMiddleware.optionalAuth, async (req, res) => {
+  try {
+    const { muscleGroup, metric } = req.query;
+    const exercises = await exerciseService.listExercises({ muscleGroup, metric });
+    res.json({ exercises });
+  } catch (error) {
+    logger.error('Failed to list exercises', { error: error.message });
+    res.status(500).json({ error: 'Failed to list exercises' });
+  }
+});
+
+/**
+ * GET /api/exercises/resolve - Find the exercise a name refers to
+ * Query: name (e.g. "push ups")
+ */
+router.get('/resolve', authMiddleware.optionalAuth, async (req, res) => {
+  try {
+    const exercise = await exerciseService.resolveExercise(req.query.name);
+
+    if (!exercise) {
+      return res.status(404).json({ error: `Unknown exercise: ${req.query.name || ''}` });
+    }
+
+    res.json({ exercise });
+  } catch (error) {
+    logger.error('Failed to resolve exercise', { error: error.message, name: req.query.name });
+    res.status(500).json({ error: 'Failed to resolve exercise' });
+  }
+});
+
+/**
+ * GET /api/exercises/:id - Get one exercise
+ */
+router.get('/:id', authMiddleware.optionalAuth, async (req, res) => {
+  try {
+    const exercise = await exerciseService.getExercise(req.params.id);
+
+    if (!exercise) {
+      return res.status(404).json({ error: 'Exercise not found' });
+    }
+
+    res.json({ exercise });
+  } catch (error) {
+    logger.error('Failed to get exercise', { error: error.message, exerciseId: req.params.id });
+    res.status(500).json({ error: 'Failed to get exercise' });
+  }
+});
+
+// ============================================================================
+// ADMIN
+// ============================================================================
+
+/**
+ * POST /api/exercises - Add a custom exercise
+ * Body: { id, name, metric, muscleGroups, stats, aliases, xpMultiplier, damageMultiplier }
+ */
+router.post('/', authMiddleware.authenticateToken, authMiddleware.requireAdmin, validateBody(exerciseCreateSchema), async (req, res) => {
+  try {
+    const exercise = await exerciseService.createExercise(req.body, req.user.uid);
+
+    logger.info('Admin created exercise', {
+      uid: req.user.uid,
+      exerciseId: exercise.id,
+      action: 'ADMIN_CREATE_EXERCISE',
+    });
+
+    res.status(201).json({ exercise });
+  } catch (error) {
+    logger.error('Error creating exercise', { error: error.message, uid: req.user.uid });
+    sendExerciseError(res, error, 'Failed to create exercise');
+  }
+});
+
+/**
+ * PUT /api/exercises/:id - Change a custom exercise
+ */
+router.put('/:id', authMiddleware.authenticateToken, authMiddleware.requireAdmin, validateBody(exerciseUpdateSchema), async (req, res) => {
+  try {
+    const exercise = await exerciseService.updateExercise(req.params.id, req.body, req.user.uid);
+
+    logger.info('Admin updated exercise', {
+      uid: req.user.uid,
+      exerciseId: exercise.id,
+      action: 'ADMIN_UPDATE_EXERCISE',
+    });
+
+    res.json({ exercise });
+  } catch (error) {
+    logger.error('Error updating exercise', { error: error.message, uid: req.user.uid, exerciseId: req.params.id });
+    sendExerciseError(res, error, 'Failed to update exercise');
+  }
+});
+
+/**
+ * DELETE /api/exercises/:id - Remove a custom exercise
+ */
+router.delete('/:id', authMiddleware.authenticateToken, authMiddleware.requireAdmin, async (req, res) => {
+  try {
+    await exerciseService.deleteExercise(req.params.id, req.user.uid);
+
+    logger.info('Admin deleted exercise', {
+      uid: req.user.uid,
+      exerciseId: req.params.id,
+      action: 'ADMIN_DELETE_EXERCISE',
+    });
+
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('Error deleting exercise', { error: error.message, uid: req.user.uid, exerciseId: req.params.id });
+    sendExerciseError(res, error, 'Failed to delete exercise');
+  }
+});
+
+module.exports = router;
@@ -112,6 +112,34 @@ router.get('/reps', authMiddleware.optionalAuth, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/leaderboard/duration - Get lifetime seconds leaderboard (timed exercises)
+ */
+router.get('/duration', authMiddleware.optionalAuth, async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit) || 20;
+    const leaderboard = await leaderboardService.getDurationLeaderboard(limit);
+    res.json(leaderboard);
+  } catch (error) {
+    logger.error('Failed to fetch duration leaderboard', { error: error.message });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/leaderboard/distance - Get lifetime meters leaderboard
+ */
+router.get('/distance', authMiddleware.optionalAuth, async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit) || 20;
+    const leaderboard = await leaderboardService.getDistanceLeaderboard(limit);
+    res.json(leaderboard);
+  } catch (error) {
+    logger.error('Failed to fetch distance leaderboard', { error: error.message });
+    res.status(500).json({ error: error.message });
+  }
+});
+
 /**
  * GET /api/leaderboard/raids - Get raid completions leaderboard
  */
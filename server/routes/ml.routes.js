@@ -32,12 +32,26 @@ const { mlDataCollector } = require('../services/shared/ml-data-collector.servic
 
 // Import user service for production data access
 const userService = require('../services/user/user.service');
+const workoutService = require('../services/gameplay/workout.service');
+
+/**
+ * Load a user's recent workout history from the workouts store
+ * Falls back to an empty history so ML features keep working if the store is unavailable
+ */
+async function loadRecentWorkouts(uid) {
+  try {
+    return await workoutService.getRecentWorkouts(uid);
+  } catch (error) {
+    logger.warn('Could not load workout history for ML', { error: error.message, userId: uid });
+    return [];
+  }
+}
 
 /**
  * Helper to get user data from request
  * Returns default values for unauthenticated users
  */
-function getUserData(req) {
+async function getUserData(req) {
   if (req.user) {
     return {
       username: req.user.username,
@@ -52,7 +66,7 @@ function getUserData(req) {
       },
       workoutStreak: req.user.workoutStreak || 0,
       lastWorkout: req.user.lastWorkout || null,
-      recentWorkouts: req.user.recentWorkouts || []
+      recentWorkouts: await loadRecentWorkouts(req.user.uid)
     };
   }
   
@@ -80,7 +94,7 @@ function getUserData(req) {
  */
 router.get('/recommendations', authMiddleware.optionalAuth, async (req, res) => {
   try {
-    const userData = getUserData(req);
+    const userData = await getUserData(req);
     
     logger.info('ML recommendations requested', { 
       userId: userData.username,
@@ -109,7 +123,7 @@ router.get('/recommendations', authMiddleware.optionalAuth, async (req, res) =>
  */
 router.get('/predictions', authMiddleware.optionalAuth, async (req, res) => {
   try {
-    const userData = getUserData(req);
+    const userData = await getUserData(req);
     
     logger.info('ML predictions requested', { 
       userId: userData.username,
@@ -139,7 +153,7 @@ router.get('/predictions', authMiddleware.optionalAuth, async (req, res) => {
  */
 router.get('/motivation', authMiddleware.optionalAuth, async (req, res) => {
   try {
-    const userData = getUserData(req);
+    const userData = await getUserData(req);
     const context = req.query.context || 'daily';
     
     logger.info('ML motivation requested', { 
@@ -170,7 +184,7 @@ router.get('/motivation', authMiddleware.optionalAuth, async (req, res) => {
  */
 router.get('/quest-suggestions', authMiddleware.optionalAuth, async (req, res) => {
   try {
-    const userData = getUserData(req);
+    const userData = await getUserData(req);
     
     logger.info('ML quest suggestions requested', { 
       userId: userData.username,
@@ -213,7 +227,7 @@ router.get('/quest-suggestions', authMiddleware.optionalAuth, async (req, res) =
  */
 router.get('/patterns', authMiddleware.optionalAuth, async (req, res) => {
   try {
-    const userData = getUserData(req);
+    const userData = await getUserData(req);
     
     logger.info('ML pattern analysis requested', { 
       userId: userData.username,
@@ -242,7 +256,7 @@ router.get('/patterns', authMiddleware.optionalAuth, async (req, res) => {
  */
 router.get('/coaching-session', authMiddleware.optionalAuth, async (req, res) => {
   try {
-    const userData = getUserData(req);
+    const userData = await getUserData(req);
     
     logger.info('ML coaching session requested', { 
       userId: userData.username,
@@ -284,7 +298,7 @@ router.get('/coaching-session', authMiddleware.optionalAuth, async (req, res) =>
 router.post('/analyze-workout', authMiddleware.optionalAuth, async (req, res) => {
   try {
     const { exercise, reps, duration } = req.body;
-    const userData = getUserData(req);
+    const userData = await getUserData(req);
     
     if (!exercise || !reps) {
       return res.status(400).json({
@@ -425,7 +439,7 @@ router.get('/status', (req, res) => {
  */
 router.get('/agents/analyze', authMiddleware.optionalAuth, async (req, res) => {
   try {
-    const userData = getUserData(req);
+    const userData = await getUserData(req);
     const takeActions = req.query.takeActions === 'true';
     
     logger.info('Agent analysis requested', {
@@ -494,7 +508,7 @@ router.get('/agents/analyze', authMiddleware.optionalAuth, async (req, res) => {
  */
 router.get('/agents/strategy', authMiddleware.optionalAuth, async (req, res) => {
   try {
-    const userData = getUserData(req);
+    const userData = await getUserData(req);
     
     logger.info('Strategy agent requested', {
       userId: userData.username,
@@ -535,7 +549,7 @@ router.get('/agents/strategy', authMiddleware.optionalAuth, async (req, res) =>
  */
 router.get('/agents/motivation', authMiddleware.optionalAuth, async (req, res) => {
   try {
-    const userData = getUserData(req);
+    const userData = await getUserData(req);
     const context = req.query.context || 'dailyStart';
     
     logger.info('Motivation agent requested', {
@@ -576,7 +590,7 @@ router.get('/agents/motivation', authMiddleware.optionalAuth, async (req, res) =
  */
 router.get('/agents/progress', authMiddleware.optionalAuth, async (req, res) => {
   try {
-    const userData = getUserData(req);
+    const userData = await getUserData(req);
     
     logger.info('Progress agent requested', {
       userId: userData.username,
@@ -618,7 +632,7 @@ router.get('/agents/progress', authMiddleware.optionalAuth, async (req, res) =>
  */
 router.post('/agents/execute-actions', authMiddleware.authenticateToken, async (req, res) => {
   try {
-    const userData = getUserData(req);
+    const userData = await getUserData(req);
     const { actions } = req.body;
     
     if (!actions || !Array.isArray(actions)) {
@@ -671,9 +685,9 @@ router.post('/agents/execute-actions', authMiddleware.authenticateToken, async (
 
 /**
  * GET /api/ml/agents/status
- * Get status of all AI agents
+ * Get status of all AI agents (admin only)
  */
-router.get('/agents/status', (req, res) => {
+router.get('/agents/status', authMiddleware.authenticateToken, authMiddleware.requireAdmin, (req, res) => {
   const status = agentManager.getStatus();
   const executorStats = actionExecutor.getExecutionStats();
 
@@ -693,8 +707,9 @@ router.get('/agents/status', (req, res) => {
  * GET /api/ml/assessment/run
  * Run automated ML assessment against REAL production data from Firebase
  * This assessment is completely automated and uses live data
+ * Admin only
  */
-router.get('/assessment/run', authMiddleware.optionalAuth, async (req, res) => {
+router.get('/assessment/run', authMiddleware.authenticateToken, authMiddleware.requireAdmin, async (req, res) => {
   try {
     logger.info('ML assessment requested - fetching production data', {
       action: 'ML_ASSESSMENT_RUN'
@@ -800,9 +815,9 @@ router.get('/assessment/run', authMiddleware.optionalAuth, async (req, res) => {
 
 /**
  * GET /api/ml/assessment/history
- * Get history of ML assessments
+ * Get history of ML assessments (admin only)
  */
-router.get('/assessment/history', (req, res) => {
+router.get('/assessment/history', authMiddleware.authenticateToken, authMiddleware.requireAdmin, (req, res) => {
   const limit = parseInt(req.query.limit) || 10;
   const history = mlAssessmentService.getAssessmentHistory(limit);
   const trends = mlAssessmentService.getAssessmentTrends();
@@ -817,9 +832,9 @@ router.get('/assessment/history', (req, res) => {
 
 /**
  * GET /api/ml/assessment/benchmarks
- * Get current ML performance benchmarks
+ * Get current ML performance benchmarks (admin only)
  */
-router.get('/assessment/benchmarks', (req, res) => {
+router.get('/assessment/benchmarks', authMiddleware.authenticateToken, authMiddleware.requireAdmin, (req, res) => {
   res.json({
     success: true,
     benchmarks: mlAssessmentService.benchmarks,
@@ -839,9 +854,9 @@ router.get('/assessment/benchmarks', (req, res) => {
 
 /**
  * GET /api/ml/data/status
- * Get data collection status and statistics
+ * Get data collection status and statistics (admin only)
  */
-router.get('/data/status', (req, res) => {
+router.get('/data/status', authMiddleware.authenticateToken, authMiddleware.requireAdmin, (req, res) => {
   const status = mlDataCollector.getStatus();
   
   res.json({
@@ -852,18 +867,20 @@ router.get('/data/status', (req, res) => {
 
 /**
  * GET /api/ml/data/analytics
- * Get analytics from collected production data
+ * Get analytics from collected production data (admin only)
  */
-router.get('/data/analytics', (req, res) => {
+router.get('/data/analytics', authMiddleware.authenticateToken, authMiddleware.requireAdmin, (req, res) => {
   const workoutAnalytics = mlDataCollector.getWorkoutAnalytics();
   const interactionAnalytics = mlDataCollector.getMLInteractionAnalytics();
   const predictionAnalytics = mlDataCollector.getPredictionAnalytics();
+  const antiCheatAnalytics = mlDataCollector.getAntiCheatAnalytics();
 
   res.json({
     success: true,
     workoutAnalytics,
     interactionAnalytics,
     predictionAnalytics,
+    antiCheatAnalytics,
     collectionStats: mlDataCollector.getCollectionStats()
   });
 });
@@ -873,9 +890,9 @@ router.get('/data/analytics', (req, res) => {
  * Collect workout data for ML improvement
  * Called automatically when users complete workouts
  */
-router.post('/data/collect-workout', authMiddleware.optionalAuth, (req, res) => {
+router.post('/data/collect-workout', authMiddleware.optionalAuth, async (req, res) => {
   try {
-    const userData = getUserData(req);
+    const userData = await getUserData(req);
     const { exercise, reps, xpGained } = req.body;
     
     if (!exercise || !reps) {
@@ -913,9 +930,9 @@ router.post('/data/collect-workout', authMiddleware.optionalAuth, (req, res) =>
  * POST /api/ml/data/collect-prediction-outcome
  * Record the actual outcome of a prediction for accuracy tracking
  */
-router.post('/data/collect-prediction-outcome', authMiddleware.optionalAuth, (req, res) => {
+router.post('/data/collect-prediction-outcome', authMiddleware.optionalAuth, async (req, res) => {
   try {
-    const userData = getUserData(req);
+    const userData = await getUserData(req);
     const { prediction, actualOutcome } = req.body;
     
     if (!prediction || !actualOutcome) {
@@ -6,6 +6,8 @@ const express = require('express');
 const router = express.Router();
 const partyService = require('../services/social/party.service');
 const authMiddleware = require('../middleware/auth.middleware');
+const { validateBody } = require('../middleware/validate.middleware');
+const { partyCreateSchema, partyUpdateSchema } = require('../schemas/party.schema');
 const logger = require('../utils/logger');
 
 // ============================================================================
@@ -41,14 +43,10 @@ router.get('/my-party', authMiddleware.authenticateToken, async (req, res) => {
 /**
  * POST /api/parties - Create a new party (requires auth)
  */
-router.post('/', authMiddleware.authenticateToken, async (req, res) => {
+router.post('/', authMiddleware.authenticateToken, validateBody(partyCreateSchema), async (req, res) => {
   try {
     const { name } = req.body;
     
-    if (!name || name.trim().length < 2) {
-      return res.status(400).json({ error: 'Party name must be at least 2 characters' });
-    }
-    
     const party = await partyService.createParty(req.user.uid, { name });
     
     logger.info('Party created via API', { partyId: party.id, userId: req.user.uid });
@@ -183,7 +181,7 @@ router.get('/:partyId/members', authMiddleware.authenticateToken, async (req, re
 /**
  * PUT /api/parties/:partyId - Update party settings (owner only)
  */
-router.put('/:partyId', authMiddleware.authenticateToken, async (req, res) => {
+router.put('/:partyId', authMiddleware.authenticateToken, validateBody(partyUpdateSchema), async (req, res) => {
   try {
     const party = await partyService.updateParty(req.user.uid, req.params.partyId, req.body);
     res.json({ party });
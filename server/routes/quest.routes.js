@@ -5,7 +5,6 @@
 const express = require('express');
 const router = express.Router();
 const questService = require('../services/gameplay/quest.service');
-const userService = require('../services/user/user.service');
 const activityService = require('../services/shared/activity.service');
 const authMiddleware = require('../middleware/auth.middleware');
 const logger = require('../utils/logger');
@@ -68,20 +67,9 @@ router.post('/:questId/claim', authMiddleware.authenticateToken, async (req, res
     const { questId } = req.params;
     const user = req.user;
     
+    // XP, level and items are credited by the reward service
     const reward = await questService.claimQuestReward(user.uid, questId);
     
-    // Update user XP
-    const newXP = (user.xp || 0) + reward.xpReward;
-    const xpPerLevel = 100;
-    const newLevel = Math.floor(newXP / xpPerLevel) + 1;
-    const leveledUp = newLevel > (user.level || 1);
-    
-    await userService.updateUser(user.uid, {
-      xp: newXP,
-      level: newLevel,
-      weeklyXP: (user.weeklyXP || 0) + reward.xpReward,
-    });
-    
     // Log activity
     await activityService.logQuestCompleteActivity(
       user.uid, 
@@ -90,19 +78,24 @@ router.post('/:questId/claim', authMiddleware.authenticateToken, async (req, res
       reward.xpReward
     );
     
+    if (reward.leveledUp) {
+      await activityService.logLevelUpActivity(user.uid, user.username, reward.newLevel);
+    }
+    
     logger.info('Quest reward claimed', {
       userId: user.uid,
       questId,
       xpGained: reward.xpReward,
-      leveledUp,
+      leveledUp: reward.leveledUp,
     });
     
     res.json({
       message: 'Quest completed!',
       xpGained: reward.xpReward,
       rewardItem: reward.rewardItem,
-      newLevel,
-      leveledUp,
+      items: reward.items,
+      newLevel: reward.newLevel,
+      leveledUp: reward.leveledUp,
     });
   } catch (error) {
     logger.error('Failed to claim quest', { error: error.message, userId: req.user?.uid });
@@ -1,12 +1,22 @@
 /**
  * Raid Routes - API endpoints for party raid battles
+ * Damage is only dealt by logging workouts (POST /api/workout), so every hit
+ * has passed the anti-cheat checks and is counted once
  */
 
 const express = require('express');
 const router = express.Router();
 const raidService = require('../services/gameplay/raid.service');
+const raidBossService = require('../services/gameplay/raidBoss.service');
 const partyService = require('../services/social/party.service');
 const authMiddleware = require('../middleware/auth.middleware');
+const authUtils = require('../utils/auth.utils');
+const { validateBody } = require('../middleware/validate.middleware');
+const {
+  raidStartSchema,
+  raidBossCreateSchema,
+  raidBossUpdateSchema,
+} = require('../schemas/raid.schema');
 const logger = require('../utils/logger');
 
 // ============================================================================
@@ -14,12 +24,28 @@ const logger = require('../utils/logger');
 // ============================================================================
 
 /**
- * GET /api/raids/bosses - Get available bosses with scaled HP preview
+ * Map boss catalog errors to HTTP responses
+ */
+function sendBossError(res, error, fallback) {
+  if (error.message === 'Boss not found') {
+    return res.status(404).json({ error: error.message });
+  }
+  if (error.message === 'Boss already exists') {
+    return res.status(409).json({ error: error.message });
+  }
+  if (error.message.startsWith('Invalid boss')) {
+    return res.status(400).json({ error: error.message });
+  }
+  return res.status(500).json({ error: fallback });
+}
+
+/**
+ * GET /api/raids/bosses - Get bosses that can be fought now with scaled HP preview
  */
 router.get('/bosses', authMiddleware.authenticateToken, async (req, res) => {
   try {
     const memberCount = parseInt(req.query.members) || 1;
-    const bosses = raidService.getAvailableBosses(memberCount);
+    const bosses = await raidBossService.getAvailableBosses(memberCount);
     res.json(bosses);
   } catch (error) {
     logger.error('Error fetching bosses', { error: error.message });
@@ -27,21 +53,59 @@ router.get('/bosses', authMiddleware.authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/raids/bosses/featured - Get this week's featured boss
+ */
+router.get('/bosses/featured', authMiddleware.authenticateToken, async (req, res) => {
+  try {
+    const boss = await raidBossService.getFeaturedBoss();
+    
+    if (!boss) {
+      return res.status(404).json({ error: 'No raid boss is available right now' });
+    }
+    
+    res.json(raidBossService.toPublicBoss(boss));
+  } catch (error) {
+    logger.error('Error fetching featured boss', { error: error.message });
+    res.status(500).json({ error: 'Failed to fetch featured boss' });
+  }
+});
+
+/**
+ * GET /api/raids/bosses/catalog - Get every boss, including disabled,
+ * scheduled and out-of-season ones (admin only)
+ */
+router.get('/bosses/catalog', authMiddleware.authenticateToken, authMiddleware.requireAdmin, async (req, res) => {
+  try {
+    const bosses = await raidBossService.loadBosses();
+    res.json({
+      bosses: bosses.map(boss => ({ ...boss, available: raidBossService.isBossAvailable(boss) })),
+    });
+  } catch (error) {
+    logger.error('Error fetching boss catalog', { error: error.message });
+    res.status(500).json({ error: 'Failed to fetch boss catalog' });
+  }
+});
+
 /**
  * GET /api/raids/bosses/:bossId - Get specific boss details
+ * Players only see bosses they can fight now; admins see any boss, with
+ * its catalog bookkeeping
  */
 router.get('/bosses/:bossId', authMiddleware.authenticateToken, async (req, res) => {
   try {
-    const boss = raidService.getBossById(req.params.bossId);
+    const boss = await raidBossService.getBossById(req.params.bossId);
+    const isAdmin = authUtils.hasRole(req.user, authUtils.ROLES.ADMIN);
     
-    if (!boss) {
+    if (!boss || (!isAdmin && !raidBossService.isBossAvailable(boss))) {
       return res.status(404).json({ error: 'Boss not found' });
     }
     
     const memberCount = parseInt(req.query.members) || 1;
     res.json({
-      ...boss,
-      scaledHp: raidService.calculateScaledHp(boss, memberCount),
+      ...(isAdmin ? boss : raidBossService.toPublicBoss(boss)),
+      scaledHp: raidBossService.calculateScaledHp(boss, memberCount),
+      available: raidBossService.isBossAvailable(boss),
     });
   } catch (error) {
     logger.error('Error fetching boss', { error: error.message });
@@ -49,6 +113,48 @@ router.get('/bosses/:bossId', authMiddleware.authenticateToken, async (req, res)
   }
 });
 
+/**
+ * POST /api/raids/bosses - Add a boss to the catalog (admin only)
+ * Body: boss fields (see raidBossCreateSchema)
+ */
+router.post('/bosses', authMiddleware.authenticateToken, authMiddleware.requireAdmin, validateBody(raidBossCreateSchema), async (req, res) => {
+  try {
+    const boss = await raidBossService.createBoss(req.body, req.user.uid);
+    
+    logger.info('Admin created raid boss', {
+      uid: req.user.uid,
+      bossId: boss.id,
+      action: 'ADMIN_CREATE_RAID_BOSS',
+    });
+    
+    res.status(201).json({ boss });
+  } catch (error) {
+    logger.error('Error creating raid boss', { error: error.message, uid: req.user.uid });
+    sendBossError(res, error, 'Failed to create boss');
+  }
+});
+
+/**
+ * PUT /api/raids/bosses/:bossId - Edit, enable/disable, schedule or set the
+ * season of a boss (admin only)
+ */
+router.put('/bosses/:bossId', authMiddleware.authenticateToken, authMiddleware.requireAdmin, validateBody(raidBossUpdateSchema), async (req, res) => {
+  try {
+    const boss = await raidBossService.updateBoss(req.params.bossId, req.body, req.user.uid);
+    
+    logger.info('Admin updated raid boss', {
+      uid: req.user.uid,
+      bossId: boss.id,
+      action: 'ADMIN_UPDATE_RAID_BOSS',
+    });
+    
+    res.json({ boss });
+  } catch (error) {
+    logger.error('Error updating raid boss', { error: error.message, uid: req.user.uid, bossId: req.params.bossId });
+    sendBossError(res, error, 'Failed to update boss');
+  }
+});
+
 // ============================================================================
 // RAID ROUTES
 // ============================================================================
@@ -91,14 +197,10 @@ router.get('/active', authMiddleware.authenticateToken, async (req, res) => {
 /**
  * POST /api/raids/start - Start a new raid (owner only)
  */
-router.post('/start', authMiddleware.authenticateToken, async (req, res) => {
+router.post('/start', authMiddleware.authenticateToken, validateBody(raidStartSchema), async (req, res) => {
   try {
     const { bossId } = req.body;
     
-    if (!bossId) {
-      return res.status(400).json({ error: 'Boss ID is required' });
-    }
-    
     // Get user's party
     const party = await partyService.getUserParty(req.user.uid);
     
@@ -122,64 +224,6 @@ router.post('/start', authMiddleware.authenticateToken, async (req, res) => {
   }
 });
 
-/**
- * POST /api/raids/:raidId/damage - Log damage to the boss
- */
-router.post('/:raidId/damage', authMiddleware.authenticateToken, async (req, res) => {
-  try {
-    const { damage, source } = req.body;
-    
-    if (typeof damage !== 'number' || damage <= 0) {
-      return res.status(400).json({ error: 'Valid damage amount is required' });
-    }
-    
-    const result = await raidService.logDamage(
-      req.user.uid,
-      req.params.raidId,
-      damage,
-      source || 'workout'
-    );
-    
-    res.json(result);
-  } catch (error) {
-    logger.error('Error logging damage', { error: error.message, userId: req.user.uid });
-    res.status(400).json({ error: error.message });
-  }
-});
-
-/**
- * POST /api/raids/:raidId/workout-damage - Calculate and log damage from workout
- */
-router.post('/:raidId/workout-damage', authMiddleware.authenticateToken, async (req, res) => {
-  try {
-    const { exercise, reps } = req.body;
-    
-    if (!exercise || typeof reps !== 'number' || reps <= 0) {
-      return res.status(400).json({ error: 'Exercise and valid reps are required' });
-    }
-    
-    // Calculate damage based on workout
-    const userLevel = req.user.level || 1;
-    const damage = raidService.calculateWorkoutDamage(exercise, reps, userLevel);
-    
-    const result = await raidService.logDamage(
-      req.user.uid,
-      req.params.raidId,
-      damage,
-      `${exercise} x${reps}`
-    );
-    
-    res.json({
-      ...result,
-      exercise,
-      reps,
-    });
-  } catch (error) {
-    logger.error('Error logging workout damage', { error: error.message, userId: req.user.uid });
-    res.status(400).json({ error: error.message });
-  }
-});
-
 /**
  * GET /api/raids/:raidId - Get raid details
  */
@@ -222,6 +266,26 @@ router.get('/:raidId/leaderboard', authMiddleware.authenticateToken, async (req,
   }
 });
 
+/**
+ * GET /api/raids/:raidId/loot - Get the XP and items each member won
+ */
+router.get('/:raidId/loot', authMiddleware.authenticateToken, async (req, res) => {
+  try {
+    const loot = await raidService.getRaidLoot(req.user.uid, req.params.raidId);
+    res.json(loot);
+  } catch (error) {
+    logger.error('Error fetching raid loot', { error: error.message, raidId: req.params.raidId });
+    
+    if (error.message === 'Raid not found') {
+      return res.status(404).json({ error: error.message });
+    }
+    if (error.message === 'You are not a participant in this raid') {
+      return res.status(403).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to fetch raid loot' });
+  }
+});
+
 /**
  * POST /api/raids/:raidId/abandon - Abandon the raid (owner only)
  */
@@ -0,0 +1,129 @@
+/**
+ * Realtime Routes - Server-Sent Events stream of live raid, duel and party updates
+ * Clients open GET /api/realtime/stream?topics=raid:<id>,duel:<id>,party:<id>
+ * with the usual Authorization header and receive one SSE message per
+ * event. The first message is "ready"; clients should refetch state then,
+ * since anything published while they were disconnected is not replayed.
+ * Topics are checked when the stream opens; the server ends a user's party
+ * and raid streams when they leave or are kicked from their party, so the
+ * reconnect checks them again.
+ */
+
+const express = require('express');
+const router = express.Router();
+const realtimeService = require('../services/shared/realtime.service');
+const raidService = require('../services/gameplay/raid.service');
+const duelService = require('../services/gameplay/duel.service');
+const authMiddleware = require('../middleware/auth.middleware');
+const logger = require('../utils/logger');
+
+const { TOPIC_TYPES, MAX_TOPICS_PER_CONNECTION, MAX_CONNECTIONS_PER_USER } = realtimeService;
+
+// Comment line sent this often so proxies keep idle streams open
+const HEARTBEAT_MS = 25 * 1000;
+
+// How long EventSource-style clients wait before reconnecting
+const RETRY_MS = 3000;
+
+/**
+ * Whether a user may follow a topic: their own party, a raid of their party
+ * (or one they fought in), or a duel they are in
+ */
+async function canSubscribe(user, { type, id }) {
+  if (type === TOPIC_TYPES.PARTY) {
+    return user.partyId === id;
+  }
+
+  if (type === TOPIC_TYPES.RAID) {
+    const raid = await raidService.getRaidById(id);
+    return Boolean(raid && (raid.partyId === user.partyId || raid.contributions?.[user.uid]));
+  }
+
+  if (type === TOPIC_TYPES.DUEL) {
+    const duel = await duelService.getDuelById(id);
+    return Boolean(duel && (duel.challenger.id === user.uid || duel.opponent.id === user.uid));
+  }
+
+  return false;
+}
+
+/**
+ * Format one SSE message
+ */
+function formatMessage(type, data, id = null) {
+  return `${id !== null ? `id: ${id}\n` : ''}event: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+/**
+ * GET /api/realtime/stream - Subscribe to live updates
+ * Query: topics (comma-separated, e.g. "raid:raid_123,party:party_456")
+ */
+router.get('/stream', authMiddleware.authenticateToken, async (req, res) => {
+  const topics = [...new Set(String(req.query.topics || '')
+    .split(',')
+    .map(name => name.trim())
+    .filter(Boolean))];
+
+  if (topics.length === 0) {
+    return res.status(400).json({ error: 'At least one topic is required' });
+  }
+
+  if (topics.length > MAX_TOPICS_PER_CONNECTION) {
+    return res.status(400).json({ error: `At most ${MAX_TOPICS_PER_CONNECTION} topics per stream` });
+  }
+
+  try {
+    for (const name of topics) {
+      const parsed = realtimeService.parseTopic(name);
+
+      if (!parsed) {
+        return res.status(400).json({ error: `Unknown topic: ${name}` });
+      }
+
+      if (!(await canSubscribe(req.user, parsed))) {
+        return res.status(403).json({ error: `Not allowed to follow ${name}` });
+      }
+    }
+  } catch (error) {
+    logger.error('Failed to check realtime topics', { error: error.message, userId: req.user.uid, topics });
+    return res.status(500).json({ error: 'Failed to open stream' });
+  }
+
+  // Checked after the awaits above, so nothing runs between it and trackConnection
+  if (realtimeService.getConnectionCount(req.user.uid) >= MAX_CONNECTIONS_PER_USER) {
+    return res.status(429).json({ error: `At most ${MAX_CONNECTIONS_PER_USER} open streams per user` });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+
+  res.write(`retry: ${RETRY_MS}\n\n`);
+  res.write(formatMessage('ready', { topics }));
+
+  const unsubscribe = realtimeService.subscribe(topics, (event) => {
+    res.write(formatMessage(event.type, {
+      topic: event.topic,
+      ...event.data,
+      timestamp: event.timestamp,
+    }, event.id));
+  });
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+  const untrack = realtimeService.trackConnection(req.user.uid, topics, () => res.end());
+
+  logger.debug('Realtime stream opened', { userId: req.user.uid, topics });
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+    untrack();
+    logger.debug('Realtime stream closed', { userId: req.user.uid });
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,46 @@
+/**
+ * Reward Routes - API endpoints for the reward ledger
+ */
+
+const express = require('express');
+const router = express.Router();
+const rewardService = require('../services/shared/reward.service');
+const authMiddleware = require('../middleware/auth.middleware');
+const { decodeCursor } = require('../utils/cursor.utils');
+const logger = require('../utils/logger');
+
+/**
+ * GET /api/rewards/history - Get current user's reward ledger
+ * Query: sourceType (workout, quest, duel, achievement, raid, workout_review, event, admin), limit, cursor
+ */
+router.get('/history', authMiddleware.authenticateToken, async (req, res) => {
+  try {
+    const { sourceType, limit, cursor } = req.query;
+
+    if (sourceType && !Object.values(rewardService.REWARD_SOURCES).includes(sourceType)) {
+      return res.status(400).json({ error: `Invalid sourceType: ${sourceType}` });
+    }
+    if (cursor && !decodeCursor(cursor)) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
+
+    const history = await rewardService.getRewardHistory(req.user.uid, {
+      sourceType,
+      limit,
+      cursor,
+    });
+
+    logger.debug('Fetching reward history', {
+      userId: req.user.uid,
+      count: history.entries.length,
+      hasMore: history.hasMore,
+    });
+
+    res.json(history);
+  } catch (error) {
+    logger.error('Failed to fetch reward history', { error: error.message, userId: req.user?.uid });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -1,7 +1,10 @@
 const express = require('express');
 const router = express.Router();
 const userService = require('../services/user/user.service');
+const progressionService = require('../services/gameplay/progression.service');
 const authMiddleware = require('../middleware/auth.middleware');
+const { validateBody } = require('../middleware/validate.middleware');
+const { profileUpdateSchema } = require('../schemas/user.schema');
 const authUtils = require('../utils/auth.utils');
 const logger = require('../utils/logger');
 
@@ -33,9 +36,9 @@ router.get('/profile', authMiddleware.authenticateToken, async (req, res) => {
 
 /**
  * PUT /api/user/profile
- * Update current user's profile
+ * Update current user's profile (username, avatar, gym)
  */
-router.put('/profile', authMiddleware.authenticateToken, async (req, res) => {
+router.put('/profile', authMiddleware.authenticateToken, validateBody(profileUpdateSchema), async (req, res) => {
   try {
     const user = req.user;
     const updates = req.body;
@@ -69,6 +72,55 @@ router.put('/profile', authMiddleware.authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/user/progression
+ * Get current user's level progress and prestige state
+ */
+router.get('/progression', authMiddleware.authenticateToken, async (req, res) => {
+  try {
+    const progression = await progressionService.getProgression(req.user.uid);
+    
+    res.json(progression);
+  } catch (error) {
+    logger.error('Failed to fetch progression', {
+      error: error.message,
+      uid: req.user?.uid,
+      action: 'PROGRESSION',
+    });
+    
+    res.status(500).json({ error: 'Failed to fetch progression' });
+  }
+});
+
+/**
+ * POST /api/user/prestige
+ * Reset a max-level user to level 1 for a prestige badge and XP bonus
+ */
+router.post('/prestige', authMiddleware.authenticateToken, async (req, res) => {
+  try {
+    const result = await progressionService.prestigeUser(req.user.uid);
+    
+    logger.info('User prestiged', {
+      uid: req.user.uid,
+      prestige: result.prestige,
+      action: 'PRESTIGE',
+    });
+    
+    res.json({
+      message: `Prestige ${result.prestige} reached!`,
+      ...result,
+    });
+  } catch (error) {
+    logger.error('Failed to prestige', {
+      error: error.message,
+      uid: req.user?.uid,
+      action: 'PRESTIGE',
+    });
+    
+    res.status(400).json({ error: error.message });
+  }
+});
+
 /**
  * PUT /api/user/handle
  * Update user's handle
@@ -0,0 +1,68 @@
+/**
+ * Workout Routes - API endpoints for workout history
+ */
+
+const express = require('express');
+const router = express.Router();
+const workoutService = require('../services/gameplay/workout.service');
+const personalRecordService = require('../services/gameplay/personalRecord.service');
+const authMiddleware = require('../middleware/auth.middleware');
+const { decodeCursor } = require('../utils/cursor.utils');
+const logger = require('../utils/logger');
+
+/**
+ * GET /api/workouts - Get current user's workout history
+ * Query: from, to (ISO dates), exercise, limit, cursor
+ */
+router.get('/', authMiddleware.authenticateToken, async (req, res) => {
+  try {
+    const { from, to, exercise, limit, cursor } = req.query;
+
+    for (const [label, value] of Object.entries({ from, to })) {
+      if (value && isNaN(new Date(value).getTime())) {
+        return res.status(400).json({ error: `Invalid ${label} date` });
+      }
+    }
+    if (cursor && !decodeCursor(cursor)) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
+    if (from && to && new Date(from) > new Date(to)) {
+      return res.status(400).json({ error: '"from" date must be before "to" date' });
+    }
+
+    const history = await workoutService.getWorkoutHistory(req.user.uid, {
+      from,
+      to,
+      exercise,
+      limit,
+      cursor,
+    });
+
+    logger.debug('Fetching workout history', {
+      userId: req.user.uid,
+      count: history.workouts.length,
+      hasMore: history.hasMore,
+    });
+
+    res.json(history);
+  } catch (error) {
+    logger.error('Failed to fetch workout history', { error: error.message, userId: req.user?.uid });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/workouts/prs - Get current user's personal records
+ * Query: exercise
+ */
+router.get('/prs', authMiddleware.authenticateToken, async (req, res) => {
+  try {
+    const records = await personalRecordService.getPersonalRecords(req.user.uid, req.query.exercise || null);
+    res.json({ records });
+  } catch (error) {
+    logger.error('Failed to fetch personal records', { error: error.message, userId: req.user?.uid });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
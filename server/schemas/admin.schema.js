@@ -0,0 +1,30 @@
+/**
+ * Request schemas for /api/admin routes
+ */
+
+const authConfig = require('../config/auth.config');
+
+const xpAdjustSchema = {
+  amount: { type: 'integer', required: true, min: -1000000, max: 1000000 },
+  reason: { type: 'string', required: true, minLength: 3, maxLength: 200 },
+};
+
+const banSchema = {
+  reason: { type: 'string', required: true, minLength: 3, maxLength: 200 },
+};
+
+const roleSchema = {
+  role: { type: 'string', required: true, enum: authConfig.roles },
+};
+
+const flagReviewSchema = {
+  decision: { type: 'string', required: true, enum: ['approve', 'reject'] },
+  note: { type: 'string', maxLength: 500 },
+};
+
+module.exports = {
+  xpAdjustSchema,
+  banSchema,
+  roleSchema,
+  flagReviewSchema,
+};
@@ -0,0 +1,25 @@
+/**
+ * Request schemas for /api/auth account recovery routes
+ */
+
+const authUtils = require('../utils/auth.utils');
+
+const forgotPasswordSchema = {
+  email: { type: 'string', required: true, maxLength: 254 },
+};
+
+const resetPasswordSchema = {
+  token: { type: 'string', required: true, maxLength: 128 },
+  // Same strength rule as registration; passwords are kept exactly as typed
+  password: { type: 'string', required: true, maxLength: 128, trim: false, validator: authUtils.validatePassword },
+};
+
+const verifyEmailSchema = {
+  token: { type: 'string', required: true, maxLength: 128 },
+};
+
+module.exports = {
+  forgotPasswordSchema,
+  resetPasswordSchema,
+  verifyEmailSchema,
+};
@@ -0,0 +1,27 @@
+/**
+ * Request schemas for /api/clubs routes
+ */
+
+const clubFields = {
+  name: { type: 'string', minLength: 3, maxLength: 30 },
+  tag: { type: 'string', minLength: 2, maxLength: 5, pattern: /^[A-Za-z0-9]+$/, patternMessage: 'Must be letters and numbers only' },
+  description: { type: 'string', maxLength: 500 },
+  color: { type: 'string', pattern: /^#[0-9A-Fa-f]{6}$/, patternMessage: 'Must be a hex color like #FF6B6B' },
+  emblem: { type: 'string', maxLength: 30 },
+  minLevelToJoin: { type: 'integer', min: 1, max: 100 },
+};
+
+const clubCreateSchema = {
+  ...clubFields,
+  name: { ...clubFields.name, required: true },
+};
+
+const clubUpdateSchema = {
+  ...clubFields,
+  isRecruiting: { type: 'boolean' },
+};
+
+module.exports = {
+  clubCreateSchema,
+  clubUpdateSchema,
+};
@@ -0,0 +1,12 @@
+/**
+ * Request schemas for /api/duels routes
+ */
+
+const duelCreateSchema = {
+  opponent: { type: 'string', required: true, maxLength: 50, aliases: ['opponentUsername'] },
+  challenge: { type: 'string', required: true, maxLength: 50, aliases: ['challengeType'] },
+};
+
+module.exports = {
+  duelCreateSchema,
+};
@@ -0,0 +1,41 @@
+/**
+ * Request schemas for /api/exercises routes
+ */
+
+const { MUSCLE_GROUPS } = require('../services/gameplay/exercise.service');
+const { METRICS } = require('../../shared/game/gameLogic');
+
+const statWeight = { type: 'number', min: 0, max: 1 };
+
+const exerciseFields = {
+  name: { type: 'string', minLength: 2, maxLength: 40 },
+  metric: { type: 'string', enum: Object.values(METRICS) },
+  muscleGroups: { type: 'array', maxItems: 6, items: { type: 'string', enum: MUSCLE_GROUPS } },
+  stats: {
+    type: 'object',
+    fields: { strength: statWeight, endurance: statWeight, agility: statWeight },
+  },
+  aliases: { type: 'array', maxItems: 10, items: { type: 'string', minLength: 2, maxLength: 40 } },
+  xpMultiplier: { type: 'number', min: 0.1, max: 5 },
+  damageMultiplier: { type: 'number', min: 0.1, max: 5 },
+};
+
+const exerciseCreateSchema = {
+  id: {
+    type: 'string',
+    required: true,
+    pattern: /^[a-z][a-z0-9_]{1,29}$/,
+    patternMessage: 'Must be 2-30 lowercase letters, digits or underscores, starting with a letter',
+  },
+  ...exerciseFields,
+  name: { ...exerciseFields.name, required: true },
+  metric: { ...exerciseFields.metric, required: true },
+  stats: { ...exerciseFields.stats, required: true },
+};
+
+const exerciseUpdateSchema = exerciseFields;
+
+module.exports = {
+  exerciseCreateSchema,
+  exerciseUpdateSchema,
+};
@@ -0,0 +1,18 @@
+/**
+ * Request schemas for /api/parties routes
+ */
+
+const partyName = { type: 'string', minLength: 2, maxLength: 30 };
+
+const partyCreateSchema = {
+  name: { ...partyName, required: true },
+};
+
+const partyUpdateSchema = {
+  name: partyName,
+};
+
+module.exports = {
+  partyCreateSchema,
+  partyUpdateSchema,
+};
@@ -0,0 +1,125 @@
+/**
+ * Request schemas for /api/raids routes
+ */
+
+const { MUSCLE_GROUPS } = require('../services/gameplay/exercise.service');
+const { DIFFICULTIES } = require('../services/gameplay/raidBoss.service');
+const { ITEM_TEMPLATES } = require('../../shared/game/itemSystem');
+
+const raidStartSchema = {
+  bossId: { type: 'string', required: true, maxLength: 50 },
+};
+
+const muscleGroups = { type: 'array', maxItems: 14, items: { type: 'string', enum: MUSCLE_GROUPS } };
+const exercises = { type: 'array', maxItems: 20, items: { type: 'string', maxLength: 50 } };
+const templateId = { type: 'string', enum: Object.keys(ITEM_TEMPLATES) };
+const monthDay = {
+  type: 'string',
+  required: true,
+  pattern: /^(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/,
+  patternMessage: 'Must be a MM-DD date',
+};
+
+const phaseModifier = (min, max) => ({
+  type: 'object',
+  fields: {
+    muscleGroups,
+    exercises,
+    multiplier: { type: 'number', required: true, min, max },
+  },
+});
+
+const bossPhase = {
+  type: 'object',
+  fields: {
+    id: { type: 'string', required: true, maxLength: 30 },
+    name: { type: 'string', required: true, maxLength: 40 },
+    startsAtHpPercent: { type: 'number', required: true, min: 1, max: 100 },
+    weaknesses: { type: 'array', maxItems: 5, items: phaseModifier(1, 5) },
+    resistances: { type: 'array', maxItems: 5, items: phaseModifier(0.1, 1) },
+    objective: {
+      type: 'object',
+      fields: {
+        type: { type: 'string', required: true, enum: ['every_member'] },
+        description: { type: 'string', required: true, maxLength: 120 },
+        muscleGroups,
+        exercises,
+      },
+    },
+  },
+};
+
+// Bosses are described in services/gameplay/raidBoss.service.js
+const bossFields = {
+  name: { type: 'string', minLength: 2, maxLength: 40 },
+  flavorText: { type: 'string', maxLength: 300 },
+  baseHp: { type: 'integer', min: 100, max: 1000000 },
+  hpPerMember: { type: 'integer', min: 0, max: 100000 },
+  minMembers: { type: 'integer', min: 1, max: 8 },
+  maxMembers: { type: 'integer', min: 1, max: 8 },
+  difficulty: { type: 'string', enum: DIFFICULTIES },
+  timeLimitHours: { type: 'integer', min: 1, max: 720 },
+  imageUrl: { type: 'string', maxLength: 200 },
+  color: { type: 'string', pattern: /^#[0-9A-Fa-f]{6}$/, patternMessage: 'Must be a hex color such as #EF4444' },
+  phases: { type: 'array', maxItems: 6, items: bossPhase },
+  rewards: {
+    type: 'object',
+    fields: {
+      xpPerMember: { type: 'integer', required: true, min: 0, max: 10000 },
+      bonusXpForTopContributor: { type: 'integer', min: 0, max: 10000 },
+      loot: {
+        type: 'object',
+        fields: {
+          templateIds: { type: 'array', maxItems: 20, items: templateId },
+          bonusLuck: { type: 'number', min: 0, max: 100 },
+          topContributorTemplateId: templateId,
+        },
+      },
+    },
+  },
+  enabled: { type: 'boolean' },
+  inRotation: { type: 'boolean' },
+  schedule: {
+    type: 'object',
+    nullable: true,
+    fields: {
+      startsAt: { type: 'string', maxLength: 40 },
+      endsAt: { type: 'string', maxLength: 40 },
+    },
+  },
+  season: {
+    type: 'object',
+    nullable: true,
+    fields: {
+      name: { type: 'string', required: true, maxLength: 30 },
+      start: monthDay,
+      end: monthDay,
+    },
+  },
+};
+
+const raidBossCreateSchema = {
+  id: {
+    type: 'string',
+    required: true,
+    pattern: /^[a-z][a-z0-9_]{1,29}$/,
+    patternMessage: 'Must be 2-30 lowercase letters, digits or underscores, starting with a letter',
+  },
+  ...bossFields,
+  name: { ...bossFields.name, required: true },
+  flavorText: { ...bossFields.flavorText, required: true },
+  baseHp: { ...bossFields.baseHp, required: true },
+  hpPerMember: { ...bossFields.hpPerMember, required: true },
+  minMembers: { ...bossFields.minMembers, required: true },
+  maxMembers: { ...bossFields.maxMembers, required: true },
+  difficulty: { ...bossFields.difficulty, required: true },
+  rewards: { ...bossFields.rewards, required: true },
+};
+
+const raidBossUpdateSchema = bossFields;
+
+module.exports = {
+  raidStartSchema,
+  raidBossCreateSchema,
+  raidBossUpdateSchema,
+};
@@ -0,0 +1,21 @@
+/**
+ * Request schemas for /api/user routes
+ * XP, level, stats, streaks, club and party membership are game state and
+ * are only ever written by server code, so they are not listed here.
+ */
+
+const authConfig = require('../config/auth.config');
+
+const profileUpdateSchema = {
+  username: {
+    type: 'string',
+    minLength: authConfig.usernameMinLength,
+    maxLength: authConfig.usernameMaxLength,
+  },
+  avatarUrl: { type: 'string', maxLength: 2048, pattern: /^https?:\/\//, patternMessage: 'Must be an http(s) URL' },
+  gym: { type: 'string', maxLength: 100 },
+};
+
+module.exports = {
+  profileUpdateSchema,
+};
@@ -3,50 +3,16 @@
  * Achievements are unlocked based on user activity and milestones
  */
 
-const admin = require('firebase-admin');
+const { getDb, FieldValue } = require('../storage/storage.service');
 const logger = require('../../utils/logger');
-
-let db = null;
-
-/**
- * Get firestore FieldValue helper with fallbacks for tests/mocks
- */
-function getFieldValue() {
-  if (admin.firestore && admin.firestore.FieldValue) {
-    return admin.firestore.FieldValue;
-  }
-  if (admin.FieldValue) {
-    return admin.FieldValue;
-  }
-  return {
-    serverTimestamp: () => new Date(),
-    increment: (n) => n,
-    arrayUnion: (item) => [item],
-  };
-}
-
-const FieldValue = getFieldValue();
-
-/**
- * Initialize Firestore connection
- */
-function initFirestore() {
-  if (db) return db;
-  
-  if (admin.apps.length) {
-    db = admin.firestore();
-    return db;
-  }
-  
-  throw new Error('Firestore not initialized. Initialize user service first.');
-}
+const rewardService = require('../shared/reward.service');
 
 /**
  * Get user achievements collection reference
  */
 function getUserAchievementsCollection(userId) {
-  const firestore = initFirestore();
-  return firestore.collection('users').doc(userId).collection('achievements');
+  const db = getDb();
+  return db.collection('users').doc(userId).collection('achievements');
 }
 
 // ============================================================================
@@ -380,6 +346,17 @@ async function unlockAchievement(userId, achievementId) {
       return null;
     }
     
+    // Credit the XP first; the grant is idempotent per achievement, so a
+    // failed unlock write can be retried without paying twice
+    if (achievement.xpReward) {
+      await rewardService.grantReward(userId, {
+        sourceType: rewardService.REWARD_SOURCES.ACHIEVEMENT,
+        sourceId: achievementId,
+        xp: achievement.xpReward,
+        description: `Achievement unlocked: ${achievement.name}`,
+      });
+    }
+    
     const userAchievementsRef = getUserAchievementsCollection(userId);
     
     const unlockedAchievement = {
@@ -0,0 +1,398 @@
+/**
+ * Anti-Cheat Service - Plausibility checks on submitted workouts
+ * Each workout is compared with per-exercise rate and daily limits and with
+ * the user's own recent history (limits in config/antiCheat.config.js).
+ * A workout that fails a check is flagged in the workoutFlags collection:
+ * held workouts credit nothing and reduced ones are credited in part. The
+ * XP withheld is paid out through the reward ledger if a moderator approves.
+ */
+
+const { getDb } = require('../storage/storage.service');
+const config = require('../../config/antiCheat.config');
+const workoutService = require('./workout.service');
+const rewardService = require('../shared/reward.service');
+const { formatWorkoutAmount, normalizeWorkoutRecord } = require('../../../shared/game/gameLogic');
+const { getNewestFirstPage } = require('../../utils/cursor.utils');
+const logger = require('../../utils/logger');
+
+/**
+ * Get workout flags collection reference
+ */
+function getFlagsCollection() {
+  const db = getDb();
+  return db.collection('workoutFlags');
+}
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const VERDICTS = {
+  ACCEPTED: 'accepted',
+  REDUCED: 'reduced',
+  HELD: 'held',
+};
+
+const RULES = {
+  RATE: 'rate',
+  DAILY_LIMIT: 'daily_limit',
+  DAILY_JUMP: 'daily_jump',
+  SUBMISSION_JUMP: 'submission_jump',
+};
+
+const FLAG_STATUS = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  REJECTED: 'rejected',
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// ============================================================================
+// EVALUATION
+// ============================================================================
+
+/**
+ * Look up an exercise's limit, falling back to the default
+ */
+function getLimit(limits, exercise) {
+  return limits[exercise] ?? limits.default;
+}
+
+/**
+ * UTC day (YYYY-MM-DD) of a date or timestamp
+ */
+function getDayKey(date) {
+  return new Date(date).toISOString().slice(0, 10);
+}
+
+/**
+ * Amount a past workout was submitted with, in the exercise's current unit
+ */
+function getAmount(workout) {
+  return normalizeWorkoutRecord(workout).amount;
+}
+
+/**
+ * Amount a past workout was credited with (held workouts count as 0)
+ */
+function getCreditedAmount(workout) {
+  const record = normalizeWorkoutRecord(workout);
+  return record.creditedAmount ?? record.amount;
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Check a workout against the plausibility rules
+ * Amounts are in the exercise's unit. Rates and today's total count
+ * everything submitted, held workouts included, so a workout cannot be
+ * split up to get around them. Baselines from earlier days only count
+ * credited amounts, so flagged workouts do not raise them.
+ * @param {object} workout - { exercise, amount }
+ * @param {Array} history - The user's workouts over the last historyDays days
+ * @param {Date} now - Submission time
+ * @param {object} options - Limits (defaults to the anti-cheat config)
+ * @returns {object} { verdict, flags, creditedAmount }
+ */
+function evaluateWorkout({ exercise, amount }, history = [], now = new Date(), options = config) {
+  const flags = [];
+  const hold = (rule, observed, limit, message) => flags.push({ rule, action: VERDICTS.HELD, observed, limit, message });
+  const reduce = (rule, observed, limit, message) => flags.push({ rule, action: VERDICTS.REDUCED, observed, limit, message });
+  const format = (value) => formatWorkoutAmount(exercise, value);
+
+  // Amount per minute since the previous workout of any kind
+  const lastWorkoutAt = history.reduce((latest, w) => Math.max(latest, new Date(w.timestamp).getTime()), 0);
+  const gapMs = lastWorkoutAt ? now.getTime() - lastWorkoutAt : options.maxRateWindowMs;
+  const windowMs = Math.min(Math.max(gapMs, options.minRateWindowMs), options.maxRateWindowMs);
+  const perMinute = Math.round((amount / (windowMs / 60000)) * 10) / 10;
+  const maxPerMinute = getLimit(options.maxPerMinute, exercise);
+
+  if (perMinute > maxPerMinute) {
+    hold(RULES.RATE, perMinute, maxPerMinute, `${format(perMinute)} per minute is above the limit of ${format(maxPerMinute)}`);
+  }
+
+  // Today's total, and the user's best earlier day
+  const today = getDayKey(now);
+  const sameExercise = history.filter(w => w.exercise === exercise);
+  const earlierDays = {};
+  let todayTotal = amount;
+
+  sameExercise.forEach(w => {
+    const day = getDayKey(w.timestamp);
+    if (day === today) {
+      todayTotal += getAmount(w);
+    } else {
+      earlierDays[day] = (earlierDays[day] || 0) + getCreditedAmount(w);
+    }
+  });
+
+  const maxPerDay = getLimit(options.maxPerDay, exercise);
+  if (todayTotal > maxPerDay) {
+    hold(RULES.DAILY_LIMIT, todayTotal, maxPerDay, `${format(todayTotal)} today is above the daily limit of ${format(maxPerDay)}`);
+  }
+
+  const dayTotals = Object.values(earlierDays).filter(total => total > 0);
+  if (dayTotals.length >= options.minHistoryDays) {
+    const allowed = Math.max(getLimit(options.dailyJumpFloor, exercise), Math.max(...dayTotals) * options.dailyJumpFactor);
+    if (todayTotal > allowed) {
+      reduce(RULES.DAILY_JUMP, todayTotal, allowed, `${format(todayTotal)} today is far above the user's best day`);
+    }
+  }
+
+  // This workout against the user's typical workout
+  const submissions = sameExercise.map(getCreditedAmount).filter(a => a > 0);
+  if (submissions.length >= options.minHistorySubmissions) {
+    const allowed = Math.max(getLimit(options.submissionJumpFloor, exercise), median(submissions) * options.submissionJumpFactor);
+    if (amount > allowed) {
+      reduce(RULES.SUBMISSION_JUMP, amount, allowed, `${format(amount)} is far above the user's usual workout`);
+    }
+  }
+
+  if (flags.some(f => f.action === VERDICTS.HELD)) {
+    return { verdict: VERDICTS.HELD, flags, creditedAmount: 0 };
+  }
+  if (flags.length > 0) {
+    return {
+      verdict: VERDICTS.REDUCED,
+      flags,
+      creditedAmount: Math.max(1, Math.floor(amount * options.reducedRewardMultiplier)),
+    };
+  }
+  return { verdict: VERDICTS.ACCEPTED, flags, creditedAmount: amount };
+}
+
+/**
+ * Check a user's workout against their recent history
+ * @param {object} workout - { exercise, amount }
+ * @returns {Promise<object>} { verdict, flags, creditedAmount }
+ */
+async function checkWorkout(userId, workout, now = new Date()) {
+  if (!config.enabled) {
+    return { verdict: VERDICTS.ACCEPTED, flags: [], creditedAmount: workout.amount };
+  }
+
+  try {
+    const since = new Date(now.getTime() - config.historyDays * DAY_MS);
+    const history = await workoutService.getWorkoutsSince(userId, since);
+
+    return evaluateWorkout(workout, history, now);
+  } catch (error) {
+    logger.error('Error checking workout plausibility', { error: error.message, userId });
+    throw error;
+  }
+}
+
+// ============================================================================
+// FLAGS
+// ============================================================================
+
+/**
+ * Record a flagged workout for moderator review
+ * @param {object} user - The user who submitted it
+ * @param {object} data - { workoutId, exercise, amount, creditedAmount, verdict, flags, withheldXp }
+ */
+async function recordFlag(user, data) {
+  try {
+    const flagId = `flag_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+    const flag = {
+      id: flagId,
+      userId: user.uid,
+      username: user.username || null,
+      workoutId: data.workoutId,
+      exercise: data.exercise,
+      amount: data.amount,
+      creditedAmount: data.creditedAmount,
+      verdict: data.verdict,
+      flags: data.flags,
+      withheldXp: data.withheldXp,
+      status: FLAG_STATUS.PENDING,
+      reviewedBy: null,
+      reviewedAt: null,
+      reviewNote: null,
+      createdAt: new Date().toISOString(),
+    };
+
+    await getFlagsCollection().doc(flagId).set(flag);
+
+    logger.warn('Workout flagged', {
+      flagId,
+      userId: user.uid,
+      exercise: data.exercise,
+      amount: data.amount,
+      verdict: data.verdict,
+      rules: data.flags.map(f => f.rule),
+      action: 'ANTI_CHEAT_FLAG',
+    });
+
+    return flag;
+  } catch (error) {
+    logger.error('Error recording workout flag', { error: error.message, userId: user.uid });
+    throw error;
+  }
+}
+
+/**
+ * Get a workout flag by ID
+ */
+async function getFlag(flagId) {
+  try {
+    const flagDoc = await getFlagsCollection().doc(flagId).get();
+    return flagDoc.exists ? flagDoc.data() : null;
+  } catch (error) {
+    logger.error('Error getting workout flag', { error: error.message, flagId });
+    throw error;
+  }
+}
+
+/**
+ * Get a page of workout flags, newest first
+ * Options: status, userId, limit, cursor (nextCursor of the previous page)
+ */
+async function listFlags(options = {}) {
+  try {
+    const limit = Math.min(Math.max(parseInt(options.limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+    let query = getFlagsCollection();
+
+    if (options.status) {
+      query = query.where('status', '==', options.status);
+    }
+    if (options.userId) {
+      query = query.where('userId', '==', options.userId);
+    }
+
+    const page = await getNewestFirstPage(query, 'createdAt', { limit, cursor: options.cursor });
+
+    return {
+      flags: page.records,
+      hasMore: page.hasMore,
+      nextCursor: page.nextCursor,
+    };
+  } catch (error) {
+    logger.error('Error listing workout flags', { error: error.message });
+    throw error;
+  }
+}
+
+/**
+ * Approve or reject a pending flag
+ * The flag is claimed in a transaction before anything is paid, so racing
+ * reviews cannot both act. Approving then pays out the withheld XP (once,
+ * through the reward ledger) and marks the workout as fully credited;
+ * approving again retries a payout that failed. Rejecting keeps the reduced
+ * credit.
+ * @param {string} flagId - Flag ID
+ * @param {object} options - { approve, reviewerId, note }
+ * @returns {Promise<object>} { flag, reward }
+ */
+async function reviewFlag(flagId, options) {
+  const { approve, reviewerId, note = null } = options;
+
+  try {
+    const flag = await getFlag(flagId);
+
+    if (!flag) {
+      throw new Error('Flag not found');
+    }
+    if (flag.userId === reviewerId) {
+      throw new Error('Cannot review your own workout');
+    }
+
+    const db = getDb();
+    const flagRef = getFlagsCollection().doc(flagId);
+    const status = approve ? FLAG_STATUS.APPROVED : FLAG_STATUS.REJECTED;
+
+    let reviewed;
+    if (flag.status === FLAG_STATUS.PENDING) {
+      reviewed = await db.runTransaction(async (transaction) => {
+        const flagDoc = await transaction.get(flagRef);
+
+        if (flagDoc.data().status !== FLAG_STATUS.PENDING) {
+          throw new Error('Flag already reviewed');
+        }
+
+        const updates = {
+          status,
+          reviewedBy: reviewerId,
+          reviewedAt: new Date().toISOString(),
+          reviewNote: note,
+        };
+
+        transaction.update(flagRef, updates);
+        return { ...flagDoc.data(), ...updates };
+      });
+    } else if (approve && flag.status === FLAG_STATUS.APPROVED && await isPayoutMissing(flag)) {
+      reviewed = flag;
+    } else {
+      throw new Error('Flag already reviewed');
+    }
+
+    let reward = null;
+    if (approve && flag.withheldXp > 0) {
+      reward = await rewardService.grantReward(flag.userId, {
+        sourceType: rewardService.REWARD_SOURCES.WORKOUT_REVIEW,
+        sourceId: flagId,
+        xp: flag.withheldXp,
+        description: `Approved ${flag.exercise} workout (${formatWorkoutAmount(flag.exercise, flag.amount)})`,
+      });
+    }
+
+    await workoutService.updateWorkout(flag.userId, flag.workoutId, approve
+      ? { antiCheatStatus: FLAG_STATUS.APPROVED, creditedAmount: flag.amount }
+      : { antiCheatStatus: FLAG_STATUS.REJECTED });
+
+    logger.info('Workout flag reviewed', {
+      flagId,
+      userId: flag.userId,
+      reviewerId,
+      status,
+      xpGranted: reward?.granted ? reward.entry.xp : 0,
+      action: 'ANTI_CHEAT_REVIEW',
+    });
+
+    return { flag: reviewed, reward };
+  } catch (error) {
+    logger.error('Error reviewing workout flag', { error: error.message, flagId });
+    throw error;
+  }
+}
+
+/**
+ * Whether an approved flag's withheld XP has not reached the ledger yet
+ */
+async function isPayoutMissing(flag) {
+  if (!(flag.withheldXp > 0)) {
+    return false;
+  }
+
+  const entry = await rewardService.getRewardEntry(
+    flag.userId,
+    rewardService.REWARD_SOURCES.WORKOUT_REVIEW,
+    flag.id
+  );
+  return !entry;
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+  VERDICTS,
+  RULES,
+  FLAG_STATUS,
+  evaluateWorkout,
+  checkWorkout,
+  recordFlag,
+  getFlag,
+  listFlags,
+  reviewFlag,
+};
@@ -3,50 +3,18 @@
  * Duels are workout-based competitions with various challenge types
  */
 
-const admin = require('firebase-admin');
+const { getDb, FieldValue } = require('../storage/storage.service');
 const logger = require('../../utils/logger');
-
-let db = null;
-
-/**
- * Get firestore FieldValue helper with fallbacks for tests/mocks
- */
-function getFieldValue() {
-  if (admin.firestore && admin.firestore.FieldValue) {
-    return admin.firestore.FieldValue;
-  }
-  if (admin.FieldValue) {
-    return admin.FieldValue;
-  }
-  return {
-    serverTimestamp: () => new Date(),
-    increment: (n) => n,
-    arrayUnion: (item) => [item],
-  };
-}
-
-const FieldValue = getFieldValue();
-
-/**
- * Initialize Firestore connection
- */
-function initFirestore() {
-  if (db) return db;
-  
-  if (admin.apps.length) {
-    db = admin.firestore();
-    return db;
-  }
-  
-  throw new Error('Firestore not initialized. Initialize user service first.');
-}
+const rewardService = require('../shared/reward.service');
+const realtimeService = require('../shared/realtime.service');
+const { calculatePlayerPower, getWorkoutTotals } = require('../../../shared/game/gameLogic');
 
 /**
  * Get duels collection reference
  */
 function getDuelsCollection() {
-  const firestore = initFirestore();
-  return firestore.collection('duels');
+  const db = getDb();
+  return db.collection('duels');
 }
 
 // ============================================================================
@@ -94,8 +62,35 @@ const DUEL_CHALLENGES = {
     metric: 'workout_count',
     xpReward: { winner: 250, loser: 75 },
   },
+  plank_24h: {
+    id: 'plank_24h',
+    name: 'Longest total plank in 24h',
+    exercise: 'plank',
+    duration: 24 * 60 * 60 * 1000,
+    metric: 'total_seconds',
+    xpReward: { winner: 150, loser: 50 },
+  },
+  distance_week: {
+    id: 'distance_week',
+    name: 'Most meters run this week',
+    exercise: 'run',
+    duration: 7 * 24 * 60 * 60 * 1000,
+    metric: 'total_meters',
+    xpReward: { winner: 300, loser: 100 },
+  },
+};
+
+// Duel metrics that count workout amounts, and the unit each one counts
+// (see getWorkoutTotals). A timed plank adds nothing to total_reps.
+const AMOUNT_METRIC_UNITS = {
+  total_reps: 'reps',
+  total_seconds: 'seconds',
+  total_meters: 'meters',
 };
 
+// Challenges nobody accepts within this long expire
+const PENDING_DUEL_TTL_MS = 48 * 60 * 60 * 1000;
+
 const DUEL_STATUS = {
   PENDING: 'pending',
   ACTIVE: 'active',
@@ -126,8 +121,8 @@ async function createDuel(challengerId, challengerUsername, opponentUsername, ch
     }
     
     // Find opponent by username
-    const firestore = initFirestore();
-    const usersSnapshot = await firestore.collection('users')
+    const db = getDb();
+    const usersSnapshot = await db.collection('users')
       .where('username', '==', opponentUsername)
       .limit(1)
       .get();
@@ -280,50 +275,74 @@ async function declineDuel(userId, duelId) {
 
 /**
  * Update duel score (from workout)
+ * The score is read and written in a transaction, so workouts logged at the
+ * same moment all count and none lands after the duel is completed.
  */
 async function updateDuelScore(userId, duelId, scoreDelta) {
   try {
-    const duelsRef = getDuelsCollection();
-    const duelDoc = duelsRef.doc(duelId);
-    const snapshot = await duelDoc.get();
-    
-    if (!snapshot.exists) {
-      throw new Error('Duel not found');
-    }
+    const db = getDb();
+    const duelDoc = getDuelsCollection().doc(duelId);
     
-    const duel = snapshot.data();
-    
-    if (duel.status !== DUEL_STATUS.ACTIVE) {
-      throw new Error('Duel is not active');
-    }
+    const result = await db.runTransaction(async (transaction) => {
+      const snapshot = await transaction.get(duelDoc);
+      
+      if (!snapshot.exists) {
+        throw new Error('Duel not found');
+      }
+      
+      const duel = snapshot.data();
+      
+      if (duel.status !== DUEL_STATUS.ACTIVE) {
+        throw new Error('Duel is not active');
+      }
+      
+      // Expired duels are completed after this transaction
+      if (new Date(duel.expiresAt) <= new Date()) {
+        return { expired: true };
+      }
+      
+      // Update the correct player's score
+      const isChallenger = duel.challenger.id === userId;
+      const field = isChallenger ? 'challenger.score' : 'opponent.score';
+      const newScore = (isChallenger ? duel.challenger.score : duel.opponent.score) + scoreDelta;
+      
+      transaction.update(duelDoc, {
+        [field]: newScore,
+        updatedAt: FieldValue.serverTimestamp(),
+      });
+      
+      return {
+        expired: false,
+        isChallenger,
+        newScore,
+        challengerScore: isChallenger ? newScore : duel.challenger.score,
+        opponentScore: isChallenger ? duel.opponent.score : newScore,
+      };
+    });
     
-    // Check if duel has expired
-    if (new Date(duel.expiresAt) <= new Date()) {
+    if (result.expired) {
       await completeDuel(duelId);
       throw new Error('Duel has expired');
     }
     
-    // Update the correct player's score
-    const isChallenger = duel.challenger.id === userId;
-    const field = isChallenger ? 'challenger.score' : 'opponent.score';
-    const currentScore = isChallenger ? duel.challenger.score : duel.opponent.score;
-    
-    await duelDoc.update({
-      [field]: currentScore + scoreDelta,
-      updatedAt: FieldValue.serverTimestamp(),
-    });
-    
     logger.info('Duel score updated', { 
       duelId, 
       userId, 
       scoreDelta, 
-      newScore: currentScore + scoreDelta,
+      newScore: result.newScore,
+    });
+    
+    realtimeService.publishDuel(duelId, realtimeService.REALTIME_EVENTS.DUEL_SCORE, {
+      userId,
+      scoreDelta,
+      challengerScore: result.challengerScore,
+      opponentScore: result.opponentScore,
     });
     
     return {
       duelId,
-      newScore: currentScore + scoreDelta,
-      isChallenger,
+      newScore: result.newScore,
+      isChallenger: result.isChallenger,
     };
   } catch (error) {
     logger.error('Error updating duel score', { error: error.message, userId, duelId });
@@ -331,56 +350,217 @@ async function updateDuelScore(userId, duelId, scoreDelta) {
   }
 }
 
+/**
+ * Credit duel XP to both players
+ * The winner gets the challenge's winner reward and the loser its loser
+ * reward; on a tie both players get the loser reward
+ */
+async function payDuelRewards(duelId, duel, winner) {
+  const xpReward = duel.xpReward || DUEL_CHALLENGES[duel.challengeType]?.xpReward;
+  if (!xpReward) return;
+  
+  for (const role of ['challenger', 'opponent']) {
+    const player = duel[role];
+    const won = winner === role;
+    
+    await rewardService.grantReward(player.id, {
+      sourceType: rewardService.REWARD_SOURCES.DUEL,
+      sourceId: duelId,
+      xp: won ? xpReward.winner : xpReward.loser,
+      description: `${duel.challengeName} duel ${won ? 'won' : winner === 'tie' ? 'tied' : 'lost'}`,
+    });
+  }
+}
+
+/**
+ * Look up both players' power (stats, equipment and level) to break a tied score
+ */
+async function getTieBreakPowers(duel) {
+  const usersRef = getDb().collection('users');
+  const [challengerDoc, opponentDoc] = await Promise.all([
+    usersRef.doc(duel.challenger.id).get(),
+    usersRef.doc(duel.opponent.id).get(),
+  ]);
+  
+  return {
+    challengerPower: challengerDoc.exists ? calculatePlayerPower(challengerDoc.data()) : 0,
+    opponentPower: opponentDoc.exists ? calculatePlayerPower(opponentDoc.data()) : 0,
+  };
+}
+
+/**
+ * Decide a duel's winner from its scores
+ * Tied scores go to the player with more power
+ */
+async function decideWinner(duel) {
+  if (duel.challenger.score > duel.opponent.score) {
+    return { winner: 'challenger', tieBreak: null };
+  }
+  if (duel.opponent.score > duel.challenger.score) {
+    return { winner: 'opponent', tieBreak: null };
+  }
+  
+  const tieBreak = await getTieBreakPowers(duel);
+  if (tieBreak.challengerPower > tieBreak.opponentPower) {
+    return { winner: 'challenger', tieBreak };
+  }
+  if (tieBreak.opponentPower > tieBreak.challengerPower) {
+    return { winner: 'opponent', tieBreak };
+  }
+  return { winner: 'tie', tieBreak };
+}
+
 /**
  * Complete a duel and determine winner
+ * The winner is decided and the duel marked completed in one transaction,
+ * so only one caller completes it and a score logged at the same moment is
+ * either counted or rejected. Rewards are paid afterwards; until that
+ * succeeds rewardsPaid stays false and the next call pays again (grants are
+ * idempotent).
  */
 async function completeDuel(duelId) {
   try {
-    const duelsRef = getDuelsCollection();
-    const duelDoc = duelsRef.doc(duelId);
-    const snapshot = await duelDoc.get();
+    const db = getDb();
+    const duelDoc = getDuelsCollection().doc(duelId);
     
-    if (!snapshot.exists) {
-      throw new Error('Duel not found');
-    }
+    const { duel, completedNow } = await db.runTransaction(async (transaction) => {
+      const snapshot = await transaction.get(duelDoc);
+      
+      if (!snapshot.exists) {
+        throw new Error('Duel not found');
+      }
+      
+      const current = snapshot.data();
+      
+      if (current.status === DUEL_STATUS.COMPLETED) {
+        return { duel: current, completedNow: false };
+      }
+      
+      const { winner, tieBreak } = await decideWinner(current);
+      
+      transaction.update(duelDoc, {
+        status: DUEL_STATUS.COMPLETED,
+        winner,
+        tieBreak,
+        rewardsPaid: false,
+        completedAt: FieldValue.serverTimestamp(),
+      });
+      
+      return {
+        duel: {
+          ...current,
+          status: DUEL_STATUS.COMPLETED,
+          winner,
+          tieBreak,
+          rewardsPaid: false,
+          completedAt: new Date().toISOString(),
+        },
+        completedNow: true,
+      };
+    });
     
-    const duel = snapshot.data();
+    if (completedNow) {
+      logger.info('Duel completed', { 
+        duelId, 
+        winner: duel.winner,
+        challengerScore: duel.challenger.score,
+        opponentScore: duel.opponent.score,
+      });
+      
+      realtimeService.publishDuel(duelId, realtimeService.REALTIME_EVENTS.DUEL_COMPLETED, {
+        winner: duel.winner,
+        challengerScore: duel.challenger.score,
+        opponentScore: duel.opponent.score,
+      });
+    }
     
-    if (duel.status === DUEL_STATUS.COMPLETED) {
-      return duel;
+    // Duels completed before rewardsPaid existed were paid before completing
+    if (duel.rewardsPaid === false) {
+      await payDuelRewards(duelId, duel, duel.winner);
+      await duelDoc.update({ rewardsPaid: true });
+      duel.rewardsPaid = true;
     }
     
-    // Determine winner
-    let winner = null;
-    if (duel.challenger.score > duel.opponent.score) {
-      winner = 'challenger';
-    } else if (duel.opponent.score > duel.challenger.score) {
-      winner = 'opponent';
-    } else {
-      winner = 'tie';
+    return duel;
+  } catch (error) {
+    logger.error('Error completing duel', { error: error.message, duelId });
+    throw error;
+  }
+}
+
+/**
+ * Finish duels whose time is up (run by the duel-expiry job)
+ * Active duels past expiresAt are completed, which decides the winner and
+ * pays XP. Pending challenges older than PENDING_DUEL_TTL_MS expire, and
+ * completed duels whose payout failed are paid again.
+ * @returns {Promise<object>} { completed, expired, failed }
+ */
+async function expireDuels(now = new Date()) {
+  try {
+    const snapshot = await getDuelsCollection()
+      .where('status', 'in', [DUEL_STATUS.PENDING, DUEL_STATUS.ACTIVE])
+      .get();
+    
+    const counts = { completed: 0, expired: 0, failed: 0 };
+    
+    for (const doc of snapshot.docs) {
+      const duel = doc.data();
+      
+      try {
+        if (duel.status === DUEL_STATUS.ACTIVE && duel.expiresAt && new Date(duel.expiresAt) <= now) {
+          await completeDuel(doc.id);
+          counts.completed++;
+        } else if (duel.status === DUEL_STATUS.PENDING) {
+          const createdAt = duel.createdAt?.toDate?.() || new Date(duel.createdAt);
+          if (now - createdAt >= PENDING_DUEL_TTL_MS) {
+            await doc.ref.update({
+              status: DUEL_STATUS.EXPIRED,
+              expiredAt: FieldValue.serverTimestamp(),
+            });
+            counts.expired++;
+          }
+        }
+      } catch (error) {
+        // One broken duel should not hold up the rest
+        counts.failed++;
+        logger.error('Error expiring duel', { error: error.message, duelId: doc.id });
+      }
     }
     
-    await duelDoc.update({
-      status: DUEL_STATUS.COMPLETED,
-      winner,
-      completedAt: FieldValue.serverTimestamp(),
-    });
+    // Completed duels whose payout failed are paid again
+    const unpaid = await getDuelsCollection()
+      .where('rewardsPaid', '==', false)
+      .get();
     
-    logger.info('Duel completed', { 
-      duelId, 
-      winner,
-      challengerScore: duel.challenger.score,
-      opponentScore: duel.opponent.score,
-    });
+    for (const doc of unpaid.docs) {
+      try {
+        await completeDuel(doc.id);
+      } catch (error) {
+        counts.failed++;
+        logger.error('Error paying duel rewards', { error: error.message, duelId: doc.id });
+      }
+    }
     
-    return {
-      ...duel,
-      status: DUEL_STATUS.COMPLETED,
-      winner,
-      completedAt: new Date().toISOString(),
-    };
+    if (counts.completed || counts.expired || counts.failed) {
+      logger.info('Expired duels', counts);
+    }
+    
+    return counts;
   } catch (error) {
-    logger.error('Error completing duel', { error: error.message, duelId });
+    logger.error('Error expiring duels', { error: error.message });
+    throw error;
+  }
+}
+
+/**
+ * Get a duel by ID, or null
+ */
+async function getDuelById(duelId) {
+  try {
+    const doc = await getDuelsCollection().doc(duelId).get();
+    return doc.exists ? { id: doc.id, ...doc.data() } : null;
+  } catch (error) {
+    logger.error('Error getting duel', { error: error.message, duelId });
     throw error;
   }
 }
@@ -521,7 +701,8 @@ async function getPendingInvitations(userId) {
  */
 async function processWorkoutForDuels(userId, workoutData) {
   try {
-    const { exercise, reps } = workoutData;
+    const { exercise, amount } = workoutData;
+    const totals = getWorkoutTotals(exercise, amount);
     const activeDuels = await getUserActiveDuels(userId);
     const updates = [];
     
@@ -532,16 +713,23 @@ async function processWorkoutForDuels(userId, workoutData) {
       
       // Check if this exercise counts for the duel
       if (duel.exercise === null || duel.exercise === exercise) {
-        if (duel.metric === 'total_reps') {
-          scoreDelta = reps;
+        if (AMOUNT_METRIC_UNITS[duel.metric]) {
+          scoreDelta = totals[AMOUNT_METRIC_UNITS[duel.metric]];
         } else if (duel.metric === 'workout_count') {
           scoreDelta = 1;
         }
       }
       
       if (scoreDelta > 0) {
-        const result = await updateDuelScore(userId, duel.id, scoreDelta);
-        updates.push(result);
+        try {
+          const result = await updateDuelScore(userId, duel.id, scoreDelta);
+          updates.push(result);
+        } catch (error) {
+          // The duel ended after we listed it; the others still count
+          if (error.message !== 'Duel is not active' && error.message !== 'Duel has expired') {
+            throw error;
+          }
+        }
       }
     }
     
@@ -598,12 +786,15 @@ async function getDuelStats(userId) {
 module.exports = {
   DUEL_CHALLENGES,
   DUEL_STATUS,
+  PENDING_DUEL_TTL_MS,
   getAvailableChallenges,
   createDuel,
   acceptDuel,
   declineDuel,
   updateDuelScore,
   completeDuel,
+  expireDuels,
+  getDuelById,
   getUserActiveDuels,
   getUserDuels,
   getPendingInvitations,
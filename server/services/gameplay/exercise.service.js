@@ -0,0 +1,374 @@
+/**
+ * Exercise Service - The exercise catalog
+ * Built-in exercises come from the balance file; admins can add their own,
+ * which are stored in the exercises collection. Custom exercises are cached
+ * here and handed to the shared game logic (setCustomExercises), so XP,
+ * stat and damage formulas treat them like built-ins. Workout submissions
+ * resolve names against the catalog, so "Push ups" or "bench press" find
+ * the right exercise and unknown names are rejected instead of falling back
+ * to the default entry.
+ */
+
+const { getDb } = require('../storage/storage.service');
+const logger = require('../../utils/logger');
+const { getBalance, getExerciseIds, setCustomExercises } = require('../../../shared/game/balance');
+
+/**
+ * Get exercises collection reference
+ */
+function getExercisesCollection() {
+  const db = getDb();
+  return db.collection('exercises');
+}
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const MUSCLE_GROUPS = [
+  'chest', 'back', 'shoulders', 'biceps', 'triceps', 'forearms', 'core',
+  'quadriceps', 'hamstrings', 'glutes', 'calves', 'legs', 'full-body', 'cardiovascular',
+];
+
+const STATS = ['strength', 'endurance', 'agility'];
+
+const DEFAULT_MULTIPLIER = 1.0;
+
+// Custom exercises are re-read at most this often, so other servers' admin
+// changes show up without a restart
+const CACHE_TTL_MS = 60 * 1000;
+
+let customCache = null;
+let customCacheLoadedAt = 0;
+
+// ============================================================================
+// CATALOG ENTRIES
+// ============================================================================
+
+/**
+ * Build a catalog entry from a balance-shaped exercise
+ */
+function toCatalogEntry(id, exercise, builtIn) {
+  return {
+    id,
+    name: exercise.displayName || id,
+    metric: exercise.metric,
+    unit: getBalance().workout.metrics[exercise.metric].unit,
+    muscleGroups: exercise.muscleGroups || [],
+    stats: exercise.stats,
+    aliases: exercise.aliases || [],
+    xpMultiplier: exercise.xpMultiplier,
+    damageMultiplier: exercise.damageMultiplier,
+    builtIn,
+    ...(builtIn ? {} : { createdBy: exercise.createdBy || null, createdAt: exercise.createdAt || null }),
+  };
+}
+
+/**
+ * Load custom exercises from storage (cached for CACHE_TTL_MS)
+ * If storage can't be read, the last loaded exercises are kept so built-in
+ * workouts still go through; the next call tries again.
+ * @param {boolean} force - Skip the cache
+ * @returns {Promise<object>} Stored exercises keyed by ID
+ */
+async function loadCustomExercises(force = false) {
+  if (!force && customCache && Date.now() - customCacheLoadedAt < CACHE_TTL_MS) {
+    return customCache;
+  }
+
+  try {
+    const snapshot = await getExercisesCollection().get();
+    const exercises = {};
+    snapshot.docs.forEach(doc => {
+      exercises[doc.id] = doc.data();
+    });
+
+    setCustomExercises(exercises);
+    customCache = exercises;
+    customCacheLoadedAt = Date.now();
+
+    return exercises;
+  } catch (error) {
+    logger.error('Error loading custom exercises', { error: error.message });
+    return customCache || {};
+  }
+}
+
+/**
+ * List the catalog: built-ins first, then custom exercises by ID
+ * @param {object} filters - { muscleGroup, metric }
+ */
+async function listExercises(filters = {}) {
+  const balance = getBalance();
+  const custom = await loadCustomExercises();
+
+  const entries = [
+    ...getExerciseIds().map(id => toCatalogEntry(id, balance.exercises[id], true)),
+    ...Object.keys(custom).sort().map(id => toCatalogEntry(id, custom[id], false)),
+  ];
+
+  return entries.filter(entry =>
+    (!filters.muscleGroup || entry.muscleGroups.includes(filters.muscleGroup)) &&
+    (!filters.metric || entry.metric === filters.metric)
+  );
+}
+
+/**
+ * Get one catalog entry by ID, or null
+ */
+async function getExercise(id) {
+  const key = String(id || '').toLowerCase();
+  const balance = getBalance();
+
+  if (balance.exercises[key]) {
+    return toCatalogEntry(key, balance.exercises[key], true);
+  }
+
+  const custom = await loadCustomExercises();
+  return custom[key] ? toCatalogEntry(key, custom[key], false) : null;
+}
+
+// ============================================================================
+// NAME MATCHING
+// ============================================================================
+
+/**
+ * Reduce a name to lowercase letters and digits, dropping a plural "s"
+ * ("Push-ups" and "push ups" both become "pushup")
+ */
+function normalizeExerciseName(name) {
+  const compact = String(name || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+  return compact.length > 3 ? compact.replace(/s$/, '') : compact;
+}
+
+/**
+ * Edit distance between two strings (insertions, deletions, substitutions)
+ */
+function levenshtein(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * Typos allowed when fuzzy matching a normalized name of this length
+ */
+function getMaxDistance(length) {
+  if (length < 5) return 0;
+  return length < 9 ? 1 : 2;
+}
+
+/**
+ * Resolve a submitted exercise name to a catalog entry
+ * Tries the ID, then the normalized ID, name and aliases, then the closest
+ * name within a small edit distance. Returns null when nothing matches or
+ * two exercises are equally close.
+ */
+async function resolveExercise(name) {
+  try {
+    const query = normalizeExerciseName(name);
+    if (!query) return null;
+
+    const exact = await getExercise(name);
+    if (exact) return exact;
+
+    const entries = await listExercises();
+    const candidates = entries.flatMap(entry =>
+      [entry.id, entry.name, ...entry.aliases].map(label => ({ entry, key: normalizeExerciseName(label) }))
+    );
+
+    const match = candidates.find(candidate => candidate.key === query);
+    if (match) return match.entry;
+
+    const maxDistance = getMaxDistance(query.length);
+    let best = null;
+    let bestDistance = Infinity;
+    let tied = false;
+
+    for (const { entry, key } of candidates) {
+      const distance = levenshtein(query, key);
+      if (distance > maxDistance) continue;
+
+      if (distance < bestDistance) {
+        best = entry;
+        bestDistance = distance;
+        tied = false;
+      } else if (distance === bestDistance && entry.id !== best.id) {
+        tied = true;
+      }
+    }
+
+    return tied ? null : best;
+  } catch (error) {
+    logger.error('Error resolving exercise', { error: error.message, name });
+    throw error;
+  }
+}
+
+// ============================================================================
+// ADMIN CHANGES
+// ============================================================================
+
+/**
+ * Throw if a name or alias of an exercise would match another exercise
+ */
+async function assertNamesAvailable(id, labels) {
+  const entries = await listExercises();
+
+  for (const label of labels) {
+    const key = normalizeExerciseName(label);
+    const clash = entries.find(entry =>
+      entry.id !== id &&
+      [entry.id, entry.name, ...entry.aliases].some(other => normalizeExerciseName(other) === key)
+    );
+
+    if (clash) {
+      throw new Error(`"${label}" is already used by ${clash.id}`);
+    }
+  }
+}
+
+/**
+ * Check the stat weights of a custom exercise
+ */
+function assertStats(stats) {
+  const weights = Object.entries(stats || {}).filter(([stat, weight]) => STATS.includes(stat) && weight > 0);
+
+  if (weights.length === 0) {
+    throw new Error('Exercise needs at least one stat weight');
+  }
+}
+
+/**
+ * Add a custom exercise
+ * @param {object} data - { id, name, metric, muscleGroups, stats, aliases, xpMultiplier, damageMultiplier }
+ * @param {string} adminId - Admin creating it
+ */
+async function createExercise(data, adminId) {
+  try {
+    const id = data.id.toLowerCase();
+
+    if (await getExercise(id)) {
+      throw new Error('Exercise already exists');
+    }
+    assertStats(data.stats);
+    await assertNamesAvailable(id, [id, data.name, ...(data.aliases || [])]);
+
+    const exercise = {
+      metric: data.metric,
+      displayName: data.name,
+      muscleGroups: data.muscleGroups || [],
+      aliases: data.aliases || [],
+      xpMultiplier: data.xpMultiplier ?? DEFAULT_MULTIPLIER,
+      damageMultiplier: data.damageMultiplier ?? DEFAULT_MULTIPLIER,
+      stats: data.stats,
+      createdBy: adminId,
+      createdAt: new Date().toISOString(),
+    };
+
+    await getExercisesCollection().doc(id).set(exercise);
+    await loadCustomExercises(true);
+
+    logger.info('Exercise created', { exerciseId: id, adminId });
+
+    return getExercise(id);
+  } catch (error) {
+    logger.error('Error creating exercise', { error: error.message, exerciseId: data.id });
+    throw error;
+  }
+}
+
+/**
+ * Change a custom exercise (built-ins are changed in the balance file)
+ * Changing the metric only affects workouts logged afterwards.
+ */
+async function updateExercise(id, updates, adminId) {
+  try {
+    const existing = await getExercise(id);
+
+    if (!existing) {
+      throw new Error('Exercise not found');
+    }
+    if (existing.builtIn) {
+      throw new Error('Built-in exercises cannot be changed');
+    }
+    if (updates.stats) {
+      assertStats(updates.stats);
+    }
+    await assertNamesAvailable(existing.id, [updates.name, ...(updates.aliases || [])].filter(Boolean));
+
+    const fields = {
+      updatedBy: adminId,
+      updatedAt: new Date().toISOString(),
+    };
+    if (updates.name !== undefined) fields.displayName = updates.name;
+    ['metric', 'muscleGroups', 'aliases', 'stats', 'xpMultiplier', 'damageMultiplier'].forEach(field => {
+      if (updates[field] !== undefined) fields[field] = updates[field];
+    });
+
+    // update() replaces stats and lists whole rather than merging them
+    await getExercisesCollection().doc(existing.id).update(fields);
+    await loadCustomExercises(true);
+
+    logger.info('Exercise updated', { exerciseId: existing.id, adminId });
+
+    return getExercise(existing.id);
+  } catch (error) {
+    logger.error('Error updating exercise', { error: error.message, exerciseId: id });
+    throw error;
+  }
+}
+
+/**
+ * Remove a custom exercise
+ * Workouts already logged keep their exercise ID and metric
+ */
+async function deleteExercise(id, adminId) {
+  try {
+    const existing = await getExercise(id);
+
+    if (!existing) {
+      throw new Error('Exercise not found');
+    }
+    if (existing.builtIn) {
+      throw new Error('Built-in exercises cannot be changed');
+    }
+
+    await getExercisesCollection().doc(existing.id).delete();
+    await loadCustomExercises(true);
+
+    logger.info('Exercise deleted', { exerciseId: existing.id, adminId });
+  } catch (error) {
+    logger.error('Error deleting exercise', { error: error.message, exerciseId: id });
+    throw error;
+  }
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+  MUSCLE_GROUPS,
+  STATS,
+  loadCustomExercises,
+  listExercises,
+  getExercise,
+  normalizeExerciseName,
+  resolveExercise,
+  createExercise,
+  updateExercise,
+  deleteExercise,
+};
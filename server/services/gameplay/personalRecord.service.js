@@ -0,0 +1,128 @@
+/**
+ * Personal Record Service - Track each player's best lifts
+ * One record per user and weighted exercise holds the best estimated
+ * one-rep max, heaviest set and session volume. Records are compared and
+ * written in a transaction, so two workouts logged at once cannot both
+ * claim the same PR.
+ */
+
+const { getDb } = require('../storage/storage.service');
+const logger = require('../../utils/logger');
+
+/**
+ * Get user personal records collection reference
+ */
+function getUserRecordsCollection(userId) {
+  const db = getDb();
+  return db.collection('users').doc(userId).collection('personalRecords');
+}
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const PR_TYPES = {
+  ESTIMATED_ONE_REP_MAX: 'estimated_1rm',
+  HEAVIEST_SET: 'heaviest_set',
+  SESSION_VOLUME: 'session_volume',
+};
+
+/**
+ * Read each PR type's value from a workout summary (see summarizeSets)
+ * A null or 0 value never sets a record
+ */
+const PR_VALUES = {
+  [PR_TYPES.ESTIMATED_ONE_REP_MAX]: summary => summary.estimatedOneRepMax,
+  [PR_TYPES.HEAVIEST_SET]: summary => summary.topWeight,
+  [PR_TYPES.SESSION_VOLUME]: summary => summary.volume,
+};
+
+// ============================================================================
+// RECORDS
+// ============================================================================
+
+/**
+ * Compare a weighted workout with the user's records and save any new bests
+ * @param {string} userId - User ID
+ * @param {object} workout - { id, exercise, timestamp } plus the summarizeSets fields
+ * @returns {Promise<Array>} New PRs: [{ exercise, type, value, previous, workoutId }]
+ */
+async function updatePersonalRecords(userId, workout) {
+  try {
+    const db = getDb();
+    const recordRef = getUserRecordsCollection(userId).doc(workout.exercise);
+    const achievedAt = workout.timestamp || new Date().toISOString();
+
+    const newRecords = await db.runTransaction(async (transaction) => {
+      const recordDoc = await transaction.get(recordRef);
+      const record = recordDoc.exists ? recordDoc.data() : { exercise: workout.exercise, records: {} };
+      const records = { ...record.records };
+      const improved = [];
+
+      for (const [type, getValue] of Object.entries(PR_VALUES)) {
+        const value = getValue(workout);
+        const previous = records[type]?.value ?? null;
+
+        if (!(value > 0) || (previous !== null && value <= previous)) continue;
+
+        records[type] = { value, workoutId: workout.id, achievedAt };
+        improved.push({ exercise: workout.exercise, type, value, previous, workoutId: workout.id });
+      }
+
+      if (improved.length > 0) {
+        transaction.set(recordRef, {
+          exercise: workout.exercise,
+          records,
+          updatedAt: achievedAt,
+        });
+      }
+
+      return improved;
+    });
+
+    if (newRecords.length > 0) {
+      logger.debug('Personal records set', {
+        userId,
+        exercise: workout.exercise,
+        types: newRecords.map(pr => pr.type),
+      });
+    }
+
+    return newRecords;
+  } catch (error) {
+    logger.error('Error updating personal records', { error: error.message, userId });
+    throw error;
+  }
+}
+
+/**
+ * Get a user's personal records, one entry per exercise
+ * @param {string} userId - User ID
+ * @param {string} exercise - Optional exercise to filter by
+ */
+async function getPersonalRecords(userId, exercise = null) {
+  try {
+    if (exercise) {
+      const recordDoc = await getUserRecordsCollection(userId).doc(exercise).get();
+      return recordDoc.exists ? [recordDoc.data()] : [];
+    }
+
+    const snapshot = await getUserRecordsCollection(userId).get();
+    return snapshot.docs
+      .map(doc => doc.data())
+      .sort((a, b) => a.exercise.localeCompare(b.exercise));
+  } catch (error) {
+    logger.error('Error getting personal records', { error: error.message, userId });
+    throw error;
+  }
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+  PR_TYPES,
+  updatePersonalRecords,
+  getPersonalRecords,
+};
@@ -0,0 +1,129 @@
+/**
+ * Progression Service - Level progress and prestige
+ * Prestige resets a max-level player to level 1 in exchange for a permanent
+ * badge and XP bonus
+ */
+
+const { getDb, FieldValue } = require('../storage/storage.service');
+const logger = require('../../utils/logger');
+const userService = require('../user/user.service');
+const {
+  getLevelFromXP,
+  getLevelProgress,
+  getPrestigeXPBonus,
+  migrateLevelProgress,
+  MAX_LEVEL,
+} = require('../../../shared/game/gameLogic');
+const { getBalance } = require('../../../shared/game/balance');
+
+/**
+ * Get users collection reference
+ */
+function getUsersCollection() {
+  const db = getDb();
+  return db.collection('users');
+}
+
+// ============================================================================
+// PROGRESSION
+// ============================================================================
+
+/**
+ * Get a user's level progress and prestige state
+ */
+async function getProgression(userId) {
+  try {
+    const user = await userService.findUserByUid(userId);
+
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    const prestige = user.prestige || 0;
+    const progress = getLevelProgress(user.xp || 0);
+
+    return {
+      xp: user.xp || 0,
+      ...progress,
+      maxLevel: MAX_LEVEL,
+      prestige,
+      maxPrestige: getBalance().prestige.maxPrestige,
+      prestigeBadges: user.prestigeBadges || [],
+      prestigeXPBonus: getPrestigeXPBonus(prestige),
+      canPrestige: progress.isMaxLevel && prestige < getBalance().prestige.maxPrestige,
+    };
+  } catch (error) {
+    logger.error('Error getting progression', { error: error.message, userId });
+    throw error;
+  }
+}
+
+// ============================================================================
+// PRESTIGE
+// ============================================================================
+
+/**
+ * Prestige a max-level user: reset to level 1 with zero XP, award a badge
+ * and raise the permanent XP bonus
+ */
+async function prestigeUser(userId) {
+  try {
+    const db = getDb();
+    const userRef = getUsersCollection().doc(userId);
+
+    const result = await db.runTransaction(async (transaction) => {
+      const userDoc = await transaction.get(userRef);
+
+      if (!userDoc.exists) {
+        throw new Error('User not found');
+      }
+
+      const user = { ...userDoc.data(), ...migrateLevelProgress(userDoc.data()) };
+      const currentPrestige = user.prestige || 0;
+
+      if (getLevelFromXP(user.xp || 0) < MAX_LEVEL) {
+        throw new Error(`Reach level ${MAX_LEVEL} to prestige`);
+      }
+      if (currentPrestige >= getBalance().prestige.maxPrestige) {
+        throw new Error('Maximum prestige reached');
+      }
+
+      const prestige = currentPrestige + 1;
+      const badge = {
+        prestige,
+        earnedAt: new Date().toISOString(),
+      };
+
+      transaction.update(userRef, {
+        xp: 0,
+        level: 1,
+        levelCurveVersion: user.levelCurveVersion,
+        prestige,
+        prestigeBadges: [...(user.prestigeBadges || []), badge],
+        updatedAt: FieldValue.serverTimestamp(),
+      });
+
+      return {
+        prestige,
+        badge,
+        prestigeXPBonus: getPrestigeXPBonus(prestige),
+      };
+    });
+
+    logger.info('User prestiged', { userId, prestige: result.prestige });
+
+    return result;
+  } catch (error) {
+    logger.error('Error prestiging user', { error: error.message, userId });
+    throw error;
+  }
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+  getProgression,
+  prestigeUser,
+};
@@ -3,58 +3,26 @@
  * Generates personalized quests based on user data and activity
  */
 
-const admin = require('firebase-admin');
+const { getDb, FieldValue } = require('../storage/storage.service');
 const logger = require('../../utils/logger');
-
-let db = null;
-
-/**
- * Get firestore FieldValue helper with fallbacks for tests/mocks
- */
-function getFieldValue() {
-  if (admin.firestore && admin.firestore.FieldValue) {
-    return admin.firestore.FieldValue;
-  }
-  if (admin.FieldValue) {
-    return admin.FieldValue;
-  }
-  return {
-    serverTimestamp: () => new Date(),
-    increment: (n) => n,
-    arrayUnion: (item) => [item],
-  };
-}
-
-const FieldValue = getFieldValue();
-
-/**
- * Initialize Firestore connection
- */
-function initFirestore() {
-  if (db) return db;
-  
-  if (admin.apps.length) {
-    db = admin.firestore();
-    return db;
-  }
-  
-  throw new Error('Firestore not initialized. Initialize user service first.');
-}
+const rewardService = require('../shared/reward.service');
+const { generateQuestReward } = require('../shared/item.service');
+const { getWorkoutTotals } = require('../../../shared/game/gameLogic');
 
 /**
  * Get quests collection reference
  */
 function getQuestsCollection() {
-  const firestore = initFirestore();
-  return firestore.collection('quests');
+  const db = getDb();
+  return db.collection('quests');
 }
 
 /**
  * Get user quests collection reference
  */
 function getUserQuestsCollection(userId) {
-  const firestore = initFirestore();
-  return firestore.collection('users').doc(userId).collection('quests');
+  const db = getDb();
+  return db.collection('users').doc(userId).collection('quests');
 }
 
 // ============================================================================
@@ -104,6 +72,16 @@ const QUEST_TEMPLATES = {
       requirement: { type: 'exercise_reps', exercise: 'pushup', value: [15, 25, 35] },
       rewardItem: null,
     },
+    {
+      id: 'daily_plank',
+      title: 'Iron Core',
+      description: 'Hold a plank for {target} seconds today',
+      type: 'daily',
+      difficulty: 'normal',
+      xpReward: 60,
+      requirement: { type: 'exercise_seconds', exercise: 'plank', value: [60, 120, 180] },
+      rewardItem: null,
+    },
     {
       id: 'daily_raid_damage',
       title: 'Raid Warrior',
@@ -148,6 +126,16 @@ const QUEST_TEMPLATES = {
       requirement: { type: 'exercise_variety', value: 3 },
       rewardItem: null,
     },
+    {
+      id: 'weekly_distance',
+      title: 'Road Runner',
+      description: 'Run {target} meters this week',
+      type: 'weekly',
+      difficulty: 'hard',
+      xpReward: 300,
+      requirement: { type: 'exercise_meters', exercise: 'run', value: [5000, 10000, 20000] },
+      rewardItem: null,
+    },
     {
       id: 'weekly_duel',
       title: 'Duelist',
@@ -202,6 +190,16 @@ const QUEST_TEMPLATES = {
       requirement: { type: 'lifetime_reps', value: 10000 },
       rewardItem: 'legendary_gloves',
     },
+    {
+      id: 'marathoner',
+      title: 'Marathoner',
+      description: 'Run 42,195 meters in total',
+      type: 'milestone',
+      difficulty: 'hard',
+      xpReward: 750,
+      requirement: { type: 'lifetime_meters', value: 42195 },
+      rewardItem: null,
+    },
     {
       id: 'streak_master_7',
       title: 'Streak Master',
@@ -289,6 +287,17 @@ const QUEST_TEMPLATES = {
   ],
 };
 
+// Requirements that count workout amounts, and the unit each one counts
+// (see getWorkoutTotals). exercise_* requirements also name the exercise.
+const AMOUNT_REQUIREMENT_UNITS = {
+  total_reps: 'reps',
+  total_seconds: 'seconds',
+  total_meters: 'meters',
+  exercise_reps: 'reps',
+  exercise_seconds: 'seconds',
+  exercise_meters: 'meters',
+};
+
 // ============================================================================
 // QUEST GENERATION
 // ============================================================================
@@ -568,23 +577,29 @@ async function updateQuestProgress(userId, questId, progressDelta) {
  */
 async function processWorkoutForQuests(userId, workoutData) {
   try {
-    const { exercise, reps } = workoutData;
+    const { exercise, amount } = workoutData;
+    const totals = getWorkoutTotals(exercise, amount);
     const quests = await getUserQuests(userId);
     const updates = [];
     
     for (const quest of quests) {
       let progressDelta = 0;
+      const unit = AMOUNT_REQUIREMENT_UNITS[quest.requirement.type];
       
       switch (quest.requirement.type) {
         case 'workout_count':
           progressDelta = 1;
           break;
         case 'total_reps':
-          progressDelta = reps;
+        case 'total_seconds':
+        case 'total_meters':
+          progressDelta = totals[unit];
           break;
         case 'exercise_reps':
+        case 'exercise_seconds':
+        case 'exercise_meters':
           if (quest.requirement.exercise === exercise) {
-            progressDelta = reps;
+            progressDelta = totals[unit];
           }
           break;
         case 'exercise_variety':
@@ -629,6 +644,16 @@ async function claimQuestReward(userId, questId) {
       throw new Error('Reward already claimed');
     }
     
+    // Pay out before marking the quest claimed: the grant is idempotent per
+    // quest, so a retry after a failed update can never pay twice
+    const grant = await rewardService.grantReward(userId, {
+      sourceType: rewardService.REWARD_SOURCES.QUEST,
+      sourceId: questId,
+      xp: quest.xpReward || 0,
+      items: quest.rewardItem ? generateQuestReward(quest.difficulty) : [],
+      description: `Quest completed: ${quest.title}`,
+    });
+    
     await questDoc.update({
       claimed: true,
       claimedAt: FieldValue.serverTimestamp(),
@@ -639,6 +664,9 @@ async function claimQuestReward(userId, questId) {
     return {
       xpReward: quest.xpReward,
       rewardItem: quest.rewardItem,
+      items: grant.items,
+      newLevel: grant.entry.levelAfter,
+      leveledUp: grant.leveledUp,
       quest,
     };
   } catch (error) {
@@ -652,13 +680,15 @@ async function claimQuestReward(userId, questId) {
  */
 async function getUserStats(userId) {
   try {
-    const firestore = initFirestore();
-    const userDoc = await firestore.collection('users').doc(userId).get();
+    const db = getDb();
+    const userDoc = await db.collection('users').doc(userId).get();
     
     if (!userDoc.exists) {
       return {
         totalWorkouts: 0,
         lifetimeReps: 0,
+        lifetimeSeconds: 0,
+        lifetimeMeters: 0,
         workoutStreak: 0,
         raidsCompleted: 0,
         territoryBattles: 0,
@@ -670,6 +700,8 @@ async function getUserStats(userId) {
     return {
       totalWorkouts: userData.totalWorkouts || 0,
       lifetimeReps: userData.lifetimeReps || 0,
+      lifetimeSeconds: userData.lifetimeSeconds || 0,
+      lifetimeMeters: userData.lifetimeMeters || 0,
       workoutStreak: userData.workoutStreak || 0,
       raidsCompleted: userData.raidsCompleted || 0,
       territoryBattles: userData.territoryBattles || 0,
@@ -690,6 +722,10 @@ function calculateProgress(quest, userStats) {
       return userStats.totalWorkouts || 0;
     case 'lifetime_reps':
       return userStats.lifetimeReps || 0;
+    case 'lifetime_seconds':
+      return userStats.lifetimeSeconds || 0;
+    case 'lifetime_meters':
+      return userStats.lifetimeMeters || 0;
     case 'workout_streak':
       return userStats.workoutStreak || 0;
     case 'raids_completed':
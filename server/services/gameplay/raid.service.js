@@ -3,156 +3,132 @@
  * Supports real-time HP tracking and member contributions
  */
 
-const admin = require('firebase-admin');
+const { getDb, FieldValue } = require('../storage/storage.service');
 const logger = require('../../utils/logger');
 const partyService = require('../social/party.service');
-
-let db = null;
-
-/**
- * Initialize Firestore connection
- */
-function initFirestore() {
-  if (db) return db;
-  
-  if (admin.apps.length) {
-    db = admin.firestore();
-    return db;
-  }
-  
-  throw new Error('Firestore not initialized. Initialize user service first.');
-}
+const rewardService = require('../shared/reward.service');
+const realtimeService = require('../shared/realtime.service');
+const raidBossService = require('./raidBoss.service');
+const { calculateRaidDamage, getEffectiveStats, formatWorkoutAmount } = require('../../../shared/game/gameLogic');
+const { getExerciseBalance } = require('../../../shared/game/balance');
+const { generateItem, generateRaidDrop } = require('../shared/item.service');
 
 /**
  * Get raids collection reference
  */
 function getRaidsCollection() {
-  const firestore = initFirestore();
-  return firestore.collection('raids');
+  const db = getDb();
+  return db.collection('raids');
 }
 
 /**
- * Get raid bosses collection reference
+ * Get parties collection reference
  */
-function getRaidBossesCollection() {
-  const firestore = initFirestore();
-  return firestore.collection('raidBosses');
+function getPartiesCollection() {
+  const db = getDb();
+  return db.collection('parties');
 }
 
-// ============================================================================
-// BOSS DEFINITIONS - Can be moved to Firestore later
-// ============================================================================
+// Raids of bosses without timeLimitHours (and raids started before expiresAt
+// existed) time out this long after they start
+const RAID_TIME_LIMIT_MS = 7 * 24 * 60 * 60 * 1000;
 
-const RAID_BOSSES = [
-  {
-    id: 'iron_golem',
-    name: 'Iron Golem',
-    flavorText: 'A hulking construct of twisted metal and pure determination. Only the strongest parties can topple this mechanical menace.',
-    baseHp: 1000,
-    hpPerMember: 500,
-    minMembers: 1,
-    maxMembers: 8,
-    difficulty: 'normal',
-    imageUrl: '/assets/bosses/iron_golem.png',
-    rewards: {
-      xpPerMember: 100,
-      bonusXpForTopContributor: 50,
-    },
-    color: '#6B7280',
-  },
-  {
-    id: 'flame_titan',
-    name: 'Flame Titan',
-    flavorText: 'Born from the eternal flames of Mount Forge, this titan burns with an intensity that matches your workout fire.',
-    baseHp: 2000,
-    hpPerMember: 800,
-    minMembers: 2,
-    maxMembers: 8,
-    difficulty: 'hard',
-    imageUrl: '/assets/bosses/flame_titan.png',
-    rewards: {
-      xpPerMember: 200,
-      bonusXpForTopContributor: 100,
-    },
-    color: '#EF4444',
-  },
-  {
-    id: 'shadow_dragon',
-    name: 'Shadow Dragon',
-    flavorText: 'An ancient beast that feeds on laziness and excuses. Defeat it to prove your dedication to the forge.',
-    baseHp: 5000,
-    hpPerMember: 1500,
-    minMembers: 3,
-    maxMembers: 8,
-    difficulty: 'legendary',
-    imageUrl: '/assets/bosses/shadow_dragon.png',
-    rewards: {
-      xpPerMember: 500,
-      bonusXpForTopContributor: 250,
-    },
-    color: '#8B5CF6',
-  },
-  {
-    id: 'crystal_hydra',
-    name: 'Crystal Hydra',
-    flavorText: 'Each head represents a different muscle group. Cut one down and two more seem to appear!',
-    baseHp: 3000,
-    hpPerMember: 1000,
-    minMembers: 2,
-    maxMembers: 8,
-    difficulty: 'hard',
-    imageUrl: '/assets/bosses/crystal_hydra.png',
-    rewards: {
-      xpPerMember: 300,
-      bonusXpForTopContributor: 150,
-    },
-    color: '#06B6D4',
-  },
-  {
-    id: 'thunder_colossus',
-    name: 'Thunder Colossus',
-    flavorText: 'A storm giant whose every step shakes the arena. Match its power with your reps!',
-    baseHp: 4000,
-    hpPerMember: 1200,
-    minMembers: 3,
-    maxMembers: 8,
-    difficulty: 'legendary',
-    imageUrl: '/assets/bosses/thunder_colossus.png',
-    rewards: {
-      xpPerMember: 400,
-      bonusXpForTopContributor: 200,
-    },
-    color: '#F59E0B',
-  },
+// Payout state of a defeated raid: pending until every member's loot is
+// granted, so a failed payout is retried by the raid-loot job
+const LOOT_STATUS = {
+  PENDING: 'pending',
+  PAID: 'paid',
+};
+
+// Loot tier by share of the boss's HP a member dealt; the top contributor
+// always rolls on the 'mvp' tier
+const LOOT_TIERS = [
+  { level: 'high', minDamagePercent: 25 },
+  { level: 'normal', minDamagePercent: 10 },
+  { level: 'low', minDamagePercent: 0 },
 ];
 
 // ============================================================================
-// BOSS MANAGEMENT
+// BOSS MECHANICS
 // ============================================================================
 
 /**
- * Get all available raid bosses with scaled HP preview
+ * Whether an exercise matches a weakness, resistance or objective
+ * @param {object} target - { exercises, muscleGroups }
+ */
+function exerciseMatches(exercise, target) {
+  if (!exercise || !target) return false;
+  if ((target.exercises || []).includes(exercise)) return true;
+  
+  const muscleGroups = getExerciseBalance(exercise).muscleGroups || [];
+  return (target.muscleGroups || []).some(group => muscleGroups.includes(group));
+}
+
+/**
+ * Index of the phase a boss is in at the given HP
+ * Phases are listed from full HP down
+ */
+function getPhaseIndex(phases, hpTotal, hpRemaining) {
+  const hpPercent = hpTotal > 0 ? (hpRemaining / hpTotal) * 100 : 0;
+  let index = 0;
+  
+  (phases || []).forEach((phase, i) => {
+    if (hpPercent <= phase.startsAtHpPercent) index = i;
+  });
+  
+  return index;
+}
+
+/**
+ * HP at which a phase ends (the next one starts), 0 for the last phase
+ */
+function getPhaseEndHp(phases, index, hpTotal) {
+  const next = phases[index + 1];
+  return next ? Math.floor((hpTotal * next.startsAtHpPercent) / 100) : 0;
+}
+
+/**
+ * Damage multiplier for an exercise in a phase: the strongest matching
+ * weakness times the strongest matching resistance
  */
-function getAvailableBosses(memberCount = 1) {
-  return RAID_BOSSES.map(boss => ({
-    ...boss,
-    scaledHp: calculateScaledHp(boss, memberCount),
-    isAvailable: memberCount >= boss.minMembers && memberCount <= boss.maxMembers,
-  }));
+function getPhaseMultiplier(phase, exercise) {
+  if (!phase || !exercise) return 1;
+  
+  const matching = list => (list || []).filter(entry => exerciseMatches(exercise, entry)).map(entry => entry.multiplier);
+  const weakness = Math.max(1, ...matching(phase.weaknesses));
+  const resistance = Math.min(1, ...matching(phase.resistances));
+  
+  return Math.round(weakness * resistance * 100) / 100;
 }
 
 /**
- * Get a specific boss by ID
+ * Raid fields for entering a phase: the phase summary and a fresh objective
  */
-function getBossById(bossId) {
-  return RAID_BOSSES.find(boss => boss.id === bossId) || null;
+function enterPhase(phases, index) {
+  const phase = phases[index];
+  
+  if (!phase) {
+    return { phase: null, objective: null };
+  }
+  
+  return {
+    phase: { index, id: phase.id, name: phase.name, startedAt: new Date().toISOString() },
+    objective: phase.objective
+      ? { ...phase.objective, completedBy: [], completed: false }
+      : null,
+  };
 }
 
 /**
- * Calculate scaled HP based on party size
+ * When a raid times out
+ * Raids started before expiresAt existed time out RAID_TIME_LIMIT_MS after they started
  */
-function calculateScaledHp(boss, memberCount) {
-  return boss.baseHp + (boss.hpPerMember * memberCount);
+function getRaidDeadline(raid) {
+  if (raid.expiresAt) {
+    return new Date(raid.expiresAt);
+  }
+  const startedAt = raid.startedAt?.toDate?.() || new Date(raid.startedAt);
+  return new Date(startedAt.getTime() + RAID_TIME_LIMIT_MS);
 }
 
 // ============================================================================
@@ -189,6 +165,52 @@ async function getActiveRaid(partyId) {
   }
 }
 
+/**
+ * Get the week's featured boss as the dashboard shows it
+ * HP comes from the player's party raid when it is fighting that boss
+ * (otherwise full HP scaled to their party); participants counts everyone
+ * in an active raid against it.
+ * @param {object|null} user - Signed-in user, if any
+ * @returns {Promise<object|null>} null when no boss can be fought
+ */
+async function getFeaturedRaid(user = null) {
+  try {
+    const boss = await raidBossService.getFeaturedBoss();
+    
+    if (!boss) {
+      return null;
+    }
+    
+    const snapshot = await getRaidsCollection()
+      .where('bossId', '==', boss.id)
+      .where('status', '==', 'active')
+      .get();
+    const raids = snapshot.docs.map(doc => doc.data());
+    
+    const partyRaid = user?.partyId ? raids.find(raid => raid.partyId === user.partyId) : null;
+    const party = user?.partyId && !partyRaid ? await partyService.getPartyById(user.partyId) : null;
+    const totalHp = partyRaid ? partyRaid.hpTotal : raidBossService.calculateScaledHp(boss, party?.memberCount || 1);
+    
+    return {
+      bossId: boss.id,
+      name: boss.name,
+      description: boss.flavorText,
+      difficulty: boss.difficulty,
+      color: boss.color,
+      season: boss.season?.name || null,
+      featuredUntil: boss.featuredUntil,
+      totalHP: totalHp,
+      currentHP: partyRaid ? partyRaid.hpRemaining : totalHp,
+      raidId: partyRaid?.id || null,
+      participants: raids.reduce((total, raid) => total + Object.keys(raid.contributions || {}).length, 0),
+      activeRaids: raids.length,
+    };
+  } catch (error) {
+    logger.error('Error getting featured raid', { error: error.message, userId: user?.uid });
+    throw error;
+  }
+}
+
 /**
  * Get raid by ID
  */
@@ -237,11 +259,15 @@ async function startRaid(userId, partyId, bossId) {
     }
     
     // Get boss
-    const boss = getBossById(bossId);
+    const boss = await raidBossService.getBossById(bossId);
     if (!boss) {
       throw new Error('Boss not found');
     }
     
+    if (!raidBossService.isBossAvailable(boss)) {
+      throw new Error(`${boss.name} cannot be fought right now`);
+    }
+    
     // Check member requirements
     const memberCount = party.memberCount;
     if (memberCount < boss.minMembers) {
@@ -253,7 +279,7 @@ async function startRaid(userId, partyId, bossId) {
     }
     
     // Calculate scaled HP
-    const hpTotal = calculateScaledHp(boss, memberCount);
+    const hpTotal = raidBossService.calculateScaledHp(boss, memberCount);
     
     // Create raid record
     const raidId = `raid_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
@@ -287,8 +313,11 @@ async function startRaid(userId, partyId, bossId) {
       rewards: boss.rewards,
       status: 'active',
       startedBy: userId,
-      startedAt: admin.firestore.FieldValue.serverTimestamp(),
-      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      startedAt: FieldValue.serverTimestamp(),
+      expiresAt: new Date(Date.now() + (boss.timeLimitHours ? boss.timeLimitHours * 60 * 60 * 1000 : RAID_TIME_LIMIT_MS)).toISOString(),
+      phases: boss.phases || [],
+      ...enterPhase(boss.phases || [], 0),
+      updatedAt: FieldValue.serverTimestamp(),
       damageLog: [], // Recent damage events for batching display
     };
     
@@ -297,6 +326,14 @@ async function startRaid(userId, partyId, bossId) {
     
     logger.info('Raid started', { raidId, partyId, bossId, bossName: boss.name, hpTotal });
     
+    realtimeService.publishParty(partyId, realtimeService.REALTIME_EVENTS.RAID_STARTED, {
+      raidId,
+      bossId: boss.id,
+      bossName: boss.name,
+      hpTotal,
+      startedBy: userId,
+    });
+    
     return {
       ...newRaid,
       startedAt: new Date().toISOString(),
@@ -309,82 +346,349 @@ async function startRaid(userId, partyId, bossId) {
 }
 
 /**
- * Log damage to the raid boss
- * Damage is calculated based on workout activity
+ * Loot tier for a leaderboard entry (see LOOT_TIERS)
  */
-async function logDamage(userId, raidId, damage, source = 'workout') {
-  try {
-    const raid = await getRaidById(raidId);
-    
-    if (!raid) {
-      throw new Error('Raid not found');
-    }
-    
-    if (raid.status !== 'active') {
-      throw new Error('Raid is not active');
-    }
-    
-    // Verify user is a participant
-    if (!raid.contributions[userId]) {
-      throw new Error('You are not a participant in this raid');
+function getLootTier(entry, isTopContributor) {
+  if (isTopContributor) return 'mvp';
+  
+  const damagePercent = parseFloat(entry.damagePercentage) || 0;
+  return LOOT_TIERS.find(tier => damagePercent >= tier.minDamagePercent).level;
+}
+
+/**
+ * Pay XP and loot once the boss is defeated, and save a loot summary on the raid
+ * Every member who dealt damage gets xpPerMember and a drop rolled on the
+ * boss's loot table at their tier; the top contributor also gets
+ * bonusXpForTopContributor and the boss's signature item. XP and items go
+ * through one ledger grant per raid and member (source raid_<raidId>_<uid>),
+ * so paying twice never doubles anything: the summary then lists what the
+ * first payout gave. lootStatus turns paid once every member is paid.
+ * @returns {Promise<object|null>} The loot summary
+ */
+async function payRaidRewards(raid) {
+  const boss = await raidBossService.getBossById(raid.bossId);
+  const rewards = raid.rewards || boss?.rewards;
+  if (!rewards) return null;
+  
+  // Raids started before loot tables existed roll on the boss's current one
+  const lootTable = rewards.loot || boss?.rewards?.loot || null;
+  
+  const leaderboard = (await getContributionLeaderboard(raid.id))
+    .filter(entry => (entry.totalDamage || 0) > 0);
+  const topContributorId = leaderboard[0]?.userId || null;
+  const members = [];
+  
+  for (const entry of leaderboard) {
+    const isTopContributor = entry.userId === topContributorId;
+    const tier = getLootTier(entry, isTopContributor);
+    const items = generateRaidDrop(tier, true, lootTable);
+    
+    if (isTopContributor && lootTable?.topContributorTemplateId) {
+      items.push(generateItem({
+        templateId: lootTable.topContributorTemplateId,
+        source: 'boss',
+        bonusLuck: lootTable.bonusLuck || 0,
+      }));
     }
     
-    // Calculate new HP
-    const newHpRemaining = Math.max(0, raid.hpRemaining - damage);
-    const isDefeated = newHpRemaining === 0;
-    
-    // Update contribution
-    const updatedContributions = { ...raid.contributions };
-    updatedContributions[userId] = {
-      ...updatedContributions[userId],
-      totalDamage: (updatedContributions[userId].totalDamage || 0) + damage,
-      totalHits: (updatedContributions[userId].totalHits || 0) + 1,
-    };
+    const grant = await rewardService.grantReward(entry.userId, {
+      sourceType: rewardService.REWARD_SOURCES.RAID,
+      sourceId: `${raid.id}_${entry.userId}`,
+      xp: (rewards.xpPerMember || 0) + (isTopContributor ? rewards.bonusXpForTopContributor || 0 : 0),
+      items,
+      description: isTopContributor
+        ? `Defeated ${raid.bossName} (top contributor)`
+        : `Defeated ${raid.bossName}`,
+    });
     
-    // Create damage log entry (keep last 20 for display)
-    const damageEntry = {
-      userId,
-      username: updatedContributions[userId].username,
-      damage,
-      source,
-      timestamp: new Date().toISOString(),
-    };
+    members.push({
+      userId: entry.userId,
+      username: entry.username,
+      rank: entry.rank,
+      damagePercentage: entry.damagePercentage,
+      tier,
+      isTopContributor,
+      xp: grant.entry.xp,
+      items: grant.entry.items,
+    });
+  }
+  
+  const loot = {
+    topContributorId,
+    members,
+    distributedAt: new Date().toISOString(),
+  };
+  
+  await getRaidsCollection().doc(raid.id).update({
+    loot,
+    lootStatus: LOOT_STATUS.PAID,
+    updatedAt: FieldValue.serverTimestamp(),
+  });
+  
+  logger.info('Raid loot distributed', {
+    raidId: raid.id,
+    members: members.length,
+    items: members.reduce((total, member) => total + member.items.length, 0),
+  });
+  
+  return loot;
+}
+
+/**
+ * Pay a defeated raid's loot, leaving it pending for a retry if that fails
+ * @returns {Promise<boolean>} Whether the loot is now paid
+ */
+async function tryPayRaidRewards(raid) {
+  try {
+    await payRaidRewards(raid);
+    return true;
+  } catch (error) {
+    logger.error('Raid loot payout failed, will retry', { error: error.message, raidId: raid.id });
+    return false;
+  }
+}
+
+/**
+ * Pay defeated raids whose loot is still pending (run by the raid-loot job)
+ * @returns {Promise<object>} { paid, failed }
+ */
+async function payPendingRaidRewards() {
+  try {
+    const snapshot = await getRaidsCollection()
+      .where('lootStatus', '==', LOOT_STATUS.PENDING)
+      .get();
     
-    const updatedDamageLog = [...(raid.damageLog || []), damageEntry].slice(-20);
+    let paid = 0;
+    for (const doc of snapshot.docs) {
+      if (await tryPayRaidRewards(doc.data())) paid++;
+    }
     
-    // Prepare update
-    const updateData = {
-      hpRemaining: newHpRemaining,
-      contributions: updatedContributions,
-      damageLog: updatedDamageLog,
-      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
-    };
+    return { paid, failed: snapshot.size - paid };
+  } catch (error) {
+    logger.error('Error paying pending raid loot', { error: error.message });
+    throw error;
+  }
+}
+
+/**
+ * Log damage to the raid boss
+ * Damage is calculated based on workout activity; when the exercise is
+ * given, the current phase's weaknesses, resistances and objective apply
+ * (see raidBoss.service). The raid is read and written in one transaction,
+ * so simultaneous hits all count and only the hit that takes the boss to
+ * 0 HP completes the raid and pays rewards; hits that land after that fail
+ * with "Raid is not active". A hit after the time limit fails the raid.
+ */
+async function logDamage(userId, raidId, damage, source = 'workout', exercise = null) {
+  try {
+    const db = getDb();
+    const raidRef = getRaidsCollection().doc(raidId);
+    
+    const hit = await db.runTransaction(async (transaction) => {
+      const raidDoc = await transaction.get(raidRef);
+      
+      if (!raidDoc.exists) {
+        throw new Error('Raid not found');
+      }
+      
+      const raid = raidDoc.data();
+      
+      if (raid.status !== 'active') {
+        throw new Error('Raid is not active');
+      }
+      
+      // Verify user is a participant
+      if (!raid.contributions[userId]) {
+        throw new Error('You are not a participant in this raid');
+      }
+      
+      if (raid.expiresAt && new Date(raid.expiresAt) <= new Date()) {
+        transaction.update(raidRef, {
+          status: 'expired',
+          victory: false,
+          completedAt: FieldValue.serverTimestamp(),
+          updatedAt: FieldValue.serverTimestamp(),
+        });
+        return { expired: true };
+      }
+      
+      const timestamp = new Date().toISOString();
+      const phases = raid.phases || [];
+      const phaseIndex = raid.phase?.index ?? getPhaseIndex(phases, raid.hpTotal, raid.hpRemaining);
+      const multiplier = getPhaseMultiplier(phases[phaseIndex], exercise);
+      const hitDamage = Math.round(damage * multiplier);
+      const events = [];
+      
+      // Count this hit toward the phase objective. It needs every participant
+      // still in the party, so a member who left does not hold the boss up
+      let objective = raid.objective || null;
+      if (objective && !objective.completed) {
+        const partyDoc = await transaction.get(getPartiesCollection().doc(raid.partyId));
+        const memberIds = partyDoc.exists ? partyDoc.data().members.map(member => member.userId) : null;
+        const required = Object.keys(raid.contributions).filter(id => !memberIds || memberIds.includes(id));
+        const completedBy = [...new Set([
+          ...objective.completedBy,
+          ...(exerciseMatches(exercise, objective) ? [userId] : []),
+        ])].filter(id => required.includes(id));
+        const completed = required.every(id => completedBy.includes(id));
+        
+        objective = { ...objective, completedBy, requiredCount: required.length, completed };
+        if (completed) {
+          events.push({ type: 'objective', phase: phaseIndex, description: objective.description, timestamp });
+        }
+      }
+      
+      // A phase with an unmet objective absorbs damage past its end
+      let hpFloor = 0;
+      for (let index = phaseIndex; index < phases.length; index++) {
+        const endHp = getPhaseEndHp(phases, index, raid.hpTotal);
+        if (raid.hpRemaining - hitDamage > endHp) break;
+        
+        const objectiveMet = index === phaseIndex ? !objective || objective.completed : !phases[index].objective;
+        if (!objectiveMet) {
+          hpFloor = endHp + 1;
+          break;
+        }
+      }
+      
+      // Calculate new HP
+      const hpRemaining = Math.min(raid.hpRemaining, Math.max(hpFloor, raid.hpRemaining - hitDamage));
+      const dealt = raid.hpRemaining - hpRemaining;
+      const defeated = hpRemaining === 0;
+      
+      // Move into the phase the boss is now in, logging each one reached
+      const newPhaseIndex = defeated ? phaseIndex : getPhaseIndex(phases, raid.hpTotal, hpRemaining);
+      let phaseFields = {};
+      if (newPhaseIndex > phaseIndex) {
+        for (let index = phaseIndex + 1; index <= newPhaseIndex; index++) {
+          events.push({ type: 'phase', phase: index, name: phases[index].name, timestamp });
+        }
+        phaseFields = enterPhase(phases, newPhaseIndex);
+      }
+      
+      // Update contribution
+      const updatedContributions = { ...raid.contributions };
+      updatedContributions[userId] = {
+        ...updatedContributions[userId],
+        totalDamage: (updatedContributions[userId].totalDamage || 0) + dealt,
+        totalHits: (updatedContributions[userId].totalHits || 0) + 1,
+      };
+      
+      // Create damage log entry (keep last 20 for display), followed by any
+      // objective or phase change it caused
+      const damageEntry = {
+        type: 'hit',
+        userId,
+        username: updatedContributions[userId].username,
+        damage: dealt,
+        baseDamage: damage,
+        multiplier,
+        absorbed: hitDamage - dealt,
+        source,
+        exercise,
+        timestamp,
+      };
+      
+      // Prepare update
+      const updateData = {
+        hpRemaining,
+        contributions: updatedContributions,
+        damageLog: [...(raid.damageLog || []), damageEntry, ...events].slice(-20),
+        objective,
+        ...phaseFields,
+        updatedAt: FieldValue.serverTimestamp(),
+      };
+      
+      if (defeated) {
+        updateData.status = 'completed';
+        updateData.completedAt = FieldValue.serverTimestamp();
+        updateData.victory = true;
+        updateData.lootStatus = LOOT_STATUS.PENDING;
+      }
+      
+      transaction.update(raidRef, updateData);
+      
+      return {
+        expired: false,
+        newHpRemaining: hpRemaining,
+        isDefeated: defeated,
+        hpTotal: raid.hpTotal,
+        contribution: updatedContributions[userId],
+        damageEntry,
+        phaseIndex: newPhaseIndex,
+        phaseChanged: newPhaseIndex > phaseIndex,
+        phase: phaseFields.phase || raid.phase || null,
+        objective: phaseFields.objective !== undefined ? phaseFields.objective : objective,
+      };
+    });
     
-    if (isDefeated) {
-      updateData.status = 'completed';
-      updateData.completedAt = admin.firestore.FieldValue.serverTimestamp();
-      updateData.victory = true;
+    if (hit.expired) {
+      realtimeService.publishRaid(raidId, realtimeService.REALTIME_EVENTS.RAID_COMPLETED, {
+        status: 'expired',
+        victory: false,
+      });
+      throw new Error('Raid has expired');
     }
     
-    const raidsRef = getRaidsCollection();
-    await raidsRef.doc(raidId).update(updateData);
+    const { newHpRemaining, isDefeated, damageEntry } = hit;
     
     logger.info('Damage logged', { 
       raidId, 
       userId: userId, 
-      damage, 
+      damage: damageEntry.damage,
+      multiplier: damageEntry.multiplier,
       newHpRemaining, 
       isDefeated 
     });
     
+    realtimeService.publishRaid(raidId, realtimeService.REALTIME_EVENTS.RAID_DAMAGE, {
+      userId,
+      username: hit.contribution.username,
+      damage: damageEntry.damage,
+      multiplier: damageEntry.multiplier,
+      absorbed: damageEntry.absorbed,
+      source,
+      totalDamage: hit.contribution.totalDamage,
+      hpRemaining: newHpRemaining,
+      hpTotal: hit.hpTotal,
+      objective: hit.objective,
+    });
+    
+    if (hit.phaseChanged) {
+      realtimeService.publishRaid(raidId, realtimeService.REALTIME_EVENTS.RAID_PHASE, {
+        phase: hit.phase,
+        objective: hit.objective,
+      });
+    }
+    
     // Get updated raid data
-    const updatedRaid = await getRaidById(raidId);
+    let updatedRaid = await getRaidById(raidId);
+    
+    // Completion is announced after the payout, so clients that refetch
+    // then see the loot. The kill stands even if the payout fails; the loot
+    // stays pending and is paid by the raid-loot job
+    if (isDefeated) {
+      if (await tryPayRaidRewards(updatedRaid)) {
+        updatedRaid = await getRaidById(raidId);
+      }
+      realtimeService.publishRaid(raidId, realtimeService.REALTIME_EVENTS.RAID_COMPLETED, {
+        status: 'completed',
+        victory: true,
+        finalBlowBy: userId,
+      });
+    }
     
     return {
       raid: updatedRaid,
-      damageDealt: damage,
+      damageDealt: damageEntry.damage,
+      baseDamage: damage,
+      multiplier: damageEntry.multiplier,
+      absorbed: damageEntry.absorbed,
       isDefeated,
       newHpRemaining,
+      phase: hit.phase,
+      phaseChanged: hit.phaseChanged,
+      objective: hit.objective,
     };
   } catch (error) {
     logger.error('Error logging damage', { error: error.message, userId, raidId, damage });
@@ -421,6 +725,41 @@ async function getContributionLeaderboard(raidId) {
   }
 }
 
+/**
+ * Get the loot summary of a raid for one of its participants
+ * loot is null until the boss is defeated
+ */
+async function getRaidLoot(userId, raidId) {
+  try {
+    let raid = await getRaidById(raidId);
+    
+    if (!raid) {
+      throw new Error('Raid not found');
+    }
+    
+    if (!raid.contributions[userId]) {
+      throw new Error('You are not a participant in this raid');
+    }
+    
+    // Don't make the winners wait for the job if the payout failed earlier
+    if (raid.lootStatus === LOOT_STATUS.PENDING && await tryPayRaidRewards(raid)) {
+      raid = await getRaidById(raidId);
+    }
+    
+    return {
+      raidId: raid.id,
+      bossId: raid.bossId,
+      bossName: raid.bossName,
+      status: raid.status,
+      victory: raid.victory || false,
+      loot: raid.loot || null,
+    };
+  } catch (error) {
+    logger.error('Error getting raid loot', { error: error.message, userId, raidId });
+    throw error;
+  }
+}
+
 /**
  * Abandon a raid (owner only)
  */
@@ -447,12 +786,17 @@ async function abandonRaid(userId, raidId) {
     await raidsRef.doc(raidId).update({
       status: 'abandoned',
       victory: false,
-      completedAt: admin.firestore.FieldValue.serverTimestamp(),
-      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      completedAt: FieldValue.serverTimestamp(),
+      updatedAt: FieldValue.serverTimestamp(),
     });
     
     logger.info('Raid abandoned', { raidId, userId: userId });
     
+    realtimeService.publishRaid(raidId, realtimeService.REALTIME_EVENTS.RAID_COMPLETED, {
+      status: 'abandoned',
+      victory: false,
+    });
+    
     return { message: 'Raid abandoned' };
   } catch (error) {
     logger.error('Error abandoning raid', { error: error.message, userId, raidId });
@@ -460,6 +804,56 @@ async function abandonRaid(userId, raidId) {
   }
 }
 
+/**
+ * End raids that ran out of time (run by the raid-timeout job)
+ * The boss survives: no rewards are paid.
+ * @returns {Promise<object>} { expired }
+ */
+async function expireRaids(now = new Date()) {
+  try {
+    const db = getDb();
+    const snapshot = await getRaidsCollection()
+      .where('status', '==', 'active')
+      .get();
+    
+    const timedOut = snapshot.docs.filter(doc => getRaidDeadline(doc.data()) <= now);
+    let expired = 0;
+    
+    for (const doc of timedOut) {
+      // The raid may have been won or abandoned since the query; only an
+      // active raid is expired, checked again inside the transaction
+      const raid = await db.runTransaction(async (transaction) => {
+        const raidDoc = await transaction.get(doc.ref);
+        if (!raidDoc.exists || raidDoc.data().status !== 'active' || getRaidDeadline(raidDoc.data()) > now) {
+          return null;
+        }
+        
+        transaction.update(doc.ref, {
+          status: 'expired',
+          victory: false,
+          completedAt: FieldValue.serverTimestamp(),
+          updatedAt: FieldValue.serverTimestamp(),
+        });
+        return raidDoc.data();
+      });
+      
+      if (!raid) continue;
+      
+      expired++;
+      logger.info('Raid timed out', { raidId: doc.id, partyId: raid.partyId });
+      realtimeService.publishRaid(doc.id, realtimeService.REALTIME_EVENTS.RAID_COMPLETED, {
+        status: 'expired',
+        victory: false,
+      });
+    }
+    
+    return { expired };
+  } catch (error) {
+    logger.error('Error expiring raids', { error: error.message });
+    throw error;
+  }
+}
+
 /**
  * Get raid history for a party
  */
@@ -468,7 +862,7 @@ async function getRaidHistory(partyId, limit = 10) {
     const raidsRef = getRaidsCollection();
     const snapshot = await raidsRef
       .where('partyId', '==', partyId)
-      .where('status', 'in', ['completed', 'abandoned'])
+      .where('status', 'in', ['completed', 'abandoned', 'expired'])
       .orderBy('completedAt', 'desc')
       .limit(limit)
       .get();
@@ -489,24 +883,74 @@ async function getRaidHistory(partyId, limit = 10) {
 
 /**
  * Calculate damage from workout
- * This can be enhanced with more complex formulas
+ * Uses the shared balance configuration so raids match processWorkout.
+ * amount is in the exercise's unit; weight (kg) only counts for weighted exercises.
+ * Pass the user's effective stats (trained plus equipment) for the stat bonus.
  */
-function calculateWorkoutDamage(exercise, reps, userLevel = 1) {
-  const baseDamage = {
-    squat: 2,
-    pushup: 1.5,
-    pullup: 2.5,
-    run: 1, // per minute
-    plank: 0.5, // per second
-    burpee: 3,
-    lunge: 1.5,
-    default: 1,
-  };
-  
-  const exerciseDamage = baseDamage[exercise.toLowerCase()] || baseDamage.default;
-  const levelMultiplier = 1 + (userLevel * 0.1); // 10% bonus per level
-  
-  return Math.floor(exerciseDamage * reps * levelMultiplier);
+function calculateWorkoutDamage(exercise, amount, userLevel = 1, stats = null, weight = 0) {
+  return calculateRaidDamage(exercise, amount, userLevel, stats, weight);
+}
+
+/**
+ * Apply damage from a logged workout to the user's active party raid
+ * Returns the raid delta, or null when the user has no raid to damage.
+ * On a kill the delta lists every member who dealt damage.
+ */
+async function processWorkoutForRaid(user, workoutData) {
+  try {
+    if (!user.partyId) {
+      return null;
+    }
+    
+    const raid = await getActiveRaid(user.partyId);
+    
+    // Members who joined after the raid started are not participants
+    if (!raid || !raid.contributions?.[user.uid]) {
+      return null;
+    }
+    
+    const { exercise, amount, weight } = workoutData;
+    const damage = calculateWorkoutDamage(exercise, amount, user.level || 1, getEffectiveStats(user), weight);
+    
+    if (damage <= 0) {
+      return null;
+    }
+    
+    let result;
+    try {
+      result = await logDamage(user.uid, raid.id, damage, formatWorkoutAmount(exercise, amount, weight), exercise);
+    } catch (error) {
+      // Another member's hit finished the raid after we looked it up
+      if (error.message === 'Raid is not active' || error.message === 'Raid has expired') {
+        return null;
+      }
+      throw error;
+    }
+    
+    const raidUpdate = {
+      raidId: raid.id,
+      bossName: raid.bossName,
+      damageDealt: result.damageDealt,
+      multiplier: result.multiplier,
+      absorbed: result.absorbed,
+      phase: result.phase,
+      phaseChanged: result.phaseChanged,
+      hpRemaining: result.newHpRemaining,
+      hpTotal: raid.hpTotal,
+      isDefeated: result.isDefeated,
+    };
+    
+    if (result.isDefeated) {
+      raidUpdate.participants = Object.values(result.raid.contributions)
+        .filter(entry => (entry.totalDamage || 0) > 0)
+        .map(entry => ({ userId: entry.userId, username: entry.username }));
+    }
+    
+    return raidUpdate;
+  } catch (error) {
+    logger.error('Error processing workout for raid', { error: error.message, userId: user.uid });
+    throw error;
+  }
 }
 
 // ============================================================================
@@ -514,17 +958,23 @@ function calculateWorkoutDamage(exercise, reps, userLevel = 1) {
 // ============================================================================
 
 module.exports = {
-  getAvailableBosses,
-  getBossById,
-  calculateScaledHp,
+  RAID_TIME_LIMIT_MS,
+  LOOT_STATUS,
+  getPhaseIndex,
+  getPhaseMultiplier,
   getActiveRaid,
+  getFeaturedRaid,
   getRaidById,
   startRaid,
   logDamage,
   getContributionLeaderboard,
+  getRaidLoot,
+  payPendingRaidRewards,
   abandonRaid,
+  expireRaids,
   getRaidHistory,
   calculateWorkoutDamage,
+  processWorkoutForRaid,
 };
 
 
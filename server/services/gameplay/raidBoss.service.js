@@ -0,0 +1,703 @@
+/**
+ * Raid Boss Service - The raid boss catalog, featured rotation and seasons
+ * Bosses are stored in the raidBosses collection. The first load seeds it
+ * with DEFAULT_RAID_BOSSES; after that admins create and edit bosses through
+ * the API (bosses are disabled rather than deleted, so finished raids keep
+ * their boss). A boss can be fought while it is enabled, inside its schedule
+ * and, for seasonal bosses, in season. Each week (from Monday 00:00 UTC,
+ * like the weekly leaderboard) one boss is featured: an in-season seasonal
+ * boss if there is one, otherwise the next boss in the rotation.
+ */
+
+const { getDb } = require('../storage/storage.service');
+const logger = require('../../utils/logger');
+
+/**
+ * Get raid bosses collection reference
+ */
+function getRaidBossesCollection() {
+  const db = getDb();
+  return db.collection('raidBosses');
+}
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const DIFFICULTIES = ['normal', 'hard', 'legendary'];
+
+// Bosses are re-read at most this often, so other servers' admin changes
+// show up without a restart
+const CACHE_TTL_MS = 60 * 1000;
+
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Catalog bookkeeping only admins see
+const ADMIN_FIELDS = ['createdBy', 'updatedBy'];
+
+// Rotation weeks start on Mondays 00:00 UTC; 5 January 1970 was a Monday
+const ROTATION_EPOCH_MS = Date.UTC(1970, 0, 5);
+
+let bossCache = null;
+let bossCacheLoadedAt = 0;
+
+// ============================================================================
+// DEFAULT BOSSES
+// ============================================================================
+
+// Boss mechanics:
+// - timeLimitHours: the raid fails (status 'expired') if the boss is still
+//   standing this long after it started
+// - phases: a phase starts once HP drops to startsAtHpPercent of the total.
+//   Its weaknesses and resistances multiply the damage of exercises that
+//   match (by exercise ID or muscle group); the strongest weakness and the
+//   strongest resistance that match both apply.
+// - objective: an every_member objective needs each participant to log a
+//   matching exercise during the phase. Until then the boss cannot be pushed
+//   out of the phase: damage past its end is absorbed.
+// Rewards: loot.templateIds limits item drops to the boss's own templates
+// and loot.bonusLuck improves their rarity; the top contributor also gets
+// an item of loot.topContributorTemplateId.
+// Catalog:
+// - enabled: disabled bosses cannot be started or featured
+// - schedule: { startsAt, endsAt } (ISO dates, either may be null) limits
+//   when the boss can be fought
+// - season: { name, start, end } ('MM-DD', may wrap the new year) makes a
+//   yearly seasonal boss, featured while in season
+// - inRotation: whether the boss takes turns as the weekly featured boss
+
+const DEFAULT_RAID_BOSSES = [
+  {
+    id: 'iron_golem',
+    name: 'Iron Golem',
+    flavorText: 'A hulking construct of twisted metal and pure determination. Only the strongest parties can topple this mechanical menace.',
+    baseHp: 1000,
+    hpPerMember: 500,
+    minMembers: 1,
+    maxMembers: 8,
+    difficulty: 'normal',
+    timeLimitHours: 72,
+    phases: [
+      {
+        id: 'plated',
+        name: 'Iron Plating',
+        startsAtHpPercent: 100,
+        weaknesses: [{ muscleGroups: ['back'], multiplier: 1.5 }],
+        resistances: [{ muscleGroups: ['cardiovascular'], multiplier: 0.5 }],
+      },
+      {
+        id: 'exposed',
+        name: 'Exposed Core',
+        startsAtHpPercent: 50,
+        weaknesses: [{ muscleGroups: ['core'], multiplier: 2 }],
+        resistances: [],
+      },
+    ],
+    imageUrl: '/assets/bosses/iron_golem.png',
+    rewards: {
+      xpPerMember: 100,
+      bonusXpForTopContributor: 50,
+      loot: {
+        templateIds: ['helmet', 'armor_chest', 'armor_legs', 'gauntlets', 'shield'],
+        bonusLuck: 0,
+        topContributorTemplateId: 'shield',
+      },
+    },
+    color: '#6B7280',
+  },
+  {
+    id: 'flame_titan',
+    name: 'Flame Titan',
+    flavorText: 'Born from the eternal flames of Mount Forge, this titan burns with an intensity that matches your workout fire.',
+    baseHp: 2000,
+    hpPerMember: 800,
+    minMembers: 2,
+    maxMembers: 8,
+    difficulty: 'hard',
+    timeLimitHours: 96,
+    phases: [
+      {
+        id: 'smoldering',
+        name: 'Smoldering',
+        startsAtHpPercent: 100,
+        weaknesses: [{ muscleGroups: ['cardiovascular'], multiplier: 1.5 }],
+        resistances: [],
+      },
+      {
+        id: 'inferno',
+        name: 'Inferno',
+        startsAtHpPercent: 60,
+        weaknesses: [{ muscleGroups: ['core'], multiplier: 1.5 }],
+        resistances: [{ muscleGroups: ['cardiovascular'], multiplier: 0.5 }],
+        objective: {
+          type: 'every_member',
+          description: 'Everyone must hold a core exercise to weather the heat',
+          muscleGroups: ['core'],
+        },
+      },
+      {
+        id: 'embers',
+        name: 'Dying Embers',
+        startsAtHpPercent: 20,
+        weaknesses: [{ muscleGroups: ['legs', 'quadriceps'], multiplier: 1.5 }],
+        resistances: [],
+      },
+    ],
+    imageUrl: '/assets/bosses/flame_titan.png',
+    rewards: {
+      xpPerMember: 200,
+      bonusXpForTopContributor: 100,
+      loot: {
+        templateIds: ['aura_flame', 'gloves_boxing', 'cape', 'boots'],
+        bonusLuck: 5,
+        topContributorTemplateId: 'pet_phoenix',
+      },
+    },
+    color: '#EF4444',
+  },
+  {
+    id: 'shadow_dragon',
+    name: 'Shadow Dragon',
+    flavorText: 'An ancient beast that feeds on laziness and excuses. Defeat it to prove your dedication to the forge.',
+    baseHp: 5000,
+    hpPerMember: 1500,
+    minMembers: 3,
+    maxMembers: 8,
+    difficulty: 'legendary',
+    timeLimitHours: 168,
+    phases: [
+      {
+        id: 'airborne',
+        name: 'Airborne',
+        startsAtHpPercent: 100,
+        weaknesses: [{ muscleGroups: ['back'], multiplier: 1.5 }],
+        resistances: [{ muscleGroups: ['legs', 'quadriceps'], multiplier: 0.75 }],
+      },
+      {
+        id: 'grounded',
+        name: 'Grounded',
+        startsAtHpPercent: 66,
+        weaknesses: [{ muscleGroups: ['chest'], multiplier: 1.5 }],
+        resistances: [],
+        objective: {
+          type: 'every_member',
+          description: 'Everyone must log cardio to outrun its shadow breath',
+          muscleGroups: ['cardiovascular', 'full-body'],
+        },
+      },
+      {
+        id: 'last_breath',
+        name: 'Last Breath',
+        startsAtHpPercent: 33,
+        weaknesses: [{ muscleGroups: ['full-body'], multiplier: 2 }],
+        resistances: [{ muscleGroups: ['back'], multiplier: 0.75 }],
+      },
+    ],
+    imageUrl: '/assets/bosses/shadow_dragon.png',
+    rewards: {
+      xpPerMember: 500,
+      bonusXpForTopContributor: 250,
+      loot: {
+        templateIds: ['wings', 'mask', 'cape', 'sword'],
+        bonusLuck: 15,
+        topContributorTemplateId: 'pet_dragon',
+      },
+    },
+    color: '#8B5CF6',
+  },
+  {
+    id: 'crystal_hydra',
+    name: 'Crystal Hydra',
+    flavorText: 'Each head represents a different muscle group. Cut one down and two more seem to appear!',
+    baseHp: 3000,
+    hpPerMember: 1000,
+    minMembers: 2,
+    maxMembers: 8,
+    difficulty: 'hard',
+    timeLimitHours: 120,
+    // One phase per head; each head only yields to its own muscle group
+    phases: [
+      {
+        id: 'chest_head',
+        name: 'Chest Head',
+        startsAtHpPercent: 100,
+        weaknesses: [{ muscleGroups: ['chest'], multiplier: 2 }],
+        resistances: [{ muscleGroups: ['legs', 'quadriceps', 'back'], multiplier: 0.5 }],
+      },
+      {
+        id: 'back_head',
+        name: 'Back Head',
+        startsAtHpPercent: 66,
+        weaknesses: [{ muscleGroups: ['back'], multiplier: 2 }],
+        resistances: [{ muscleGroups: ['chest', 'legs', 'quadriceps'], multiplier: 0.5 }],
+        objective: {
+          type: 'every_member',
+          description: 'Everyone must train their back to sever the second head',
+          muscleGroups: ['back'],
+        },
+      },
+      {
+        id: 'leg_head',
+        name: 'Leg Head',
+        startsAtHpPercent: 33,
+        weaknesses: [{ muscleGroups: ['legs', 'quadriceps'], multiplier: 2 }],
+        resistances: [{ muscleGroups: ['chest', 'back'], multiplier: 0.5 }],
+        objective: {
+          type: 'every_member',
+          description: 'Everyone must train legs to sever the last head',
+          muscleGroups: ['legs', 'quadriceps'],
+        },
+      },
+    ],
+    imageUrl: '/assets/bosses/crystal_hydra.png',
+    rewards: {
+      xpPerMember: 300,
+      bonusXpForTopContributor: 150,
+      loot: {
+        templateIds: ['glasses', 'necklace', 'staff', 'watch'],
+        bonusLuck: 10,
+        topContributorTemplateId: 'aura_cosmic',
+      },
+    },
+    color: '#06B6D4',
+  },
+  {
+    id: 'thunder_colossus',
+    name: 'Thunder Colossus',
+    flavorText: 'A storm giant whose every step shakes the arena. Match its power with your reps!',
+    baseHp: 4000,
+    hpPerMember: 1200,
+    minMembers: 3,
+    maxMembers: 8,
+    difficulty: 'legendary',
+    timeLimitHours: 168,
+    phases: [
+      {
+        id: 'storm_front',
+        name: 'Storm Front',
+        startsAtHpPercent: 100,
+        weaknesses: [{ muscleGroups: ['cardiovascular'], multiplier: 1.5 }],
+        resistances: [{ muscleGroups: ['core'], multiplier: 0.75 }],
+      },
+      {
+        id: 'eye_of_the_storm',
+        name: 'Eye of the Storm',
+        startsAtHpPercent: 50,
+        weaknesses: [{ muscleGroups: ['full-body'], multiplier: 1.5 }],
+        resistances: [{ muscleGroups: ['cardiovascular'], multiplier: 0.75 }],
+        objective: {
+          type: 'every_member',
+          description: 'Everyone must log cardio to keep pace with the storm',
+          muscleGroups: ['cardiovascular', 'full-body'],
+        },
+      },
+    ],
+    imageUrl: '/assets/bosses/thunder_colossus.png',
+    rewards: {
+      xpPerMember: 400,
+      bonusXpForTopContributor: 200,
+      loot: {
+        templateIds: ['aura_lightning', 'gauntlets', 'helmet', 'boots'],
+        bonusLuck: 20,
+        topContributorTemplateId: 'aura_lightning',
+      },
+    },
+    color: '#F59E0B',
+  },
+  {
+    id: 'frost_giant',
+    name: 'Frost Giant',
+    flavorText: 'It wakes with the first snow and stomps through the arena until spring. Keep moving or freeze in place!',
+    baseHp: 2500,
+    hpPerMember: 800,
+    minMembers: 2,
+    maxMembers: 8,
+    difficulty: 'hard',
+    timeLimitHours: 120,
+    season: { name: 'Winter', start: '12-01', end: '02-28' },
+    inRotation: false,
+    phases: [
+      {
+        id: 'blizzard',
+        name: 'Blizzard',
+        startsAtHpPercent: 100,
+        weaknesses: [{ muscleGroups: ['cardiovascular', 'full-body'], multiplier: 1.5 }],
+        resistances: [{ muscleGroups: ['core'], multiplier: 0.5 }],
+      },
+      {
+        id: 'thaw',
+        name: 'Thaw',
+        startsAtHpPercent: 40,
+        weaknesses: [{ muscleGroups: ['legs', 'quadriceps'], multiplier: 1.5 }],
+        resistances: [],
+        objective: {
+          type: 'every_member',
+          description: 'Everyone must get their heart rate up to melt the giant',
+          muscleGroups: ['cardiovascular', 'full-body'],
+        },
+      },
+    ],
+    imageUrl: '/assets/bosses/frost_giant.png',
+    rewards: {
+      xpPerMember: 350,
+      bonusXpForTopContributor: 175,
+      loot: {
+        templateIds: ['hoodie', 'leggings', 'boots', 'gloves_training'],
+        bonusLuck: 15,
+        topContributorTemplateId: 'pet_wolf',
+      },
+    },
+    color: '#93C5FD',
+  },
+  {
+    id: 'sun_serpent',
+    name: 'Sun Serpent',
+    flavorText: 'A blazing serpent that coils around the arena in the height of summer. Outlast the heat!',
+    baseHp: 2500,
+    hpPerMember: 800,
+    minMembers: 2,
+    maxMembers: 8,
+    difficulty: 'hard',
+    timeLimitHours: 120,
+    season: { name: 'Summer', start: '06-21', end: '08-31' },
+    inRotation: false,
+    phases: [
+      {
+        id: 'coiled',
+        name: 'Coiled',
+        startsAtHpPercent: 100,
+        weaknesses: [{ muscleGroups: ['core'], multiplier: 1.5 }],
+        resistances: [{ muscleGroups: ['cardiovascular'], multiplier: 0.5 }],
+      },
+      {
+        id: 'striking',
+        name: 'Striking',
+        startsAtHpPercent: 50,
+        weaknesses: [{ muscleGroups: ['back', 'shoulders'], multiplier: 1.5 }],
+        resistances: [],
+        objective: {
+          type: 'every_member',
+          description: 'Everyone must brace their core to pin the serpent down',
+          muscleGroups: ['core'],
+        },
+      },
+    ],
+    imageUrl: '/assets/bosses/sun_serpent.png',
+    rewards: {
+      xpPerMember: 350,
+      bonusXpForTopContributor: 175,
+      loot: {
+        templateIds: ['cap', 'glasses', 'tank_top', 'towel'],
+        bonusLuck: 15,
+        topContributorTemplateId: 'aura_flame',
+      },
+    },
+    color: '#FBBF24',
+  },
+];
+
+/**
+ * Fill in catalog fields that stored or default bosses may leave out
+ */
+function withCatalogDefaults(boss) {
+  return {
+    enabled: true,
+    inRotation: true,
+    schedule: null,
+    season: null,
+    timeLimitHours: null,
+    phases: [],
+    color: '#6B7280',
+    imageUrl: `/assets/bosses/${boss.id}.png`,
+    ...boss,
+  };
+}
+
+// ============================================================================
+// CATALOG
+// ============================================================================
+
+/**
+ * Write the default bosses into an empty catalog
+ * Each boss is only created if it is still missing when the transaction
+ * runs, so servers starting together never overwrite a boss another one
+ * seeded (or an admin has since changed)
+ * @returns {Promise<number>} Bosses created
+ */
+async function seedDefaultBosses() {
+  const db = getDb();
+  const createdAt = new Date().toISOString();
+  const refs = DEFAULT_RAID_BOSSES.map(boss => getRaidBossesCollection().doc(boss.id));
+
+  const created = await db.runTransaction(async (transaction) => {
+    const docs = [];
+    for (const ref of refs) {
+      docs.push(await transaction.get(ref));
+    }
+
+    let count = 0;
+    DEFAULT_RAID_BOSSES.forEach((boss, i) => {
+      if (!docs[i].exists) {
+        transaction.set(refs[i], { ...withCatalogDefaults(boss), createdAt, createdBy: null });
+        count++;
+      }
+    });
+    return count;
+  });
+
+  if (created > 0) {
+    logger.info('Raid boss catalog seeded', { bosses: created });
+  }
+
+  return created;
+}
+
+/**
+ * Load every boss, enabled or not, sorted by ID (cached for CACHE_TTL_MS)
+ * Errors reading the catalog are thrown rather than answered with the
+ * defaults, which would bring back bosses admins disabled or rescheduled.
+ * @param {boolean} force - Skip the cache
+ */
+async function loadBosses(force = false) {
+  if (!force && bossCache && Date.now() - bossCacheLoadedAt < CACHE_TTL_MS) {
+    return bossCache;
+  }
+
+  try {
+    let snapshot = await getRaidBossesCollection().get();
+
+    if (snapshot.docs.length === 0) {
+      await seedDefaultBosses();
+      snapshot = await getRaidBossesCollection().get();
+    }
+
+    bossCache = snapshot.docs
+      .map(doc => withCatalogDefaults({ id: doc.id, ...doc.data() }))
+      .sort((a, b) => a.id.localeCompare(b.id));
+    bossCacheLoadedAt = Date.now();
+
+    return bossCache;
+  } catch (error) {
+    logger.error('Error loading raid bosses', { error: error.message });
+    throw error;
+  }
+}
+
+/**
+ * Get a boss by ID, enabled or not, or null
+ */
+async function getBossById(bossId) {
+  const bosses = await loadBosses();
+  return bosses.find(boss => boss.id === bossId) || null;
+}
+
+/**
+ * Calculate scaled HP based on party size
+ */
+function calculateScaledHp(boss, memberCount) {
+  return boss.baseHp + (boss.hpPerMember * memberCount);
+}
+
+// ============================================================================
+// AVAILABILITY & ROTATION
+// ============================================================================
+
+/**
+ * Whether a date falls inside a yearly season ({ start, end } as 'MM-DD')
+ */
+function isInSeason(season, now = new Date()) {
+  if (!season) return true;
+
+  const today = now.toISOString().slice(5, 10);
+  return season.start <= season.end
+    ? today >= season.start && today <= season.end
+    : today >= season.start || today <= season.end;
+}
+
+/**
+ * Whether a boss can be fought now: enabled, inside its schedule and in season
+ */
+function isBossAvailable(boss, now = new Date()) {
+  if (!boss || !boss.enabled) return false;
+
+  const { startsAt = null, endsAt = null } = boss.schedule || {};
+  if (startsAt && now < new Date(startsAt)) return false;
+  if (endsAt && now >= new Date(endsAt)) return false;
+
+  return isInSeason(boss.season, now);
+}
+
+/**
+ * A boss as players see it, without the admin bookkeeping fields
+ */
+function toPublicBoss(boss) {
+  return Object.fromEntries(Object.entries(boss).filter(([key]) => !ADMIN_FIELDS.includes(key)));
+}
+
+/**
+ * End of the season that is running now (midnight UTC after its last day)
+ */
+function getSeasonEnd(season, now) {
+  const [month, day] = season.end.split('-').map(Number);
+  const year = now.getUTCFullYear();
+  const end = Date.UTC(year, month - 1, day + 1);
+
+  return new Date(end > now.getTime() ? end : Date.UTC(year + 1, month - 1, day + 1));
+}
+
+/**
+ * Get the featured boss for the week, or null if no boss can be fought
+ * In-season seasonal bosses take the spot first; otherwise the bosses in
+ * the rotation take turns week by week. Disabling or adding a boss shifts
+ * the rotation from the next lookup.
+ * @returns {Promise<object|null>} Boss with featuredUntil (ISO date)
+ */
+async function getFeaturedBoss(now = new Date()) {
+  try {
+    const available = (await loadBosses()).filter(boss => isBossAvailable(boss, now));
+
+    const seasonal = available.find(boss => boss.season);
+    if (seasonal) {
+      return { ...seasonal, featuredUntil: getSeasonEnd(seasonal.season, now).toISOString() };
+    }
+
+    const rotation = available.filter(boss => !boss.season && boss.inRotation);
+    if (rotation.length === 0) {
+      return null;
+    }
+
+    const week = Math.floor((now.getTime() - ROTATION_EPOCH_MS) / WEEK_MS);
+    return {
+      ...rotation[week % rotation.length],
+      featuredUntil: new Date(ROTATION_EPOCH_MS + (week + 1) * WEEK_MS).toISOString(),
+    };
+  } catch (error) {
+    logger.error('Error getting featured boss', { error: error.message });
+    throw error;
+  }
+}
+
+/**
+ * Get the bosses players can fight now with scaled HP preview
+ * isAvailable says whether the party size fits; featured marks the
+ * week's featured boss
+ */
+async function getAvailableBosses(memberCount = 1) {
+  const now = new Date();
+  const bosses = (await loadBosses()).filter(boss => isBossAvailable(boss, now));
+  const featured = await getFeaturedBoss(now);
+
+  return bosses.map(boss => ({
+    ...toPublicBoss(boss),
+    scaledHp: calculateScaledHp(boss, memberCount),
+    isAvailable: memberCount >= boss.minMembers && memberCount <= boss.maxMembers,
+    featured: boss.id === featured?.id,
+  }));
+}
+
+// ============================================================================
+// ADMIN CHANGES
+// ============================================================================
+
+/**
+ * Throw if a boss's fields don't fit together
+ */
+function assertBoss(boss) {
+  if (boss.minMembers > boss.maxMembers) {
+    throw new Error('Invalid boss: minMembers cannot exceed maxMembers');
+  }
+
+  const phases = boss.phases || [];
+  if (phases.length > 0 && phases[0].startsAtHpPercent !== 100) {
+    throw new Error('Invalid boss: the first phase must start at 100% HP');
+  }
+  if (phases.some((phase, i) => i > 0 && phase.startsAtHpPercent >= phases[i - 1].startsAtHpPercent)) {
+    throw new Error('Invalid boss: each phase must start at a lower HP than the one before');
+  }
+
+  const { startsAt = null, endsAt = null } = boss.schedule || {};
+  if ([startsAt, endsAt].some(date => date && Number.isNaN(new Date(date).getTime()))) {
+    throw new Error('Invalid boss: schedule dates must be ISO dates');
+  }
+  if (startsAt && endsAt && new Date(startsAt) >= new Date(endsAt)) {
+    throw new Error('Invalid boss: the schedule must end after it starts');
+  }
+}
+
+/**
+ * Add a boss to the catalog
+ * @param {object} data - Boss fields (see DEFAULT_RAID_BOSSES)
+ * @param {string} adminId - Admin creating it
+ */
+async function createBoss(data, adminId) {
+  try {
+    if (await getBossById(data.id)) {
+      throw new Error('Boss already exists');
+    }
+
+    const boss = withCatalogDefaults({
+      ...data,
+      createdBy: adminId,
+      createdAt: new Date().toISOString(),
+    });
+    assertBoss(boss);
+
+    await getRaidBossesCollection().doc(boss.id).set(boss);
+    await loadBosses(true);
+
+    logger.info('Raid boss created', { bossId: boss.id, adminId });
+
+    return getBossById(boss.id);
+  } catch (error) {
+    logger.error('Error creating raid boss', { error: error.message, bossId: data.id });
+    throw error;
+  }
+}
+
+/**
+ * Change a boss: stats, mechanics, rewards, enabled, schedule or season
+ * Raids already running keep the boss as it was when they started.
+ */
+async function updateBoss(bossId, updates, adminId) {
+  try {
+    const existing = await getBossById(bossId);
+
+    if (!existing) {
+      throw new Error('Boss not found');
+    }
+    assertBoss({ ...existing, ...updates });
+
+    // update() replaces rewards, phases, schedule and season whole
+    await getRaidBossesCollection().doc(bossId).update({
+      ...updates,
+      updatedBy: adminId,
+      updatedAt: new Date().toISOString(),
+    });
+    await loadBosses(true);
+
+    logger.info('Raid boss updated', { bossId, adminId, fields: Object.keys(updates) });
+
+    return getBossById(bossId);
+  } catch (error) {
+    logger.error('Error updating raid boss', { error: error.message, bossId });
+    throw error;
+  }
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+  DIFFICULTIES,
+  DEFAULT_RAID_BOSSES,
+  loadBosses,
+  getBossById,
+  calculateScaledHp,
+  isBossAvailable,
+  toPublicBoss,
+  getFeaturedBoss,
+  getAvailableBosses,
+  createBoss,
+  updateBoss,
+};
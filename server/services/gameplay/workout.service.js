@@ -0,0 +1,200 @@
+/**
+ * Workout Service - Persist individual workouts and query workout history
+ * Every submitted workout is stored as its own record so history, ML
+ * analysis and agents can work from real data instead of user counters
+ */
+
+const { getDb } = require('../storage/storage.service');
+const { getExerciseMetric, getWorkoutTotals, normalizeWorkoutRecord, METRICS } = require('../../../shared/game/gameLogic');
+const { getNewestFirstPage } = require('../../utils/cursor.utils');
+const logger = require('../../utils/logger');
+
+/**
+ * Get user workouts collection reference
+ */
+function getUserWorkoutsCollection(userId) {
+  const db = getDb();
+  return db.collection('users').doc(userId).collection('workouts');
+}
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const RECENT_WORKOUTS_LIMIT = 50;
+const MAX_WORKOUTS_SINCE = 1000;
+
+// ============================================================================
+// WORKOUT RECORDING
+// ============================================================================
+
+/**
+ * Record a completed workout
+ * Timestamps are stored as ISO strings so they sort and range-filter correctly
+ * amount is in the exercise's metric (reps, seconds or meters); reps is
+ * only set for exercises that count reps. creditedAmount and
+ * antiCheatStatus record what the anti-cheat checks let through (the full
+ * amount and 'accepted' unless the workout was flagged). Weighted
+ * workouts also keep their sets, volume and estimated one-rep max
+ */
+async function recordWorkout(userId, workoutData) {
+  try {
+    const { exercise, xpGained = 0, statGains = {} } = workoutData;
+    const amount = workoutData.amount ?? workoutData.reps;
+    const metric = getExerciseMetric(exercise);
+    const { creditedAmount = amount, antiCheatStatus = 'accepted' } = workoutData;
+    const workoutId = `workout_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+    const workout = {
+      id: workoutId,
+      userId,
+      exercise,
+      metric,
+      amount,
+      reps: getWorkoutTotals(exercise, amount).reps || null,
+      weight: metric === METRICS.WEIGHTED_REPS ? workoutData.weight || 0 : null,
+      sets: metric === METRICS.WEIGHTED_REPS ? workoutData.sets || null : null,
+      volume: metric === METRICS.WEIGHTED_REPS ? workoutData.volume || 0 : null,
+      estimatedOneRepMax: workoutData.estimatedOneRepMax ?? null,
+      xpGained,
+      statGains,
+      creditedAmount,
+      antiCheatStatus,
+      timestamp: workoutData.timestamp || new Date().toISOString(),
+    };
+
+    const workoutsRef = getUserWorkoutsCollection(userId);
+    await workoutsRef.doc(workoutId).set(workout);
+
+    logger.debug('Workout recorded', { workoutId, userId, exercise, metric, amount });
+
+    return workout;
+  } catch (error) {
+    logger.error('Error recording workout', { error: error.message, userId });
+    throw error;
+  }
+}
+
+// ============================================================================
+// WORKOUT HISTORY
+// ============================================================================
+
+/**
+ * Normalize a date filter to an ISO string, or null if absent
+ */
+function toISODate(value, label) {
+  if (value === undefined || value === null || value === '') return null;
+
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new Error(`Invalid ${label} date`);
+  }
+  return date.toISOString();
+}
+
+/**
+ * Get a page of a user's workout history, newest first
+ * Options: from, to (inclusive date range), exercise, limit, cursor
+ * The cursor is the nextCursor returned with the previous page. Workouts
+ * logged before exercises had metrics are read in the current units
+ */
+async function getWorkoutHistory(userId, options = {}) {
+  try {
+    const from = toISODate(options.from, 'from');
+    const to = toISODate(options.to, 'to');
+    const limit = Math.min(Math.max(parseInt(options.limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+    if (from && to && from > to) {
+      throw new Error('"from" date must be before "to" date');
+    }
+
+    let query = getUserWorkoutsCollection(userId);
+
+    if (options.exercise) {
+      query = query.where('exercise', '==', options.exercise);
+    }
+    if (from) {
+      query = query.where('timestamp', '>=', from);
+    }
+    if (to) {
+      query = query.where('timestamp', '<=', to);
+    }
+
+    const page = await getNewestFirstPage(query, 'timestamp', { limit, cursor: options.cursor });
+
+    return {
+      workouts: page.records.map(normalizeWorkoutRecord),
+      hasMore: page.hasMore,
+      nextCursor: page.nextCursor,
+    };
+  } catch (error) {
+    logger.error('Error getting workout history', { error: error.message, userId });
+    throw error;
+  }
+}
+
+/**
+ * Get a user's most recent workouts in chronological order (oldest first)
+ * Used to feed ML analysis and agents
+ */
+async function getRecentWorkouts(userId, limit = RECENT_WORKOUTS_LIMIT) {
+  try {
+    const workoutsRef = getUserWorkoutsCollection(userId);
+    const snapshot = await workoutsRef
+      .orderBy('timestamp', 'desc')
+      .limit(limit)
+      .get();
+
+    return snapshot.docs.map(doc => normalizeWorkoutRecord(doc.data())).reverse();
+  } catch (error) {
+    logger.error('Error getting recent workouts', { error: error.message, userId });
+    throw error;
+  }
+}
+
+/**
+ * Get every workout a user logged since a date, newest first
+ * Capped at MAX_WORKOUTS_SINCE records; used by the anti-cheat checks
+ */
+async function getWorkoutsSince(userId, since) {
+  try {
+    const snapshot = await getUserWorkoutsCollection(userId)
+      .where('timestamp', '>=', toISODate(since, 'since'))
+      .orderBy('timestamp', 'desc')
+      .limit(MAX_WORKOUTS_SINCE)
+      .get();
+
+    return snapshot.docs.map(doc => normalizeWorkoutRecord(doc.data()));
+  } catch (error) {
+    logger.error('Error getting workouts since date', { error: error.message, userId });
+    throw error;
+  }
+}
+
+/**
+ * Update fields on a recorded workout (e.g. after an anti-cheat review)
+ */
+async function updateWorkout(userId, workoutId, updates) {
+  try {
+    await getUserWorkoutsCollection(userId).doc(workoutId).update(updates);
+  } catch (error) {
+    logger.error('Error updating workout', { error: error.message, userId, workoutId });
+    throw error;
+  }
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  recordWorkout,
+  getWorkoutHistory,
+  getRecentWorkouts,
+  getWorkoutsSince,
+  updateWorkout,
+};
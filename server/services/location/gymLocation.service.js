@@ -3,26 +3,16 @@
  * and territory control mechanics
  */
 
-const admin = require('firebase-admin');
+const { getDb, FieldValue } = require('../storage/storage.service');
 const logger = require('../../utils/logger');
-
-let db = null;
-
-function initFirestore() {
-  if (db) return db;
-  if (admin.apps.length) {
-    db = admin.firestore();
-    return db;
-  }
-  throw new Error('Firestore not initialized');
-}
+const { calculatePlayerPower } = require('../../../shared/game/gameLogic');
 
 function getGymLocationsCollection() {
-  return initFirestore().collection('gymLocations');
+  return getDb().collection('gymLocations');
 }
 
 function getTerritoryBattlesCollection() {
-  return initFirestore().collection('territoryBattles');
+  return getDb().collection('territoryBattles');
 }
 
 // ============================================================================
@@ -60,11 +50,11 @@ async function upsertGymLocation(placeData) {
       defenders: existingDoc.exists ? existingDoc.data().defenders : [],
       lastBattleAt: existingDoc.exists ? existingDoc.data().lastBattleAt : null,
       totalBattles: existingDoc.exists ? existingDoc.data().totalBattles : 0,
-      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: FieldValue.serverTimestamp(),
     };
     
     if (!existingDoc.exists) {
-      gymLocation.createdAt = admin.firestore.FieldValue.serverTimestamp();
+      gymLocation.createdAt = FieldValue.serverTimestamp();
     }
     
     await gymsRef.doc(gymId).set(gymLocation, { merge: true });
@@ -139,8 +129,8 @@ async function getGymById(gymId) {
  */
 async function claimGym(gymId, clubId, userId) {
   try {
-    const clubService = require('./club.service');
-    const userService = require('./user.service.firestore');
+    const clubService = require('../social/club.service');
+    const userService = require('../user/user.service');
     
     const gym = await getGymById(gymId);
     if (!gym) throw new Error('Gym not found');
@@ -157,27 +147,30 @@ async function claimGym(gymId, clubId, userId) {
       throw new Error('You must be a member of this club to claim territory');
     }
     
+    const power = calculatePlayerPower(user);
+    
     const gymsRef = getGymLocationsCollection();
     await gymsRef.doc(gymId).update({
       controllingClubId: clubId,
       controllingClubName: club.name,
       controllingClubColor: club.color,
-      controlStrength: user.level * 10,
+      controlStrength: power,
       defenders: [{
         userId: userId,
         username: user.username,
         level: user.level,
+        power,
         assignedAt: new Date().toISOString(),
       }],
-      lastBattleAt: admin.firestore.FieldValue.serverTimestamp(),
-      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      lastBattleAt: FieldValue.serverTimestamp(),
+      updatedAt: FieldValue.serverTimestamp(),
     });
     
     // Update club's territory count
-    const clubsRef = initFirestore().collection('clubs');
+    const clubsRef = getDb().collection('clubs');
     await clubsRef.doc(clubId).update({
-      territoriesControlled: admin.firestore.FieldValue.increment(1),
-      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      territoriesControlled: FieldValue.increment(1),
+      updatedAt: FieldValue.serverTimestamp(),
     });
     
     logger.info('Gym claimed', { gymId, clubId, userId });
@@ -194,8 +187,8 @@ async function claimGym(gymId, clubId, userId) {
  */
 async function challengeGym(gymId, attackerClubId, attackerUserId) {
   try {
-    const clubService = require('./club.service');
-    const userService = require('./user.service.firestore');
+    const clubService = require('../social/club.service');
+    const userService = require('../user/user.service');
     
     const gym = await getGymById(gymId);
     if (!gym) throw new Error('Gym not found');
@@ -216,8 +209,9 @@ async function challengeGym(gymId, attackerClubId, attackerUserId) {
       throw new Error('You must be a member of the attacking club');
     }
     
-    // Calculate battle outcome
-    const attackPower = attacker.level * 10 + Math.floor(Math.random() * 20);
+    // Calculate battle outcome from the attacker's stats, equipment and level
+    const attackerPower = calculatePlayerPower(attacker);
+    const attackPower = attackerPower + Math.floor(Math.random() * 20);
     const defensePower = gym.controlStrength + Math.floor(Math.random() * 10);
     const attackerWins = attackPower > defensePower;
     
@@ -237,11 +231,11 @@ async function challengeGym(gymId, attackerClubId, attackerUserId) {
       attackPower,
       defensePower,
       winner: attackerWins ? 'attacker' : 'defender',
-      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      createdAt: FieldValue.serverTimestamp(),
     });
     
     const gymsRef = getGymLocationsCollection();
-    const clubsRef = initFirestore().collection('clubs');
+    const clubsRef = getDb().collection('clubs');
     
     if (attackerWins) {
       // Transfer control
@@ -249,28 +243,29 @@ async function challengeGym(gymId, attackerClubId, attackerUserId) {
         controllingClubId: attackerClubId,
         controllingClubName: attackerClub.name,
         controllingClubColor: attackerClub.color,
-        controlStrength: attacker.level * 10,
+        controlStrength: attackerPower,
         defenders: [{
           userId: attackerUserId,
           username: attacker.username,
           level: attacker.level,
+          power: attackerPower,
           assignedAt: new Date().toISOString(),
         }],
-        lastBattleAt: admin.firestore.FieldValue.serverTimestamp(),
-        totalBattles: admin.firestore.FieldValue.increment(1),
-        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        lastBattleAt: FieldValue.serverTimestamp(),
+        totalBattles: FieldValue.increment(1),
+        updatedAt: FieldValue.serverTimestamp(),
       });
       
       // Update club stats
       await clubsRef.doc(attackerClubId).update({
-        territoriesControlled: admin.firestore.FieldValue.increment(1),
-        wins: admin.firestore.FieldValue.increment(1),
+        territoriesControlled: FieldValue.increment(1),
+        wins: FieldValue.increment(1),
       });
       
       if (gym.controllingClubId) {
         await clubsRef.doc(gym.controllingClubId).update({
-          territoriesControlled: admin.firestore.FieldValue.increment(-1),
-          losses: admin.firestore.FieldValue.increment(1),
+          territoriesControlled: FieldValue.increment(-1),
+          losses: FieldValue.increment(1),
         });
       }
       
@@ -286,8 +281,8 @@ async function challengeGym(gymId, attackerClubId, attackerUserId) {
       // Defender holds
       await gymsRef.doc(gymId).update({
         controlStrength: Math.max(1, gym.controlStrength - Math.floor(attackPower / 2)),
-        lastBattleAt: admin.firestore.FieldValue.serverTimestamp(),
-        totalBattles: admin.firestore.FieldValue.increment(1),
+        lastBattleAt: FieldValue.serverTimestamp(),
+        totalBattles: FieldValue.increment(1),
       });
       
       logger.info('Gym defended', { gymId, attackerClubId, defenderClubId: gym.controllingClubId });
@@ -310,7 +305,7 @@ async function challengeGym(gymId, attackerClubId, attackerUserId) {
  */
 async function addDefender(gymId, clubId, userId) {
   try {
-    const userService = require('./user.service.firestore');
+    const userService = require('../user/user.service');
     
     const gym = await getGymById(gymId);
     if (!gym) throw new Error('Gym not found');
@@ -332,16 +327,20 @@ async function addDefender(gymId, clubId, userId) {
       throw new Error('You must be a club member to defend');
     }
     
+    // Extra defenders add half their power to the gym
+    const power = calculatePlayerPower(user);
+    
     const gymsRef = getGymLocationsCollection();
     await gymsRef.doc(gymId).update({
-      defenders: admin.firestore.FieldValue.arrayUnion({
+      defenders: FieldValue.arrayUnion({
         userId,
         username: user.username,
         level: user.level,
+        power,
         assignedAt: new Date().toISOString(),
       }),
-      controlStrength: admin.firestore.FieldValue.increment(user.level * 5),
-      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      controlStrength: FieldValue.increment(Math.round(power / 2)),
+      updatedAt: FieldValue.serverTimestamp(),
     });
     
     return { message: `You are now defending ${gym.name}!` };
@@ -18,17 +18,19 @@
 
 const logger = require('../../utils/logger');
 
-// Try to import Firebase Admin, but gracefully handle if not available
-let admin = null;
-let db = null;
-
-try {
-  admin = require('firebase-admin');
-  if (admin.apps.length > 0) {
-    db = admin.firestore();
+const storage = require('../storage/storage.service');
+
+/**
+ * Get the database, or null if storage is not available
+ * Actions still run in memory when there is no database
+ */
+function getDb() {
+  try {
+    return storage.getDb();
+  } catch (error) {
+    logger.warn('Storage not available for action executor', { error: error.message });
+    return null;
   }
-} catch (error) {
-  logger.warn('Firebase Admin not available for action executor', { error: error.message });
 }
 
 /**
@@ -154,11 +156,12 @@ class ActionExecutor {
     };
 
     // Save to database if available
+    const db = getDb();
     if (db) {
       try {
         await db.collection('users').doc(userId).update({
           dailyGoal: goalData,
-          updatedAt: admin.firestore.FieldValue.serverTimestamp()
+          updatedAt: storage.FieldValue.serverTimestamp()
         });
         
         logger.info('Daily goal set for user', { userId, goal: goalData });
@@ -199,11 +202,12 @@ class ActionExecutor {
     // Validate multiplier range
     difficultyData.multiplier = Math.max(0.5, Math.min(2.0, difficultyData.multiplier));
 
+    const db = getDb();
     if (db) {
       try {
         await db.collection('users').doc(userId).update({
           difficulty: difficultyData,
-          updatedAt: admin.firestore.FieldValue.serverTimestamp()
+          updatedAt: storage.FieldValue.serverTimestamp()
         });
         
         logger.info('Difficulty adjusted for user', { userId, difficulty: difficultyData });
@@ -246,6 +250,7 @@ class ActionExecutor {
       source: 'ai_agent'
     };
 
+    const db = getDb();
     if (db) {
       try {
         // Add to user's quests subcollection
@@ -286,11 +291,12 @@ class ActionExecutor {
       source: 'ai_agent'
     };
 
+    const db = getDb();
     if (db) {
       try {
         await db.collection('users').doc(userId).update({
           pendingReminder: reminderData,
-          updatedAt: admin.firestore.FieldValue.serverTimestamp()
+          updatedAt: storage.FieldValue.serverTimestamp()
         });
         
         logger.info('Reminder set for user', { userId, reminder: reminderData });
@@ -326,11 +332,12 @@ class ActionExecutor {
       source: 'ai_agent'
     };
 
+    const db = getDb();
     if (db) {
       try {
         await db.collection('users').doc(userId).update({
           trainingPlan: planData,
-          updatedAt: admin.firestore.FieldValue.serverTimestamp()
+          updatedAt: storage.FieldValue.serverTimestamp()
         });
         
         logger.info('Training plan updated for user', { userId });
@@ -3,50 +3,16 @@
  * Tracks user activities and creates a social feed
  */
 
-const admin = require('firebase-admin');
+const { getDb, FieldValue } = require('../storage/storage.service');
 const logger = require('../../utils/logger');
-
-let db = null;
-
-/**
- * Get firestore FieldValue helper with fallbacks for tests/mocks
- */
-function getFieldValue() {
-  if (admin.firestore && admin.firestore.FieldValue) {
-    return admin.firestore.FieldValue;
-  }
-  if (admin.FieldValue) {
-    return admin.FieldValue;
-  }
-  return {
-    serverTimestamp: () => new Date(),
-    increment: (n) => n,
-    arrayUnion: (item) => [item],
-  };
-}
-
-const FieldValue = getFieldValue();
-
-/**
- * Initialize Firestore connection
- */
-function initFirestore() {
-  if (db) return db;
-  
-  if (admin.apps.length) {
-    db = admin.firestore();
-    return db;
-  }
-  
-  throw new Error('Firestore not initialized. Initialize user service first.');
-}
+const { getExerciseMetric, getMetricBalance, formatWorkoutAmount } = require('../../../shared/game/gameLogic');
 
 /**
  * Get activities collection reference
  */
 function getActivitiesCollection() {
-  const firestore = initFirestore();
-  return firestore.collection('activities');
+  const db = getDb();
+  return db.collection('activities');
 }
 
 // ============================================================================
@@ -69,6 +35,14 @@ const ACTIVITY_TYPES = {
   PARTY_JOIN: 'party_join',
   ITEM_ACQUIRE: 'item_acquire',
   STREAK_MILESTONE: 'streak_milestone',
+  PERSONAL_RECORD: 'personal_record',
+};
+
+// How each personal record type reads in the feed
+const PERSONAL_RECORD_LABELS = {
+  estimated_1rm: 'estimated 1RM',
+  heaviest_set: 'heaviest set',
+  session_volume: 'session volume',
 };
 
 // ============================================================================
@@ -110,13 +84,28 @@ async function createActivity(userId, username, type, data = {}) {
   }
 }
 
+/**
+ * Workout action text, e.g. "completed 20 squats" or "completed 60 seconds of plank"
+ * Entries logged before metrics only have reps.
+ */
+function generateWorkoutText(data) {
+  const amount = data.amount ?? data.reps;
+  
+  if (getMetricBalance(getExerciseMetric(data.exercise)).unit === 'reps') {
+    const weight = data.weight > 0 ? ` at ${data.weight} kg` : '';
+    return `completed ${amount} ${data.exercise}${amount > 1 ? 's' : ''}${weight}`;
+  }
+  
+  return `completed ${formatWorkoutAmount(data.exercise, amount)} of ${data.exercise}`;
+}
+
 /**
  * Generate human-readable action text
  */
 function generateActionText(type, data) {
   switch (type) {
     case ACTIVITY_TYPES.WORKOUT:
-      return `completed ${data.reps} ${data.exercise}${data.reps > 1 ? 's' : ''}`;
+      return generateWorkoutText(data);
     case ACTIVITY_TYPES.LEVEL_UP:
       return `leveled up to level ${data.newLevel}`;
     case ACTIVITY_TYPES.QUEST_COMPLETE:
@@ -145,6 +134,8 @@ function generateActionText(type, data) {
       return `acquired ${data.itemName}`;
     case ACTIVITY_TYPES.STREAK_MILESTONE:
       return `reached a ${data.streakDays}-day workout streak!`;
+    case ACTIVITY_TYPES.PERSONAL_RECORD:
+      return `set a ${data.exercise} PR: ${data.value} kg ${PERSONAL_RECORD_LABELS[data.recordType] || data.recordType}`;
     default:
       return `did something awesome`;
   }
@@ -209,8 +200,8 @@ async function getUserFeed(userId, limit = 20) {
 async function getClubFeed(clubId, limit = 30) {
   try {
     // First get all members of the club
-    const firestore = initFirestore();
-    const membersSnapshot = await firestore.collection('users')
+    const db = getDb();
+    const membersSnapshot = await db.collection('users')
       .where('clubId', '==', clubId)
       .get();
     
@@ -262,10 +253,10 @@ async function getClubFeed(clubId, limit = 30) {
  */
 async function getPartyFeed(partyId, limit = 30) {
   try {
-    const firestore = initFirestore();
+    const db = getDb();
     
     // Get party members
-    const partyDoc = await firestore.collection('parties').doc(partyId).get();
+    const partyDoc = await db.collection('parties').doc(partyId).get();
     if (!partyDoc.exists) {
       return [];
     }
@@ -328,9 +319,15 @@ async function getActivitiesByType(type, limit = 20) {
 
 /**
  * Log a workout activity
+ * amount is in the exercise's unit; weight (kg) is kept for weighted exercises
  */
-async function logWorkoutActivity(userId, username, exercise, reps) {
-  return createActivity(userId, username, ACTIVITY_TYPES.WORKOUT, { exercise, reps });
+async function logWorkoutActivity(userId, username, exercise, amount, weight = null) {
+  return createActivity(userId, username, ACTIVITY_TYPES.WORKOUT, {
+    exercise,
+    metric: getExerciseMetric(exercise),
+    amount,
+    weight: weight ?? null,
+  });
 }
 
 /**
@@ -415,6 +412,14 @@ async function logStreakMilestoneActivity(userId, username, streakDays) {
   return createActivity(userId, username, ACTIVITY_TYPES.STREAK_MILESTONE, { streakDays });
 }
 
+/**
+ * Log a new personal record
+ * recordType is a personalRecord.service PR_TYPES value
+ */
+async function logPersonalRecordActivity(userId, username, exercise, recordType, value, previous = null) {
+  return createActivity(userId, username, ACTIVITY_TYPES.PERSONAL_RECORD, { exercise, recordType, value, previous });
+}
+
 // ============================================================================
 // ACTIVITY CLEANUP
 // ============================================================================
@@ -438,7 +443,7 @@ async function cleanupOldActivities() {
       return { deleted: 0 };
     }
     
-    const batch = db.batch();
+    const batch = getDb().batch();
     snapshot.docs.forEach(doc => {
       batch.delete(doc.ref);
     });
@@ -478,6 +483,7 @@ module.exports = {
   logClubCreateActivity,
   logTerritoryCaptureActivity,
   logStreakMilestoneActivity,
+  logPersonalRecordActivity,
   cleanupOldActivities,
 };
 
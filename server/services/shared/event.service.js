@@ -2,8 +2,10 @@
 // EVENT SERVICE - Time-based events and rewards
 // ============================================
 
-const itemService = require('./item.service');
-const { generateItem, RARITY, SLOT } = require('../../../shared/game/itemSystem');
+const rewardService = require('./reward.service');
+const { generateItem, generateEventReward, RARITY, SLOT } = require('../../../shared/game/itemSystem');
+
+const { REWARD_SOURCES } = rewardService;
 
 // ============================================
 // EVENT DEFINITIONS
@@ -111,8 +113,13 @@ const EVENTS = {
 };
 
 // User event progress storage (in-memory, replace with DB)
+// Claims live in the reward ledger
 const userEventProgress = new Map();
-const userEventClaims = new Map();
+
+const ALREADY_CLAIMED = {
+  daily: 'Already claimed today',
+  weekly: 'Already claimed this week'
+};
 
 // ============================================
 // EVENT FUNCTIONS
@@ -192,45 +199,44 @@ const updateEventProgress = (userId, eventId, progressDelta) => {
   return current;
 };
 
+/**
+ * Gets the claim period an event reward is paid out once in
+ * Daily events reset at midnight UTC, weekly events on Sunday (UTC) and
+ * dated events with each run; every other event pays out once
+ */
+const getClaimPeriod = (event, now = new Date()) => {
+  switch (event.type) {
+    case 'daily':
+      return now.toISOString().slice(0, 10);
+    case 'weekly': {
+      const weekStart = new Date(now);
+      weekStart.setUTCDate(weekStart.getUTCDate() - weekStart.getUTCDay());
+      return weekStart.toISOString().slice(0, 10);
+    }
+    case 'seasonal':
+    case 'special':
+      return event.startDate.toISOString().slice(0, 10);
+    default:
+      return 'once';
+  }
+};
+
+/**
+ * Ledger source ID for a claim; the ledger is per user, so this makes each
+ * user's claim for a period unique
+ */
+const getClaimSourceId = (event, now) => `${event.id}_${getClaimPeriod(event, now)}`;
+
 /**
  * Checks if user can claim event reward
  */
-const canClaimEventReward = (userId, eventId) => {
+const canClaimEventReward = async (userId, eventId, now = new Date()) => {
   const event = EVENTS[eventId];
   if (!event) return { canClaim: false, reason: 'Event not found' };
   
-  const claimKey = `${userId}_${eventId}`;
-  const lastClaim = userEventClaims.get(claimKey);
-  
-  // Check one-time events
-  if (event.oneTime && lastClaim) {
-    return { canClaim: false, reason: 'Already claimed' };
-  }
-  
-  // Check daily reset
-  if (event.type === 'daily') {
-    const now = new Date();
-    if (lastClaim) {
-      const lastClaimDate = new Date(lastClaim);
-      if (lastClaimDate.toDateString() === now.toDateString()) {
-        return { canClaim: false, reason: 'Already claimed today' };
-      }
-    }
-  }
-  
-  // Check weekly reset
-  if (event.type === 'weekly') {
-    const now = new Date();
-    if (lastClaim) {
-      const lastClaimDate = new Date(lastClaim);
-      const weekStart = new Date(now);
-      weekStart.setDate(weekStart.getDate() - weekStart.getDay());
-      weekStart.setHours(0, 0, 0, 0);
-      
-      if (lastClaimDate >= weekStart) {
-        return { canClaim: false, reason: 'Already claimed this week' };
-      }
-    }
+  const claim = await rewardService.getRewardEntry(userId, REWARD_SOURCES.EVENT, getClaimSourceId(event, now));
+  if (claim) {
+    return { canClaim: false, reason: ALREADY_CLAIMED[event.type] || 'Already claimed' };
   }
   
   // Check if requirements are met
@@ -246,57 +252,54 @@ const canClaimEventReward = (userId, eventId) => {
 
 /**
  * Claims event reward
+ * XP and items go through the reward ledger, which pays each claim period
+ * once even when the same claim arrives twice at the same time
  */
-const claimEventReward = (userId, eventId) => {
+const claimEventReward = async (userId, eventId) => {
   const event = EVENTS[eventId];
   if (!event) {
     return { success: false, error: 'Event not found' };
   }
   
-  const { canClaim, reason } = canClaimEventReward(userId, eventId);
+  const now = new Date();
+  const { canClaim, reason } = await canClaimEventReward(userId, eventId, now);
   if (!canClaim) {
     return { success: false, error: reason };
   }
   
   const rewards = event.rewards;
-  const result = {
-    success: true,
-    xp: rewards.xp || 0,
-    items: []
-  };
-  
-  // Generate item rewards
-  if (rewards.itemType) {
-    const itemResult = itemService.awardEventItems(userId, rewards.itemType);
-    result.items = itemResult.items;
-  }
+  const items = rewards.itemType ? generateEventReward(rewards.itemType) : [];
   
   // Handle guaranteed slots
   if (rewards.guaranteedSlots) {
     for (const slot of rewards.guaranteedSlots) {
-      const item = generateItem({ 
+      items.push(generateItem({ 
         slot, 
         source: 'event',
         rarity: rewards.guaranteedRarity || null
-      });
-      itemService.addItemToInventory(userId, item);
-      result.items.push(item);
+      }));
     }
   }
   
   // Handle guaranteed rarity
   if (rewards.guaranteedRarity && !rewards.guaranteedSlots) {
-    const item = generateItem({ 
+    items.push(generateItem({ 
       rarity: rewards.guaranteedRarity,
       source: 'event'
-    });
-    itemService.addItemToInventory(userId, item);
-    result.items.push(item);
+    }));
   }
   
-  // Record claim
-  const claimKey = `${userId}_${eventId}`;
-  userEventClaims.set(claimKey, new Date().toISOString());
+  const reward = await rewardService.grantReward(userId, {
+    sourceType: REWARD_SOURCES.EVENT,
+    sourceId: getClaimSourceId(event, now),
+    xp: rewards.xp || 0,
+    items,
+    description: `Event reward: ${event.name}`
+  });
+  
+  if (!reward.granted) {
+    return { success: false, error: ALREADY_CLAIMED[event.type] || 'Already claimed' };
+  }
   
   // Reset progress for repeatable events
   if (!event.oneTime) {
@@ -304,7 +307,12 @@ const claimEventReward = (userId, eventId) => {
     userEventProgress.set(progressKey, { progress: 0, completed: false });
   }
   
-  return result;
+  return {
+    success: true,
+    xp: reward.entry.xp,
+    items,
+    leveledUp: reward.leveledUp
+  };
 };
 
 /**
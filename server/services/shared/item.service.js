@@ -18,72 +18,174 @@ const {
   SLOT_DISPLAY_NAMES
 } = require('../../../shared/game/itemSystem');
 
-// In-memory storage (replace with database in production)
-const userInventories = new Map();
-const userEquipment = new Map();
+const { getDb, FieldValue } = require('../storage/storage.service');
+
+// Bumped whenever the stored item state shape changes
+const ITEM_STATE_VERSION = 1;
+
+/**
+ * Get a user document reference
+ */
+const getUserRef = (userId) => getDb().collection('users').doc(userId);
 
 // ============================================
-// INVENTORY MANAGEMENT
+// PERSISTENCE
 // ============================================
 
 /**
- * Gets or creates a user's inventory
+ * Builds a consistent item state from a user record
+ * Equipped items always point at the matching inventory item. Legacy records
+ * (equipment written by POST /api/equip before inventories were persisted)
+ * may reference items missing from the inventory, so those are added back.
+ * Starter items are granted once, to records that never had an item state;
+ * an inventory emptied later (e.g. by salvaging) stays empty.
  */
-const getUserInventory = (userId) => {
-  if (!userInventories.has(userId)) {
-    userInventories.set(userId, createStarterInventory());
+const normalizeItemState = (user) => {
+  const storedInventory = Array.isArray(user.inventory) ? user.inventory.filter(item => item && item.id) : [];
+  const inventory = !user.itemStateVersion && storedInventory.length === 0
+    ? createStarterInventory()
+    : storedInventory;
+  const equipment = createDefaultEquipment();
+  
+  for (const [slot, equippedItem] of Object.entries(user.equipment || {})) {
+    if (!equippedItem || !equippedItem.id || !(slot in equipment)) continue;
+    
+    let item = inventory.find(i => i.id === equippedItem.id);
+    if (!item) {
+      item = { ...equippedItem };
+      inventory.push(item);
+    }
+    equipment[slot] = item;
+  }
+  
+  const equippedIds = new Set(Object.values(equipment).filter(Boolean).map(item => item.id));
+  for (const item of inventory) {
+    item.equipped = equippedIds.has(item.id);
   }
-  return userInventories.get(userId);
+  
+  return {
+    inventory,
+    equipment,
+    salvageResources: user.salvageResources || 0
+  };
 };
 
 /**
- * Gets or creates a user's equipment loadout
+ * User record fields that store an item state
  */
-const getUserEquipment = (userId) => {
-  if (!userEquipment.has(userId)) {
-    userEquipment.set(userId, createDefaultEquipment());
+const toItemStateUpdate = (state) => ({
+  inventory: state.inventory,
+  equipment: state.equipment,
+  salvageResources: state.salvageResources,
+  itemStateVersion: ITEM_STATE_VERSION,
+  updatedAt: FieldValue.serverTimestamp()
+});
+
+/**
+ * Loads a user's item state, changes it and saves it in one transaction,
+ * so edits never overwrite items granted at the same time
+ * @param {function} change - Mutates the state and returns the call's result;
+ * may run more than once if the transaction retries
+ */
+const updateItemState = async (userId, change) => {
+  const userRef = getUserRef(userId);
+  
+  return getDb().runTransaction(async (transaction) => {
+    const userDoc = await transaction.get(userRef);
+    if (!userDoc.exists) {
+      throw new Error('User not found');
+    }
+    
+    const state = normalizeItemState(userDoc.data());
+    const result = change(state);
+    transaction.update(userRef, toItemStateUpdate(state));
+    return result;
+  });
+};
+
+/**
+ * Loads a user's item state, migrating records from older versions on first access
+ */
+const loadItemState = async (userId) => {
+  const userDoc = await getUserRef(userId).get();
+  if (!userDoc.exists) {
+    throw new Error('User not found');
+  }
+  
+  if (userDoc.data().itemStateVersion !== ITEM_STATE_VERSION) {
+    return updateItemState(userId, state => state);
   }
-  return userEquipment.get(userId);
+  
+  return normalizeItemState(userDoc.data());
 };
 
+// ============================================
+// INVENTORY MANAGEMENT
+// ============================================
+
 /**
- * Adds an item to user's inventory
+ * Gets a user's inventory (starter items are granted on first access)
  */
-const addItemToInventory = (userId, item) => {
-  const inventory = getUserInventory(userId);
-  inventory.push(item);
+const getUserInventory = async (userId) => {
+  const { inventory } = await loadItemState(userId);
   return inventory;
 };
 
+/**
+ * Gets a user's equipment loadout
+ */
+const getUserEquipment = async (userId) => {
+  const { equipment } = await loadItemState(userId);
+  return equipment;
+};
+
+/**
+ * Adds an item to user's inventory
+ */
+const addItemToInventory = async (userId, item) => {
+  return addItemsToInventory(userId, [item]);
+};
+
 /**
  * Adds multiple items to user's inventory
  */
-const addItemsToInventory = (userId, items) => {
-  const inventory = getUserInventory(userId);
-  inventory.push(...items);
-  return inventory;
+const addItemsToInventory = async (userId, items) => {
+  return updateItemState(userId, (state) => {
+    state.inventory.push(...items);
+    return state.inventory;
+  });
 };
 
 /**
  * Removes an item from user's inventory
  */
-const removeItemFromInventory = (userId, itemId) => {
-  const inventory = getUserInventory(userId);
-  const index = inventory.findIndex(item => item.id === itemId);
+const removeItemFromInventory = async (userId, itemId) => {
+  return updateItemState(userId, state => removeFromState(state, itemId));
+};
+
+/**
+ * Removes an item from a loaded item state, unequipping it if needed
+ */
+const removeFromState = (state, itemId) => {
+  const index = state.inventory.findIndex(item => item.id === itemId);
   
   if (index === -1) {
     throw new Error('Item not found in inventory');
   }
   
-  const [removed] = inventory.splice(index, 1);
+  const [removed] = state.inventory.splice(index, 1);
+  if (removed.equipped && state.equipment[removed.slot]?.id === removed.id) {
+    state.equipment[removed.slot] = null;
+  }
+  removed.equipped = false;
   return removed;
 };
 
 /**
  * Gets a specific item from inventory
  */
-const getItemFromInventory = (userId, itemId) => {
-  const inventory = getUserInventory(userId);
+const getItemFromInventory = async (userId, itemId) => {
+  const inventory = await getUserInventory(userId);
   return inventory.find(item => item.id === itemId);
 };
 
@@ -94,62 +196,60 @@ const getItemFromInventory = (userId, itemId) => {
 /**
  * Equips an item to a slot
  */
-const equipItem = (userId, itemId) => {
-  const inventory = getUserInventory(userId);
-  const equipment = getUserEquipment(userId);
-  
-  const item = inventory.find(i => i.id === itemId);
-  if (!item) {
-    throw new Error('Item not found in inventory');
-  }
-  
-  const slot = item.slot;
-  
-  // Unequip current item in slot (if any)
-  const currentItem = equipment[slot];
-  if (currentItem) {
-    currentItem.equipped = false;
-  }
-  
-  // Equip new item
-  equipment[slot] = item;
-  item.equipped = true;
-  
-  return {
-    equipped: item,
-    unequipped: currentItem,
-    equipment,
-    stats: calculateEquipmentStats(equipment)
-  };
+const equipItem = async (userId, itemId) => {
+  return updateItemState(userId, ({ inventory, equipment }) => {
+    const item = inventory.find(i => i.id === itemId);
+    if (!item) {
+      throw new Error('Item not found in inventory');
+    }
+    
+    const slot = item.slot;
+    
+    // Unequip current item in slot (if any)
+    const currentItem = equipment[slot];
+    if (currentItem) {
+      currentItem.equipped = false;
+    }
+    
+    // Equip new item
+    equipment[slot] = item;
+    item.equipped = true;
+    
+    return {
+      equipped: item,
+      unequipped: currentItem,
+      equipment,
+      stats: calculateEquipmentStats(equipment)
+    };
+  });
 };
 
 /**
  * Unequips an item from a slot
  */
-const unequipItem = (userId, slot) => {
-  const equipment = getUserEquipment(userId);
-  
-  const item = equipment[slot];
-  if (!item) {
-    throw new Error('No item equipped in that slot');
-  }
-  
-  item.equipped = false;
-  equipment[slot] = null;
-  
-  return {
-    unequipped: item,
-    equipment,
-    stats: calculateEquipmentStats(equipment)
-  };
+const unequipItem = async (userId, slot) => {
+  return updateItemState(userId, ({ equipment }) => {
+    const item = equipment[slot];
+    if (!item) {
+      throw new Error('No item equipped in that slot');
+    }
+    
+    item.equipped = false;
+    equipment[slot] = null;
+    
+    return {
+      unequipped: item,
+      equipment,
+      stats: calculateEquipmentStats(equipment)
+    };
+  });
 };
 
 /**
  * Gets full avatar customization state
  */
-const getAvatarState = (userId) => {
-  const inventory = getUserInventory(userId);
-  const equipment = getUserEquipment(userId);
+const getAvatarState = async (userId) => {
+  const { inventory, equipment, salvageResources } = await loadItemState(userId);
   const { stats, xpBonus } = calculateEquipmentStats(equipment);
   
   return {
@@ -157,6 +257,7 @@ const getAvatarState = (userId) => {
     equipment,
     equipmentStats: stats,
     xpBonus,
+    salvageResources,
     totalItems: inventory.length,
     equippedCount: Object.values(equipment).filter(Boolean).length
   };
@@ -169,9 +270,9 @@ const getAvatarState = (userId) => {
 /**
  * Awards items from quest completion
  */
-const awardQuestItems = (userId, questDifficulty = 'normal') => {
+const awardQuestItems = async (userId, questDifficulty = 'normal') => {
   const items = generateQuestReward(questDifficulty);
-  addItemsToInventory(userId, items);
+  await addItemsToInventory(userId, items);
   
   return {
     items,
@@ -182,9 +283,9 @@ const awardQuestItems = (userId, questDifficulty = 'normal') => {
 /**
  * Awards items from raid participation
  */
-const awardRaidItems = (userId, participationLevel = 'normal', bossDefeated = true) => {
-  const items = generateRaidDrop(participationLevel, bossDefeated);
-  addItemsToInventory(userId, items);
+const awardRaidItems = async (userId, participationLevel = 'normal', bossDefeated = true, lootTable = null) => {
+  const items = generateRaidDrop(participationLevel, bossDefeated, lootTable);
+  await addItemsToInventory(userId, items);
   
   return {
     items,
@@ -197,9 +298,9 @@ const awardRaidItems = (userId, participationLevel = 'normal', bossDefeated = tr
 /**
  * Awards items from events
  */
-const awardEventItems = (userId, eventType = 'normal') => {
+const awardEventItems = async (userId, eventType = 'normal') => {
   const items = generateEventReward(eventType);
-  addItemsToInventory(userId, items);
+  await addItemsToInventory(userId, items);
   
   return {
     items,
@@ -210,9 +311,9 @@ const awardEventItems = (userId, eventType = 'normal') => {
 /**
  * Awards a specific generated item (for custom rewards)
  */
-const awardGeneratedItem = (userId, options = {}) => {
+const awardGeneratedItem = async (userId, options = {}) => {
   const item = generateItem(options);
-  addItemToInventory(userId, item);
+  await addItemToInventory(userId, item);
   
   return {
     item,
@@ -225,35 +326,39 @@ const awardGeneratedItem = (userId, options = {}) => {
 // ============================================
 
 /**
- * Salvages an item for resources (future feature)
+ * Salvages an item for resources
  */
-const salvageItem = (userId, itemId) => {
-  const item = removeItemFromInventory(userId, itemId);
-  
-  // Calculate salvage value based on rarity
-  const salvageValues = {
-    [RARITY.COMMON]: 10,
-    [RARITY.UNCOMMON]: 25,
-    [RARITY.RARE]: 50,
-    [RARITY.EPIC]: 100,
-    [RARITY.LEGENDARY]: 250,
-    [RARITY.MYTHIC]: 500
-  };
-  
-  const value = salvageValues[item.rarity] || 10;
-  
-  return {
-    salvaged: item,
-    resources: value,
-    message: `Salvaged ${item.name} for ${value} resources`
-  };
+const salvageItem = async (userId, itemId) => {
+  return updateItemState(userId, (state) => {
+    const item = removeFromState(state, itemId);
+    
+    // Calculate salvage value based on rarity
+    const salvageValues = {
+      [RARITY.COMMON]: 10,
+      [RARITY.UNCOMMON]: 25,
+      [RARITY.RARE]: 50,
+      [RARITY.EPIC]: 100,
+      [RARITY.LEGENDARY]: 250,
+      [RARITY.MYTHIC]: 500
+    };
+    
+    const value = salvageValues[item.rarity] || 10;
+    state.salvageResources += value;
+    
+    return {
+      salvaged: item,
+      resources: value,
+      totalResources: state.salvageResources,
+      message: `Salvaged ${item.name} for ${value} resources`
+    };
+  });
 };
 
 /**
  * Gets inventory filtered by various criteria
  */
-const getFilteredInventory = (userId, filters = {}) => {
-  let inventory = getUserInventory(userId);
+const getFilteredInventory = async (userId, filters = {}) => {
+  let inventory = await getUserInventory(userId);
   
   if (filters.slot) {
     inventory = inventory.filter(item => item.slot === filters.slot);
@@ -296,22 +401,23 @@ const getFilteredInventory = (userId, filters = {}) => {
 /**
  * Gets available items for a specific slot
  */
-const getItemsForSlot = (userId, slot) => {
+const getItemsForSlot = async (userId, slot) => {
   return getFilteredInventory(userId, { slot, equipped: false });
 };
 
 /**
  * Gets inventory statistics
  */
-const getInventoryStats = (userId) => {
-  const inventory = getUserInventory(userId);
+const getInventoryStats = async (userId) => {
+  const { inventory, salvageResources } = await loadItemState(userId);
   
   const stats = {
     total: inventory.length,
     byRarity: {},
     bySlot: {},
     byCategory: {},
-    equipped: 0
+    equipped: 0,
+    salvageResources
   };
   
   for (const item of inventory) {
@@ -354,9 +460,15 @@ module.exports = {
   // Operations
   salvageItem,
   
+  // Persistence
+  normalizeItemState,
+  ITEM_STATE_VERSION,
+  
   // Re-exports from shared
   generateItem,
   generateLootDrop,
+  generateQuestReward,
+  generateRaidDrop,
   RARITY,
   SLOT,
   SLOT_DISPLAY_NAMES
@@ -0,0 +1,121 @@
+/**
+ * Jobs Service - The background jobs ForgeArena runs on a schedule
+ * Schedules are cron expressions in UTC (see scheduler.service.js).
+ * Handlers return a small summary that is stored as the job's last result.
+ */
+
+const scheduler = require('./scheduler.service');
+const activityService = require('./activity.service');
+const leaderboardService = require('../social/leaderboard.service');
+const duelService = require('../gameplay/duel.service');
+const raidService = require('../gameplay/raid.service');
+const questService = require('../gameplay/quest.service');
+const userService = require('../user/user.service');
+const logger = require('../../utils/logger');
+
+// cleanupOldActivities deletes up to 500 per call
+const ACTIVITY_CLEANUP_BATCH = 500;
+const MAX_ACTIVITY_CLEANUP_BATCHES = 20;
+
+// Players who worked out within this many days get fresh quests overnight
+const QUEST_ROTATION_ACTIVE_DAYS = 7;
+
+// ============================================================================
+// HANDLERS
+// ============================================================================
+
+/**
+ * Delete old activity feed entries, a batch at a time
+ */
+async function cleanupActivities() {
+  let deleted = 0;
+
+  for (let i = 0; i < MAX_ACTIVITY_CLEANUP_BATCHES; i++) {
+    const result = await activityService.cleanupOldActivities();
+    deleted += result.deleted;
+    if (result.deleted < ACTIVITY_CLEANUP_BATCH) break;
+  }
+
+  return { deleted };
+}
+
+/**
+ * Give recently active players new daily and weekly quests
+ * refreshQuests only replaces quests that have expired
+ */
+async function rotateQuests() {
+  const users = await userService.getActiveUsers(QUEST_ROTATION_ACTIVE_DAYS);
+  let usersRotated = 0;
+  let failed = 0;
+
+  for (const user of users) {
+    try {
+      const newQuests = await questService.refreshQuests(user);
+      if (newQuests.length > 0) usersRotated++;
+    } catch (error) {
+      failed++;
+      logger.error('Error rotating quests', { error: error.message, userId: user.uid });
+    }
+  }
+
+  return { usersChecked: users.length, usersRotated, failed };
+}
+
+// ============================================================================
+// JOB DEFINITIONS
+// ============================================================================
+
+const JOBS = [
+  {
+    name: 'weekly-xp-reset',
+    schedule: '0 0 * * 1',
+    description: 'Reset weekly XP for the weekly leaderboard (Mondays 00:00 UTC)',
+    handler: () => leaderboardService.resetWeeklyXP(),
+  },
+  {
+    name: 'activity-cleanup',
+    schedule: '30 3 * * *',
+    description: 'Delete activity feed entries older than 30 days',
+    handler: cleanupActivities,
+  },
+  {
+    name: 'duel-expiry',
+    schedule: '*/5 * * * *',
+    description: 'Complete duels whose time is up and expire unanswered challenges',
+    handler: ({ now }) => duelService.expireDuels(now),
+  },
+  {
+    name: 'quest-rotation',
+    schedule: '5 0 * * *',
+    description: 'Replace expired daily and weekly quests for active players',
+    handler: rotateQuests,
+  },
+  {
+    name: 'raid-timeout',
+    schedule: '*/15 * * * *',
+    description: 'End raids that ran past their time limit',
+    handler: ({ now }) => raidService.expireRaids(now),
+  },
+  {
+    name: 'raid-loot',
+    schedule: '*/5 * * * *',
+    description: 'Retry loot payouts of defeated raids that failed',
+    handler: () => raidService.payPendingRaidRewards(),
+  },
+];
+
+/**
+ * Register every job with the scheduler (safe to call more than once)
+ */
+function registerDefaultJobs() {
+  JOBS.forEach(job => {
+    if (!scheduler.hasJob(job.name)) {
+      scheduler.registerJob(job);
+    }
+  });
+}
+
+module.exports = {
+  JOBS,
+  registerDefaultJobs,
+};
@@ -0,0 +1,155 @@
+/**
+ * Mail Service - Sends account emails through a pluggable transport
+ * A transport is any object with a name and an async send(message) method.
+ * The default outbox transport writes each message to a JSON file, so
+ * password reset and verification emails work offline and in tests.
+ * Register a real provider at startup with setTransport().
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const authConfig = require('../../config/auth.config');
+const logger = require('../../utils/logger');
+
+const DEFAULT_FROM = process.env.MAIL_FROM || 'ForgeArena <no-reply@forgearena.local>';
+const APP_URL = process.env.APP_URL || 'http://localhost:3000';
+
+let transport = null;
+
+// ============================================================================
+// TRANSPORTS
+// ============================================================================
+
+/**
+ * Resolve the outbox directory (MAIL_OUTBOX_DIR overrides the default)
+ * Messages hold live reset and verification tokens, so the default lives
+ * outside the repo and production must choose a directory explicitly
+ */
+function getOutboxDir() {
+  if (process.env.MAIL_OUTBOX_DIR) return process.env.MAIL_OUTBOX_DIR;
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('MAIL_OUTBOX_DIR must be set to use the outbox transport in production');
+  }
+  return path.join(os.tmpdir(), 'forgearena-outbox');
+}
+
+/**
+ * Create a transport that writes messages to a local outbox directory
+ * @param {string} dir - Directory to write message files to
+ */
+function createOutboxTransport(dir = getOutboxDir()) {
+  return {
+    name: 'outbox',
+    dir,
+    async send(message) {
+      await fs.promises.mkdir(dir, { recursive: true });
+      await fs.promises.writeFile(
+        path.join(dir, `${message.id}.json`),
+        JSON.stringify(message, null, 2)
+      );
+      return { id: message.id };
+    },
+  };
+}
+
+/**
+ * Use a different transport for all outgoing mail
+ * @param {object} newTransport - { name, send(message) }
+ */
+function setTransport(newTransport) {
+  if (!newTransport || typeof newTransport.send !== 'function') {
+    throw new Error('Mail transport must implement send(message)');
+  }
+  transport = newTransport;
+  logger.info('Mail transport set', { transport: newTransport.name || 'custom' });
+}
+
+/**
+ * Get the active transport, defaulting to the outbox
+ */
+function getTransport() {
+  if (!transport) {
+    transport = createOutboxTransport();
+  }
+  return transport;
+}
+
+// ============================================================================
+// SENDING
+// ============================================================================
+
+/**
+ * Send an email
+ * @param {object} mail - { to, subject, text }
+ * @returns {Promise<object>} The message that was sent
+ */
+async function sendMail({ to, subject, text }) {
+  try {
+    if (!to || !subject || !text) {
+      throw new Error('Mail requires to, subject and text');
+    }
+
+    const message = {
+      id: `mail_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      from: DEFAULT_FROM,
+      to,
+      subject,
+      text,
+      createdAt: new Date().toISOString(),
+    };
+
+    const activeTransport = getTransport();
+    await activeTransport.send(message);
+
+    logger.info('Mail sent', { id: message.id, to, subject, transport: activeTransport.name });
+
+    return message;
+  } catch (error) {
+    logger.error('Error sending mail', { error: error.message, to, subject });
+    throw error;
+  }
+}
+
+/**
+ * Email a password reset link
+ */
+async function sendPasswordResetEmail(user, token) {
+  const link = `${APP_URL}/reset-password?token=${encodeURIComponent(token)}`;
+  const minutes = Math.round(authConfig.passwordResetExpiration / 60000);
+
+  return sendMail({
+    to: user.email,
+    subject: 'Reset your ForgeArena password',
+    text: `Hi ${user.username},\n\n` +
+      `Someone asked to reset your ForgeArena password. This link works once and expires in ${minutes} minutes:\n\n${link}\n\n` +
+      'If this was not you, you can ignore this email.',
+  });
+}
+
+/**
+ * Email an address confirmation link
+ */
+async function sendVerificationEmail(user, token) {
+  const link = `${APP_URL}/verify-email?token=${encodeURIComponent(token)}`;
+
+  return sendMail({
+    to: user.email,
+    subject: 'Confirm your ForgeArena email',
+    text: `Welcome to ForgeArena, ${user.username}!\n\n` +
+      `Confirm your email address with this link:\n\n${link}`,
+  });
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+  createOutboxTransport,
+  setTransport,
+  getTransport,
+  sendMail,
+  sendPasswordResetEmail,
+  sendVerificationEmail,
+};
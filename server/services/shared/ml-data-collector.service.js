@@ -10,11 +10,13 @@
  * - Prediction outcomes
  * - Agent execution metrics
  * - User engagement signals
+ * - Anti-cheat flags on implausible workouts
  * 
  * 100% FREE - Uses existing logging and in-memory storage
  */
 
 const logger = require('../../utils/logger');
+const { getExerciseMetric, getWorkoutTotals } = require('../../../shared/game/gameLogic');
 const fs = require('fs');
 const path = require('path');
 
@@ -29,6 +31,7 @@ class MLDataCollector {
     this.predictionOutcomes = [];
     this.agentExecutions = [];
     this.userEngagementSignals = [];
+    this.antiCheatFlags = [];
     
     // Configuration
     this.maxInMemoryRecords = 10000;
@@ -69,7 +72,8 @@ class MLDataCollector {
         interactions: 'ml_interactions.json',
         predictions: 'prediction_outcomes.json',
         agents: 'agent_executions.json',
-        engagement: 'engagement_signals.json'
+        engagement: 'engagement_signals.json',
+        antiCheat: 'anti_cheat_flags.json'
       };
 
       Object.entries(files).forEach(([key, filename]) => {
@@ -92,6 +96,9 @@ class MLDataCollector {
             case 'engagement':
               this.userEngagementSignals = data.slice(-this.maxInMemoryRecords);
               break;
+            case 'antiCheat':
+              this.antiCheatFlags = data.slice(-this.maxInMemoryRecords);
+              break;
           }
         }
       });
@@ -118,7 +125,8 @@ class MLDataCollector {
         'ml_interactions.json': this.mlInteractions,
         'prediction_outcomes.json': this.predictionOutcomes,
         'agent_executions.json': this.agentExecutions,
-        'engagement_signals.json': this.userEngagementSignals
+        'engagement_signals.json': this.userEngagementSignals,
+        'anti_cheat_flags.json': this.antiCheatFlags
       };
 
       Object.entries(files).forEach(([filename, data]) => {
@@ -138,13 +146,18 @@ class MLDataCollector {
 
   /**
    * Collect workout data
+   * amount is in the exercise's unit; reps only counts rep-based exercises
    */
   collectWorkoutData(userId, workoutData) {
+    const amount = workoutData.amount ?? workoutData.reps;
     const record = {
       userId,
       exercise: workoutData.exercise,
-      reps: workoutData.reps,
-      xpGained: workoutData.xpGained || workoutData.reps * 2,
+      metric: getExerciseMetric(workoutData.exercise),
+      amount,
+      reps: getWorkoutTotals(workoutData.exercise, amount).reps,
+      weight: workoutData.weight ?? null,
+      xpGained: workoutData.xpGained || amount * 2,
       timestamp: new Date().toISOString(),
       dayOfWeek: new Date().getDay(),
       hourOfDay: new Date().getHours()
@@ -252,6 +265,30 @@ class MLDataCollector {
     return record;
   }
 
+  /**
+   * Collect an anti-cheat flag raised on a workout
+   */
+  collectAntiCheatFlag(userId, flagData) {
+    const record = {
+      userId,
+      flagId: flagData.flagId,
+      exercise: flagData.exercise,
+      metric: getExerciseMetric(flagData.exercise),
+      amount: flagData.amount,
+      creditedAmount: flagData.creditedAmount,
+      verdict: flagData.verdict,
+      rules: flagData.rules || [],
+      timestamp: new Date().toISOString()
+    };
+
+    this.antiCheatFlags.push(record);
+    this.trimIfNeeded('antiCheatFlags');
+
+    logger.debug('Anti-cheat flag collected', { userId, verdict: record.verdict });
+
+    return record;
+  }
+
   // ==========================================================================
   // Data Retrieval Methods
   // ==========================================================================
@@ -266,6 +303,7 @@ class MLDataCollector {
       predictions: this.predictionOutcomes,
       agentExecutions: this.agentExecutions,
       engagementSignals: this.userEngagementSignals,
+      antiCheatFlags: this.antiCheatFlags,
       collectedAt: new Date().toISOString(),
       stats: this.getCollectionStats()
     };
@@ -317,17 +355,20 @@ class MLDataCollector {
         mlInteractions: this.mlInteractions.length,
         predictions: this.predictionOutcomes.length,
         agentExecutions: this.agentExecutions.length,
-        engagementSignals: this.userEngagementSignals.length
+        engagementSignals: this.userEngagementSignals.length,
+        antiCheatFlags: this.antiCheatFlags.length
       },
       last24Hours: {
         workouts: countRecent(this.workoutData, oneDayAgo),
         mlInteractions: countRecent(this.mlInteractions, oneDayAgo),
-        agentExecutions: countRecent(this.agentExecutions, oneDayAgo)
+        agentExecutions: countRecent(this.agentExecutions, oneDayAgo),
+        antiCheatFlags: countRecent(this.antiCheatFlags, oneDayAgo)
       },
       lastWeek: {
         workouts: countRecent(this.workoutData, oneWeekAgo),
         mlInteractions: countRecent(this.mlInteractions, oneWeekAgo),
-        agentExecutions: countRecent(this.agentExecutions, oneWeekAgo)
+        agentExecutions: countRecent(this.agentExecutions, oneWeekAgo),
+        antiCheatFlags: countRecent(this.antiCheatFlags, oneWeekAgo)
       },
       uniqueUsers: this.getUniqueUserCount(),
       dataQuality: this.assessDataQuality()
@@ -378,12 +419,19 @@ class MLDataCollector {
     // Exercise distribution
     const exerciseCounts = {};
     let totalReps = 0;
+    let totalSeconds = 0;
+    let totalMeters = 0;
     const hourDistribution = new Array(24).fill(0);
     const dayDistribution = new Array(7).fill(0);
 
     this.workoutData.forEach(w => {
       exerciseCounts[w.exercise] = (exerciseCounts[w.exercise] || 0) + 1;
       totalReps += w.reps || 0;
+      if (w.amount !== undefined) {
+        const totals = getWorkoutTotals(w.exercise, w.amount);
+        totalSeconds += totals.seconds;
+        totalMeters += totals.meters;
+      }
       hourDistribution[w.hourOfDay] = (hourDistribution[w.hourOfDay] || 0) + 1;
       dayDistribution[w.dayOfWeek] = (dayDistribution[w.dayOfWeek] || 0) + 1;
     });
@@ -396,6 +444,8 @@ class MLDataCollector {
     return {
       totalWorkouts: this.workoutData.length,
       totalReps,
+      totalSeconds,
+      totalMeters,
       averageReps: Math.round(totalReps / this.workoutData.length),
       exerciseDistribution: exerciseCounts,
       mostPopularExercise: Object.entries(exerciseCounts).sort((a, b) => b[1] - a[1])[0]?.[0],
@@ -406,6 +456,52 @@ class MLDataCollector {
     };
   }
 
+  /**
+   * Get anti-cheat flag analytics
+   */
+  getAntiCheatAnalytics() {
+    if (this.antiCheatFlags.length === 0) {
+      return { message: 'No anti-cheat flags collected yet' };
+    }
+
+    const verdictCounts = {};
+    const ruleCounts = {};
+    const exerciseCounts = {};
+    const userCounts = {};
+    const withheld = { reps: 0, seconds: 0, meters: 0 };
+
+    this.antiCheatFlags.forEach(f => {
+      verdictCounts[f.verdict] = (verdictCounts[f.verdict] || 0) + 1;
+      exerciseCounts[f.exercise] = (exerciseCounts[f.exercise] || 0) + 1;
+      userCounts[f.userId] = (userCounts[f.userId] || 0) + 1;
+      f.rules.forEach(rule => {
+        ruleCounts[rule] = (ruleCounts[rule] || 0) + 1;
+      });
+      const totals = getWorkoutTotals(f.exercise, (f.amount || 0) - (f.creditedAmount || 0));
+      Object.keys(withheld).forEach(unit => {
+        withheld[unit] += totals[unit];
+      });
+    });
+
+    // Held workouts never reach collectWorkoutData, so add them back in
+    const submittedWorkouts = this.workoutData.length + (verdictCounts.held || 0);
+    const flaggedWorkoutPercent = Math.round((this.antiCheatFlags.length / submittedWorkouts) * 1000) / 10;
+
+    return {
+      totalFlags: this.antiCheatFlags.length,
+      flaggedUsers: Object.keys(userCounts).length,
+      flaggedWorkoutPercent,
+      withheld,
+      verdictDistribution: verdictCounts,
+      ruleDistribution: ruleCounts,
+      exerciseDistribution: exerciseCounts,
+      topFlaggedUsers: Object.entries(userCounts)
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, 10)
+        .map(([userId, flags]) => ({ userId, flags }))
+    };
+  }
+
   /**
    * Get ML interaction analytics
    */
@@ -514,6 +610,7 @@ class MLDataCollector {
     this.predictionOutcomes = [];
     this.agentExecutions = [];
     this.userEngagementSignals = [];
+    this.antiCheatFlags = [];
     
     logger.info('ML data collector cleared');
     
@@ -537,6 +634,7 @@ class MLDataCollector {
         predictions: this.predictionOutcomes.length,
         agents: this.agentExecutions.length,
         engagement: this.userEngagementSignals.length,
+        antiCheat: this.antiCheatFlags.length,
         maxRecords: this.maxInMemoryRecords
       }
     };
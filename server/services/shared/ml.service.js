@@ -4,14 +4,8 @@
  */
 
 const logger = require('../../utils/logger');
-
-// Exercise definitions
-const EXERCISES = {
-  squat: { name: 'Squats', stat: 'agility', secondary: 'endurance' },
-  pushup: { name: 'Push-ups', stat: 'strength', secondary: 'endurance' },
-  pullup: { name: 'Pull-ups', stat: 'strength', secondary: 'agility' },
-  run: { name: 'Running', stat: 'endurance', secondary: 'agility' }
-};
+const exerciseService = require('../gameplay/exercise.service');
+const { getXPForLevel, formatExerciseName } = require('../../../shared/game/gameLogic');
 
 // Motivational messages by context
 const MOTIVATIONS = {
@@ -61,12 +55,16 @@ async function getWorkoutRecommendations(userData) {
   const recommendedExercise = exerciseForStat[weakestStat] || 'squat';
   const baseReps = 10 + Math.floor(level / 2);
   
-  // Check recent workouts to avoid repetition
+  // Alternatives come from the catalog's rep-counted exercises, avoiding
+  // the last few done
   const recentExercises = recentWorkouts.slice(-3).map(w => w.exercise);
-  let alternatives = Object.keys(EXERCISES).filter(e => e !== recommendedExercise && !recentExercises.includes(e));
+  const repExercises = (await exerciseService.listExercises())
+    .filter(entry => entry.unit === 'reps')
+    .map(entry => entry.id);
+  let alternatives = repExercises.filter(e => e !== recommendedExercise && !recentExercises.includes(e));
   
   if (alternatives.length === 0) {
-    alternatives = Object.keys(EXERCISES).filter(e => e !== recommendedExercise);
+    alternatives = repExercises.filter(e => e !== recommendedExercise);
   }
   
   return {
@@ -98,8 +96,7 @@ async function getPerformancePrediction(userData) {
   const level = avatar?.level || 1;
   const xp = avatar?.xp || 0;
   
-  const xpPerLevel = 100;
-  const xpNeeded = (level * xpPerLevel) - xp;
+  const xpNeeded = getXPForLevel(level) - xp;
   const avgXPPerWorkout = 30;
   const daysUntilLevelUp = Math.ceil(xpNeeded / avgXPPerWorkout);
   
@@ -275,7 +272,7 @@ function analyzeWorkoutPatterns(workouts = []) {
   const recommendations = [];
   
   if (favoriteExercise !== 'none') {
-    insights.push(`Your go-to exercise is ${EXERCISES[favoriteExercise]?.name || favoriteExercise}`);
+    insights.push(`Your go-to exercise is ${formatExerciseName(favoriteExercise)}`);
   }
   
   if (averageReps > 15) {
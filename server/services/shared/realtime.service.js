@@ -0,0 +1,251 @@
+/**
+ * Realtime Service - Publish live raid, duel and party updates
+ * Clients hold a Server-Sent Events stream (GET /api/realtime/stream) open
+ * and subscribe to topics such as "raid:<raidId>". Services publish here
+ * when state changes; every subscriber of the topic receives the event.
+ * Subscriptions live in this process only, so with several servers a client
+ * hears about changes made through the server it is connected to, and
+ * refetches state whenever it (re)connects.
+ */
+
+const logger = require('../../utils/logger');
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const TOPIC_TYPES = {
+  RAID: 'raid',
+  DUEL: 'duel',
+  PARTY: 'party',
+};
+
+const REALTIME_EVENTS = {
+  RAID_STARTED: 'raid_started',
+  RAID_DAMAGE: 'raid_damage',
+  RAID_PHASE: 'raid_phase',
+  RAID_COMPLETED: 'raid_completed',
+  DUEL_SCORE: 'duel_score',
+  DUEL_COMPLETED: 'duel_completed',
+  PARTY_MEMBER_JOINED: 'party_member_joined',
+  PARTY_MEMBER_LEFT: 'party_member_left',
+};
+
+// Most topics one connection may subscribe to
+const MAX_TOPICS_PER_CONNECTION = 20;
+
+// Most streams one user may hold open at once (tabs and devices together)
+const MAX_CONNECTIONS_PER_USER = 5;
+
+// topic -> Set of listener functions
+const subscribers = new Map();
+
+// Open streams ({ userId, topics, close }), so shutdown and membership
+// changes can end them
+const connections = new Set();
+
+let nextEventId = 1;
+
+// ============================================================================
+// TOPICS
+// ============================================================================
+
+/**
+ * Build a topic name, e.g. topic('raid', 'raid_123') -> 'raid:raid_123'
+ */
+function topic(type, id) {
+  return `${type}:${id}`;
+}
+
+/**
+ * Split a topic name into { type, id }, or null if it is not a known topic
+ */
+function parseTopic(name) {
+  const separator = String(name || '').indexOf(':');
+  if (separator <= 0) return null;
+
+  const type = name.slice(0, separator);
+  const id = name.slice(separator + 1);
+
+  if (!Object.values(TOPIC_TYPES).includes(type) || !id) {
+    return null;
+  }
+
+  return { type, id };
+}
+
+// ============================================================================
+// PUBLISH / SUBSCRIBE
+// ============================================================================
+
+/**
+ * Listen to a set of topics
+ * @param {string[]} topics - Topic names
+ * @param {Function} listener - Called with { id, topic, type, data, timestamp }
+ * @returns {Function} Unsubscribe
+ */
+function subscribe(topics, listener) {
+  for (const name of topics) {
+    if (!subscribers.has(name)) {
+      subscribers.set(name, new Set());
+    }
+    subscribers.get(name).add(listener);
+  }
+
+  return () => {
+    for (const name of topics) {
+      const listeners = subscribers.get(name);
+      if (!listeners) continue;
+
+      listeners.delete(listener);
+      if (listeners.size === 0) {
+        subscribers.delete(name);
+      }
+    }
+  };
+}
+
+/**
+ * Send an event to everyone subscribed to a topic
+ * Publishing never throws: a live update is a courtesy, and the change it
+ * describes has already been saved.
+ * @returns {number} Listeners the event was delivered to
+ */
+function publish(topicName, type, data = {}) {
+  const listeners = subscribers.get(topicName);
+  if (!listeners || listeners.size === 0) {
+    return 0;
+  }
+
+  const event = {
+    id: nextEventId++,
+    topic: topicName,
+    type,
+    data,
+    timestamp: new Date().toISOString(),
+  };
+
+  let delivered = 0;
+  for (const listener of [...listeners]) {
+    try {
+      listener(event);
+      delivered++;
+    } catch (error) {
+      logger.error('Error delivering realtime event', { error: error.message, topic: topicName, type });
+    }
+  }
+
+  logger.debug('Realtime event published', { topic: topicName, type, delivered });
+
+  return delivered;
+}
+
+/**
+ * Shorthands for the services that publish
+ */
+function publishRaid(raidId, type, data) {
+  return publish(topic(TOPIC_TYPES.RAID, raidId), type, { raidId, ...data });
+}
+
+function publishDuel(duelId, type, data) {
+  return publish(topic(TOPIC_TYPES.DUEL, duelId), type, { duelId, ...data });
+}
+
+function publishParty(partyId, type, data) {
+  return publish(topic(TOPIC_TYPES.PARTY, partyId), type, { partyId, ...data });
+}
+
+/**
+ * Remember an open stream until it closes
+ * @param {string} userId - User holding the stream
+ * @param {string[]} topics - Topic names it follows
+ * @param {Function} close - Ends the stream
+ * @returns {Function} Forget the stream
+ */
+function trackConnection(userId, topics, close) {
+  const connection = { userId, topics, close };
+  connections.add(connection);
+  return () => connections.delete(connection);
+}
+
+/**
+ * End the given streams, forgetting them first
+ * @returns {number} Streams closed
+ */
+function closeConnections(open) {
+  for (const connection of open) {
+    connections.delete(connection);
+    try {
+      connection.close();
+    } catch (error) {
+      logger.error('Error closing realtime stream', { error: error.message, userId: connection.userId });
+    }
+  }
+
+  return open.length;
+}
+
+/**
+ * End every open stream (on shutdown, so the server can close)
+ * @returns {number} Streams closed
+ */
+function closeAllConnections() {
+  return closeConnections([...connections]);
+}
+
+/**
+ * End a user's streams that follow a topic of one of the given types (all
+ * of their streams when omitted). Used when the user loses access, e.g. on
+ * leaving a party: clients reconnect and their topics are checked again.
+ * @returns {number} Streams closed
+ */
+function closeUserConnections(userId, types = null) {
+  const open = [...connections].filter(connection => connection.userId === userId &&
+    (!types || connection.topics.some(name => types.includes(parseTopic(name)?.type))));
+
+  if (open.length > 0) {
+    logger.debug('Closing realtime streams', { userId, types, count: open.length });
+  }
+
+  return closeConnections(open);
+}
+
+/**
+ * Number of streams a user holds open
+ */
+function getConnectionCount(userId) {
+  return [...connections].filter(connection => connection.userId === userId).length;
+}
+
+/**
+ * Number of listeners on a topic (all topics when omitted)
+ */
+function getSubscriberCount(topicName = null) {
+  if (topicName) {
+    return subscribers.get(topicName)?.size || 0;
+  }
+  return [...subscribers.values()].reduce((total, listeners) => total + listeners.size, 0);
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+  TOPIC_TYPES,
+  REALTIME_EVENTS,
+  MAX_TOPICS_PER_CONNECTION,
+  MAX_CONNECTIONS_PER_USER,
+  topic,
+  parseTopic,
+  subscribe,
+  publish,
+  publishRaid,
+  publishDuel,
+  publishParty,
+  trackConnection,
+  closeAllConnections,
+  closeUserConnections,
+  getConnectionCount,
+  getSubscriberCount,
+};
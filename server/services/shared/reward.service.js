@@ -0,0 +1,319 @@
+/**
+ * Reward Service - Single place where XP and items are credited to players
+ * Each grant updates the user record and writes a ledger entry in one
+ * transaction. Ledger entries are keyed by their source event, so replaying
+ * the same quest claim, duel result or raid kill never pays out twice.
+ */
+
+const { getDb, FieldValue } = require('../storage/storage.service');
+const logger = require('../../utils/logger');
+const { getLevelFromXP, migrateLevelProgress, applyStatGains } = require('../../../shared/game/gameLogic');
+const { normalizeItemState, ITEM_STATE_VERSION } = require('./item.service');
+const { getNewestFirstPage } = require('../../utils/cursor.utils');
+
+/**
+ * Get users collection reference
+ */
+function getUsersCollection() {
+  const db = getDb();
+  return db.collection('users');
+}
+
+/**
+ * Get user reward ledger collection reference
+ */
+function getUserLedgerCollection(userId) {
+  return getUsersCollection().doc(userId).collection('rewardLedger');
+}
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const REWARD_SOURCES = {
+  WORKOUT: 'workout',
+  QUEST: 'quest',
+  DUEL: 'duel',
+  ACHIEVEMENT: 'achievement',
+  RAID: 'raid',
+  WORKOUT_REVIEW: 'workout_review',
+  EVENT: 'event',
+  ADMIN: 'admin',
+};
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Build the ledger entry ID for a source event
+ * Document IDs cannot contain slashes, so anything unusual is replaced
+ */
+function getLedgerEntryId(sourceType, sourceId) {
+  return `${sourceType}_${sourceId}`.replace(/[^A-Za-z0-9_-]/g, '_');
+}
+
+// ============================================================================
+// GRANTING
+// ============================================================================
+
+/**
+ * Grant XP and items to a user for a source event
+ * Options: sourceType (REWARD_SOURCES), sourceId, xp, items, statGains,
+ * description. statGains are added to the stats read in the transaction, so
+ * workouts logged at the same time never overwrite each other's gains
+ * Returns { granted, entry, items, leveledUp, stats }; granted is false when
+ * the event was already paid out, in which case the original entry is returned
+ */
+async function grantReward(userId, options) {
+  const { sourceType, sourceId, xp = 0, items = [], statGains = null, description = '' } = options;
+
+  try {
+    if (!Object.values(REWARD_SOURCES).includes(sourceType)) {
+      throw new Error(`Unknown reward source: ${sourceType}`);
+    }
+    if (sourceType === REWARD_SOURCES.ADMIN) {
+      throw new Error('Admin XP changes must use adjustXp');
+    }
+    if (!sourceId) {
+      throw new Error('Reward source ID is required');
+    }
+    if (!Number.isFinite(xp) || xp < 0) {
+      throw new Error('Reward XP must be a non-negative number');
+    }
+
+    const db = getDb();
+    const userRef = getUsersCollection().doc(userId);
+    const entryRef = getUserLedgerCollection(userId).doc(getLedgerEntryId(sourceType, sourceId));
+
+    const result = await db.runTransaction(async (transaction) => {
+      const userDoc = await transaction.get(userRef);
+      const entryDoc = await transaction.get(entryRef);
+
+      if (!userDoc.exists) {
+        throw new Error('User not found');
+      }
+
+      if (entryDoc.exists) {
+        return { granted: false, entry: entryDoc.data(), items: [], leveledUp: false, stats: null };
+      }
+
+      // Records not yet moved onto the current level curve are migrated first
+      const migration = migrateLevelProgress(userDoc.data());
+      const user = { ...userDoc.data(), ...migration };
+      const xpBefore = user.xp || 0;
+      const xpAfter = xpBefore + xp;
+      const levelBefore = user.level || getLevelFromXP(xpBefore);
+      const levelAfter = getLevelFromXP(xpAfter);
+
+      const userUpdates = {
+        xp: xpAfter,
+        level: levelAfter,
+        weeklyXP: (user.weeklyXP || 0) + xp,
+        updatedAt: FieldValue.serverTimestamp(),
+      };
+
+      if (migration) {
+        userUpdates.levelCurveVersion = migration.levelCurveVersion;
+      }
+
+      const stats = statGains ? applyStatGains(user, statGains) : null;
+      if (stats) {
+        Object.assign(userUpdates, stats);
+      }
+
+      if (items.length > 0) {
+        const state = normalizeItemState(user);
+        state.inventory.push(...items);
+
+        Object.assign(userUpdates, {
+          inventory: state.inventory,
+          equipment: state.equipment,
+          salvageResources: state.salvageResources,
+          itemStateVersion: ITEM_STATE_VERSION,
+        });
+      }
+
+      const entry = {
+        id: entryRef.id,
+        userId,
+        sourceType,
+        sourceId,
+        description,
+        xp,
+        items: items.map(item => ({
+          id: item.id,
+          name: item.name,
+          rarity: item.rarity,
+          slot: item.slot,
+        })),
+        xpBefore,
+        xpAfter,
+        levelBefore,
+        levelAfter,
+        createdAt: new Date().toISOString(),
+      };
+
+      transaction.update(userRef, userUpdates);
+      transaction.set(entryRef, entry);
+
+      return { granted: true, entry, items, leveledUp: levelAfter > levelBefore, stats };
+    });
+
+    if (result.granted) {
+      logger.info('Reward granted', {
+        userId,
+        sourceType,
+        sourceId,
+        xp,
+        itemCount: items.length,
+        leveledUp: result.leveledUp,
+      });
+    } else {
+      logger.debug('Reward already granted', { userId, sourceType, sourceId });
+    }
+
+    return result;
+  } catch (error) {
+    logger.error('Error granting reward', { error: error.message, userId, sourceType, sourceId });
+    throw error;
+  }
+}
+
+/**
+ * Add or remove XP by hand (admin correction)
+ * Unlike grantReward the amount may be negative; XP never drops below 0.
+ * Every adjustment gets its own ledger entry recording who made it and why
+ * Options: amount, reason, adminId
+ * Returns { entry, leveledUp, leveledDown }
+ */
+async function adjustXp(userId, options) {
+  const { amount, reason, adminId } = options;
+
+  try {
+    if (!Number.isInteger(amount) || amount === 0) {
+      throw new Error('XP adjustment must be a non-zero integer');
+    }
+    if (!reason) {
+      throw new Error('XP adjustment reason is required');
+    }
+
+    const db = getDb();
+    const userRef = getUsersCollection().doc(userId);
+    const sourceId = `${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const entryRef = getUserLedgerCollection(userId).doc(getLedgerEntryId(REWARD_SOURCES.ADMIN, sourceId));
+
+    const result = await db.runTransaction(async (transaction) => {
+      const userDoc = await transaction.get(userRef);
+
+      if (!userDoc.exists) {
+        throw new Error('User not found');
+      }
+
+      const migration = migrateLevelProgress(userDoc.data());
+      const user = { ...userDoc.data(), ...migration };
+      const xpBefore = user.xp || 0;
+      const xpAfter = Math.max(0, xpBefore + amount);
+      const xpChange = xpAfter - xpBefore;
+      const levelBefore = user.level || getLevelFromXP(xpBefore);
+      const levelAfter = getLevelFromXP(xpAfter);
+
+      const userUpdates = {
+        xp: xpAfter,
+        level: levelAfter,
+        weeklyXP: Math.max(0, (user.weeklyXP || 0) + xpChange),
+        updatedAt: FieldValue.serverTimestamp(),
+      };
+
+      if (migration) {
+        userUpdates.levelCurveVersion = migration.levelCurveVersion;
+      }
+
+      const entry = {
+        id: entryRef.id,
+        userId,
+        sourceType: REWARD_SOURCES.ADMIN,
+        sourceId,
+        description: reason,
+        adminId,
+        xp: xpChange,
+        items: [],
+        xpBefore,
+        xpAfter,
+        levelBefore,
+        levelAfter,
+        createdAt: new Date().toISOString(),
+      };
+
+      transaction.update(userRef, userUpdates);
+      transaction.set(entryRef, entry);
+
+      return { entry, leveledUp: levelAfter > levelBefore, leveledDown: levelAfter < levelBefore };
+    });
+
+    logger.info('XP adjusted by admin', { userId, adminId, xp: result.entry.xp, reason });
+
+    return result;
+  } catch (error) {
+    logger.error('Error adjusting XP', { error: error.message, userId, adminId });
+    throw error;
+  }
+}
+
+// ============================================================================
+// HISTORY
+// ============================================================================
+
+/**
+ * Get the ledger entry paying out a source event, if it was paid
+ * @returns {Promise<object|null>}
+ */
+async function getRewardEntry(userId, sourceType, sourceId) {
+  try {
+    const entryDoc = await getUserLedgerCollection(userId).doc(getLedgerEntryId(sourceType, sourceId)).get();
+    return entryDoc.exists ? entryDoc.data() : null;
+  } catch (error) {
+    logger.error('Error getting reward entry', { error: error.message, userId, sourceType, sourceId });
+    throw error;
+  }
+}
+
+/**
+ * Get a page of a user's reward ledger, newest first
+ * Options: sourceType, limit, cursor (nextCursor of the previous page)
+ */
+async function getRewardHistory(userId, options = {}) {
+  try {
+    const limit = Math.min(Math.max(parseInt(options.limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+    let query = getUserLedgerCollection(userId);
+
+    if (options.sourceType) {
+      query = query.where('sourceType', '==', options.sourceType);
+    }
+
+    const page = await getNewestFirstPage(query, 'createdAt', { limit, cursor: options.cursor });
+
+    return {
+      entries: page.records,
+      hasMore: page.hasMore,
+      nextCursor: page.nextCursor,
+    };
+  } catch (error) {
+    logger.error('Error getting reward history', { error: error.message, userId });
+    throw error;
+  }
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+  REWARD_SOURCES,
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  grantReward,
+  adjustXp,
+  getRewardEntry,
+  getRewardHistory,
+};
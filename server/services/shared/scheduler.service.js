@@ -0,0 +1,317 @@
+/**
+ * Scheduler Service - In-process cron jobs
+ * Jobs are registered with a cron schedule (see utils/cron.utils.js, UTC)
+ * and an async handler. Each job's last run and next due time are kept in
+ * the jobs collection, so a restart neither repeats nor skips a run: a run
+ * missed while the server was down happens once on the next tick. A
+ * process takes a job's lock in a transaction before running it, so with
+ * several servers only one of them runs each job.
+ */
+
+const os = require('os');
+const { getDb, FieldValue } = require('../storage/storage.service');
+const { parseCron, getNextRun } = require('../../utils/cron.utils');
+const logger = require('../../utils/logger');
+
+/**
+ * Get jobs collection reference
+ */
+function getJobsCollection() {
+  const db = getDb();
+  return db.collection('jobs');
+}
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const TICK_INTERVAL_MS = 60 * 1000;
+
+// A lock older than this belongs to a process that died mid-run
+const DEFAULT_LOCK_TTL_MS = 10 * 60 * 1000;
+
+// A failed scheduled run is retried after this long (or at its next slot if sooner)
+const RETRY_DELAY_MS = 5 * 60 * 1000;
+
+const INSTANCE_ID = `${os.hostname()}_${process.pid}`;
+
+const TRIGGERS = {
+  SCHEDULE: 'schedule',
+  MANUAL: 'manual',
+};
+
+const jobs = new Map();
+let timer = null;
+let ticking = false;
+
+// ============================================================================
+// REGISTRATION
+// ============================================================================
+
+/**
+ * Register a job
+ * @param {object} job - { name, schedule, description, handler({ now }), lockTtlMs }
+ */
+function registerJob(job) {
+  const { name, schedule, description = '', handler, lockTtlMs = DEFAULT_LOCK_TTL_MS } = job;
+
+  if (!name || typeof handler !== 'function') {
+    throw new Error('Job requires a name and a handler');
+  }
+  if (jobs.has(name)) {
+    throw new Error(`Job already registered: ${name}`);
+  }
+  parseCron(schedule);
+
+  jobs.set(name, { name, schedule, description, handler, lockTtlMs });
+}
+
+/**
+ * Check whether a job is registered
+ */
+function hasJob(name) {
+  return jobs.has(name);
+}
+
+// ============================================================================
+// RUNNING
+// ============================================================================
+
+/**
+ * Take a job's lock if it is free (and, for scheduled runs, due)
+ * The first time a job is seen it is only scheduled, not run
+ * @param {string} lockedUntil - Lease expiry written with the lock
+ * @returns {Promise<string>} 'acquired', 'locked' or 'not_due'
+ */
+async function acquireLock(job, now, trigger, lockedUntil) {
+  const db = getDb();
+  const jobRef = getJobsCollection().doc(job.name);
+
+  return db.runTransaction(async (transaction) => {
+    const jobDoc = await transaction.get(jobRef);
+    const state = jobDoc.exists ? jobDoc.data() : {};
+
+    if (state.lockedUntil && new Date(state.lockedUntil) > now) {
+      return 'locked';
+    }
+
+    if (trigger === TRIGGERS.SCHEDULE) {
+      if (!state.nextRunAt) {
+        transaction.set(jobRef, {
+          name: job.name,
+          nextRunAt: getNextRun(job.schedule, now).toISOString(),
+        }, { merge: true });
+        return 'not_due';
+      }
+      if (new Date(state.nextRunAt) > now) {
+        return 'not_due';
+      }
+    }
+
+    transaction.set(jobRef, {
+      name: job.name,
+      lockedBy: INSTANCE_ID,
+      lockedUntil,
+    }, { merge: true });
+
+    return 'acquired';
+  });
+}
+
+/**
+ * Save a finished run and free the lock, but only while this instance still
+ * holds the lease it took. A run that outlasted lockTtlMs may have lost the
+ * lock to another instance, whose run then owns the job state.
+ * @returns {Promise<boolean>} Whether the lock was still ours
+ */
+async function releaseLock(job, lockedUntil, updates) {
+  const db = getDb();
+  const jobRef = getJobsCollection().doc(job.name);
+
+  return db.runTransaction(async (transaction) => {
+    const jobDoc = await transaction.get(jobRef);
+    const state = jobDoc.exists ? jobDoc.data() : {};
+
+    if (state.lockedBy !== INSTANCE_ID || state.lockedUntil !== lockedUntil) {
+      return false;
+    }
+
+    // update() replaces lastRun whole; a merge would keep old result fields
+    transaction.update(jobRef, updates);
+    return true;
+  });
+}
+
+/**
+ * Run a job now if its lock is free
+ * Scheduled runs only happen when the job is due. Manual runs ignore the
+ * schedule and throw if the job is already running.
+ * @param {string} name - Job name
+ * @param {object} options - { trigger, triggeredBy }
+ * @returns {Promise<object|null>} The run record, or null when nothing ran
+ */
+async function runJob(name, options = {}) {
+  const { trigger = TRIGGERS.MANUAL, triggeredBy = null } = options;
+  const job = jobs.get(name);
+
+  if (!job) {
+    throw new Error('Job not found');
+  }
+
+  const now = new Date();
+  const lockedUntil = new Date(now.getTime() + job.lockTtlMs).toISOString();
+  const lock = await acquireLock(job, now, trigger, lockedUntil);
+
+  if (lock !== 'acquired') {
+    if (trigger === TRIGGERS.MANUAL) {
+      throw new Error('Job is already running');
+    }
+    return null;
+  }
+
+  let status = 'success';
+  let result = null;
+  let error = null;
+
+  try {
+    result = (await job.handler({ now })) ?? null;
+  } catch (err) {
+    status = 'failed';
+    error = err.message;
+    logger.error('Job failed', { job: name, error: err.message, trigger });
+  }
+
+  const finishedAt = new Date();
+  const run = {
+    name,
+    trigger,
+    triggeredBy,
+    status,
+    result,
+    error,
+    startedAt: now.toISOString(),
+    finishedAt: finishedAt.toISOString(),
+    durationMs: finishedAt - now,
+  };
+
+  try {
+    const updates = {
+      lockedBy: null,
+      lockedUntil: null,
+      lastRun: run,
+      runCount: FieldValue.increment(1),
+    };
+
+    if (trigger === TRIGGERS.SCHEDULE) {
+      const nextRun = getNextRun(job.schedule, now);
+      updates.nextRunAt = status === 'failed'
+        ? new Date(Math.min(nextRun.getTime(), finishedAt.getTime() + RETRY_DELAY_MS)).toISOString()
+        : nextRun.toISOString();
+    }
+
+    const released = await releaseLock(job, lockedUntil, updates);
+    if (!released) {
+      logger.warn('Job lock was taken over before the run finished', {
+        job: name,
+        instance: INSTANCE_ID,
+        durationMs: run.durationMs,
+      });
+    }
+  } catch (err) {
+    logger.error('Error saving job state', { job: name, error: err.message });
+  }
+
+  logger.info('Job finished', { job: name, trigger, status, durationMs: run.durationMs });
+
+  return run;
+}
+
+/**
+ * Run every due job, one at a time
+ */
+async function tick() {
+  if (ticking) return;
+  ticking = true;
+
+  try {
+    for (const name of jobs.keys()) {
+      try {
+        await runJob(name, { trigger: TRIGGERS.SCHEDULE });
+      } catch (error) {
+        logger.error('Error running scheduled job', { job: name, error: error.message });
+      }
+    }
+  } finally {
+    ticking = false;
+  }
+}
+
+/**
+ * Start checking for due jobs every minute
+ */
+function start(intervalMs = TICK_INTERVAL_MS) {
+  if (timer) return;
+
+  timer = setInterval(tick, intervalMs);
+  timer.unref();
+  tick();
+
+  logger.info('Job scheduler started', { jobs: [...jobs.keys()], instance: INSTANCE_ID });
+}
+
+/**
+ * Stop the scheduler (running jobs finish on their own)
+ */
+function stop() {
+  if (!timer) return;
+
+  clearInterval(timer);
+  timer = null;
+  logger.info('Job scheduler stopped');
+}
+
+// ============================================================================
+// STATUS
+// ============================================================================
+
+/**
+ * List registered jobs with their stored state
+ */
+async function listJobs() {
+  try {
+    const now = new Date();
+
+    return await Promise.all([...jobs.values()].map(async (job) => {
+      const jobDoc = await getJobsCollection().doc(job.name).get();
+      const state = jobDoc.exists ? jobDoc.data() : {};
+
+      return {
+        name: job.name,
+        description: job.description,
+        schedule: job.schedule,
+        nextRunAt: state.nextRunAt || getNextRun(job.schedule, now).toISOString(),
+        running: !!state.lockedUntil && new Date(state.lockedUntil) > now,
+        runCount: state.runCount || 0,
+        lastRun: state.lastRun || null,
+      };
+    }));
+  } catch (error) {
+    logger.error('Error listing jobs', { error: error.message });
+    throw error;
+  }
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+  TRIGGERS,
+  registerJob,
+  hasJob,
+  runJob,
+  tick,
+  start,
+  stop,
+  listJobs,
+};
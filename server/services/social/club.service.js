@@ -3,50 +3,34 @@
  * Similar to Pokemon GO's team gym battles
  */
 
-const admin = require('firebase-admin');
+const { getDb, FieldValue } = require('../storage/storage.service');
 const logger = require('../../utils/logger');
 
-// Get Firestore instance from user service
 const userService = require('../user/user.service.firestore');
-
-let db = null;
-
-/**
- * Initialize Firestore connection
- */
-function initFirestore() {
-  if (db) return db;
-  
-  if (admin.apps.length) {
-    db = admin.firestore();
-    return db;
-  }
-  
-  throw new Error('Firestore not initialized. Initialize user service first.');
-}
+const { calculatePlayerPower } = require('../../../shared/game/gameLogic');
 
 /**
  * Get clubs collection reference
  */
 function getClubsCollection() {
-  const firestore = initFirestore();
-  return firestore.collection('clubs');
+  const db = getDb();
+  return db.collection('clubs');
 }
 
 /**
  * Get gym locations collection reference
  */
 function getGymLocationsCollection() {
-  const firestore = initFirestore();
-  return firestore.collection('gymLocations');
+  const db = getDb();
+  return db.collection('gymLocations');
 }
 
 /**
  * Get territory battles collection reference
  */
 function getTerritoryBattlesCollection() {
-  const firestore = initFirestore();
-  return firestore.collection('territoryBattles');
+  const db = getDb();
+  return db.collection('territoryBattles');
 }
 
 // ============================================================================
@@ -98,8 +82,8 @@ async function createClub(founderUid, clubData) {
       losses: 0,
       isRecruiting: true,
       minLevelToJoin: clubData.minLevelToJoin || 1,
-      createdAt: admin.firestore.FieldValue.serverTimestamp(),
-      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      createdAt: FieldValue.serverTimestamp(),
+      updatedAt: FieldValue.serverTimestamp(),
     };
     
     await clubsRef.doc(clubId).set(newClub);
@@ -211,10 +195,10 @@ async function joinClub(userId, clubId) {
     
     // Add user to club
     await clubsRef.doc(clubId).update({
-      members: admin.firestore.FieldValue.arrayUnion(userId),
-      memberCount: admin.firestore.FieldValue.increment(1),
-      totalPower: admin.firestore.FieldValue.increment(user?.level || 1),
-      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      members: FieldValue.arrayUnion(userId),
+      memberCount: FieldValue.increment(1),
+      totalPower: FieldValue.increment(user?.level || 1),
+      updatedAt: FieldValue.serverTimestamp(),
     });
     
     // Update user's club reference
@@ -264,20 +248,20 @@ async function leaveClub(userId) {
         const newFounder = club.officers[0] || club.members.find(m => m !== userId);
         await clubsRef.doc(clubId).update({
           founderId: newFounder,
-          members: admin.firestore.FieldValue.arrayRemove(userId),
-          memberCount: admin.firestore.FieldValue.increment(-1),
-          totalPower: admin.firestore.FieldValue.increment(-(user.level || 1)),
-          updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+          members: FieldValue.arrayRemove(userId),
+          memberCount: FieldValue.increment(-1),
+          totalPower: FieldValue.increment(-(user.level || 1)),
+          updatedAt: FieldValue.serverTimestamp(),
         });
       }
     } else {
       // Regular member leaving
       await clubsRef.doc(clubId).update({
-        members: admin.firestore.FieldValue.arrayRemove(userId),
-        officers: admin.firestore.FieldValue.arrayRemove(userId),
-        memberCount: admin.firestore.FieldValue.increment(-1),
-        totalPower: admin.firestore.FieldValue.increment(-(user.level || 1)),
-        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        members: FieldValue.arrayRemove(userId),
+        officers: FieldValue.arrayRemove(userId),
+        memberCount: FieldValue.increment(-1),
+        totalPower: FieldValue.increment(-(user.level || 1)),
+        updatedAt: FieldValue.serverTimestamp(),
       });
     }
     
@@ -325,7 +309,7 @@ async function updateClub(userId, clubId, updates) {
       }
     });
     
-    filteredUpdates.updatedAt = admin.firestore.FieldValue.serverTimestamp();
+    filteredUpdates.updatedAt = FieldValue.serverTimestamp();
     
     const clubsRef = getClubsCollection();
     await clubsRef.doc(clubId).update(filteredUpdates);
@@ -488,20 +472,21 @@ async function claimGymTerritory(userId, gymId) {
       controllingClubId: club.id,
       controllingClubName: club.name,
       controllingClubColor: club.color,
-      controlStrength: user.level || 1,
+      controlStrength: calculatePlayerPower(user),
       defenders: [{
         userId: user.uid,
         username: user.username,
         level: user.level || 1,
+        power: calculatePlayerPower(user),
       }],
-      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: FieldValue.serverTimestamp(),
     });
     
     // Update club territories count
     const clubsRef = getClubsCollection();
     await clubsRef.doc(club.id).update({
-      territoriesControlled: admin.firestore.FieldValue.increment(1),
-      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      territoriesControlled: FieldValue.increment(1),
+      updatedAt: FieldValue.serverTimestamp(),
     });
     
     logger.info('Territory claimed', { gymId, clubId: club.id, userId });
@@ -546,8 +531,8 @@ async function challengeGymTerritory(userId, gymId) {
       throw new Error('Your club already controls this territory');
     }
     
-    // Calculate battle (simplified - could be more complex)
-    const attackerPower = user.level || 1;
+    // Calculate battle from the attacker's stats, equipment and level
+    const attackerPower = calculatePlayerPower(user);
     const defenderStrength = gym.controlStrength || 1;
     
     // Attacker needs to beat defender strength
@@ -565,7 +550,7 @@ async function challengeGymTerritory(userId, gymId) {
       attackerPower,
       defenderStrength,
       victory,
-      timestamp: admin.firestore.FieldValue.serverTimestamp(),
+      timestamp: FieldValue.serverTimestamp(),
     };
     
     const battlesRef = getTerritoryBattlesCollection();
@@ -573,8 +558,8 @@ async function challengeGymTerritory(userId, gymId) {
     
     // Update gym
     await gymLocationsRef.doc(gymId).update({
-      totalBattles: admin.firestore.FieldValue.increment(1),
-      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      totalBattles: FieldValue.increment(1),
+      updatedAt: FieldValue.serverTimestamp(),
     });
     
     const clubsRef = getClubsCollection();
@@ -590,18 +575,19 @@ async function challengeGymTerritory(userId, gymId) {
           userId: user.uid,
           username: user.username,
           level: user.level || 1,
+          power: attackerPower,
         }],
       });
       
       // Update club stats
       await clubsRef.doc(attackerClub.id).update({
-        territoriesControlled: admin.firestore.FieldValue.increment(1),
-        wins: admin.firestore.FieldValue.increment(1),
+        territoriesControlled: FieldValue.increment(1),
+        wins: FieldValue.increment(1),
       });
       
       await clubsRef.doc(gym.controllingClubId).update({
-        territoriesControlled: admin.firestore.FieldValue.increment(-1),
-        losses: admin.firestore.FieldValue.increment(1),
+        territoriesControlled: FieldValue.increment(-1),
+        losses: FieldValue.increment(1),
       });
       
       logger.info('Territory captured', { gymId, attackerClubId: attackerClub.id, defenderClubId: gym.controllingClubId });
@@ -613,11 +599,11 @@ async function challengeGymTerritory(userId, gymId) {
     } else {
       // Defense holds
       await clubsRef.doc(attackerClub.id).update({
-        losses: admin.firestore.FieldValue.increment(1),
+        losses: FieldValue.increment(1),
       });
       
       await clubsRef.doc(gym.controllingClubId).update({
-        wins: admin.firestore.FieldValue.increment(1),
+        wins: FieldValue.increment(1),
       });
       
       logger.info('Territory defense successful', { gymId, attackerClubId: attackerClub.id, defenderClubId: gym.controllingClubId });
@@ -672,14 +658,16 @@ async function addGymDefender(userId, gymId) {
       userId: user.uid,
       username: user.username,
       level: user.level || 1,
+      power: calculatePlayerPower(user),
     }];
     
-    const newStrength = newDefenders.reduce((sum, d) => sum + d.level, 0);
+    // Defenders recorded before power existed count their level
+    const newStrength = newDefenders.reduce((sum, d) => sum + (d.power || d.level), 0);
     
     await gymLocationsRef.doc(gymId).update({
       defenders: newDefenders,
       controlStrength: newStrength,
-      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: FieldValue.serverTimestamp(),
     });
     
     logger.info('Defender added', { gymId, userId, newStrength });
@@ -3,31 +3,15 @@
  * Provides various leaderboard types: XP, level, weekly XP, streaks, etc.
  */
 
-const admin = require('firebase-admin');
+const { getDb } = require('../storage/storage.service');
 const logger = require('../../utils/logger');
 
-let db = null;
-
-/**
- * Initialize Firestore connection
- */
-function initFirestore() {
-  if (db) return db;
-  
-  if (admin.apps.length) {
-    db = admin.firestore();
-    return db;
-  }
-  
-  throw new Error('Firestore not initialized. Initialize user service first.');
-}
-
 /**
  * Get users collection reference
  */
 function getUsersCollection() {
-  const firestore = initFirestore();
-  return firestore.collection('users');
+  const db = getDb();
+  return db.collection('users');
 }
 
 // ============================================================================
@@ -41,6 +25,8 @@ const LEADERBOARD_TYPES = {
   STREAK: 'streak',
   TOTAL_WORKOUTS: 'total_workouts',
   LIFETIME_REPS: 'lifetime_reps',
+  LIFETIME_SECONDS: 'lifetime_seconds',
+  LIFETIME_METERS: 'lifetime_meters',
   RAIDS_COMPLETED: 'raids_completed',
   DUEL_WINS: 'duel_wins',
 };
@@ -199,6 +185,64 @@ async function getRepsLeaderboard(limit = 20) {
   }
 }
 
+/**
+ * Get lifetime duration leaderboard (seconds of timed exercises such as plank)
+ */
+async function getDurationLeaderboard(limit = 20) {
+  try {
+    const usersRef = getUsersCollection();
+    const snapshot = await usersRef
+      .orderBy('lifetimeSeconds', 'desc')
+      .limit(limit)
+      .get();
+    
+    return snapshot.docs.map((doc, index) => {
+      const data = doc.data();
+      return {
+        rank: index + 1,
+        id: doc.id,
+        username: data.username,
+        handle: data.handle,
+        avatarUrl: data.avatarUrl || '',
+        level: data.level || 1,
+        lifetimeSeconds: data.lifetimeSeconds || 0,
+      };
+    });
+  } catch (error) {
+    logger.error('Error getting duration leaderboard', { error: error.message });
+    throw error;
+  }
+}
+
+/**
+ * Get lifetime distance leaderboard (meters run)
+ */
+async function getDistanceLeaderboard(limit = 20) {
+  try {
+    const usersRef = getUsersCollection();
+    const snapshot = await usersRef
+      .orderBy('lifetimeMeters', 'desc')
+      .limit(limit)
+      .get();
+    
+    return snapshot.docs.map((doc, index) => {
+      const data = doc.data();
+      return {
+        rank: index + 1,
+        id: doc.id,
+        username: data.username,
+        handle: data.handle,
+        avatarUrl: data.avatarUrl || '',
+        level: data.level || 1,
+        lifetimeMeters: data.lifetimeMeters || 0,
+      };
+    });
+  } catch (error) {
+    logger.error('Error getting distance leaderboard', { error: error.message });
+    throw error;
+  }
+}
+
 /**
  * Get raid completions leaderboard
  */
@@ -296,8 +340,8 @@ async function getGymLeaderboard(gym, limit = 20) {
  */
 async function getClubLeaderboard(limit = 20) {
   try {
-    const firestore = initFirestore();
-    const clubsRef = firestore.collection('clubs');
+    const db = getDb();
+    const clubsRef = db.collection('clubs');
     const snapshot = await clubsRef
       .orderBy('totalPower', 'desc')
       .limit(limit)
@@ -364,6 +408,14 @@ async function getUserRank(userId, leaderboardType = LEADERBOARD_TYPES.LEVEL) {
         field = 'lifetimeReps';
         value = userData.lifetimeReps || 0;
         break;
+      case LEADERBOARD_TYPES.LIFETIME_SECONDS:
+        field = 'lifetimeSeconds';
+        value = userData.lifetimeSeconds || 0;
+        break;
+      case LEADERBOARD_TYPES.LIFETIME_METERS:
+        field = 'lifetimeMeters';
+        value = userData.lifetimeMeters || 0;
+        break;
       default:
         field = 'level';
         value = userData.level || 1;
@@ -419,23 +471,24 @@ async function getUserLeaderboardStats(userId) {
 }
 
 /**
- * Reset weekly XP for all users (called by scheduled job)
+ * Reset weekly XP for all users (run by the weekly-xp-reset job)
  */
 async function resetWeeklyXP() {
   try {
-    const firestore = initFirestore();
+    const db = getDb();
     const usersRef = getUsersCollection();
     const snapshot = await usersRef.get();
     
-    const batch = firestore.batch();
-    let count = 0;
-    
-    snapshot.docs.forEach(doc => {
-      batch.update(doc.ref, { weeklyXP: 0 });
-      count++;
-    });
+    // Firestore batches hold at most 500 writes
+    for (let i = 0; i < snapshot.docs.length; i += 500) {
+      const batch = db.batch();
+      snapshot.docs.slice(i, i + 500).forEach(doc => {
+        batch.update(doc.ref, { weeklyXP: 0 });
+      });
+      await batch.commit();
+    }
     
-    await batch.commit();
+    const count = snapshot.docs.length;
     
     logger.info('Weekly XP reset completed', { usersReset: count });
     
@@ -465,6 +518,10 @@ async function getLeaderboard(type, options = {}) {
       return getWorkoutsLeaderboard(limit);
     case LEADERBOARD_TYPES.LIFETIME_REPS:
       return getRepsLeaderboard(limit);
+    case LEADERBOARD_TYPES.LIFETIME_SECONDS:
+      return getDurationLeaderboard(limit);
+    case LEADERBOARD_TYPES.LIFETIME_METERS:
+      return getDistanceLeaderboard(limit);
     case LEADERBOARD_TYPES.RAIDS_COMPLETED:
       return getRaidLeaderboard(limit);
     case LEADERBOARD_TYPES.DUEL_WINS:
@@ -485,6 +542,8 @@ module.exports = {
   getStreakLeaderboard,
   getWorkoutsLeaderboard,
   getRepsLeaderboard,
+  getDurationLeaderboard,
+  getDistanceLeaderboard,
   getRaidLeaderboard,
   getDuelLeaderboard,
   getGymLeaderboard,
@@ -3,35 +3,19 @@
  * Users can create parties, invite others via code, and work out together
  */
 
-const admin = require('firebase-admin');
+const { getDb, FieldValue } = require('../storage/storage.service');
 const logger = require('../../utils/logger');
 const crypto = require('crypto');
+const realtimeService = require('../shared/realtime.service');
 
-// Get Firestore instance from user service
 const userService = require('../user/user.service.firestore');
 
-let db = null;
-
-/**
- * Initialize Firestore connection
- */
-function initFirestore() {
-  if (db) return db;
-  
-  if (admin.apps.length) {
-    db = admin.firestore();
-    return db;
-  }
-  
-  throw new Error('Firestore not initialized. Initialize user service first.');
-}
-
 /**
  * Get parties collection reference
  */
 function getPartiesCollection() {
-  const firestore = initFirestore();
-  return firestore.collection('parties');
+  const db = getDb();
+  return db.collection('parties');
 }
 
 /**
@@ -110,8 +94,8 @@ async function createParty(ownerUid, partyData) {
       memberCount: 1,
       maxMembers: 8, // Maximum party size
       isActive: true,
-      createdAt: admin.firestore.FieldValue.serverTimestamp(),
-      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      createdAt: FieldValue.serverTimestamp(),
+      updatedAt: FieldValue.serverTimestamp(),
     };
     
     await partiesRef.doc(partyId).set(newParty);
@@ -260,9 +244,9 @@ async function joinParty(userId, inviteCode) {
     
     // Use arrayUnion to add member
     await partiesRef.doc(party.id).update({
-      members: admin.firestore.FieldValue.arrayUnion(newMember),
-      memberCount: admin.firestore.FieldValue.increment(1),
-      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      members: FieldValue.arrayUnion(newMember),
+      memberCount: FieldValue.increment(1),
+      updatedAt: FieldValue.serverTimestamp(),
     });
     
     // Update user's party reference
@@ -270,9 +254,17 @@ async function joinParty(userId, inviteCode) {
     
     logger.info('User joined party', { userId, partyId: party.id, partyName: party.name });
     
+    const updatedParty = await getPartyById(party.id);
+    
+    realtimeService.publishParty(party.id, realtimeService.REALTIME_EVENTS.PARTY_MEMBER_JOINED, {
+      userId,
+      username: user.username,
+      memberCount: updatedParty.memberCount,
+    });
+    
     return {
       message: `Welcome to ${party.name}!`,
-      party: await getPartyById(party.id),
+      party: updatedParty,
     };
   } catch (error) {
     logger.error('Error joining party', { error: error.message, userId, inviteCode });
@@ -307,13 +299,14 @@ async function leaveParty(userId) {
     
     // Find the member to remove
     const memberToRemove = party.members.find(m => m.userId === userId);
+    let newOwnerId = null;
     
     if (party.memberCount <= 1) {
       // Last member leaving - disband the party
       await partiesRef.doc(partyId).update({
         isActive: false,
-        disbandedAt: admin.firestore.FieldValue.serverTimestamp(),
-        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        disbandedAt: FieldValue.serverTimestamp(),
+        updatedAt: FieldValue.serverTimestamp(),
       });
       
       logger.info('Party disbanded', { partyId, partyName: party.name });
@@ -321,6 +314,7 @@ async function leaveParty(userId) {
       // Owner leaving - transfer ownership
       const remainingMembers = party.members.filter(m => m.userId !== userId);
       const newOwner = remainingMembers[0]; // First remaining member becomes owner
+      newOwnerId = newOwner.userId;
       
       // Update new owner's role in the members array
       const updatedMembers = remainingMembers.map(m => 
@@ -332,8 +326,8 @@ async function leaveParty(userId) {
         ownerUsername: newOwner.username,
         ownerAvatarUrl: newOwner.avatarUrl,
         members: updatedMembers,
-        memberCount: admin.firestore.FieldValue.increment(-1),
-        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        memberCount: FieldValue.increment(-1),
+        updatedAt: FieldValue.serverTimestamp(),
       });
       
       // Update new owner's role in their user profile
@@ -350,8 +344,8 @@ async function leaveParty(userId) {
       
       await partiesRef.doc(partyId).update({
         members: updatedMembers,
-        memberCount: admin.firestore.FieldValue.increment(-1),
-        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        memberCount: FieldValue.increment(-1),
+        updatedAt: FieldValue.serverTimestamp(),
       });
     }
     
@@ -360,6 +354,15 @@ async function leaveParty(userId) {
     
     logger.info('User left party', { userId, partyId, partyName: party.name });
     
+    realtimeService.publishParty(partyId, realtimeService.REALTIME_EVENTS.PARTY_MEMBER_LEFT, {
+      userId,
+      username: memberToRemove?.username || user.username,
+      memberCount: Math.max(0, party.memberCount - 1),
+      newOwnerId,
+      disbanded: party.memberCount <= 1,
+    });
+    realtimeService.closeUserConnections(userId, [realtimeService.TOPIC_TYPES.PARTY, realtimeService.TOPIC_TYPES.RAID]);
+    
     return { 
       message: `You have left ${party.name}`,
       wasOwner: isOwner,
@@ -454,7 +457,7 @@ async function updateParty(userId, partyId, updates) {
       filteredUpdates.name = filteredUpdates.name.trim();
     }
     
-    filteredUpdates.updatedAt = admin.firestore.FieldValue.serverTimestamp();
+    filteredUpdates.updatedAt = FieldValue.serverTimestamp();
     
     const partiesRef = getPartiesCollection();
     await partiesRef.doc(partyId).update(filteredUpdates);
@@ -503,7 +506,7 @@ async function regenerateInviteCode(userId, partyId) {
     
     await partiesRef.doc(partyId).update({
       inviteCode: newInviteCode,
-      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: FieldValue.serverTimestamp(),
     });
     
     logger.info('Invite code regenerated', { partyId, by: userId });
@@ -546,8 +549,8 @@ async function kickMember(ownerId, partyId, memberToKickId) {
     const partiesRef = getPartiesCollection();
     await partiesRef.doc(partyId).update({
       members: updatedMembers,
-      memberCount: admin.firestore.FieldValue.increment(-1),
-      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      memberCount: FieldValue.increment(-1),
+      updatedAt: FieldValue.serverTimestamp(),
     });
     
     // Clear kicked member's party reference
@@ -555,6 +558,16 @@ async function kickMember(ownerId, partyId, memberToKickId) {
     
     logger.info('Member kicked from party', { partyId, kickedBy: ownerId, kickedMember: memberToKickId });
     
+    realtimeService.publishParty(partyId, realtimeService.REALTIME_EVENTS.PARTY_MEMBER_LEFT, {
+      userId: memberToKickId,
+      username: party.members.find(m => m.userId === memberToKickId).username,
+      memberCount: party.memberCount - 1,
+      newOwnerId: null,
+      disbanded: false,
+      kicked: true,
+    });
+    realtimeService.closeUserConnections(memberToKickId, [realtimeService.TOPIC_TYPES.PARTY, realtimeService.TOPIC_TYPES.RAID]);
+    
     return { message: 'Member has been removed from the party' };
   } catch (error) {
     logger.error('Error kicking member', { error: error.message, ownerId, partyId, memberToKickId });
@@ -0,0 +1,95 @@
+/**
+ * Firestore Storage Backend - Google Cloud Firestore via the Admin SDK
+ */
+
+const admin = require('firebase-admin');
+const logger = require('../../utils/logger');
+const path = require('path');
+const fs = require('fs');
+
+let db = null;
+
+/**
+ * Get firestore FieldValue helper with fallbacks for tests/mocks
+ */
+function getFieldValue() {
+  if (admin.firestore && admin.firestore.FieldValue) {
+    return admin.firestore.FieldValue;
+  }
+  if (admin.FieldValue) {
+    return admin.FieldValue;
+  }
+  return {
+    serverTimestamp: () => new Date(),
+    increment: (n) => n,
+    arrayUnion: (item) => [item],
+    arrayRemove: () => [],
+    delete: () => undefined,
+  };
+}
+
+const FieldValue = getFieldValue();
+
+/**
+ * Initialize Firebase Admin SDK and Firestore
+ */
+function initStorage() {
+  if (db) return db;
+
+  try {
+    // Check if already initialized
+    if (!admin.apps.length) {
+      // Option 1: Use service account from file (local development)
+      if (process.env.NODE_ENV === 'development') {
+        const serviceAccountPath = path.join(__dirname, '../../serviceAccount.json');
+        if (fs.existsSync(serviceAccountPath)) {
+          const serviceAccount = require(serviceAccountPath);
+          admin.initializeApp({
+            credential: admin.credential.cert(serviceAccount),
+            projectId: process.env.FIREBASE_PROJECT_ID || serviceAccount.project_id
+          });
+          logger.info('Firestore initialized with service account file');
+          db = admin.firestore();
+          return db;
+        }
+      }
+
+      // Option 2: Use service account from env var (production/Heroku)
+      if (process.env.FIREBASE_SERVICE_ACCOUNT) {
+        const serviceAccount = JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT);
+        admin.initializeApp({
+          credential: admin.credential.cert(serviceAccount),
+          projectId: process.env.FIREBASE_PROJECT_ID || serviceAccount.project_id
+        });
+        logger.info('Firestore initialized with environment variable service account');
+      } else {
+        // Option 3: Use default credentials (Google Cloud)
+        admin.initializeApp({
+          projectId: process.env.FIREBASE_PROJECT_ID
+        });
+        logger.info('Firestore initialized with default credentials');
+      }
+    }
+
+    db = admin.firestore();
+    logger.info('Firestore connection established');
+    return db;
+  } catch (error) {
+    logger.error('Failed to initialize Firestore', { error: error.message });
+    throw error;
+  }
+}
+
+/**
+ * Get the Firestore database, initializing it on first use
+ */
+function getDb() {
+  return db || initStorage();
+}
+
+module.exports = {
+  name: 'firestore',
+  FieldValue,
+  initStorage,
+  getDb,
+};
@@ -0,0 +1,22 @@
+/**
+ * Storage Service - Selects the document storage backend used by every service
+ * Defaults to Firestore; set USE_FIRESTORE=false to run on the local
+ * in-memory/JSON-file backend without Google credentials
+ *
+ * Both backends expose the same interface:
+ * - getDb(): Firestore-compatible database (collection/doc/where/orderBy/limit/batch/runTransaction)
+ * - FieldValue: serverTimestamp, increment, arrayUnion, arrayRemove, delete
+ * - initStorage(): eager initialization at startup
+ */
+
+const logger = require('../../utils/logger');
+
+const USE_FIRESTORE = process.env.USE_FIRESTORE !== 'false';
+
+const backend = USE_FIRESTORE
+  ? require('./storage.service.firestore')
+  : require('./storage.service.memory');
+
+logger.info(`Using ${USE_FIRESTORE ? 'Firestore' : 'local in-memory/JSON'} storage backend`);
+
+module.exports = backend;
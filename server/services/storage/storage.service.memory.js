@@ -0,0 +1,749 @@
+/**
+ * Local Storage Backend - In-memory document store with optional JSON file persistence
+ * Implements the subset of the Firestore API used by ForgeArena services
+ * (collections, subcollections, where/orderBy/limit queries, batches,
+ * transactions and FieldValue sentinels) so the server can run offline
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('../../utils/logger');
+
+// Upper bound of the random delay before a transaction retry, per attempt
+const TRANSACTION_BACKOFF_MS = 5;
+
+// ============================================================================
+// FIELD VALUES
+// ============================================================================
+
+/**
+ * Sentinel written in place of a value and resolved at write time
+ */
+class FieldValueSentinel {
+  constructor(op, operand) {
+    this.op = op;
+    this.operand = operand;
+  }
+}
+
+const FieldValue = {
+  serverTimestamp: () => new FieldValueSentinel('serverTimestamp'),
+  increment: (n) => new FieldValueSentinel('increment', n),
+  arrayUnion: (...items) => new FieldValueSentinel('arrayUnion', items),
+  arrayRemove: (...items) => new FieldValueSentinel('arrayRemove', items),
+  delete: () => new FieldValueSentinel('delete'),
+};
+
+const DELETE_FIELD = Symbol('delete');
+
+// ============================================================================
+// VALUE HELPERS
+// ============================================================================
+
+function isPlainObject(value) {
+  return value !== null
+    && typeof value === 'object'
+    && !Array.isArray(value)
+    && !(value instanceof Date)
+    && !(value instanceof FieldValueSentinel);
+}
+
+function isEqual(a, b) {
+  if (a === b) return true;
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Resolve a sentinel against the current field value
+ */
+function resolveSentinel(sentinel, current) {
+  switch (sentinel.op) {
+    case 'serverTimestamp':
+      return new Date().toISOString();
+    case 'increment':
+      return (typeof current === 'number' ? current : 0) + sentinel.operand;
+    case 'arrayUnion': {
+      const result = Array.isArray(current) ? [...current] : [];
+      sentinel.operand.forEach(item => {
+        const value = normalizeValue(item);
+        if (!result.some(existing => isEqual(existing, value))) {
+          result.push(value);
+        }
+      });
+      return result;
+    }
+    case 'arrayRemove': {
+      const removed = sentinel.operand.map(normalizeValue);
+      return (Array.isArray(current) ? current : [])
+        .filter(existing => !removed.some(item => isEqual(existing, item)));
+    }
+    case 'delete':
+      return DELETE_FIELD;
+    default:
+      throw new Error(`Unsupported field value: ${sentinel.op}`);
+  }
+}
+
+/**
+ * Convert a value to its stored form
+ * Dates are stored as ISO strings so the store stays JSON serializable
+ */
+function normalizeValue(value, current) {
+  if (value instanceof FieldValueSentinel) return resolveSentinel(value, current);
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return value.map(item => normalizeValue(item));
+  if (isPlainObject(value)) {
+    const result = {};
+    Object.entries(value).forEach(([key, nested]) => {
+      if (nested === undefined) return;
+      const resolved = normalizeValue(nested, isPlainObject(current) ? current[key] : undefined);
+      if (resolved !== DELETE_FIELD) result[key] = resolved;
+    });
+    return result;
+  }
+  return value;
+}
+
+/**
+ * Deep-merge updates into a document, as Firestore does for set(..., { merge: true })
+ */
+function mergeFields(target, updates) {
+  const result = isPlainObject(target) ? { ...target } : {};
+  Object.entries(updates).forEach(([key, value]) => {
+    if (value === undefined) return;
+    if (isPlainObject(value)) {
+      result[key] = mergeFields(result[key], value);
+      return;
+    }
+    const resolved = normalizeValue(value, result[key]);
+    if (resolved === DELETE_FIELD) {
+      delete result[key];
+    } else {
+      result[key] = resolved;
+    }
+  });
+  return result;
+}
+
+/**
+ * Apply update() semantics: dotted keys address nested fields,
+ * plain keys replace the whole field
+ */
+function applyUpdate(target, updates) {
+  const result = structuredClone(target);
+  Object.entries(updates).forEach(([fieldPath, value]) => {
+    if (value === undefined) return;
+    const segments = fieldPath.split('.');
+    const last = segments.pop();
+    let parent = result;
+    segments.forEach(segment => {
+      if (!isPlainObject(parent[segment])) parent[segment] = {};
+      parent = parent[segment];
+    });
+    const resolved = normalizeValue(value, parent[last]);
+    if (resolved === DELETE_FIELD) {
+      delete parent[last];
+    } else {
+      parent[last] = resolved;
+    }
+  });
+  return result;
+}
+
+function getField(data, fieldPath) {
+  return fieldPath.split('.').reduce(
+    (value, segment) => (value === undefined || value === null ? undefined : value[segment]),
+    data
+  );
+}
+
+/**
+ * Order values the way Firestore does across types:
+ * null < booleans < numbers < strings < arrays < maps
+ */
+function typeRank(value) {
+  if (value === null || value === undefined) return 0;
+  if (typeof value === 'boolean') return 1;
+  if (typeof value === 'number') return 2;
+  if (typeof value === 'string') return 3;
+  if (Array.isArray(value)) return 4;
+  return 5;
+}
+
+function compareValues(a, b) {
+  const left = a instanceof Date ? a.toISOString() : a;
+  const right = b instanceof Date ? b.toISOString() : b;
+  const rankDiff = typeRank(left) - typeRank(right);
+  if (rankDiff !== 0) return rankDiff;
+  if (left === right) return 0;
+  if (typeof left === 'object') {
+    return JSON.stringify(left) < JSON.stringify(right) ? -1 : 1;
+  }
+  return left < right ? -1 : 1;
+}
+
+const FILTER_OPERATORS = {
+  '==': (value, operand) => value !== undefined && compareValues(value, operand) === 0,
+  '!=': (value, operand) => value !== undefined && value !== null && compareValues(value, operand) !== 0,
+  '<': (value, operand) => value !== undefined && typeRank(value) === typeRank(normalizeValue(operand)) && compareValues(value, operand) < 0,
+  '<=': (value, operand) => value !== undefined && typeRank(value) === typeRank(normalizeValue(operand)) && compareValues(value, operand) <= 0,
+  '>': (value, operand) => value !== undefined && typeRank(value) === typeRank(normalizeValue(operand)) && compareValues(value, operand) > 0,
+  '>=': (value, operand) => value !== undefined && typeRank(value) === typeRank(normalizeValue(operand)) && compareValues(value, operand) >= 0,
+  'array-contains': (value, operand) => Array.isArray(value) && value.some(item => isEqual(item, normalizeValue(operand))),
+  'array-contains-any': (value, operand) => Array.isArray(value) && operand.some(candidate => value.some(item => isEqual(item, normalizeValue(candidate)))),
+  'in': (value, operand) => value !== undefined && operand.some(candidate => compareValues(value, candidate) === 0),
+  'not-in': (value, operand) => value !== undefined && value !== null && !operand.some(candidate => compareValues(value, candidate) === 0),
+};
+
+function generateId() {
+  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+  let id = '';
+  for (let i = 0; i < 20; i++) {
+    id += chars.charAt(Math.floor(Math.random() * chars.length));
+  }
+  return id;
+}
+
+// ============================================================================
+// SNAPSHOTS
+// ============================================================================
+
+class DocumentSnapshot {
+  constructor(ref, data) {
+    this.ref = ref;
+    this.id = ref.id;
+    this.exists = data !== undefined;
+    this._data = data;
+  }
+
+  data() {
+    return this.exists ? structuredClone(this._data) : undefined;
+  }
+
+  get(fieldPath) {
+    return this.exists ? structuredClone(getField(this._data, fieldPath)) : undefined;
+  }
+}
+
+class QuerySnapshot {
+  constructor(docs) {
+    this.docs = docs;
+    this.size = docs.length;
+    this.empty = docs.length === 0;
+  }
+
+  forEach(callback) {
+    this.docs.forEach(callback);
+  }
+}
+
+// ============================================================================
+// REFERENCES & QUERIES
+// ============================================================================
+
+class Query {
+  constructor(store, collectionPath, constraints = {}) {
+    this._store = store;
+    this._collectionPath = collectionPath;
+    this._constraints = {
+      filters: [],
+      orders: [],
+      limit: null,
+      limitToLast: null,
+      offset: 0,
+      start: null,
+      end: null,
+      ...constraints,
+    };
+  }
+
+  _with(changes) {
+    return new Query(this._store, this._collectionPath, { ...this._constraints, ...changes });
+  }
+
+  where(fieldPath, op, value) {
+    if (!FILTER_OPERATORS[op]) {
+      throw new Error(`Unsupported query operator: ${op}`);
+    }
+    return this._with({ filters: [...this._constraints.filters, { fieldPath, op, value }] });
+  }
+
+  orderBy(fieldPath, direction = 'asc') {
+    return this._with({ orders: [...this._constraints.orders, { fieldPath, direction }] });
+  }
+
+  limit(n) {
+    return this._with({ limit: n, limitToLast: null });
+  }
+
+  limitToLast(n) {
+    return this._with({ limitToLast: n, limit: null });
+  }
+
+  offset(n) {
+    return this._with({ offset: n });
+  }
+
+  startAt(...values) {
+    return this._with({ start: { values, inclusive: true } });
+  }
+
+  startAfter(...values) {
+    return this._with({ start: { values, inclusive: false } });
+  }
+
+  endAt(...values) {
+    return this._with({ end: { values, inclusive: true } });
+  }
+
+  endBefore(...values) {
+    return this._with({ end: { values, inclusive: false } });
+  }
+
+  count() {
+    return {
+      get: async () => {
+        const count = this._execute().length;
+        return { data: () => ({ count }) };
+      },
+    };
+  }
+
+  async get() {
+    return new QuerySnapshot(this._execute());
+  }
+
+  /**
+   * Resolve cursor values, accepting either raw values or a document snapshot
+   */
+  _cursorValues(cursor) {
+    const [first] = cursor.values;
+    if (first instanceof DocumentSnapshot) {
+      return [
+        ...this._constraints.orders.map(order => getField(first._data, order.fieldPath)),
+        first.id,
+      ];
+    }
+    return cursor.values;
+  }
+
+  _compareToCursor(doc, values) {
+    const { orders } = this._constraints;
+    for (let i = 0; i < values.length; i++) {
+      const order = orders[i];
+      const docValue = order ? getField(doc._data, order.fieldPath) : doc.id;
+      const diff = compareValues(docValue, values[i]);
+      if (diff !== 0) {
+        return order && order.direction === 'desc' ? -diff : diff;
+      }
+    }
+    return 0;
+  }
+
+  _execute() {
+    const { filters, orders, limit, limitToLast, offset, start, end } = this._constraints;
+
+    let docs = this._store._listDocuments(this._collectionPath)
+      .filter(doc => filters.every(({ fieldPath, op, value }) =>
+        FILTER_OPERATORS[op](getField(doc._data, fieldPath), value)))
+      .filter(doc => orders.every(({ fieldPath }) => getField(doc._data, fieldPath) !== undefined));
+
+    docs.sort((a, b) => {
+      for (const { fieldPath, direction } of orders) {
+        const diff = compareValues(getField(a._data, fieldPath), getField(b._data, fieldPath));
+        if (diff !== 0) return direction === 'desc' ? -diff : diff;
+      }
+      return compareValues(a.id, b.id);
+    });
+
+    if (start) {
+      const values = this._cursorValues(start);
+      docs = docs.filter(doc => {
+        const diff = this._compareToCursor(doc, values);
+        return start.inclusive ? diff >= 0 : diff > 0;
+      });
+    }
+    if (end) {
+      const values = this._cursorValues(end);
+      docs = docs.filter(doc => {
+        const diff = this._compareToCursor(doc, values);
+        return end.inclusive ? diff <= 0 : diff < 0;
+      });
+    }
+
+    if (offset) docs = docs.slice(offset);
+    if (limit !== null) docs = docs.slice(0, limit);
+    if (limitToLast !== null) docs = docs.slice(-limitToLast);
+
+    return docs;
+  }
+}
+
+class CollectionReference extends Query {
+  constructor(store, collectionPath) {
+    super(store, collectionPath);
+    this.path = collectionPath;
+    this.id = collectionPath.split('/').pop();
+  }
+
+  doc(id = generateId()) {
+    return new DocumentReference(this._store, this.path, id);
+  }
+
+  async add(data) {
+    const ref = this.doc();
+    await ref.set(data);
+    return ref;
+  }
+}
+
+class DocumentReference {
+  constructor(store, collectionPath, id) {
+    this._store = store;
+    this._collectionPath = collectionPath;
+    this.id = id;
+    this.path = `${collectionPath}/${id}`;
+  }
+
+  get parent() {
+    return new CollectionReference(this._store, this._collectionPath);
+  }
+
+  collection(name) {
+    return new CollectionReference(this._store, `${this.path}/${name}`);
+  }
+
+  async get() {
+    return this._store._snapshot(this);
+  }
+
+  async set(data, options = {}) {
+    this._store._commit([{ type: 'set', ref: this, data, options }]);
+  }
+
+  async update(data) {
+    this._store._commit([{ type: 'update', ref: this, data }]);
+  }
+
+  async delete() {
+    this._store._commit([{ type: 'delete', ref: this }]);
+  }
+}
+
+// ============================================================================
+// BATCHES & TRANSACTIONS
+// ============================================================================
+
+class WriteBatch {
+  constructor(store) {
+    this._store = store;
+    this._operations = [];
+    this._committed = false;
+  }
+
+  set(ref, data, options = {}) {
+    this._operations.push({ type: 'set', ref, data, options });
+    return this;
+  }
+
+  update(ref, data) {
+    this._operations.push({ type: 'update', ref, data });
+    return this;
+  }
+
+  delete(ref) {
+    this._operations.push({ type: 'delete', ref });
+    return this;
+  }
+
+  async commit() {
+    if (this._committed) {
+      throw new Error('A write batch can only be committed once');
+    }
+    this._committed = true;
+    this._store._commit(this._operations);
+    return this._operations.map(() => ({ writeTime: new Date().toISOString() }));
+  }
+}
+
+/**
+ * Optimistic transaction: records the version of every document read and
+ * only commits if none of them changed in the meantime
+ */
+class Transaction {
+  constructor(store) {
+    this._store = store;
+    this._operations = [];
+    this._readVersions = new Map();
+  }
+
+  async get(refOrQuery) {
+    if (this._operations.length > 0) {
+      throw new Error('Transactions require all reads to be executed before all writes');
+    }
+    if (refOrQuery instanceof DocumentReference) {
+      this._readVersions.set(refOrQuery.path, this._store._version(refOrQuery.path));
+      return this._store._snapshot(refOrQuery);
+    }
+    const docs = refOrQuery._execute();
+    docs.forEach(doc => this._readVersions.set(doc.ref.path, this._store._version(doc.ref.path)));
+    return new QuerySnapshot(docs);
+  }
+
+  async getAll(...refs) {
+    return Promise.all(refs.map(ref => this.get(ref)));
+  }
+
+  set(ref, data, options = {}) {
+    this._operations.push({ type: 'set', ref, data, options });
+    return this;
+  }
+
+  update(ref, data) {
+    this._operations.push({ type: 'update', ref, data });
+    return this;
+  }
+
+  delete(ref) {
+    this._operations.push({ type: 'delete', ref });
+    return this;
+  }
+
+  _tryCommit() {
+    for (const [docPath, version] of this._readVersions) {
+      if (this._store._version(docPath) !== version) {
+        return false;
+      }
+    }
+    this._store._commit(this._operations);
+    return true;
+  }
+}
+
+// ============================================================================
+// DATABASE
+// ============================================================================
+
+class MemoryFirestore {
+  constructor(options = {}) {
+    this.filePath = options.filePath || null;
+    this.collections = {};
+    this.versions = new Map();
+    this.saveTimer = null;
+
+    if (this.filePath) {
+      this._load();
+    }
+  }
+
+  collection(collectionPath) {
+    return new CollectionReference(this, collectionPath);
+  }
+
+  doc(documentPath) {
+    const segments = documentPath.split('/');
+    const id = segments.pop();
+    return new DocumentReference(this, segments.join('/'), id);
+  }
+
+  batch() {
+    return new WriteBatch(this);
+  }
+
+  /**
+   * Run a transaction, retrying when a document it read changed before it
+   * could commit. Like Firestore, retries back off by a random delay, so
+   * transactions that collided do not all collide again.
+   */
+  async runTransaction(updateFunction, options = {}) {
+    const maxAttempts = options.maxAttempts || 5;
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      const transaction = new Transaction(this);
+      const result = await updateFunction(transaction);
+      if (transaction._tryCommit()) {
+        return result;
+      }
+      logger.debug('Local transaction contention, retrying', { attempt });
+      await new Promise(resolve => setTimeout(resolve, Math.random() * TRANSACTION_BACKOFF_MS * attempt));
+    }
+
+    throw new Error('Transaction failed: too much contention on the documents read');
+  }
+
+  async getAll(...refs) {
+    return refs.map(ref => this._snapshot(ref));
+  }
+
+  /**
+   * Remove every document (used by tests and local resets)
+   */
+  clear() {
+    this.collections = {};
+    this.versions.clear();
+    this._scheduleSave();
+  }
+
+  // --------------------------------------------------------------------------
+  // Internal document access
+  // --------------------------------------------------------------------------
+
+  _version(docPath) {
+    return this.versions.get(docPath) || 0;
+  }
+
+  _read(ref) {
+    const collection = this.collections[ref._collectionPath];
+    return collection ? collection[ref.id] : undefined;
+  }
+
+  _snapshot(ref) {
+    return new DocumentSnapshot(ref, this._read(ref));
+  }
+
+  _listDocuments(collectionPath) {
+    const collection = this.collections[collectionPath] || {};
+    return Object.keys(collection).map(id =>
+      new DocumentSnapshot(new DocumentReference(this, collectionPath, id), collection[id]));
+  }
+
+  /**
+   * Apply a list of write operations atomically
+   * Every result is computed before anything is written, so a failing
+   * operation leaves the store untouched
+   */
+  _commit(operations) {
+    const staged = new Map();
+    const current = (ref) => (staged.has(ref.path) ? staged.get(ref.path).data : this._read(ref));
+
+    operations.forEach(({ type, ref, data, options = {} }) => {
+      let next;
+      if (type === 'delete') {
+        next = undefined;
+      } else if (type === 'update') {
+        const existing = current(ref);
+        if (existing === undefined) {
+          throw new Error(`No document to update: ${ref.path}`);
+        }
+        next = applyUpdate(existing, data);
+      } else if (options.merge) {
+        next = mergeFields(current(ref), data);
+      } else {
+        next = normalizeValue(data);
+      }
+      staged.set(ref.path, { ref, data: next });
+    });
+
+    staged.forEach(({ ref, data }) => {
+      if (data === undefined) {
+        if (this.collections[ref._collectionPath]) {
+          delete this.collections[ref._collectionPath][ref.id];
+        }
+      } else {
+        if (!this.collections[ref._collectionPath]) {
+          this.collections[ref._collectionPath] = {};
+        }
+        this.collections[ref._collectionPath][ref.id] = data;
+      }
+      this.versions.set(ref.path, this._version(ref.path) + 1);
+    });
+
+    this._scheduleSave();
+  }
+
+  // --------------------------------------------------------------------------
+  // JSON file persistence
+  // --------------------------------------------------------------------------
+
+  _load() {
+    try {
+      if (fs.existsSync(this.filePath)) {
+        const contents = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        this.collections = contents.collections || {};
+        logger.info('Local database loaded', {
+          path: this.filePath,
+          collections: Object.keys(this.collections).length,
+        });
+      }
+    } catch (error) {
+      logger.warn('Could not load local database, starting empty', {
+        error: error.message,
+        path: this.filePath,
+      });
+      this.collections = {};
+    }
+  }
+
+  _scheduleSave() {
+    if (!this.filePath || this.saveTimer) return;
+
+    this.saveTimer = setTimeout(() => this.flush(), 100);
+    if (this.saveTimer.unref) this.saveTimer.unref();
+  }
+
+  /**
+   * Write pending changes to the JSON file immediately
+   */
+  flush() {
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+    }
+    if (!this.filePath) return;
+
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      const tempPath = `${this.filePath}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify({ collections: this.collections }));
+      fs.renameSync(tempPath, this.filePath);
+    } catch (error) {
+      logger.error('Failed to persist local database', { error: error.message, path: this.filePath });
+    }
+  }
+}
+
+// ============================================================================
+// BACKEND
+// ============================================================================
+
+let db = null;
+
+/**
+ * Resolve the JSON file used for persistence
+ * Tests run purely in memory unless LOCAL_DB_PATH is set explicitly
+ */
+function getDatabasePath() {
+  if (process.env.LOCAL_DB_PATH) return process.env.LOCAL_DB_PATH;
+  if (process.env.NODE_ENV === 'test') return null;
+  return path.join(__dirname, '../../data/local-db.json');
+}
+
+/**
+ * Initialize the local database
+ */
+function initStorage() {
+  if (db) return db;
+
+  db = new MemoryFirestore({ filePath: getDatabasePath() });
+  if (db.filePath) {
+    process.on('exit', () => db.flush());
+  }
+
+  logger.info('Local storage initialized', { persistence: db.filePath || 'memory only' });
+  return db;
+}
+
+/**
+ * Get the local database, initializing it on first use
+ */
+function getDb() {
+  return db || initStorage();
+}
+
+module.exports = {
+  name: 'local',
+  FieldValue,
+  initStorage,
+  getDb,
+  MemoryFirestore,
+};
@@ -0,0 +1,134 @@
+/**
+ * Account Token Service - Single-use, expiring tokens for account emails
+ * Used for password reset and email verification links. Only a SHA-256
+ * hash of each token is stored, so a leaked database cannot be used to
+ * reset passwords. Issuing a new token cancels older unused ones for the
+ * same user and purpose.
+ */
+
+const crypto = require('crypto');
+const { getDb } = require('../storage/storage.service');
+const authConfig = require('../../config/auth.config');
+const logger = require('../../utils/logger');
+
+/**
+ * Get account tokens collection reference
+ */
+function getAccountTokensCollection() {
+  const db = getDb();
+  return db.collection('accountTokens');
+}
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const TOKEN_PURPOSES = {
+  PASSWORD_RESET: 'password_reset',
+  EMAIL_VERIFICATION: 'email_verification',
+};
+
+const TOKEN_LIFETIMES = {
+  [TOKEN_PURPOSES.PASSWORD_RESET]: authConfig.passwordResetExpiration,
+  [TOKEN_PURPOSES.EMAIL_VERIFICATION]: authConfig.emailVerificationExpiration,
+};
+
+/**
+ * Hash a raw token into its document ID
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// ============================================================================
+// TOKENS
+// ============================================================================
+
+/**
+ * Issue a token for a user
+ * @param {string} userId - User ID
+ * @param {string} purpose - One of TOKEN_PURPOSES
+ * @returns {Promise<string>} The raw token to put in the email link
+ */
+async function createAccountToken(userId, purpose) {
+  try {
+    if (!TOKEN_LIFETIMES[purpose]) {
+      throw new Error(`Unknown token purpose: ${purpose}`);
+    }
+
+    const tokensRef = getAccountTokensCollection();
+
+    // Cancel earlier tokens so only the newest email link works
+    const existing = await tokensRef.where('userId', '==', userId).get();
+    const now = new Date();
+    const batch = getDb().batch();
+    let cancelled = 0;
+
+    existing.docs.forEach(doc => {
+      const data = doc.data();
+      if (data.purpose === purpose && !data.usedAt) {
+        batch.update(doc.ref, { usedAt: now.toISOString(), cancelled: true });
+        cancelled++;
+      }
+    });
+
+    if (cancelled > 0) {
+      await batch.commit();
+    }
+
+    const token = crypto.randomBytes(32).toString('hex');
+
+    await tokensRef.doc(hashToken(token)).set({
+      userId,
+      purpose,
+      createdAt: now.toISOString(),
+      expiresAt: new Date(now.getTime() + TOKEN_LIFETIMES[purpose]).toISOString(),
+      usedAt: null,
+    });
+
+    logger.info('Account token issued', { userId, purpose, cancelled });
+
+    return token;
+  } catch (error) {
+    logger.error('Error issuing account token', { error: error.message, userId, purpose });
+    throw error;
+  }
+}
+
+/**
+ * Use up a token
+ * Fails for unknown, expired, already used or wrong-purpose tokens
+ * @returns {Promise<string>} The user ID the token was issued to
+ */
+async function consumeAccountToken(token, purpose) {
+  try {
+    const db = getDb();
+    const tokenRef = getAccountTokensCollection().doc(hashToken(String(token)));
+
+    return await db.runTransaction(async (transaction) => {
+      const tokenDoc = await transaction.get(tokenRef);
+      const data = tokenDoc.exists ? tokenDoc.data() : null;
+
+      if (!data || data.purpose !== purpose || data.usedAt || new Date(data.expiresAt) <= new Date()) {
+        throw new Error('Invalid or expired token');
+      }
+
+      transaction.update(tokenRef, { usedAt: new Date().toISOString() });
+
+      return data.userId;
+    });
+  } catch (error) {
+    logger.warn('Account token rejected', { error: error.message, purpose });
+    throw error;
+  }
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+  TOKEN_PURPOSES,
+  createAccountToken,
+  consumeAccountToken,
+};
@@ -0,0 +1,338 @@
+/**
+ * Session Service - Server-side refresh token sessions
+ * Each login creates a session (one per device). Refresh tokens carry the
+ * session ID and a token ID; every refresh rotates the token ID, so only the
+ * newest refresh token of a session is accepted. Presenting an older one
+ * means the token was copied, and the whole session is revoked.
+ * Revoking a session also ends the user's open realtime streams; clients
+ * reconnect with a token that is checked again.
+ */
+
+const crypto = require('crypto');
+const { getDb } = require('../storage/storage.service');
+const realtimeService = require('../shared/realtime.service');
+const authUtils = require('../../utils/auth.utils');
+const logger = require('../../utils/logger');
+
+/**
+ * Get sessions collection reference
+ */
+function getSessionsCollection() {
+  const db = getDb();
+  return db.collection('sessions');
+}
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const REVOKE_REASONS = {
+  LOGOUT: 'logout',
+  REVOKED: 'revoked',
+  PASSWORD_RESET: 'password_reset',
+  BANNED: 'banned',
+  REUSE: 'reuse',
+};
+
+/**
+ * Generate a random token ID
+ */
+function generateTokenId() {
+  return crypto.randomBytes(16).toString('hex');
+}
+
+/**
+ * Sign a refresh token for a session and work out when it expires
+ */
+function issueRefreshToken(user, sessionId, tokenId) {
+  const refreshToken = authUtils.generateRefreshToken({
+    uid: user.uid,
+    email: user.email,
+    sid: sessionId,
+    jti: tokenId,
+  });
+  const { exp } = authUtils.decodeToken(refreshToken);
+
+  return { refreshToken, expiresAt: new Date(exp * 1000).toISOString() };
+}
+
+/**
+ * Shape a session for the device list
+ */
+function toPublicSession(session, currentSessionId) {
+  return {
+    id: session.id,
+    userAgent: session.userAgent,
+    ip: session.ip,
+    createdAt: session.createdAt,
+    lastUsedAt: session.lastUsedAt,
+    expiresAt: session.expiresAt,
+    current: session.id === currentSessionId,
+  };
+}
+
+/**
+ * Check whether a session can still be used
+ */
+function isSessionActive(session) {
+  return !session.revokedAt && new Date(session.expiresAt) > new Date();
+}
+
+// ============================================================================
+// SESSION LIFECYCLE
+// ============================================================================
+
+/**
+ * Start a session for a user who just logged in
+ * @param {object} user - User record (uid, email)
+ * @param {object} client - Request details { userAgent, ip }
+ * @returns {Promise<object>} { sessionId, refreshToken }
+ */
+async function createSession(user, client = {}) {
+  try {
+    const sessionRef = getSessionsCollection().doc();
+    const tokenId = generateTokenId();
+    const { refreshToken, expiresAt } = issueRefreshToken(user, sessionRef.id, tokenId);
+    const now = new Date().toISOString();
+
+    await sessionRef.set({
+      id: sessionRef.id,
+      userId: user.uid,
+      tokenId,
+      userAgent: client.userAgent || 'Unknown device',
+      ip: client.ip || null,
+      createdAt: now,
+      lastUsedAt: now,
+      expiresAt,
+      revokedAt: null,
+      revokedReason: null,
+    });
+
+    logger.info('Session created', { userId: user.uid, sessionId: sessionRef.id });
+
+    return { sessionId: sessionRef.id, refreshToken };
+  } catch (error) {
+    logger.error('Error creating session', { error: error.message, userId: user?.uid });
+    throw error;
+  }
+}
+
+/**
+ * Exchange a refresh token for a new one on the same session
+ * Rejects revoked, expired and unknown sessions. A token that was already
+ * rotated away revokes the session, cutting off whoever else holds it.
+ * @returns {Promise<object>} { userId, sessionId, refreshToken }
+ */
+async function rotateSession(refreshToken, client = {}) {
+  const decoded = authUtils.verifyRefreshToken(refreshToken);
+  if (!decoded || !decoded.sid || !decoded.jti) {
+    throw new Error('Invalid or expired refresh token');
+  }
+
+  try {
+    const db = getDb();
+    const sessionRef = getSessionsCollection().doc(decoded.sid);
+    const nextTokenId = generateTokenId();
+
+    const result = await db.runTransaction(async (transaction) => {
+      const sessionDoc = await transaction.get(sessionRef);
+
+      if (!sessionDoc.exists) {
+        return { error: 'Session not found' };
+      }
+
+      const session = sessionDoc.data();
+
+      if (session.userId !== decoded.uid || !isSessionActive(session)) {
+        return { error: 'Session has been revoked' };
+      }
+
+      if (session.tokenId !== decoded.jti) {
+        transaction.update(sessionRef, {
+          revokedAt: new Date().toISOString(),
+          revokedReason: REVOKE_REASONS.REUSE,
+        });
+        return { error: 'Refresh token reuse detected', reused: true };
+      }
+
+      const issued = issueRefreshToken(decoded, sessionRef.id, nextTokenId);
+
+      transaction.update(sessionRef, {
+        tokenId: nextTokenId,
+        lastUsedAt: new Date().toISOString(),
+        expiresAt: issued.expiresAt,
+        userAgent: client.userAgent || session.userAgent,
+        ip: client.ip || session.ip,
+      });
+
+      return { refreshToken: issued.refreshToken };
+    });
+
+    if (result.reused) {
+      realtimeService.closeUserConnections(decoded.uid);
+      logger.warn('Refresh token reuse detected, session revoked', {
+        userId: decoded.uid,
+        sessionId: decoded.sid,
+        ip: client.ip,
+      });
+    }
+
+    if (result.error) {
+      throw new Error(result.error);
+    }
+
+    return { userId: decoded.uid, sessionId: decoded.sid, refreshToken: result.refreshToken };
+  } catch (error) {
+    logger.error('Error rotating session', { error: error.message, sessionId: decoded.sid });
+    throw error;
+  }
+}
+
+/**
+ * Revoke a session so its refresh token stops working
+ */
+async function revokeSession(sessionId, reason = REVOKE_REASONS.REVOKED) {
+  try {
+    const sessionRef = getSessionsCollection().doc(sessionId);
+    const sessionDoc = await sessionRef.get();
+
+    if (!sessionDoc.exists || sessionDoc.data().revokedAt) {
+      return false;
+    }
+
+    await sessionRef.update({
+      revokedAt: new Date().toISOString(),
+      revokedReason: reason,
+    });
+
+    realtimeService.closeUserConnections(sessionDoc.data().userId);
+
+    logger.info('Session revoked', { sessionId, userId: sessionDoc.data().userId, reason });
+
+    return true;
+  } catch (error) {
+    logger.error('Error revoking session', { error: error.message, sessionId });
+    throw error;
+  }
+}
+
+/**
+ * Revoke every active session of a user (e.g. after a password reset)
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+async function revokeAllUserSessions(userId, reason = REVOKE_REASONS.REVOKED) {
+  try {
+    const snapshot = await getSessionsCollection()
+      .where('userId', '==', userId)
+      .get();
+
+    const active = snapshot.docs.filter(doc => !doc.data().revokedAt);
+    if (active.length > 0) {
+      const batch = getDb().batch();
+      const revokedAt = new Date().toISOString();
+      active.forEach(doc => batch.update(doc.ref, { revokedAt, revokedReason: reason }));
+      await batch.commit();
+    }
+
+    // Streams opened before the revoke (or with an unexpired access token)
+    // would otherwise keep delivering events
+    realtimeService.closeUserConnections(userId);
+
+    logger.info('All user sessions revoked', { userId, count: active.length, reason });
+
+    return active.length;
+  } catch (error) {
+    logger.error('Error revoking user sessions', { error: error.message, userId });
+    throw error;
+  }
+}
+
+/**
+ * Revoke the session a refresh token belongs to (logout)
+ * Expired or malformed tokens have nothing left to revoke
+ */
+async function revokeSessionByToken(refreshToken) {
+  const decoded = authUtils.verifyRefreshToken(refreshToken);
+  if (!decoded || !decoded.sid) {
+    return false;
+  }
+
+  return revokeSession(decoded.sid, REVOKE_REASONS.LOGOUT);
+}
+
+/**
+ * Check that the session an access token was issued for is still active
+ * and belongs to the token's user
+ */
+async function isSessionValid(sessionId, userId) {
+  try {
+    const sessionDoc = await getSessionsCollection().doc(sessionId).get();
+
+    return sessionDoc.exists &&
+      sessionDoc.data().userId === userId &&
+      isSessionActive(sessionDoc.data());
+  } catch (error) {
+    logger.error('Error checking session', { error: error.message, sessionId });
+    throw error;
+  }
+}
+
+// ============================================================================
+// DEVICE LIST
+// ============================================================================
+
+/**
+ * Get a user's active sessions, most recently used first
+ * @param {string} userId - User ID
+ * @param {string} currentSessionId - Session making the request, flagged as current
+ */
+async function getUserSessions(userId, currentSessionId = null) {
+  try {
+    const snapshot = await getSessionsCollection()
+      .where('userId', '==', userId)
+      .get();
+
+    return snapshot.docs
+      .map(doc => doc.data())
+      .filter(isSessionActive)
+      .sort((a, b) => b.lastUsedAt.localeCompare(a.lastUsedAt))
+      .map(session => toPublicSession(session, currentSessionId));
+  } catch (error) {
+    logger.error('Error getting user sessions', { error: error.message, userId });
+    throw error;
+  }
+}
+
+/**
+ * Revoke one of a user's own sessions
+ */
+async function revokeUserSession(userId, sessionId) {
+  try {
+    const sessionDoc = await getSessionsCollection().doc(sessionId).get();
+
+    if (!sessionDoc.exists || sessionDoc.data().userId !== userId || !isSessionActive(sessionDoc.data())) {
+      throw new Error('Session not found');
+    }
+
+    await revokeSession(sessionId, REVOKE_REASONS.REVOKED);
+  } catch (error) {
+    logger.error('Error revoking user session', { error: error.message, userId, sessionId });
+    throw error;
+  }
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+  REVOKE_REASONS,
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeAllUserSessions,
+  revokeSessionByToken,
+  isSessionValid,
+  getUserSessions,
+  revokeUserSession,
+};
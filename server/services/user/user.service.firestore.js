@@ -1,67 +1,14 @@
-const admin = require('firebase-admin');
+const { getDb, initStorage, FieldValue } = require('../storage/storage.service');
 const authUtils = require('../../utils/auth.utils');
 const logger = require('../../utils/logger');
-const path = require('path');
-const fs = require('fs');
-
-let db = null;
-
-/**
- * Initialize Firestore Admin SDK
- */
-function initFirestore() {
-  if (db) return db;
-
-  try {
-    // Check if already initialized
-    if (!admin.apps.length) {
-      // Option 1: Use service account from file (local development)
-      if (process.env.NODE_ENV === 'development') {
-        const serviceAccountPath = path.join(__dirname, '../../serviceAccount.json');
-        if (fs.existsSync(serviceAccountPath)) {
-          const serviceAccount = require(serviceAccountPath);
-          admin.initializeApp({
-            credential: admin.credential.cert(serviceAccount),
-            projectId: process.env.FIREBASE_PROJECT_ID || serviceAccount.project_id
-          });
-          logger.info('Firestore initialized with service account file');
-          db = admin.firestore();
-          return db;
-        }
-      }
-      
-      // Option 2: Use service account from env var (production/Heroku)
-      if (process.env.FIREBASE_SERVICE_ACCOUNT) {
-        const serviceAccount = JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT);
-        admin.initializeApp({
-          credential: admin.credential.cert(serviceAccount),
-          projectId: process.env.FIREBASE_PROJECT_ID || serviceAccount.project_id
-        });
-        logger.info('Firestore initialized with environment variable service account');
-      } else {
-        // Option 3: Use default credentials (Google Cloud)
-        admin.initializeApp({
-          projectId: process.env.FIREBASE_PROJECT_ID
-        });
-        logger.info('Firestore initialized with default credentials');
-      }
-    }
-    
-    db = admin.firestore();
-    logger.info('Firestore connection established');
-    return db;
-  } catch (error) {
-    logger.error('Failed to initialize Firestore', { error: error.message });
-    throw error;
-  }
-}
+const { migrateLevelProgress, LEVEL_CURVE_VERSION } = require('../../../shared/game/gameLogic');
 
 /**
  * Get users collection reference
  */
 function getUsersCollection() {
-  const firestore = initFirestore();
-  return firestore.collection('users');
+  const db = getDb();
+  return db.collection('users');
 }
 
 /**
@@ -99,7 +46,22 @@ async function findUserByUid(uid) {
       return null;
     }
     
-    return { id: doc.id, ...doc.data() };
+    const user = { id: doc.id, ...doc.data() };
+    
+    // Map XP earned on an older level curve onto the current one
+    const migration = migrateLevelProgress(user);
+    if (migration) {
+      await usersRef.doc(uid).update(migration);
+      logger.info('Migrated user level progress', {
+        uid,
+        fromXp: user.xp || 0,
+        toXp: migration.xp,
+        level: migration.level,
+      });
+      return { ...user, ...migration };
+    }
+    
+    return user;
   } catch (error) {
     logger.error('Error finding user by uid', { error: error.message, uid });
     throw error;
@@ -164,6 +126,8 @@ async function createUser(userData) {
       avatarUrl: '',
       level: 1,
       xp: 0,
+      levelCurveVersion: LEVEL_CURVE_VERSION,
+      prestige: 0,
       strength: 10,
       endurance: 10,
       agility: 10,
@@ -173,8 +137,11 @@ async function createUser(userData) {
       equipment: {},
       inventory: [],
       authProvider: 'email',
-      createdAt: admin.firestore.FieldValue.serverTimestamp(),
-      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      emailVerified: false,
+      role: authUtils.ROLES.PLAYER,
+      banned: false,
+      createdAt: FieldValue.serverTimestamp(),
+      updatedAt: FieldValue.serverTimestamp(),
     };
     
     // Save to Firestore
@@ -227,6 +194,8 @@ async function createOAuthUser(userData) {
       avatarUrl: userData.avatarUrl || '',
       level: 1,
       xp: 0,
+      levelCurveVersion: LEVEL_CURVE_VERSION,
+      prestige: 0,
       strength: 10,
       endurance: 10,
       agility: 10,
@@ -237,8 +206,10 @@ async function createOAuthUser(userData) {
       inventory: [],
       authProvider: userData.authProvider,
       firebaseUid: userData.firebaseUid,
-      createdAt: admin.firestore.FieldValue.serverTimestamp(),
-      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      role: authUtils.ROLES.PLAYER,
+      banned: false,
+      createdAt: FieldValue.serverTimestamp(),
+      updatedAt: FieldValue.serverTimestamp(),
     };
     
     // Save to Firestore
@@ -282,7 +253,9 @@ async function updateUser(uid, updates) {
     const allowedFields = [
       'username', 'handle', 'avatarUrl', 'level', 'xp',
       'strength', 'endurance', 'agility', 'gym',
-      'workoutStreak', 'lastWorkout', 'equipment', 'inventory',
+      'workoutStreak', 'lastWorkout', 'totalWorkouts', 'lifetimeReps',
+      'lifetimeSeconds', 'lifetimeMeters',
+      'equipment', 'inventory', 'salvageResources', 'itemStateVersion',
       'clubId', 'clubRole', 'weeklyXP',
       'partyId', 'partyRole',
       'authProvider', 'firebaseUid'
@@ -296,7 +269,7 @@ async function updateUser(uid, updates) {
     });
     
     // Add updated timestamp
-    filteredUpdates.updatedAt = admin.firestore.FieldValue.serverTimestamp();
+    filteredUpdates.updatedAt = FieldValue.serverTimestamp();
     
     // Update user
     await userDoc.update(filteredUpdates);
@@ -320,6 +293,116 @@ async function updateUser(uid, updates) {
   }
 }
 
+/**
+ * Set a new password for a user
+ */
+async function updatePassword(uid, newPassword) {
+  try {
+    const userDoc = getUsersCollection().doc(uid);
+    const doc = await userDoc.get();
+    if (!doc.exists) {
+      throw new Error('User not found');
+    }
+    
+    await userDoc.update({
+      password: await authUtils.hashPassword(newPassword),
+      passwordChangedAt: new Date().toISOString(),
+      updatedAt: FieldValue.serverTimestamp(),
+    });
+    
+    logger.info('User password changed', { uid });
+  } catch (error) {
+    logger.error('Error changing password', { error: error.message, uid });
+    throw error;
+  }
+}
+
+/**
+ * Mark a user's email address as confirmed
+ * An address listed in ADMIN_EMAILS is promoted to admin here, never at sign-up
+ */
+async function markEmailVerified(uid) {
+  try {
+    const userDoc = getUsersCollection().doc(uid);
+    const doc = await userDoc.get();
+    if (!doc.exists) {
+      throw new Error('User not found');
+    }
+    
+    const user = doc.data();
+    const updates = {
+      emailVerified: true,
+      emailVerifiedAt: new Date().toISOString(),
+      updatedAt: FieldValue.serverTimestamp(),
+    };
+    const promote = authUtils.isAdminEmail(user.email) && !authUtils.hasRole(user, authUtils.ROLES.ADMIN);
+    if (promote) {
+      updates.role = authUtils.ROLES.ADMIN;
+    }
+    
+    await userDoc.update(updates);
+    
+    logger.info('User email verified', { uid, promotedToAdmin: promote });
+  } catch (error) {
+    logger.error('Error verifying email', { error: error.message, uid });
+    throw error;
+  }
+}
+
+/**
+ * Change a user's role
+ * @param {string} uid - User ID
+ * @param {string} role - One of authUtils.ROLES
+ */
+async function setUserRole(uid, role) {
+  try {
+    if (!Object.values(authUtils.ROLES).includes(role)) {
+      throw new Error(`Unknown role: ${role}`);
+    }
+    
+    const userDoc = getUsersCollection().doc(uid);
+    const doc = await userDoc.get();
+    if (!doc.exists) {
+      throw new Error('User not found');
+    }
+    
+    await userDoc.update({
+      role,
+      updatedAt: FieldValue.serverTimestamp(),
+    });
+    
+    logger.info('User role changed', { uid, from: authUtils.getUserRole(doc.data()), to: role });
+  } catch (error) {
+    logger.error('Error changing user role', { error: error.message, uid, role });
+    throw error;
+  }
+}
+
+/**
+ * Ban or unban a user
+ * Banned users cannot log in and their access tokens are refused
+ * @param {string} uid - User ID
+ * @param {object} options - { banned, reason, by } (by is the moderator's uid)
+ */
+async function setUserBan(uid, { banned, reason = '', by = null }) {
+  try {
+    const userDoc = getUsersCollection().doc(uid);
+    const doc = await userDoc.get();
+    if (!doc.exists) {
+      throw new Error('User not found');
+    }
+    
+    await userDoc.update(banned
+      ? { banned: true, banReason: reason, bannedAt: new Date().toISOString(), bannedBy: by }
+      : { banned: false, banReason: null, bannedAt: null, bannedBy: null });
+    
+    logger.info(banned ? 'User banned' : 'User unbanned', { uid, by, reason });
+  } catch (error) {
+    logger.error('Error changing user ban', { error: error.message, uid });
+    throw error;
+  }
+}
+
 /**
  * Verify user credentials
  */
@@ -354,8 +437,8 @@ async function verifyCredentials(email, password) {
  * Initialize (no-op for Firestore, but kept for compatibility)
  */
 async function initUsersDb() {
-  initFirestore();
-  logger.info('Firestore user service initialized');
+  initStorage();
+  logger.info('User service initialized');
 }
 
 /**
@@ -390,6 +473,8 @@ async function getAllUsers(limit = 100) {
         lastWorkout: data.lastWorkout,
         totalWorkouts: data.totalWorkouts || 0,
         lifetimeReps: data.lifetimeReps || 0,
+        lifetimeSeconds: data.lifetimeSeconds || 0,
+        lifetimeMeters: data.lifetimeMeters || 0,
         weeklyXP: data.weeklyXP || 0,
         createdAt: data.createdAt?.toDate?.()?.toISOString() || data.createdAt,
         updatedAt: data.updatedAt?.toDate?.()?.toISOString() || data.updatedAt,
@@ -404,6 +489,96 @@ async function getAllUsers(limit = 100) {
   }
 }
 
+/**
+ * Shape a user record for the admin API (no password)
+ */
+function toAdminUser(uid, data) {
+  return {
+    uid,
+    email: data.email,
+    username: data.username,
+    handle: data.handle,
+    role: authUtils.getUserRole(data),
+    banned: data.banned === true,
+    banReason: data.banReason || null,
+    bannedAt: data.bannedAt || null,
+    level: data.level || 1,
+    xp: data.xp || 0,
+    totalWorkouts: data.totalWorkouts || 0,
+    lastWorkout: data.lastWorkout || null,
+    authProvider: data.authProvider,
+    emailVerified: data.emailVerified === true,
+    createdAt: data.createdAt?.toDate?.()?.toISOString() || data.createdAt,
+  };
+}
+
+/**
+ * Search users for the admin API, ordered by handle
+ * Options: query (email, or handle prefix), role, banned, limit,
+ * cursor (handle of the last user on the previous page).
+ * role and banned filter each fetched page, so a filtered page can be
+ * shorter than limit while hasMore is still true
+ */
+async function searchUsers(options = {}) {
+  try {
+    const limit = Math.min(Math.max(parseInt(options.limit) || 20, 1), 100);
+    const search = (options.query || '').trim().toLowerCase();
+    
+    let users;
+    let hasMore = false;
+    
+    if (search.includes('@')) {
+      const user = await findUserByEmail(search);
+      users = user ? [toAdminUser(user.uid || user.id, user)] : [];
+    } else {
+      let query = getUsersCollection();
+      
+      if (search) {
+        query = query
+          .where('handle', '>=', search)
+          .where('handle', '<=', `${search}\uf8ff`);
+      }
+      
+      query = query.orderBy('handle');
+      
+      if (options.cursor) {
+        query = query.startAfter(options.cursor);
+      }
+      
+      // Fetch one extra user to know whether another page exists
+      const snapshot = await query.limit(limit + 1).get();
+      
+      hasMore = snapshot.docs.length > limit;
+      users = snapshot.docs
+        .slice(0, limit)
+        .map(doc => toAdminUser(doc.id, doc.data()));
+    }
+    
+    const nextCursor = hasMore ? users[users.length - 1].handle : null;
+    
+    if (options.role) {
+      users = users.filter(user => user.role === options.role);
+    }
+    if (options.banned !== undefined) {
+      users = users.filter(user => user.banned === options.banned);
+    }
+    
+    return { users, hasMore, nextCursor };
+  } catch (error) {
+    logger.error('Error searching users', { error: error.message });
+    throw error;
+  }
+}
+
+/**
+ * Get one user for the admin API
+ * @returns {Promise<object|null>}
+ */
+async function getUserForAdmin(uid) {
+  const user = await findUserByUid(uid);
+  return user ? toAdminUser(uid, user) : null;
+}
+
 /**
  * Get user count (for ML metrics)
  */
@@ -468,8 +643,14 @@ module.exports = {
   createUser,
   createOAuthUser,
   updateUser,
+  updatePassword,
+  markEmailVerified,
+  setUserRole,
+  setUserBan,
   verifyCredentials,
   getAllUsers,
+  searchUsers,
+  getUserForAdmin,
   getUserCount,
   getActiveUsers,
 };
@@ -1,10 +1,4 @@
-const logger = require('../../utils/logger');
-
-// Determine which user service to use based on environment
-// Default to Firestore in production, allow override with USE_FIRESTORE=false for local dev
-const USE_FIRESTORE = process.env.USE_FIRESTORE !== 'false';
-
-logger.info(`Using ${USE_FIRESTORE ? 'Firestore' : 'Local JSON'} user service`);
-
-// Export Firestore service (JSON service has been deprecated)
+// User service entry point
+// Persistence goes through the storage service, which uses Firestore by default
+// and the local in-memory/JSON backend when USE_FIRESTORE=false
 module.exports = require('./user.service.firestore');
@@ -73,6 +73,16 @@ function verifyRefreshToken(token) {
   }
 }
 
+/**
+ * Decode a token without verifying it
+ * Only for reading claims (such as exp) from a token this server just signed
+ * @param {string} token - JWT
+ * @returns {object|null} Decoded token payload
+ */
+function decodeToken(token) {
+  return jwt.decode(token);
+}
+
 /**
  * Generate a unique handle from username
  * @param {string} username - Base username
@@ -159,17 +169,61 @@ function validateHandle(handle) {
   return { valid: true, message: 'Handle is valid' };
 }
 
+const ROLES = {
+  PLAYER: 'player',
+  MODERATOR: 'moderator',
+  ADMIN: 'admin',
+};
+
+/**
+ * Get a user's role
+ * Records from before roles existed are players, unless flagged admin: true
+ * @param {object} user - User record
+ * @returns {string} One of ROLES
+ */
+function getUserRole(user) {
+  if (user && config.roles.includes(user.role)) {
+    return user.role;
+  }
+  return user?.admin === true ? ROLES.ADMIN : ROLES.PLAYER;
+}
+
+/**
+ * Check whether a user has a role or a higher one
+ * @param {object} user - User record
+ * @param {string} role - Minimum role
+ * @returns {boolean}
+ */
+function hasRole(user, role) {
+  return config.roles.indexOf(getUserRole(user)) >= config.roles.indexOf(role);
+}
+
+/**
+ * Check whether an email is listed in ADMIN_EMAILS
+ * Accounts start as players; the listed address earns admin once verified
+ * @param {string} email - Account email
+ * @returns {boolean}
+ */
+function isAdminEmail(email) {
+  return config.adminEmails.includes(String(email).toLowerCase());
+}
+
 module.exports = {
+  ROLES,
   hashPassword,
   comparePassword,
   generateAccessToken,
   generateRefreshToken,
   verifyAccessToken,
   verifyRefreshToken,
+  decodeToken,
   generateUniqueHandle,
   validateEmail,
   validatePassword,
   validateUsername,
   validateHandle,
+  getUserRole,
+  hasRole,
+  isAdminEmail,
 };
 
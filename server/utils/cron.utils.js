@@ -0,0 +1,123 @@
+/**
+ * Cron expression helpers for the job scheduler
+ * Standard 5-field expressions: minute hour day-of-month month day-of-week,
+ * always evaluated in UTC. Fields accept *, numbers, lists (1,15), ranges
+ * (1-5) and steps (*\/15, 0-30/10). Day of week runs 0-6 from Sunday; 7 is
+ * also Sunday. As in cron, when both day fields are restricted a date
+ * matches if either does.
+ */
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dayOfWeek', min: 0, max: 7 },
+];
+
+// Give up looking for a next run after this many days (e.g. "0 0 30 2 *")
+const MAX_SEARCH_DAYS = 366 * 5;
+
+/**
+ * Parse one field into the set of values it allows
+ */
+function parseField(text, { name, min, max }) {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const match = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+    if (!match) {
+      throw new Error(`Invalid cron ${name} field: ${text}`);
+    }
+
+    const [, range, startText, endText, stepText] = match;
+    const start = range === '*' ? min : parseInt(startText, 10);
+    const end = range === '*' ? max : endText !== undefined ? parseInt(endText, 10) : stepText ? max : start;
+    const step = stepText ? parseInt(stepText, 10) : 1;
+
+    if (start < min || end > max || start > end || step < 1) {
+      throw new Error(`Invalid cron ${name} field: ${text}`);
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Parse a cron expression
+ * @param {string} expression - e.g. "0 0 * * 1"
+ * @returns {object} Allowed values per field
+ */
+function parseCron(expression) {
+  const parts = String(expression).trim().split(/\s+/);
+  if (parts.length !== FIELDS.length) {
+    throw new Error(`Cron expression must have ${FIELDS.length} fields: ${expression}`);
+  }
+
+  const parsed = {};
+  FIELDS.forEach((field, i) => {
+    parsed[field.name] = parseField(parts[i], field);
+  });
+
+  if (parsed.dayOfWeek.has(7)) {
+    parsed.dayOfWeek.add(0);
+  }
+  parsed.dayOfMonthRestricted = parts[2] !== '*';
+  parsed.dayOfWeekRestricted = parts[4] !== '*';
+
+  return parsed;
+}
+
+/**
+ * Check whether a cron expression allows a date (ignoring minutes and hours)
+ */
+function matchesDay(parsed, date) {
+  if (!parsed.month.has(date.getUTCMonth() + 1)) return false;
+
+  const dayOfMonth = parsed.dayOfMonth.has(date.getUTCDate());
+  const dayOfWeek = parsed.dayOfWeek.has(date.getUTCDay());
+
+  if (parsed.dayOfMonthRestricted && parsed.dayOfWeekRestricted) {
+    return dayOfMonth || dayOfWeek;
+  }
+  return dayOfMonth && dayOfWeek;
+}
+
+/**
+ * Get the first time after `from` that a cron expression fires
+ * @param {string} expression - Cron expression
+ * @param {Date} from - Start point (exclusive)
+ * @returns {Date}
+ */
+function getNextRun(expression, from = new Date()) {
+  const parsed = parseCron(expression);
+  const date = new Date(from.getTime());
+  date.setUTCSeconds(0, 0);
+  date.setUTCMinutes(date.getUTCMinutes() + 1);
+
+  const limit = from.getTime() + MAX_SEARCH_DAYS * 24 * 60 * 60 * 1000;
+
+  while (date.getTime() <= limit) {
+    if (!matchesDay(parsed, date)) {
+      date.setUTCDate(date.getUTCDate() + 1);
+      date.setUTCHours(0, 0, 0, 0);
+    } else if (!parsed.hour.has(date.getUTCHours())) {
+      date.setUTCHours(date.getUTCHours() + 1, 0, 0, 0);
+    } else if (!parsed.minute.has(date.getUTCMinutes())) {
+      date.setUTCMinutes(date.getUTCMinutes() + 1, 0, 0);
+    } else {
+      return date;
+    }
+  }
+
+  throw new Error(`Cron expression never fires: ${expression}`);
+}
+
+module.exports = {
+  parseCron,
+  getNextRun,
+};
@@ -0,0 +1,70 @@
+/**
+ * Page cursor helpers for newest-first listings
+ * A cursor pins both the sort value and the id of the last record on a
+ * page, so records sharing a timestamp are neither skipped nor repeated.
+ * Cursors are opaque base64url strings; clients pass nextCursor back as-is.
+ */
+
+/**
+ * Encode the cursor pointing just past a record
+ */
+function encodeCursor(record, field) {
+  return Buffer.from(JSON.stringify([record[field], record.id])).toString('base64url');
+}
+
+/**
+ * Decode a cursor from a query string
+ * @returns {{ value: string, id: string }|null} null if the cursor is malformed
+ */
+function decodeCursor(cursor) {
+  if (typeof cursor !== 'string' || !cursor) return null;
+
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!Array.isArray(decoded) || decoded.length !== 2 || !decoded.every(part => typeof part === 'string')) {
+      return null;
+    }
+    return { value: decoded[0], id: decoded[1] };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Fetch one page of a query ordered newest first by a field
+ * Ties on the field are broken by the record id, which every paged
+ * collection stores alongside its data
+ * @returns {Promise<{ records: object[], hasMore: boolean, nextCursor: string|null }>}
+ */
+async function getNewestFirstPage(query, field, { limit, cursor }) {
+  let pageQuery = query
+    .orderBy(field, 'desc')
+    .orderBy('id', 'desc');
+
+  if (cursor) {
+    const position = decodeCursor(cursor);
+    if (!position) {
+      throw new Error('Invalid cursor');
+    }
+    pageQuery = pageQuery.startAfter(position.value, position.id);
+  }
+
+  // Fetch one extra record to know whether another page exists
+  const snapshot = await pageQuery.limit(limit + 1).get();
+
+  const docs = snapshot.docs.map(doc => doc.data());
+  const hasMore = docs.length > limit;
+  const records = docs.slice(0, limit);
+
+  return {
+    records,
+    hasMore,
+    nextCursor: hasMore ? encodeCursor(records[records.length - 1], field) : null,
+  };
+}
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  getNewestFirstPage,
+};
@@ -0,0 +1,157 @@
+/**
+ * Declarative request body validation
+ *
+ * A schema maps each field a client may send to its rules:
+ *   {
+ *     name: { type: 'string', required: true, minLength: 2, maxLength: 30 },
+ *     isPublic: { type: 'boolean' },
+ *   }
+ *
+ * Supported rules: type ('string' | 'number' | 'integer' | 'boolean' |
+ * 'array' | 'object'), required, minLength, maxLength, min, max, enum,
+ * pattern, nullable (null is kept, to clear a value), aliases (older
+ * field names accepted for the same value) and validator (a shared check
+ * such as authUtils.validatePassword returning { valid, message }).
+ * Arrays take maxItems and items (the rules for each element); objects take
+ * fields (a nested schema). Strings are trimmed unless trim is false.
+ * Fields missing from the schema are rejected, so game state such as XP,
+ * level or club membership can only be written by server code.
+ */
+
+const TYPE_CHECKS = {
+  string: value => typeof value === 'string',
+  number: value => typeof value === 'number' && Number.isFinite(value),
+  integer: value => Number.isInteger(value),
+  boolean: value => typeof value === 'boolean',
+  array: value => Array.isArray(value),
+  object: value => !!value && typeof value === 'object' && !Array.isArray(value),
+};
+
+/**
+ * Check one value against its field rules
+ * @returns {string|null} Error message, or null if the value is valid
+ */
+function checkField(rules, value) {
+  if (!TYPE_CHECKS[rules.type](value)) {
+    return `Must be ${['integer', 'array', 'object'].includes(rules.type) ? 'an' : 'a'} ${rules.type}`;
+  }
+
+  if (rules.type === 'array') {
+    if (rules.maxItems !== undefined && value.length > rules.maxItems) {
+      return `Must have at most ${rules.maxItems} items`;
+    }
+    for (let i = 0; i < value.length && rules.items; i++) {
+      const message = checkField(rules.items, typeof value[i] === 'string' ? value[i].trim() : value[i]);
+      if (message) {
+        return `Item ${i + 1}: ${message}`;
+      }
+    }
+  }
+
+  if (rules.type === 'object' && rules.fields) {
+    const { errors } = validateSchema(rules.fields, value);
+    if (errors.length > 0) {
+      return errors.map(error => `${error.field}: ${error.message}`).join('; ');
+    }
+  }
+
+  if (rules.type === 'string') {
+    if (rules.minLength !== undefined && value.length < rules.minLength) {
+      return `Must be at least ${rules.minLength} characters`;
+    }
+    if (rules.maxLength !== undefined && value.length > rules.maxLength) {
+      return `Must be at most ${rules.maxLength} characters`;
+    }
+    if (rules.pattern && !rules.pattern.test(value)) {
+      return rules.patternMessage || 'Has an invalid format';
+    }
+  }
+
+  if (rules.type === 'number' || rules.type === 'integer') {
+    if (rules.min !== undefined && value < rules.min) {
+      return `Must be at least ${rules.min}`;
+    }
+    if (rules.max !== undefined && value > rules.max) {
+      return `Must be at most ${rules.max}`;
+    }
+  }
+
+  if (rules.enum && !rules.enum.includes(value)) {
+    return `Must be one of: ${rules.enum.join(', ')}`;
+  }
+
+  if (rules.validator) {
+    const result = rules.validator(value);
+    if (!result.valid) {
+      return result.message;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Validate a request body against a schema
+ * @param {object} schema - Field rules keyed by field name
+ * @param {object} body - Request body
+ * @returns {object} { value, errors } where value holds only schema fields
+ *   and errors is a list of { field, message }
+ */
+function validateSchema(schema, body) {
+  const errors = [];
+  const value = {};
+
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { value, errors: [{ field: null, message: 'Request body must be a JSON object' }] };
+  }
+
+  const knownFields = new Set();
+  for (const [field, rules] of Object.entries(schema)) {
+    knownFields.add(field);
+    (rules.aliases || []).forEach(alias => knownFields.add(alias));
+  }
+
+  for (const field of Object.keys(body)) {
+    if (!knownFields.has(field)) {
+      errors.push({ field, message: 'Field is not editable' });
+    }
+  }
+
+  for (const [field, rules] of Object.entries(schema)) {
+    const source = [field, ...(rules.aliases || [])].find(name => body[name] !== undefined);
+    let fieldValue = source ? body[source] : undefined;
+
+    if (typeof fieldValue === 'string' && rules.trim !== false) {
+      fieldValue = fieldValue.trim();
+    }
+
+    if (fieldValue === null && rules.nullable) {
+      value[field] = null;
+      continue;
+    }
+
+    if (fieldValue === undefined || fieldValue === '') {
+      if (rules.required) {
+        errors.push({ field, message: 'Is required' });
+      }
+      continue;
+    }
+
+    const message = checkField(rules, fieldValue);
+    if (message) {
+      errors.push({ field, message });
+    } else if (rules.type === 'array') {
+      value[field] = fieldValue.map(item => (typeof item === 'string' ? item.trim() : item));
+    } else if (rules.type === 'object' && rules.fields) {
+      value[field] = validateSchema(rules.fields, fieldValue).value;
+    } else {
+      value[field] = fieldValue;
+    }
+  }
+
+  return { value, errors };
+}
+
+module.exports = {
+  validateSchema,
+};
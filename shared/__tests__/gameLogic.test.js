@@ -103,17 +103,113 @@ describe('gameLogic.processWorkout', () => {
 	});
 });
 
+describe('gameLogic equipment bonuses', () => {
+	it('applies XP traits and reports what each item contributed', () => {
+		const { gameLogic } = reloadModules();
+		const equipment = {
+			neck: { id: 'n1', name: 'Lucky Chain', slot: 'neck', rarity: 'epic', stats: { agility: 4 }, traits: [{ key: 'blessed' }] },
+			shoes: { id: 's1', name: 'Sneakers', slot: 'shoes', rarity: 'common', stats: { agility: 1 }, traits: ['fortunate'] },
+		};
+
+		const plain = gameLogic.processWorkout({ level: 1 }, 'pushup', 100);
+		const geared = gameLogic.processWorkout({ level: 1, equipment }, 'pushup', 100);
+
+		expect(geared.bonuses.equipment).toBeCloseTo(1.15);
+		expect(geared.xpGained).toBe(Math.round(plain.xpGained * 1.15));
+		expect(geared.equipmentBreakdown).toEqual([
+			{ slot: 'neck', itemId: 'n1', name: 'Lucky Chain', rarity: 'epic', traits: ['blessed'], stats: { agility: 4 }, xpBonus: 0.1, xpGained: 15 },
+			{ slot: 'shoes', itemId: 's1', name: 'Sneakers', rarity: 'common', traits: ['fortunate'], stats: { agility: 1 }, xpBonus: 0.05, xpGained: 8 },
+		]);
+		expect(plain.equipmentBreakdown).toEqual([]);
+	});
+
+	it('adds equipped stats to raid damage', () => {
+		const { gameLogic } = reloadModules();
+		const equipment = { gloves: { id: 'g1', slot: 'gloves', stats: { strength: 15 } } };
+
+		const plain = gameLogic.processWorkout({ level: 1 }, 'squat', 20);
+		const geared = gameLogic.processWorkout({ level: 1, equipment }, 'squat', 20);
+
+		expect(geared.raidDamage).toBeGreaterThan(plain.raidDamage);
+	});
+});
+
 describe('gameLogic.getLevelProgress', () => {
 	it('calculates level progress correctly', () => {
 		const { gameLogic } = reloadModules();
 
-		const progress = gameLogic.getLevelProgress(150);
+		const progress = gameLogic.getLevelProgress(100);
 		
-		expect(progress.currentLevel).toBe(2); // 150 XP = level 2
+		expect(progress.currentLevel).toBe(2); // 100 XP = level 2
 		expect(progress.xpIntoLevel).toBe(50); // 50 XP into level 2
-		expect(progress.xpNeeded).toBe(100);
+		expect(progress.xpNeeded).toBe(119);
+		expect(progress.percentage).toBe(42);
+		expect(progress.isMaxLevel).toBe(false);
+	});
+
+	it('reports the level cap', () => {
+		const { gameLogic } = reloadModules();
+
+		const progress = gameLogic.getLevelProgress(gameLogic.getTotalXPForLevel(gameLogic.MAX_LEVEL) + 500);
+
+		expect(progress.currentLevel).toBe(gameLogic.MAX_LEVEL);
+		expect(progress.xpIntoLevel).toBe(500);
+		expect(progress.isMaxLevel).toBe(true);
+	});
+});
+
+describe('gameLogic.migrateLevelProgress', () => {
+	it('keeps legacy players on their level and progress', () => {
+		const { gameLogic } = reloadModules();
+
+		// Level 51, halfway to 52 on the old 100 XP per level curve
+		const migrated = gameLogic.migrateLevelProgress({ xp: 5050, level: 51 });
+		const progress = gameLogic.getLevelProgress(migrated.xp);
+
+		expect(migrated.level).toBe(51);
+		expect(migrated.levelCurveVersion).toBe(gameLogic.LEVEL_CURVE_VERSION);
 		expect(progress.percentage).toBe(50);
 	});
+
+	it('never lowers XP or level', () => {
+		const { gameLogic } = reloadModules();
+
+		const migrated = gameLogic.migrateLevelProgress({ xp: 40, level: 1 });
+
+		expect(migrated.xp).toBeGreaterThanOrEqual(40);
+		expect(migrated.level).toBe(1);
+	});
+
+	it('skips users already on the current curve', () => {
+		const { gameLogic } = reloadModules();
+
+		expect(gameLogic.migrateLevelProgress({
+			xp: 500,
+			level: 4,
+			levelCurveVersion: gameLogic.LEVEL_CURVE_VERSION,
+		})).toBeNull();
+	});
+});
+
+describe('gameLogic prestige', () => {
+	it('only allows prestige at the max level', () => {
+		const { gameLogic } = reloadModules();
+		const capXP = gameLogic.getTotalXPForLevel(gameLogic.MAX_LEVEL);
+
+		expect(gameLogic.canPrestige({ xp: capXP - 1 })).toBe(false);
+		expect(gameLogic.canPrestige({ xp: capXP })).toBe(true);
+		expect(gameLogic.canPrestige({ xp: capXP, prestige: 10 })).toBe(false);
+	});
+
+	it('applies a permanent XP bonus per prestige', () => {
+		const { gameLogic } = reloadModules();
+
+		const base = gameLogic.processWorkout({ level: 1, workoutStreak: 0 }, 'squat', 50);
+		const prestiged = gameLogic.processWorkout({ level: 1, workoutStreak: 0, prestige: 2 }, 'squat', 50);
+
+		expect(prestiged.bonuses.prestige).toBeCloseTo(1.1);
+		expect(prestiged.xpGained).toBeGreaterThan(base.xpGained);
+	});
 });
 
 describe('gameLogic.calculateRaidDamage', () => {
@@ -125,6 +221,46 @@ describe('gameLogic.calculateRaidDamage', () => {
 
 		expect(highLevelDamage).toBeGreaterThan(lowLevelDamage);
 	});
+
+	it('adds damage for stats above base on the exercise\'s stats', () => {
+		const { gameLogic } = reloadModules();
+
+		const base = gameLogic.calculateRaidDamage('squat', 20, 1, { strength: 10, endurance: 10, agility: 10 });
+		const strong = gameLogic.calculateRaidDamage('squat', 20, 1, { strength: 20, endurance: 10, agility: 10 });
+		const agile = gameLogic.calculateRaidDamage('squat', 20, 1, { strength: 10, endurance: 10, agility: 40 });
+
+		expect(base).toBe(gameLogic.calculateRaidDamage('squat', 20, 1));
+		expect(strong).toBeGreaterThan(base);
+		expect(agile).toBe(base);
+	});
+});
+
+describe('gameLogic stats', () => {
+	it('defaults missing stats to the base value', () => {
+		const { gameLogic } = reloadModules();
+
+		expect(gameLogic.getBaseStats({ strength: 14 })).toEqual({ strength: 14, endurance: 10, agility: 10 });
+	});
+
+	it('adds equipped item stats to trained stats', () => {
+		const { gameLogic } = reloadModules();
+		const user = {
+			strength: 12,
+			equipment: { weapon: { id: 'w1', slot: 'weapon', stats: { strength: 5, agility: 2 } } },
+		};
+
+		expect(gameLogic.getEffectiveStats(user)).toEqual({ strength: 17, endurance: 10, agility: 12 });
+		expect(gameLogic.calculatePlayerPower(user)).toBeGreaterThan(gameLogic.calculatePlayerPower({ strength: 12 }));
+	});
+
+	it('accumulates workout stat gains', () => {
+		const { gameLogic } = reloadModules();
+		const user = { strength: 10.2 };
+		const { statGains } = gameLogic.processWorkout(user, 'squat', 10);
+
+		expect(statGains).toEqual({ strength: 0.3, endurance: 0.1 });
+		expect(gameLogic.applyStatGains(user, statGains)).toEqual({ strength: 10.5, endurance: 10.1, agility: 10 });
+	});
 });
 
 describe('gameLogic.validateWorkout', () => {
@@ -152,6 +288,115 @@ describe('gameLogic.validateWorkout', () => {
 	});
 });
 
+describe('gameLogic workout metrics', () => {
+	it('logs each exercise in its own unit', () => {
+		const { gameLogic } = reloadModules();
+
+		expect(gameLogic.getExerciseMetric('pushup')).toBe(gameLogic.METRICS.REPS);
+		expect(gameLogic.getExerciseMetric('plank')).toBe(gameLogic.METRICS.SECONDS);
+		expect(gameLogic.getExerciseMetric('run')).toBe(gameLogic.METRICS.METERS);
+		expect(gameLogic.getExerciseMetric('deadlift')).toBe(gameLogic.METRICS.WEIGHTED_REPS);
+		expect(gameLogic.getWorkoutTotals('run', 5000)).toEqual({ reps: 0, seconds: 0, meters: 5000 });
+		expect(gameLogic.formatWorkoutAmount('deadlift', 8, 100)).toBe('8 reps at 100 kg');
+		expect(gameLogic.formatWorkoutAmount('plank', 1)).toBe('1 second');
+	});
+
+	it('converts amounts to effort before applying XP and damage', () => {
+		const { gameLogic } = reloadModules();
+		const { getMetricBalance } = gameLogic;
+		const user = { level: 1, workoutStreak: 0 };
+
+		const run = gameLogic.processWorkout(user, 'run', 2000);
+		expect(run).toMatchObject({ metric: 'meters', amount: 2000, reps: null, weight: null });
+		expect(gameLogic.getWorkoutEffort('run', 2000)).toBe(2000 * getMetricBalance('meters').effortPerUnit);
+		expect(run.raidDamage).toBe(gameLogic.calculateRaidDamage('run', 2000, 1));
+	});
+
+	it('reads workouts logged before metrics at the same effort', () => {
+		const { gameLogic } = reloadModules();
+		const { effortPerUnit } = gameLogic.getMetricBalance('meters');
+
+		const run = gameLogic.normalizeWorkoutRecord({ exercise: 'run', reps: 100, creditedReps: 50 });
+		expect(run).toMatchObject({ metric: 'meters', amount: 100 / effortPerUnit, creditedAmount: 50 / effortPerUnit, reps: null });
+		expect(gameLogic.getWorkoutEffort('run', run.amount)).toBe(100);
+
+		const squat = gameLogic.normalizeWorkoutRecord({ exercise: 'squat', reps: 20 });
+		expect(squat).toMatchObject({ metric: 'weighted_reps', amount: 20, creditedAmount: 20, reps: 20 });
+		expect(gameLogic.getWorkoutEffort('squat', squat.amount, squat.weight)).toBe(20);
+
+		const current = { exercise: 'run', metric: 'meters', amount: 5000, reps: null };
+		expect(gameLogic.normalizeWorkoutRecord(current)).toBe(current);
+	});
+
+	it('scales weighted reps by the load', () => {
+		const { gameLogic } = reloadModules();
+		const { referenceWeightKg } = gameLogic.getMetricBalance('weighted_reps');
+		const user = { level: 1, workoutStreak: 0 };
+
+		expect(gameLogic.getWorkoutEffort('deadlift', 10, referenceWeightKg)).toBe(20);
+		expect(gameLogic.processWorkout(user, 'deadlift', 10, 100).xpGained)
+			.toBeGreaterThan(gameLogic.processWorkout(user, 'deadlift', 10).xpGained);
+	});
+
+	it('validates amounts and weights per metric', () => {
+		const { gameLogic } = reloadModules();
+
+		expect(gameLogic.validateWorkout('run', 5000.5).valid).toBe(true);
+		expect(gameLogic.validateWorkout('plank', 30.5).errors).toContain('Seconds must be a whole number');
+		expect(gameLogic.validateWorkout('plank', 20000).valid).toBe(false);
+		expect(gameLogic.validateWorkout('deadlift', 5, 140).valid).toBe(true);
+		expect(gameLogic.validateWorkout('deadlift', 5, 900).valid).toBe(false);
+		expect(gameLogic.validateWorkout('pushup', 20, 10).errors).toContain('Weight does not apply to push-up');
+	});
+});
+
+describe('gameLogic strength sets', () => {
+	it('estimates a one-rep max with the Epley formula', () => {
+		const { gameLogic } = reloadModules();
+
+		expect(gameLogic.estimateOneRepMax(100, 1)).toBe(100);
+		expect(gameLogic.estimateOneRepMax(100, 5)).toBe(116.7);
+		// RPE 8 leaves 2 reps in reserve: 5 reps count as 7
+		expect(gameLogic.estimateOneRepMax(100, 5, 8)).toBe(123.3);
+		expect(gameLogic.estimateOneRepMax(0, 5)).toBeNull();
+		expect(gameLogic.estimateOneRepMax(60, 20)).toBeNull();
+	});
+
+	it('summarizes sets into volume, top weight and the best estimate', () => {
+		const { gameLogic } = reloadModules();
+
+		const summary = gameLogic.summarizeSets([
+			{ reps: 5, weight: 100 },
+			{ reps: 3, weight: 110, rpe: 9 },
+			{ reps: 12 },
+		]);
+
+		expect(summary).toMatchObject({ reps: 20, volume: 830, topWeight: 110, estimatedOneRepMax: 124.7 });
+		expect(summary.sets[2]).toEqual({ reps: 12, weight: 0, rpe: null });
+	});
+
+	it('scales XP with volume through the average load', () => {
+		const { gameLogic } = reloadModules();
+		const user = { level: 1, workoutStreak: 0 };
+		const light = gameLogic.summarizeSets([{ reps: 20 }]);
+		const heavy = gameLogic.summarizeSets([{ reps: 10, weight: 140 }, { reps: 10, weight: 140 }]);
+
+		expect(gameLogic.processWorkout(user, 'squat', heavy.reps, heavy.averageWeight).xpGained)
+			.toBeGreaterThan(gameLogic.processWorkout(user, 'squat', light.reps, light.averageWeight).xpGained);
+		expect(gameLogic.getWorkoutEffort('squat', heavy.reps, heavy.averageWeight))
+			.toBe(gameLogic.getWorkoutEffort('squat', 10, 140) * 2);
+	});
+
+	it('validates sets', () => {
+		const { gameLogic } = reloadModules();
+
+		expect(gameLogic.validateSets('bench', [{ reps: 8, weight: 60, rpe: 7.5 }]).valid).toBe(true);
+		expect(gameLogic.validateSets('bench', []).valid).toBe(false);
+		expect(gameLogic.validateSets('bench', [{ reps: 2.5 }]).errors).toEqual(['Set 1: reps must be a whole number above 0']);
+		expect(gameLogic.validateSets('run', [{ reps: 5 }]).valid).toBe(false);
+	});
+});
+
 describe('gameLogic.getExerciseSuggestions', () => {
 	it('returns exercise suggestions', () => {
 		const { gameLogic } = reloadModules();
@@ -178,3 +423,40 @@ describe('gameLogic.getExerciseSuggestions', () => {
 		expect(recentlyDoneInTop.length).toBeLessThan(topSuggestions.length);
 	});
 });
+
+describe('balance configuration', () => {
+	it('drives XP, damage and levels from one file', () => {
+		const { gameLogic } = reloadModules();
+		const { getBalance, getExerciseBalance } = require(path.join('..', 'game', 'balance'));
+		const balance = getBalance();
+
+		const deadlift = getExerciseBalance('deadlift');
+		const result = gameLogic.processWorkout({ level: 1, workoutStreak: 0 }, 'deadlift', 10);
+
+		expect(result.raidDamage).toBe(gameLogic.calculateRaidDamage('deadlift', 10, 1));
+		expect(gameLogic.calculateRaidDamage('deadlift', 10, 1))
+			.toBe(Math.floor(10 * deadlift.damageMultiplier * (1 + balance.damage.levelBonusPerLevel)));
+		expect(gameLogic.getLevelFromXP(balance.levels.baseXP)).toBe(2);
+	});
+
+	it('falls back to the default exercise for unknown exercises', () => {
+		const { getBalance, getExerciseBalance } = require(path.join('..', 'game', 'balance'));
+
+		expect(getExerciseBalance('underwater_basket_weaving')).toBe(getBalance().defaultExercise);
+		expect(getExerciseBalance('SQUAT')).toBe(getBalance().exercises.squat);
+	});
+
+	it('rejects balance files without a version', () => {
+		const fs = require('fs');
+		const os = require('os');
+		const { loadBalance } = require(path.join('..', 'game', 'balance'));
+		const filePath = path.join(os.tmpdir(), `forge-arena-balance-${Date.now()}.json`);
+
+		try {
+			fs.writeFileSync(filePath, JSON.stringify({ exercises: {} }));
+			expect(() => loadBalance(filePath)).toThrow('has no version');
+		} finally {
+			fs.rmSync(filePath, { force: true });
+		}
+	});
+});
@@ -86,14 +86,34 @@ describe('gameLogic.calculatePlayerPower', () => {
 			strength: 10,
 			endurance: 10,
 			agility: 10,
-			equipment: { weapon: 'sword', armor: 'plate' },
+			equipment: {
+				weapon: { id: 'sword', slot: 'weapon', rarity: 'rare', stats: { strength: 7 } },
+				torso: { id: 'plate', slot: 'torso', rarity: 'common', stats: { strength: 2, endurance: 3 } },
+			},
 		};
 		
 		const powerNoEquip = gameLogic.calculatePlayerPower(userNoEquip);
 		const powerWithEquip = gameLogic.calculatePlayerPower(userWithEquip);
 		
+		// (30 + 12) stat points * 1.1 level multiplier
+		expect(powerWithEquip).toBe(46);
 		expect(powerWithEquip).toBeGreaterThan(powerNoEquip);
 	});
+
+	it('applies trait stat bonuses to trained stats', () => {
+		const { gameLogic } = reloadModules();
+		
+		const user = {
+			level: 1,
+			strength: 20,
+			equipment: {
+				gloves: { id: 'g1', slot: 'gloves', stats: { strength: 2 }, traits: [{ key: 'mighty' }] },
+			},
+		};
+		
+		// Gloves add 2 strength plus Mighty's 20% of 20 trained strength
+		expect(gameLogic.getEffectiveStats(user).strength).toBe(26);
+	});
 });
 
 describe('gameLogic.formatExerciseName', () => {
@@ -117,9 +137,19 @@ describe('gameLogic.getXPForLevel', () => {
 	it('returns correct XP threshold', () => {
 		const { gameLogic } = reloadModules();
 		
-		expect(gameLogic.getXPForLevel(1)).toBe(100);
-		expect(gameLogic.getXPForLevel(5)).toBe(500);
-		expect(gameLogic.getXPForLevel(10)).toBe(1000);
+		// 50 * level^1.25 XP to clear each level
+		expect(gameLogic.getXPForLevel(1)).toBe(50);
+		expect(gameLogic.getXPForLevel(2)).toBe(50 + 119);
+		expect(gameLogic.getXPForLevel(10)).toBe(4403);
+	});
+
+	it('gets steeper as levels rise', () => {
+		const { gameLogic } = reloadModules();
+		
+		const earlyLevelCost = gameLogic.getXPForLevel(5) - gameLogic.getXPForLevel(4);
+		const lateLevelCost = gameLogic.getXPForLevel(50) - gameLogic.getXPForLevel(49);
+		
+		expect(lateLevelCost).toBeGreaterThan(earlyLevelCost * 10);
 	});
 });
 
@@ -128,9 +158,15 @@ describe('gameLogic.getLevelFromXP', () => {
 		const { gameLogic } = reloadModules();
 		
 		expect(gameLogic.getLevelFromXP(0)).toBe(1);
-		expect(gameLogic.getLevelFromXP(99)).toBe(1);
-		expect(gameLogic.getLevelFromXP(100)).toBe(2);
-		expect(gameLogic.getLevelFromXP(250)).toBe(3);
-		expect(gameLogic.getLevelFromXP(1000)).toBe(11);
+		expect(gameLogic.getLevelFromXP(49)).toBe(1);
+		expect(gameLogic.getLevelFromXP(50)).toBe(2);
+		expect(gameLogic.getLevelFromXP(169)).toBe(3);
+		expect(gameLogic.getLevelFromXP(1000)).toBe(5);
+	});
+
+	it('caps at the max level', () => {
+		const { gameLogic } = reloadModules();
+		
+		expect(gameLogic.getLevelFromXP(Number.MAX_SAFE_INTEGER)).toBe(gameLogic.MAX_LEVEL);
 	});
 });
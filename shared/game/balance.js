@@ -0,0 +1,97 @@
+// Game balance configuration
+// Every XP, level, damage and stat formula reads its numbers from the
+// versioned balance.json next to this file. Set BALANCE_CONFIG_PATH to load a
+// different file, e.g. to trial a new balance on staging.
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_BALANCE_PATH = path.join(__dirname, 'balance.json');
+const REQUIRED_SECTIONS = ['exercises', 'defaultExercise', 'xp', 'levels', 'prestige', 'damage', 'stats', 'workout'];
+
+/**
+ * Load and sanity-check a balance file
+ * @param {string} filePath - Path to the balance JSON file
+ * @returns {Object} The parsed balance configuration
+ */
+const loadBalance = (filePath = process.env.BALANCE_CONFIG_PATH || DEFAULT_BALANCE_PATH) => {
+  const balance = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  
+  if (!balance.version) {
+    throw new Error(`Balance file ${filePath} has no version`);
+  }
+  
+  for (const section of REQUIRED_SECTIONS) {
+    if (!balance[section]) {
+      throw new Error(`Balance file ${filePath} is missing "${section}"`);
+    }
+  }
+  
+  const metrics = balance.workout.metrics || {};
+  for (const [id, exercise] of Object.entries({ ...balance.exercises, defaultExercise: balance.defaultExercise })) {
+    if (!metrics[exercise.metric]) {
+      throw new Error(`Balance file ${filePath} gives "${id}" unknown metric "${exercise.metric}"`);
+    }
+  }
+  
+  const { levels } = balance;
+  if (levels.curve === 'table' && (!Array.isArray(levels.xpTable) || levels.xpTable[0] !== 0)) {
+    throw new Error(`Balance file ${filePath} needs an xpTable starting at 0 for the table curve`);
+  }
+  if (levels.curve !== 'table' && levels.curve !== 'polynomial') {
+    throw new Error(`Balance file ${filePath} has unknown level curve "${levels.curve}"`);
+  }
+  
+  return balance;
+};
+
+const balance = loadBalance();
+
+// Exercises defined at runtime (the server's admin exercise catalog), keyed
+// by ID and shaped like balance.exercises entries. Built-ins take precedence.
+let customExercises = {};
+
+/**
+ * Get the active balance configuration
+ */
+const getBalance = () => balance;
+
+/**
+ * Get the active balance version
+ */
+const getBalanceVersion = () => balance.version;
+
+/**
+ * Get the balance entry for an exercise, falling back to the default entry
+ */
+const getExerciseBalance = (exercise) => {
+  const id = String(exercise).toLowerCase();
+  return balance.exercises[id] || customExercises[id] || balance.defaultExercise;
+};
+
+/**
+ * Get the IDs of the built-in exercises in the balance file
+ */
+const getExerciseIds = () => Object.keys(balance.exercises);
+
+/**
+ * Replace the runtime exercises used alongside the built-ins
+ * @param {Object} exercises - Balance-shaped entries keyed by exercise ID
+ */
+const setCustomExercises = (exercises) => {
+  for (const [id, exercise] of Object.entries(exercises)) {
+    if (!balance.workout.metrics[exercise.metric]) {
+      throw new Error(`Exercise "${id}" has unknown metric "${exercise.metric}"`);
+    }
+  }
+  customExercises = { ...exercises };
+};
+
+module.exports = {
+  loadBalance,
+  getBalance,
+  getBalanceVersion,
+  getExerciseBalance,
+  getExerciseIds,
+  setCustomExercises,
+};
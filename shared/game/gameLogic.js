@@ -1,89 +1,235 @@
 // Shared game logic for processing workouts and calculating XP
 // Updated to work with real user data (passed as parameter)
 
+const { getBalance, getExerciseBalance, getExerciseIds } = require('./balance');
+const { calculateEquipmentContributions } = require('./itemSystem');
+
+const balance = getBalance();
+
+/**
+ * XP gain multipliers for different exercises (derived from the balance file)
+ */
+const EXERCISE_MULTIPLIERS = Object.fromEntries([
+  ...getExerciseIds().map(id => [id, balance.exercises[id].xpMultiplier]),
+  ['default', balance.defaultExercise.xpMultiplier],
+]);
+
 /**
- * XP gain multipliers for different exercises
+ * Stat bonuses for different exercises (derived from the balance file)
  */
-const EXERCISE_MULTIPLIERS = {
-  squat: 2.0,
-  pushup: 1.5,
-  pullup: 2.5,
-  run: 1.0,
-  plank: 0.5,
-  burpee: 3.0,
-  lunge: 1.5,
-  deadlift: 2.5,
-  bench: 2.0,
-  row: 2.0,
-  default: 1.0,
+const EXERCISE_STATS = Object.fromEntries([
+  ...getExerciseIds().map(id => [id, balance.exercises[id].stats]),
+  ['default', balance.defaultExercise.stats],
+]);
+
+/**
+ * How each exercise is measured (see workout.metrics in the balance file)
+ */
+const METRICS = {
+  REPS: 'reps',
+  SECONDS: 'seconds',
+  METERS: 'meters',
+  WEIGHTED_REPS: 'weighted_reps',
 };
 
 /**
- * Stat bonuses for different exercises
+ * Get the metric an exercise is measured in
  */
-const EXERCISE_STATS = {
-  squat: { strength: 0.3, endurance: 0.1 },
-  pushup: { strength: 0.2, endurance: 0.2 },
-  pullup: { strength: 0.3, agility: 0.1 },
-  run: { endurance: 0.4, agility: 0.2 },
-  plank: { endurance: 0.3, strength: 0.1 },
-  burpee: { strength: 0.1, endurance: 0.2, agility: 0.2 },
-  lunge: { strength: 0.2, agility: 0.2 },
-  deadlift: { strength: 0.4 },
-  bench: { strength: 0.3 },
-  row: { strength: 0.25, endurance: 0.1 },
-  default: { strength: 0.1, endurance: 0.1 },
+const getExerciseMetric = (exercise) => getExerciseBalance(exercise).metric || METRICS.REPS;
+
+/**
+ * Get the balance entry for a metric
+ */
+const getMetricBalance = (metric) => balance.workout.metrics[metric];
+
+/**
+ * Convert a workout into effort, the rep-equivalents that the XP, stat and
+ * damage formulas use. Seconds and meters count effortPerUnit each; a
+ * weighted rep counts 1 + weight / referenceWeightKg, so a bodyweight rep
+ * counts once.
+ * @param {string} exercise - The type of exercise
+ * @param {number} amount - Reps, seconds or meters, per the exercise's metric
+ * @param {number} weight - Load in kg (weighted exercises only)
+ */
+const getWorkoutEffort = (exercise, amount, weight = 0) => {
+  const metric = getExerciseMetric(exercise);
+  const metricBalance = getMetricBalance(metric);
+  const effort = amount * metricBalance.effortPerUnit;
+  
+  if (metric === METRICS.WEIGHTED_REPS) {
+    return effort * (1 + (weight || 0) / metricBalance.referenceWeightKg);
+  }
+  return effort;
+};
+
+/**
+ * Split a workout into the reps, seconds and meters it adds to quest, duel
+ * and leaderboard totals
+ */
+const getWorkoutTotals = (exercise, amount) => {
+  const { unit } = getMetricBalance(getExerciseMetric(exercise));
+  return { reps: 0, seconds: 0, meters: 0, [unit]: amount };
+};
+
+/**
+ * Read a stored workout in the exercise's current unit
+ * Records from before exercises had metrics only have reps (and
+ * creditedReps), each worth one effort whatever the exercise. They are
+ * converted at the same effort, so a legacy run "rep" reads as
+ * 1 / effortPerUnit meters; rep-counted exercises such as squats keep their
+ * reps and, having no weight, count as bodyweight. Current records are
+ * returned as they are.
+ */
+const normalizeWorkoutRecord = (workout) => {
+  if (workout.amount != null || workout.reps == null) {
+    return workout;
+  }
+  
+  const metric = getExerciseMetric(workout.exercise);
+  const { effortPerUnit } = getMetricBalance(metric);
+  const toUnit = (reps) => Math.round(reps / effortPerUnit);
+  const amount = toUnit(workout.reps);
+  
+  return {
+    ...workout,
+    metric,
+    amount,
+    reps: getWorkoutTotals(workout.exercise, amount).reps || null,
+    creditedAmount: workout.creditedReps != null ? toUnit(workout.creditedReps) : amount,
+  };
+};
+
+/**
+ * Format a workout amount with its unit, e.g. "20 reps", "5,000 meters" or "8 reps at 100 kg"
+ */
+const formatWorkoutAmount = (exercise, amount, weight = 0) => {
+  const metric = getExerciseMetric(exercise);
+  const { unit } = getMetricBalance(metric);
+  const text = `${Number(amount).toLocaleString('en-US')} ${amount === 1 ? unit.slice(0, -1) : unit}`;
+  
+  return metric === METRICS.WEIGHTED_REPS && weight > 0 ? `${text} at ${weight} kg` : text;
+};
+
+/**
+ * Estimate a one-rep max (kg) from one set with the Epley formula
+ * An RPE (rate of perceived exertion, 1-10) adds the reps left in reserve
+ * (10 - RPE). Returns null for unloaded sets and for sets too long to
+ * estimate from (more than oneRepMaxMaxReps reps to failure).
+ */
+const estimateOneRepMax = (weight, reps, rpe = null) => {
+  const { oneRepMaxMaxReps } = getMetricBalance(METRICS.WEIGHTED_REPS);
+  const repsToFailure = reps + (rpe ? 10 - rpe : 0);
+  
+  if (!(weight > 0) || repsToFailure > oneRepMaxMaxReps) {
+    return null;
+  }
+  
+  const estimate = repsToFailure <= 1 ? weight : weight * (1 + repsToFailure / 30);
+  return Math.round(estimate * 10) / 10;
+};
+
+/**
+ * Summarize the sets of a weighted workout
+ * Volume is the sum of reps x weight. Each weighted rep counts
+ * 1 + weight / referenceWeightKg effort, so a set list earns exactly what
+ * its total reps earn at the average load (volume / reps): pass those as
+ * amount and weight to processWorkout to scale XP and stats by volume.
+ * @param {Array} sets - [{ reps, weight, rpe }]
+ * @returns {Object} { sets, reps, volume, averageWeight, topWeight, estimatedOneRepMax }
+ */
+const summarizeSets = (sets) => {
+  const normalized = sets.map(set => ({
+    reps: set.reps,
+    weight: set.weight || 0,
+    rpe: set.rpe ?? null,
+  }));
+  
+  const reps = normalized.reduce((sum, set) => sum + set.reps, 0);
+  const volume = normalized.reduce((sum, set) => sum + set.reps * set.weight, 0);
+  const estimates = normalized
+    .map(set => estimateOneRepMax(set.weight, set.reps, set.rpe))
+    .filter(estimate => estimate !== null);
+  
+  return {
+    sets: normalized,
+    reps,
+    volume: Math.round(volume * 10) / 10,
+    averageWeight: reps > 0 ? volume / reps : 0,
+    topWeight: Math.max(0, ...normalized.map(set => set.weight)),
+    estimatedOneRepMax: estimates.length > 0 ? Math.max(...estimates) : null,
+  };
 };
 
 /**
  * Process a workout and calculate XP/stat gains
  * @param {Object} user - The user object (can be null for anonymous calculations)
  * @param {string} exercise - The type of exercise
- * @param {number} reps - Number of reps/duration
+ * @param {number} amount - Reps, seconds or meters, per the exercise's metric
+ * @param {number} weight - Load in kg (weighted exercises only)
  * @returns {Object} Result with XP gained and other data
  */
-const processWorkout = (user, exercise, reps) => {
-  // Get multiplier for exercise type
-  const multiplier = EXERCISE_MULTIPLIERS[exercise] || EXERCISE_MULTIPLIERS.default;
+const processWorkout = (user, exercise, amount, weight = 0) => {
+  const exerciseBalance = getExerciseBalance(exercise);
+  const { xp: xpBalance } = balance;
+  const metric = getExerciseMetric(exercise);
+  const effort = getWorkoutEffort(exercise, amount, weight);
   
   // Calculate base XP
-  const baseXP = reps * multiplier;
+  const baseXP = effort * exerciseBalance.xpMultiplier;
   
   // Apply level bonus (higher level = slightly more XP per rep)
   const userLevel = user?.level || 1;
-  const levelBonus = 1 + (userLevel * 0.02); // 2% bonus per level
+  const levelBonus = 1 + (userLevel * xpBalance.levelBonusPerLevel);
   
-  // Apply streak bonus
+  // Apply streak bonus (capped)
   const streak = user?.workoutStreak || 0;
-  const streakBonus = 1 + Math.min(streak * 0.05, 0.5); // Max 50% streak bonus
+  const streakBonus = 1 + Math.min(streak * xpBalance.streakBonusPerDay, xpBalance.maxStreakBonus);
+  
+  // Apply permanent prestige bonus
+  const prestigeBonus = getPrestigeXPBonus(user?.prestige || 0);
+  
+  // Apply XP traits on equipped items (e.g. Fortunate, Blessed)
+  const equipment = getEquipmentContributions(user);
+  const equipmentBonus = 1 + equipment.xpBonus;
   
   // Calculate final XP
-  const xpGained = Math.round(baseXP * levelBonus * streakBonus);
+  const xpBeforeEquipment = baseXP * levelBonus * streakBonus * prestigeBonus;
+  const xpGained = Math.round(xpBeforeEquipment * equipmentBonus);
   
   // Calculate potential stat gains
-  const statGains = EXERCISE_STATS[exercise] || EXERCISE_STATS.default;
+  const statGains = exerciseBalance.stats;
   const scaledStatGains = {};
   
   Object.keys(statGains).forEach(stat => {
-    // Stats gain scales with reps but has diminishing returns
-    const gain = statGains[stat] * Math.log10(reps + 1);
+    // Stats gain scales with effort but has diminishing returns
+    const gain = statGains[stat] * Math.log10(effort + 1);
     scaledStatGains[stat] = Math.round(gain * 10) / 10;
   });
   
   // Calculate damage potential for raids
-  const raidDamage = Math.floor(baseXP * (1 + userLevel * 0.1));
+  const raidDamage = calculateRaidDamage(exercise, amount, userLevel, getEffectiveStats(user), weight);
+  const countsReps = getMetricBalance(metric).unit === 'reps';
   
   return {
     message: `Great ${formatExerciseName(exercise)} session!`,
     xpGained,
     exercise,
-    reps,
+    metric,
+    amount,
+    reps: countsReps ? amount : null,
+    weight: metric === METRICS.WEIGHTED_REPS ? weight || 0 : null,
     statGains: scaledStatGains,
     raidDamage,
     bonuses: {
       level: levelBonus,
       streak: streakBonus,
+      prestige: prestigeBonus,
+      equipment: equipmentBonus,
     },
+    equipmentBreakdown: equipment.items.map(item => ({
+      ...item,
+      xpGained: Math.round(xpBeforeEquipment * item.xpBonus),
+    })),
   };
 };
 
@@ -91,33 +237,54 @@ const processWorkout = (user, exercise, reps) => {
  * Format exercise name for display
  */
 const formatExerciseName = (exercise) => {
-  const names = {
-    squat: 'squat',
-    pushup: 'push-up',
-    pullup: 'pull-up',
-    run: 'running',
-    plank: 'plank',
-    burpee: 'burpee',
-    lunge: 'lunge',
-    deadlift: 'deadlift',
-    bench: 'bench press',
-    row: 'row',
-  };
-  return names[exercise] || exercise;
+  return getExerciseBalance(exercise).displayName || exercise;
 };
 
 /**
- * Calculate XP needed for next level
+ * Cumulative XP thresholds: LEVEL_THRESHOLDS[i] is the total XP needed to reach level i + 1
+ * The polynomial curve costs baseXP * level^exponent to clear each level;
+ * the table curve lists the thresholds directly
+ */
+const buildLevelThresholds = (levels) => {
+  if (levels.curve === 'table') {
+    return levels.xpTable.slice(0, levels.maxLevel);
+  }
+  
+  const thresholds = [0];
+  for (let level = 1; level < levels.maxLevel; level++) {
+    thresholds.push(thresholds[level - 1] + Math.round(levels.baseXP * Math.pow(level, levels.exponent)));
+  }
+  return thresholds;
+};
+
+const LEVEL_THRESHOLDS = buildLevelThresholds(balance.levels);
+const MAX_LEVEL = LEVEL_THRESHOLDS.length;
+const LEVEL_CURVE_VERSION = balance.levels.curveVersion;
+
+/**
+ * Calculate total XP needed to reach a level
+ */
+const getTotalXPForLevel = (level) => {
+  const clampedLevel = Math.min(Math.max(Math.floor(level) || 1, 1), MAX_LEVEL);
+  return LEVEL_THRESHOLDS[clampedLevel - 1];
+};
+
+/**
+ * Calculate total XP needed for next level (capped at the max level)
  */
 const getXPForLevel = (level) => {
-  return level * 100; // Simple: 100 XP per level
+  return getTotalXPForLevel(level + 1);
 };
 
 /**
  * Calculate level from total XP
  */
 const getLevelFromXP = (totalXP) => {
-  return Math.floor(totalXP / 100) + 1;
+  let level = 1;
+  while (level < MAX_LEVEL && totalXP >= LEVEL_THRESHOLDS[level]) {
+    level++;
+  }
+  return level;
 };
 
 /**
@@ -125,18 +292,130 @@ const getLevelFromXP = (totalXP) => {
  */
 const getLevelProgress = (totalXP) => {
   const currentLevel = getLevelFromXP(totalXP);
-  const xpForCurrentLevel = (currentLevel - 1) * 100;
+  const xpForCurrentLevel = getTotalXPForLevel(currentLevel);
   const xpIntoLevel = totalXP - xpForCurrentLevel;
-  const xpNeeded = 100; // Fixed 100 per level
+  
+  if (currentLevel === MAX_LEVEL) {
+    return {
+      currentLevel,
+      xpIntoLevel,
+      xpNeeded: 0,
+      percentage: 100,
+      isMaxLevel: true,
+    };
+  }
+  
+  const xpNeeded = getXPForLevel(currentLevel) - xpForCurrentLevel;
   
   return {
     currentLevel,
     xpIntoLevel,
     xpNeeded,
     percentage: Math.round((xpIntoLevel / xpNeeded) * 100),
+    isMaxLevel: false,
+  };
+};
+
+/**
+ * Map a user's XP onto the current level curve
+ * Users without a curve version earned XP on the legacy flat curve
+ * (100 XP per level); they keep their level and their progress through it.
+ * Users from any other older curve keep their level. Levels never drop.
+ * @returns {Object|null} { xp, level, levelCurveVersion }, or null when already current
+ */
+const migrateLevelProgress = (user) => {
+  if (user.levelCurveVersion === LEVEL_CURVE_VERSION) return null;
+  
+  const xp = user.xp || 0;
+  let level = Math.min(Math.max(user.level || 1, 1), MAX_LEVEL);
+  let progress = 0;
+  
+  if (!user.levelCurveVersion) {
+    const legacyXPPerLevel = 100;
+    level = Math.min(Math.max(user.level || Math.floor(xp / legacyXPPerLevel) + 1, 1), MAX_LEVEL);
+    progress = Math.min(Math.max((xp - (level - 1) * legacyXPPerLevel) / legacyXPPerLevel, 0), 1);
+  }
+  
+  const levelStart = getTotalXPForLevel(level);
+  const levelSpan = level < MAX_LEVEL ? getXPForLevel(level) - levelStart : 0;
+  const migratedXP = Math.max(xp, levelStart + Math.floor(progress * levelSpan));
+  
+  return {
+    xp: migratedXP,
+    level: getLevelFromXP(migratedXP),
+    levelCurveVersion: LEVEL_CURVE_VERSION,
   };
 };
 
+// ============================================================================
+// PRESTIGE
+// ============================================================================
+
+/**
+ * Permanent XP multiplier earned through prestige
+ */
+const getPrestigeXPBonus = (prestige = 0) => {
+  return 1 + (Math.min(prestige, balance.prestige.maxPrestige) * balance.prestige.xpBonusPerPrestige);
+};
+
+/**
+ * Check whether a user can prestige (max level and prestige ranks left)
+ */
+const canPrestige = (user) => {
+  if (!user) return false;
+  return getLevelFromXP(user.xp || 0) >= MAX_LEVEL && (user.prestige || 0) < balance.prestige.maxPrestige;
+};
+
+// ============================================================================
+// STATS
+// ============================================================================
+
+const STAT_NAMES = ['strength', 'endurance', 'agility'];
+
+/**
+ * Get a user's trained stats (without equipment)
+ */
+const getBaseStats = (user) => {
+  const stats = {};
+  for (const stat of STAT_NAMES) {
+    stats[stat] = user?.[stat] ?? balance.stats.base;
+  }
+  return stats;
+};
+
+/**
+ * Get what each of a user's equipped items contributes (stats and XP bonus)
+ */
+const getEquipmentContributions = (user) => {
+  return calculateEquipmentContributions(user?.equipment || {}, getBaseStats(user));
+};
+
+/**
+ * Get a user's total stats: trained stats plus equipped item stats and traits
+ */
+const getEffectiveStats = (user) => {
+  const stats = getBaseStats(user);
+  const { stats: equipmentStats } = getEquipmentContributions(user);
+  
+  for (const stat of STAT_NAMES) {
+    stats[stat] = Math.round((stats[stat] + (equipmentStats[stat] || 0)) * 10) / 10;
+  }
+  return stats;
+};
+
+/**
+ * Add workout stat gains to a user's trained stats
+ * @returns {Object} New { strength, endurance, agility } totals
+ */
+const applyStatGains = (user, statGains = {}) => {
+  const stats = getBaseStats(user);
+  
+  for (const stat of STAT_NAMES) {
+    stats[stat] = Math.round((stats[stat] + (statGains[stat] || 0)) * 10) / 10;
+  }
+  return stats;
+};
+
 /**
  * Calculate player power for club battles
  */
@@ -144,33 +423,15 @@ const calculatePlayerPower = (user) => {
   if (!user) return 0;
   
   const level = user.level || 1;
-  const strength = user.strength || 10;
-  const endurance = user.endurance || 10;
-  const agility = user.agility || 10;
+  const { strength, endurance, agility } = getEffectiveStats(user);
   
-  // Base power from stats
+  // Base power from stats (trained, equipped and trait bonuses)
   const statPower = strength + endurance + agility;
   
   // Level multiplier
   const levelMultiplier = 1 + (level * 0.1);
   
-  // Equipment bonus (if any)
-  const equipmentBonus = calculateEquipmentBonus(user.equipment);
-  
-  return Math.round(statPower * levelMultiplier + equipmentBonus);
-};
-
-/**
- * Calculate bonus from equipped items
- */
-const calculateEquipmentBonus = (equipment) => {
-  if (!equipment) return 0;
-  
-  let bonus = 0;
-  // This would integrate with the item system
-  // For now, return a placeholder based on equipment count
-  const equippedCount = Object.values(equipment).filter(e => e).length;
-  return equippedCount * 5;
+  return Math.round(statPower * levelMultiplier);
 };
 
 /**
@@ -201,33 +462,105 @@ const getExerciseSuggestions = (user) => {
   return suggestions;
 };
 
+/**
+ * Calculate the stat damage multiplier for an exercise
+ * Uses the stats the exercise trains, weighted the same way; every point
+ * above the base stat adds statBonusPerPoint
+ */
+const getStatDamageBonus = (exercise, stats) => {
+  if (!stats) return 1;
+  
+  const weights = Object.entries(getExerciseBalance(exercise).stats);
+  const totalWeight = weights.reduce((sum, [, weight]) => sum + weight, 0);
+  if (totalWeight <= 0) return 1;
+  
+  const weightedStat = weights.reduce((sum, [stat, weight]) => sum + weight * (stats[stat] ?? balance.stats.base), 0) / totalWeight;
+  
+  return 1 + Math.max(0, weightedStat - balance.stats.base) * balance.damage.statBonusPerPoint;
+};
+
 /**
  * Calculate raid damage from a workout
+ * @param {number} amount - Reps, seconds or meters, per the exercise's metric
+ * @param {Object} stats - Effective stats (see getEffectiveStats); omit for base stats
+ * @param {number} weight - Load in kg (weighted exercises only)
  */
-const calculateRaidDamage = (exercise, reps, userLevel = 1) => {
-  const multiplier = EXERCISE_MULTIPLIERS[exercise] || EXERCISE_MULTIPLIERS.default;
-  const baseDamage = reps * multiplier;
-  const levelBonus = 1 + (userLevel * 0.1);
+const calculateRaidDamage = (exercise, amount, userLevel = 1, stats = null, weight = 0) => {
+  const baseDamage = getWorkoutEffort(exercise, amount, weight) * getExerciseBalance(exercise).damageMultiplier;
+  const levelBonus = 1 + (userLevel * balance.damage.levelBonusPerLevel);
+  const statBonus = getStatDamageBonus(exercise, stats);
   
-  return Math.floor(baseDamage * levelBonus);
+  return Math.floor(baseDamage * levelBonus * statBonus);
 };
 
 /**
- * Validate workout input
+ * Validate workout input against the exercise's metric
+ * Reps and seconds must be whole numbers; meters may have decimals. Only
+ * weighted exercises take a weight.
  */
-const validateWorkout = (exercise, reps) => {
+const validateWorkout = (exercise, amount, weight = null) => {
   const errors = [];
   
   if (!exercise || typeof exercise !== 'string') {
     errors.push('Exercise type is required');
   }
   
-  if (typeof reps !== 'number' || reps <= 0) {
-    errors.push('Reps must be a positive number');
+  const metric = getExerciseMetric(exercise);
+  const { unit, max, maxWeightKg } = getMetricBalance(metric);
+  const label = unit.charAt(0).toUpperCase() + unit.slice(1);
+  
+  if (typeof amount !== 'number' || !(amount > 0)) {
+    errors.push(`${label} must be a positive number`);
+  } else if (unit !== 'meters' && !Number.isInteger(amount)) {
+    errors.push(`${label} must be a whole number`);
+  }
+  
+  if (amount > max) {
+    errors.push(`${label} cannot exceed ${max.toLocaleString('en-US')}`);
   }
   
-  if (reps > 10000) {
-    errors.push('Reps cannot exceed 10,000');
+  if (weight !== null && weight !== undefined) {
+    if (metric !== METRICS.WEIGHTED_REPS) {
+      errors.push(`Weight does not apply to ${formatExerciseName(exercise)}`);
+    } else if (typeof weight !== 'number' || weight < 0 || weight > maxWeightKg) {
+      errors.push(`Weight must be between 0 and ${maxWeightKg} kg`);
+    }
+  }
+  
+  return {
+    valid: errors.length === 0,
+    errors,
+  };
+};
+
+/**
+ * Validate the sets of a weighted workout
+ * Each set needs whole reps above 0; weight (kg) and RPE (1-10) are optional.
+ * validateWorkout still checks the total reps and average weight.
+ */
+const validateSets = (exercise, sets) => {
+  const errors = [];
+  const { maxSets, maxWeightKg } = getMetricBalance(METRICS.WEIGHTED_REPS);
+  
+  if (getExerciseMetric(exercise) !== METRICS.WEIGHTED_REPS) {
+    errors.push(`Sets do not apply to ${formatExerciseName(exercise)}`);
+  } else if (!Array.isArray(sets) || sets.length === 0 || sets.length > maxSets) {
+    errors.push(`Sets must be a list of 1 to ${maxSets} sets`);
+  } else {
+    sets.forEach((set, index) => {
+      const label = `Set ${index + 1}`;
+      const { reps, weight, rpe } = set || {};
+      
+      if (!Number.isInteger(reps) || reps < 1) {
+        errors.push(`${label}: reps must be a whole number above 0`);
+      }
+      if (weight !== undefined && weight !== null && (typeof weight !== 'number' || weight < 0 || weight > maxWeightKg)) {
+        errors.push(`${label}: weight must be between 0 and ${maxWeightKg} kg`);
+      }
+      if (rpe !== undefined && rpe !== null && (typeof rpe !== 'number' || rpe < 1 || rpe > 10)) {
+        errors.push(`${label}: RPE must be between 1 and 10`);
+      }
+    });
   }
   
   return {
@@ -237,15 +570,35 @@ const validateWorkout = (exercise, reps) => {
 };
 
 module.exports = {
+  METRICS,
+  getExerciseMetric,
+  getMetricBalance,
+  getWorkoutEffort,
+  getWorkoutTotals,
+  normalizeWorkoutRecord,
+  formatWorkoutAmount,
+  estimateOneRepMax,
+  summarizeSets,
   processWorkout,
   getXPForLevel,
+  getTotalXPForLevel,
   getLevelFromXP,
   getLevelProgress,
+  migrateLevelProgress,
+  getPrestigeXPBonus,
+  canPrestige,
   calculatePlayerPower,
+  getBaseStats,
+  getEffectiveStats,
+  getEquipmentContributions,
+  applyStatGains,
   getExerciseSuggestions,
   calculateRaidDamage,
   validateWorkout,
+  validateSets,
   formatExerciseName,
   EXERCISE_MULTIPLIERS,
   EXERCISE_STATS,
+  MAX_LEVEL,
+  LEVEL_CURVE_VERSION,
 };
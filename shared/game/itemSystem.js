@@ -794,11 +794,18 @@ const generateLootDrop = (options = {}) => {
     guaranteedSlots = [],
     minItems = 1,
     maxItems = 3,
-    bonusLuck = 0
+    bonusLuck = 0,
+    templateIds = []
   } = options;
   
   const items = [];
   
+  // Random items come from templateIds when given, otherwise any template
+  const knownTemplates = templateIds.filter(id => ITEM_TEMPLATES[id]);
+  const pickTemplate = () => knownTemplates.length > 0
+    ? knownTemplates[Math.floor(Math.random() * knownTemplates.length)]
+    : null;
+  
   // Generate guaranteed slot items
   for (const slot of guaranteedSlots) {
     items.push(generateItem({ slot, source, bonusLuck }));
@@ -807,7 +814,7 @@ const generateLootDrop = (options = {}) => {
   // Generate random additional items
   const additionalCount = Math.floor(Math.random() * (maxItems - minItems + 1)) + minItems - guaranteedSlots.length;
   for (let i = 0; i < Math.max(0, additionalCount); i++) {
-    items.push(generateItem({ source, bonusLuck }));
+    items.push(generateItem({ templateId: pickTemplate(), source, bonusLuck }));
   }
   
   return items;
@@ -830,8 +837,10 @@ const generateQuestReward = (questDifficulty = 'normal') => {
 
 /**
  * Generates raid boss drops
+ * A boss loot table ({ templateIds, bonusLuck }) limits drops to the boss's
+ * own item templates and adds its luck on top of the participation level's
  */
-const generateRaidDrop = (participationLevel = 'normal', bossDefeated = true) => {
+const generateRaidDrop = (participationLevel = 'normal', bossDefeated = true, lootTable = null) => {
   if (!bossDefeated) {
     return generateLootDrop({ source: 'normal', minItems: 0, maxItems: 1 });
   }
@@ -844,7 +853,11 @@ const generateRaidDrop = (participationLevel = 'normal', bossDefeated = true) =>
   };
   
   const config = participationMap[participationLevel] || participationMap.normal;
-  return generateLootDrop(config);
+  return generateLootDrop({
+    ...config,
+    bonusLuck: config.bonusLuck + (lootTable?.bonusLuck || 0),
+    templateIds: lootTable?.templateIds || []
+  });
 };
 
 /**
@@ -896,6 +909,64 @@ const calculateEquipmentStats = (equipment) => {
   return { stats: totalStats, xpBonus: totalXpBonus };
 };
 
+/**
+ * Gets the trait keys on an item (stored as trait objects, older items as strings)
+ */
+const getItemTraitKeys = (item) => {
+  return (item.traits || [])
+    .map(trait => (typeof trait === 'string' ? trait : trait?.key))
+    .filter(key => TRAITS[key]);
+};
+
+/**
+ * Calculates what each equipped item contributes to its wearer
+ * Item stats are already rarity-scaled. Trait stat bonuses (e.g. Mighty)
+ * also raise the wearer's trained stats by their percentage, and trait XP
+ * bonuses (e.g. Fortunate) add to XP gain.
+ * @param {Object} equipment - Slot to equipped item map
+ * @param {Object} trainedStats - Wearer's stats without equipment
+ * @returns {Object} { items, stats, xpBonus } with one items entry per equipped item
+ */
+const calculateEquipmentContributions = (equipment, trainedStats = {}) => {
+  const totalStats = { strength: 0, endurance: 0, agility: 0 };
+  let totalXpBonus = 0;
+  const items = [];
+
+  for (const [slot, item] of Object.entries(equipment || {})) {
+    if (!item) continue;
+
+    const stats = { ...(item.stats || {}) };
+    const traits = getItemTraitKeys(item);
+    let xpBonus = 0;
+
+    for (const traitKey of traits) {
+      const trait = TRAITS[traitKey];
+      for (const [stat, bonus] of Object.entries(trait.statBonus || {})) {
+        const points = Math.round((trainedStats[stat] || 0) * bonus * 10) / 10;
+        stats[stat] = Math.round(((stats[stat] || 0) + points) * 10) / 10;
+      }
+      xpBonus += trait.xpBonus || 0;
+    }
+
+    for (const [stat, value] of Object.entries(stats)) {
+      totalStats[stat] = Math.round(((totalStats[stat] || 0) + value) * 10) / 10;
+    }
+    totalXpBonus += xpBonus;
+
+    items.push({
+      slot,
+      itemId: item.id,
+      name: item.name,
+      rarity: item.rarity,
+      traits,
+      stats,
+      xpBonus,
+    });
+  }
+
+  return { items, stats: totalStats, xpBonus: Math.round(totalXpBonus * 100) / 100 };
+};
+
 /**
  * Validates if an item can be equipped to a slot
  */
@@ -952,6 +1023,7 @@ module.exports = {
   // Avatar Management
   createDefaultEquipment,
   calculateEquipmentStats,
+  calculateEquipmentContributions,
   canEquipItem,
   createStarterInventory,
   